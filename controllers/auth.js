@@ -1,22 +1,167 @@
 import bcrypt from "bcrypt";
-import { eq, ilike, and, gte } from "drizzle-orm";
+import {
+  eq,
+  ilike,
+  and,
+  gt,
+  gte,
+  desc,
+  isNull,
+  lt,
+  or,
+  sql,
+} from "drizzle-orm";
 import { z } from "zod";
 import { db } from "../database/connection.js";
 import {
+  emailVerificationUserSchema,
   loginUserSchema,
+  recoveryCodes,
+  refreshSessionSchema,
   registerUserSchema,
   verifyEmailUserSchema,
   resetPasswordUserSchema,
+  sessions,
+  twoFactorChallengeSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
   users,
 } from "../schemas/index.js";
-import { findUserByEmail, findUserWithRole } from "../services/index.js";
 import {
+  createSession,
+  findUserByEmail,
+  findUserByIdAndRole,
+  findUserWithRole,
+  issueRecoveryCodes,
+  revokeSessions,
+  sendVerificationEmail,
+  verifyAuthenticatorCode,
+  verifyTwoFactorCode,
+} from "../services/index.js";
+import {
+  findRefreshTokenExpiry,
+  generateChallengeToken,
+  generateRefreshToken,
   generateToken,
+  generateTotpSecret,
+  generateTotpUri,
   hashPassword,
+  hashToken,
+  twoFactorRequiredRoles,
   userRolesEnum,
   sendEmail,
+  verifyChallengeToken,
 } from "../utils/index.js";
 
+const lockoutThreshold = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || 5, 10);
+const lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || 15, 10);
+const maxLockoutMinutes = 24 * 60;
+
+// Every failed attempt past the threshold doubles the lockout
+const findLockoutMinutes = (failedAttemptCount) =>
+  failedAttemptCount < lockoutThreshold
+    ? 0
+    : Math.min(
+        lockoutMinutes * 2 ** (failedAttemptCount - lockoutThreshold),
+        maxLockoutMinutes
+      );
+
+const findClient = (req) => ({
+  device: req.get("user-agent")?.slice(0, 255),
+  ip: req.ip,
+});
+
+// Counts a failed password or second factor, locking the account once they
+// pile up. The count is incremented by the database so that concurrent
+// failures are all counted. Returns the end of the lockout, if any.
+const recordFailedLogin = async (user, req) => {
+  const [{ failed_login_attempt_count: failedAttemptCount }] = await db
+    .update(users)
+    .set({
+      failed_login_attempt_count: sql`coalesce(${users.failed_login_attempt_count}, 0) + 1`,
+      failed_login_attempt_last_at: new Date().toISOString(),
+    })
+    .where(eq(users.id, user.id))
+    .returning({
+      failed_login_attempt_count: users.failed_login_attempt_count,
+    });
+
+  const lockout = findLockoutMinutes(failedAttemptCount);
+  const lockedUntil = lockout
+    ? new Date(Date.now() + lockout * 60 * 1000).toISOString()
+    : null;
+
+  if (lockedUntil) {
+    // A longer lockout set by a concurrent failure is kept
+    await db
+      .update(users)
+      .set({ locked_until: lockedUntil })
+      .where(
+        and(
+          eq(users.id, user.id),
+          or(isNull(users.locked_until), lt(users.locked_until, lockedUntil))
+        )
+      );
+
+    // A failing alert never hides the lockout from the client
+    try {
+      await sendEmail(
+        user.email,
+        "Your account has been locked",
+        `Your account was locked until ${lockedUntil} after ${failedAttemptCount} failed login attempts, the last from ${req.ip}. If this was not you, please reset your password or contact an admin.`
+      );
+    } catch (error) {
+      console.error("Failed to send the account lockout alert", error);
+    }
+  }
+
+  return lockedUntil;
+};
+
+// Opens a session for a user whose every factor has been verified
+const completeLogin = async (user, req) => {
+  const payload = {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    avatar: user.avatar,
+  };
+  const { session, refreshToken } = await createSession({
+    user_id: user.id,
+    ...findClient(req),
+  });
+  const token = generateToken({ ...payload, sid: session.id });
+
+  await db
+    .update(users)
+    .set({
+      isOnline: true,
+      last_login_at: new Date().toISOString(),
+      login_count: user.login_count + 1,
+      failed_login_attempt_count: 0,
+      locked_until: null,
+    })
+    .where(eq(users.id, user.id));
+
+  return { payload, token, refreshToken };
+};
+
+// A challenge token is spent once the login it was issued for completes
+const findChallengedUser = async (challengeToken) => {
+  const challenge = verifyChallengeToken(challengeToken);
+  if (!challenge) return null;
+
+  const [user] = await db
+    .select()
+    .from(users)
+    .where(eq(users.id, challenge.id))
+    .limit(1);
+  if (!user || user.login_count !== challenge.login_count) return null;
+
+  return user;
+};
+
 export const authController = {
   register: async (req, res) => {
     try {
@@ -39,6 +184,7 @@ export const authController = {
           email,
           password: hashedPassword,
           role: "admin",
+          email_verified_at: null,
         })
         .returning();
       if (!newUser) {
@@ -47,8 +193,20 @@ export const authController = {
         });
       }
 
+      // The account stays registered when the email fails, a new one can be
+      // requested
+      let verificationSent = true;
+      try {
+        await sendVerificationEmail(newUser);
+      } catch (error) {
+        verificationSent = false;
+        console.error("Failed to send the verification email", error);
+      }
+
       res.status(201).json({
-        message: `User "${name}" has been registered successfully`,
+        message: verificationSent
+          ? `User "${name}" has been registered successfully. A verification link has been sent to "${email}".`
+          : `User "${name}" has been registered successfully, but the verification email could not be sent. Please request a new one.`,
         user: newUser,
       });
     } catch (error) {
@@ -72,67 +230,226 @@ export const authController = {
       const { email, password } = req.body;
 
       const existingUser = await findUserWithRole(email, userRolesEnum);
+      // An unknown email is answered like a wrong password
       if (!existingUser) {
-        return res.status(404).json({
+        return res.status(401).json({
           message: "Invalid credentials",
         });
       }
 
       const {
         id: existingUserId,
-        name: existingUserName,
-        email: existingUserEmail,
         password: existingUserPassword,
         role: existingUserRole,
-        avatar: existingUserAvatar,
-        failed_login_attempt_count: existingUserFailedLoginAttemptCount,
         login_count: existingUserLoginCount,
+        locked_until: existingUserLockedUntil,
       } = existingUser;
 
+      if (
+        existingUserLockedUntil &&
+        new Date(existingUserLockedUntil) > new Date()
+      ) {
+        return res.status(423).json({
+          message: `The account is locked after too many failed login attempts. Please try again after ${existingUserLockedUntil} or contact an admin.`,
+          locked_until: existingUserLockedUntil,
+        });
+      }
+
       const isValidPassword = await bcrypt.compare(
         password,
         existingUserPassword
       );
       if (!isValidPassword) {
-        await db
-          .update(users)
-          .set({
-            failed_login_attempt_count: existingUserFailedLoginAttemptCount + 1,
-            failed_login_attempt_last_at: new Date().toISOString(),
-          })
-          .where(eq(users.id, existingUserId));
+        const lockedUntil = await recordFailedLogin(existingUser, req);
+        if (lockedUntil) {
+          return res.status(423).json({
+            message: `The account is locked after too many failed login attempts. Please try again after ${lockedUntil} or contact an admin.`,
+            locked_until: lockedUntil,
+          });
+        }
 
         return res.status(401).json({
           message: "Invalid credentials",
         });
       }
 
-      const payload = {
-        id: existingUserId,
-        name: existingUserName,
-        email: existingUserEmail,
-        role: existingUserRole,
-        avatar: existingUserAvatar,
-      };
-      const token = generateToken(payload);
+      if (!existingUser.email_verified_at) {
+        return res.status(403).json({
+          message: "Please verify your email address before logging in.",
+        });
+      }
 
+      // The session is only opened once the second factor is verified
+      const twoFactorEnabled = Boolean(existingUser.two_factor_enabled_at);
+      if (
+        twoFactorEnabled ||
+        twoFactorRequiredRoles.includes(existingUserRole)
+      ) {
+        return res.status(200).json({
+          message: twoFactorEnabled
+            ? "Enter the code of your authenticator app or a recovery code to complete the login."
+            : "Two-factor authentication is required for your role. Please set it up to complete the login.",
+          two_factor_required: twoFactorEnabled,
+          two_factor_setup_required: !twoFactorEnabled,
+          challengeToken: generateChallengeToken({
+            id: existingUserId,
+            login_count: existingUserLoginCount,
+          }),
+        });
+      }
+
+      const { payload, token, refreshToken } = await completeLogin(
+        existingUser,
+        req
+      );
+
+      res.status(200).json({
+        message: `The user "${payload.name}" has been logged in successfully`,
+        user: payload,
+        token,
+        refreshToken,
+      });
+    } catch (error) {
+      console.error("An error occurred while logging in a user:", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while logging in the user. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  setupTwoFactorLogin: async (req, res) => {
+    try {
+      await twoFactorChallengeSchema.parseAsync(req.body);
+      const { challenge_token } = req.body;
+
+      const existingUser = await findChallengedUser(challenge_token);
+      if (!existingUser) {
+        return res.status(401).json({
+          message: "Invalid or expired challenge token",
+        });
+      }
+
+      if (existingUser.two_factor_enabled_at) {
+        return res.status(409).json({
+          message: "Two-factor authentication is already set up.",
+        });
+      }
+
+      const secret = generateTotpSecret();
       await db
         .update(users)
-        .set({
-          isOnline: true,
-          last_login_at: new Date().toISOString(),
-          login_count: existingUserLoginCount + 1,
-        })
-        .where(eq(users.id, existingUserId))
-        .returning();
+        .set({ two_factor_secret: secret, two_factor_last_counter: null })
+        .where(eq(users.id, existingUser.id));
+
+      res.status(200).json({
+        message:
+          "Scan the provisioning URI with your authenticator app and enter its code to complete the login.",
+        secret,
+        uri: generateTotpUri({ secret, account: existingUser.email }),
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while setting up two-factor login:",
+        error
+      );
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while setting up two-factor authentication. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  verifyTwoFactorLogin: async (req, res) => {
+    try {
+      await twoFactorLoginSchema.parseAsync(req.body);
+      const { challenge_token, code } = req.body;
+
+      const existingUser = await findChallengedUser(challenge_token);
+      if (!existingUser) {
+        return res.status(401).json({
+          message: "Invalid or expired challenge token",
+        });
+      }
+
+      const { locked_until: existingUserLockedUntil } = existingUser;
+      if (
+        existingUserLockedUntil &&
+        new Date(existingUserLockedUntil) > new Date()
+      ) {
+        return res.status(423).json({
+          message: `The account is locked after too many failed login attempts. Please try again after ${existingUserLockedUntil} or contact an admin.`,
+          locked_until: existingUserLockedUntil,
+        });
+      }
+
+      if (!existingUser.two_factor_secret) {
+        return res.status(409).json({
+          message:
+            "Two-factor authentication is not set up. Please set it up to complete the login.",
+        });
+      }
+
+      // A login that sets up two-factor authentication confirms it with a
+      // code of the authenticator app
+      const enrolling = !existingUser.two_factor_enabled_at;
+      const isValidCode = enrolling
+        ? await verifyAuthenticatorCode(existingUser, code)
+        : await verifyTwoFactorCode(existingUser, code);
+      if (!isValidCode) {
+        const lockedUntil = await recordFailedLogin(existingUser, req);
+        if (lockedUntil) {
+          return res.status(423).json({
+            message: `The account is locked after too many failed login attempts. Please try again after ${lockedUntil} or contact an admin.`,
+            locked_until: lockedUntil,
+          });
+        }
+
+        return res.status(401).json({
+          message: "Invalid two-factor code",
+        });
+      }
+
+      let newRecoveryCodes;
+      if (enrolling) {
+        await db.transaction(async (tx) => {
+          await tx
+            .update(users)
+            .set({ two_factor_enabled_at: new Date().toISOString() })
+            .where(eq(users.id, existingUser.id));
+          newRecoveryCodes = await issueRecoveryCodes(existingUser.id, tx);
+        });
+      }
+
+      const { payload, token, refreshToken } = await completeLogin(
+        existingUser,
+        req
+      );
 
       res.status(200).json({
         message: `The user "${payload.name}" has been logged in successfully`,
         user: payload,
         token,
+        refreshToken,
+        recoveryCodes: newRecoveryCodes,
       });
     } catch (error) {
-      console.error("An error occurred while logging in a user:", error);
+      console.error(
+        "An error occurred while verifying two-factor login:",
+        error
+      );
       if (error instanceof z.ZodError) {
         return res.status(400).json({
           message: "Validation error",
@@ -146,6 +463,172 @@ export const authController = {
       });
     }
   },
+  refresh: async (req, res) => {
+    try {
+      await refreshSessionSchema.parseAsync(req.body);
+      const { refresh_token } = req.body;
+
+      // A rotated refresh token is not accepted again
+      const [session] = await db
+        .select()
+        .from(sessions)
+        .where(
+          and(
+            eq(sessions.refresh_token, hashToken(refresh_token)),
+            isNull(sessions.revoked_at),
+            gt(sessions.expires_at, new Date().toISOString())
+          )
+        )
+        .limit(1);
+      if (!session) {
+        return res.status(401).json({
+          message: "Invalid or expired refresh token",
+        });
+      }
+
+      const [existingUser] = await db
+        .select()
+        .from(users)
+        .where(eq(users.id, session.user_id))
+        .limit(1);
+      if (!existingUser) {
+        return res.status(401).json({
+          message: "Invalid or expired refresh token",
+        });
+      }
+
+      const refreshToken = generateRefreshToken();
+      await db
+        .update(sessions)
+        .set({
+          refresh_token: hashToken(refreshToken),
+          ...findClient(req),
+          last_used_at: new Date().toISOString(),
+          // An active session is kept open, only an idle one expires
+          expires_at: findRefreshTokenExpiry(),
+        })
+        .where(eq(sessions.id, session.id));
+
+      const payload = {
+        id: existingUser.id,
+        name: existingUser.name,
+        email: existingUser.email,
+        role: existingUser.role,
+        avatar: existingUser.avatar,
+      };
+      const token = generateToken({ ...payload, sid: session.id });
+
+      res.status(200).json({
+        message: "The session has been refreshed successfully",
+        user: payload,
+        token,
+        refreshToken,
+      });
+    } catch (error) {
+      console.error("An error occurred while refreshing a session:", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while refreshing the session. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  verifyEmail: async (req, res) => {
+    try {
+      await emailVerificationUserSchema.parseAsync(req.body);
+      const { validation_token: validationToken } = req.body;
+
+      const [existingUser] = await db
+        .select()
+        .from(users)
+        .where(
+          and(
+            eq(users.validation_token, hashToken(validationToken)),
+            gte(users.validation_token_expired_at, new Date())
+          )
+        );
+      if (!existingUser) {
+        return res.status(404).json({
+          message: "Invalid or expired token",
+        });
+      }
+
+      const [verifiedUser] = await db
+        .update(users)
+        .set({
+          email_verified_at: new Date().toISOString(),
+          validation_token: null,
+          validation_token_expired_at: null,
+          updated_at: new Date().toISOString(),
+        })
+        .where(eq(users.id, existingUser.id))
+        .returning();
+
+      res.status(200).json({
+        message: `The email "${verifiedUser.email}" has been verified successfully`,
+      });
+    } catch (error) {
+      console.error("An error occurred while verifying email:", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while verifying the email. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  resendVerification: async (req, res) => {
+    try {
+      await verifyEmailUserSchema.parseAsync(req.body);
+      const { email } = req.body;
+
+      const existingUser = await findUserByEmail(email);
+      if (!existingUser) {
+        return res.status(404).json({
+          message: `No user found with the email "${email}". Please verify and try again.`,
+        });
+      }
+
+      if (existingUser.email_verified_at) {
+        return res.status(409).json({
+          message: `The email "${email}" has already been verified.`,
+        });
+      }
+
+      await sendVerificationEmail(existingUser);
+
+      res.status(200).json({
+        message: `A verification link has been sent to "${email}".`,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while resending verification email:",
+        error
+      );
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while resending the verification email. Please try again.",
+        error: error.message,
+      });
+    }
+  },
   requestPasswordReset: async (req, res) => {
     try {
       await verifyEmailUserSchema.parseAsync(req.body);
@@ -249,6 +732,9 @@ export const authController = {
         });
       }
 
+      // A new password signs the user out everywhere
+      await revokeSessions({ user_id: existingUserId });
+
       const {
         id: updatedUserId,
         name: updatedUserName,
@@ -286,7 +772,9 @@ export const authController = {
   },
   logout: async (req, res) => {
     try {
-      const { id } = req.params;
+      const { id, sid } = req.user;
+
+      await revokeSessions({ user_id: id, session_ids: [sid] });
 
       const [logoutUser] = await db
         .update(users)
@@ -313,4 +801,315 @@ export const authController = {
       });
     }
   },
+  retrieveSessions: async (req, res) => {
+    try {
+      const { id, sid } = req.user;
+
+      const activeSessions = await db.query.sessions.findMany({
+        where: and(
+          eq(sessions.user_id, id),
+          isNull(sessions.revoked_at),
+          gt(sessions.expires_at, new Date().toISOString())
+        ),
+        orderBy: [desc(sessions.last_used_at)],
+        columns: {
+          refresh_token: false,
+        },
+      });
+
+      res.status(200).json({
+        message: "Sessions retrieved successfully",
+        sessions: activeSessions.map((session) => ({
+          ...session,
+          current: session.id === sid,
+        })),
+      });
+    } catch (error) {
+      console.error("An error occurred while retrieving sessions:", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the sessions. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  revokeSessionById: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const [revokedSession] = await revokeSessions({
+        user_id: req.user.id,
+        session_ids: [id],
+      });
+      if (!revokedSession) {
+        return res.status(404).json({
+          message: `No active session found with the provided ID "${id}". Please verify and try again.`,
+        });
+      }
+
+      res.status(200).json({
+        message: `The session "${id}" has been revoked successfully`,
+      });
+    } catch (error) {
+      console.error("An error occurred while revoking a session:", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while revoking the session. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  revokeOtherSessions: async (req, res) => {
+    try {
+      const revokedSessions = await revokeSessions({
+        user_id: req.user.id,
+        except_id: req.user.sid,
+      });
+
+      res.status(200).json({
+        message: `${revokedSessions.length} other sessions have been revoked successfully`,
+      });
+    } catch (error) {
+      console.error("An error occurred while revoking sessions:", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while revoking the sessions. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  setupTwoFactor: async (req, res) => {
+    try {
+      const existingUser = await findUserByIdAndRole(
+        req.user.id,
+        req.user.role
+      );
+      if (!existingUser) {
+        return res.status(404).json({
+          message: `No user found with the provided ID "${req.user.id}". Please verify and try again.`,
+        });
+      }
+
+      if (existingUser.two_factor_enabled_at) {
+        return res.status(409).json({
+          message: "Two-factor authentication is already enabled.",
+        });
+      }
+
+      const secret = generateTotpSecret();
+      await db
+        .update(users)
+        .set({ two_factor_secret: secret, two_factor_last_counter: null })
+        .where(eq(users.id, existingUser.id));
+
+      res.status(200).json({
+        message:
+          "Scan the provisioning URI with your authenticator app and enter its code to enable two-factor authentication.",
+        secret,
+        uri: generateTotpUri({ secret, account: existingUser.email }),
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while setting up two-factor authentication:",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while setting up two-factor authentication. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  enableTwoFactor: async (req, res) => {
+    try {
+      await twoFactorCodeSchema.parseAsync(req.body);
+      const { code } = req.body;
+
+      const existingUser = await findUserByIdAndRole(
+        req.user.id,
+        req.user.role
+      );
+      if (!existingUser) {
+        return res.status(404).json({
+          message: `No user found with the provided ID "${req.user.id}". Please verify and try again.`,
+        });
+      }
+
+      if (existingUser.two_factor_enabled_at) {
+        return res.status(409).json({
+          message: "Two-factor authentication is already enabled.",
+        });
+      }
+
+      if (!existingUser.two_factor_secret) {
+        return res.status(409).json({
+          message:
+            "Two-factor authentication is not set up. Please set it up first.",
+        });
+      }
+
+      if (!(await verifyAuthenticatorCode(existingUser, code))) {
+        return res.status(400).json({
+          message: "Invalid two-factor code",
+        });
+      }
+
+      let newRecoveryCodes;
+      await db.transaction(async (tx) => {
+        await tx
+          .update(users)
+          .set({
+            two_factor_enabled_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+          })
+          .where(eq(users.id, existingUser.id));
+        newRecoveryCodes = await issueRecoveryCodes(existingUser.id, tx);
+      });
+
+      res.status(200).json({
+        message:
+          "Two-factor authentication has been enabled successfully. Keep the recovery codes somewhere safe, they are only shown once.",
+        recoveryCodes: newRecoveryCodes,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while enabling two-factor authentication:",
+        error
+      );
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while enabling two-factor authentication. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  regenerateRecoveryCodes: async (req, res) => {
+    try {
+      await twoFactorCodeSchema.parseAsync(req.body);
+      const { code } = req.body;
+
+      const existingUser = await findUserByIdAndRole(
+        req.user.id,
+        req.user.role
+      );
+      if (!existingUser) {
+        return res.status(404).json({
+          message: `No user found with the provided ID "${req.user.id}". Please verify and try again.`,
+        });
+      }
+
+      if (!existingUser.two_factor_enabled_at) {
+        return res.status(409).json({
+          message: "Two-factor authentication is not enabled.",
+        });
+      }
+
+      const isValidCode = await verifyTwoFactorCode(existingUser, code);
+      if (!isValidCode) {
+        return res.status(400).json({
+          message: "Invalid two-factor code",
+        });
+      }
+
+      const newRecoveryCodes = await issueRecoveryCodes(existingUser.id);
+
+      res.status(200).json({
+        message:
+          "New recovery codes have been generated successfully, the previous ones are no longer accepted.",
+        recoveryCodes: newRecoveryCodes,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while regenerating recovery codes:",
+        error
+      );
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while regenerating the recovery codes. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  disableTwoFactor: async (req, res) => {
+    try {
+      await twoFactorCodeSchema.parseAsync(req.body);
+      const { code } = req.body;
+
+      if (twoFactorRequiredRoles.includes(req.user.role)) {
+        return res.status(409).json({
+          message: `Two-factor authentication is required for the role "${req.user.role}" and cannot be disabled.`,
+        });
+      }
+
+      const existingUser = await findUserByIdAndRole(
+        req.user.id,
+        req.user.role
+      );
+      if (!existingUser) {
+        return res.status(404).json({
+          message: `No user found with the provided ID "${req.user.id}". Please verify and try again.`,
+        });
+      }
+
+      if (!existingUser.two_factor_enabled_at) {
+        return res.status(409).json({
+          message: "Two-factor authentication is not enabled.",
+        });
+      }
+
+      const isValidCode = await verifyTwoFactorCode(existingUser, code);
+      if (!isValidCode) {
+        return res.status(400).json({
+          message: "Invalid two-factor code",
+        });
+      }
+
+      await db.transaction(async (tx) => {
+        await tx
+          .update(users)
+          .set({
+            two_factor_secret: null,
+            two_factor_enabled_at: null,
+            two_factor_last_counter: null,
+            updated_at: new Date().toISOString(),
+          })
+          .where(eq(users.id, existingUser.id));
+        await tx
+          .delete(recoveryCodes)
+          .where(eq(recoveryCodes.user_id, existingUser.id));
+      });
+
+      res.status(200).json({
+        message: "Two-factor authentication has been disabled successfully",
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while disabling two-factor authentication:",
+        error
+      );
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while disabling two-factor authentication. Please try again.",
+        error: error.message,
+      });
+    }
+  },
 };
@@ -1,13 +1,92 @@
+import { randomUUID } from "crypto";
+import { eq } from "drizzle-orm";
+import { z } from "zod";
 import { cloudinary } from "../config/cloudinary.js";
+import { db } from "../database/connection.js";
+import { assets, insertAssetSchema } from "../schemas/index.js";
+import { destroyAssets } from "../services/index.js";
 
 export const cloudinaryController = {
+  sign: async (req, res) => {
+    try {
+      await insertAssetSchema.parseAsync(req.body);
+      const { entity, entity_id } = req.body;
+
+      // The public ID is signed with the upload, so the asset can only be
+      // uploaded under the ID it is recorded with
+      const publicId = `logiex/${entity.replace(/ /g, "-")}/${randomUUID()}`;
+      const timestamp = Math.round(Date.now() / 1000);
+      const { api_key, api_secret, cloud_name } = cloudinary.config();
+      const signature = cloudinary.utils.api_sign_request(
+        { public_id: publicId, timestamp },
+        api_secret
+      );
+
+      const [newAsset] = await db
+        .insert(assets)
+        .values({
+          public_id: publicId,
+          entity,
+          entity_id,
+          owner_id: req.user.id,
+        })
+        .returning();
+
+      res.status(201).json({
+        message: "successfully signed cloudinary upload",
+        asset: newAsset,
+        upload: {
+          url: cloudinary.utils.api_url("upload", { cloud_name }),
+          public_id: publicId,
+          timestamp,
+          api_key,
+          signature,
+        },
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message: "server error during cloudinary upload signing",
+        error: error.message,
+      });
+    }
+  },
   delete: async (req, res) => {
     const { publicId } = req.body;
     try {
-      const response = await cloudinary.uploader.destroy(publicId);
+      if (!publicId) {
+        return res.status(400).json({ message: "publicId is required" });
+      }
+
+      // Only the owner of an asset or an admin deletes it. Assets uploaded
+      // before they were tracked are left to admins.
+      const [asset] = await db
+        .select()
+        .from(assets)
+        .where(eq(assets.public_id, publicId))
+        .limit(1);
+      if (req.user.role !== "admin" && asset?.owner_id !== req.user.id) {
+        return res.status(403).json({
+          message: "only the owner of the image or an admin can delete it",
+        });
+      }
+
+      // Images in use are deleted with the entity that uses them
+      if (asset?.entity_id) {
+        return res.status(409).json({
+          message: `the image is used by a ${asset.entity} and is deleted with it`,
+        });
+      }
+
+      await destroyAssets([publicId]);
+
       res.json({
         message: "successfully deleted cloudinary image",
-        response,
       });
     } catch (error) {
       res.status(500).json({
@@ -0,0 +1,430 @@
+import { and, desc, eq, ilike, ne, sql } from "drizzle-orm";
+import { z } from "zod";
+import { db } from "../database/connection.js";
+import {
+  customerReturnProducts,
+  customerReturns,
+  insertCustomerReturnProductSchema,
+  insertCustomerReturnSchema,
+  inventoryProducts,
+  saleProducts,
+  sales,
+} from "../schemas/index.js";
+import {
+  calculateReturnedSaleQuantities,
+  evaluateStockThresholds,
+  findCustomerReturnByRmaId,
+  findInventoryByName,
+  inTransitInventory,
+  recordStockMovement,
+} from "../services/index.js";
+import {
+  customerReturnStatusTransitions,
+  getAllowedTransitions,
+} from "../utils/index.js";
+
+// Puts resellable goods back into the lot they were sold from. A lot of the
+// same MR ID is opened at the destination inventory if it has none.
+const restockIntoOriginalLot = async (
+  { inventory, saleProduct, quantity },
+  tx
+) => {
+  const [existingLot] = await tx
+    .select()
+    .from(inventoryProducts)
+    .where(
+      and(
+        ilike(inventoryProducts.inventory, inventory),
+        ilike(inventoryProducts.mr_id, saleProduct.mr_id),
+        ilike(inventoryProducts.product, saleProduct.product)
+      )
+    )
+    .limit(1)
+    .for("update");
+
+  if (existingLot) {
+    const [restockedLot] = await tx
+      .update(inventoryProducts)
+      .set({
+        quantity: sql`${inventoryProducts.quantity} + ${quantity}`,
+        updated_at: new Date().toISOString(),
+      })
+      .where(eq(inventoryProducts.id, existingLot.id))
+      .returning();
+    return restockedLot;
+  }
+
+  const [originalLot] = await tx
+    .select()
+    .from(inventoryProducts)
+    .where(
+      and(
+        ilike(inventoryProducts.inventory, saleProduct.inventory),
+        ilike(inventoryProducts.mr_id, saleProduct.mr_id),
+        ilike(inventoryProducts.product, saleProduct.product)
+      )
+    )
+    .limit(1);
+
+  const [newLot] = await tx
+    .insert(inventoryProducts)
+    .values({
+      mr_id: saleProduct.mr_id,
+      inventory,
+      product: saleProduct.product,
+      quantity,
+      expiry_date: originalLot?.expiry_date,
+    })
+    .returning();
+  return newLot;
+};
+
+export const customerReturnsController = {
+  create: async (req, res) => {
+    try {
+      const { rma_id, bill_id, inventory, reason, return_date, products } =
+        req.body;
+
+      if (!Array.isArray(products) || products.length === 0) {
+        return res.status(400).json({ message: "Products are required" });
+      }
+
+      await insertCustomerReturnSchema.parseAsync({
+        rma_id,
+        bill_id,
+        inventory,
+        reason,
+        return_date,
+      });
+      for (const product of products) {
+        await insertCustomerReturnProductSchema.parseAsync(product);
+      }
+
+      const existingCustomerReturn = await findCustomerReturnByRmaId(rma_id);
+      if (existingCustomerReturn) {
+        return res.status(409).json({
+          message: `The customer return with the RMA ID "${rma_id}" already exists. Please choose a different RMA ID.`,
+        });
+      }
+
+      const sale = await db.query.sales.findFirst({
+        where: ilike(sales.bill_id, bill_id),
+        with: {
+          products: true,
+        },
+      });
+      if (!sale) {
+        return res.status(404).json({
+          message: `The sale BILL ID "${bill_id}" was not found. Please verify the BILL ID.`,
+        });
+      }
+
+      if (sale.status !== "delivered") {
+        return res.status(409).json({
+          message: `The sale BILL ID "${bill_id}" is ${sale.status}. Only delivered sales can be returned.`,
+        });
+      }
+
+      // Returned goods go back to the sale inventory unless another one
+      // receives them
+      let returnInventory = sale.inventory;
+      if (inventory && inventory !== sale.inventory) {
+        const inventoryValidation = await findInventoryByName(inventory);
+        if (!inventoryValidation) {
+          return res.status(404).json({
+            message: `The inventory "${inventory}" was not found. Please verify the inventory.`,
+          });
+        }
+
+        if (inventoryValidation.name === inTransitInventory) {
+          return res.status(400).json({
+            message: `Returned goods can not be restocked to the "${inTransitInventory}" inventory.`,
+          });
+        }
+        returnInventory = inventoryValidation.name;
+      }
+
+      const returnedQuantities = await calculateReturnedSaleQuantities(
+        sale.bill_id
+      );
+
+      const returnErrors = [];
+      for (const { sale_product_id, quantity } of products) {
+        const saleProduct = sale.products.find(
+          (product) => product.id === sale_product_id
+        );
+        if (!saleProduct) {
+          returnErrors.push(
+            `The sale product ID "${sale_product_id}" does not belong to the sale BILL ID "${bill_id}".`
+          );
+          continue;
+        }
+
+        const { product, quantity: soldQuantity } = saleProduct;
+        const alreadyReturned = returnedQuantities[sale_product_id] || 0;
+        returnedQuantities[sale_product_id] = alreadyReturned + quantity;
+        if (alreadyReturned + quantity > soldQuantity) {
+          returnErrors.push(
+            `Only ${soldQuantity} units of "${product}" were sold under BILL ID "${bill_id}" and ${alreadyReturned} of them were already returned.`
+          );
+        }
+      }
+      if (returnErrors.length > 0) {
+        return res.status(400).json({ message: returnErrors });
+      }
+
+      // A bill is returned once every product of it has come back
+      const fullyReturned = sale.products.every(
+        (product) => (returnedQuantities[product.id] || 0) >= product.quantity
+      );
+
+      let newCustomerReturn;
+      const allCustomerReturnProducts = [];
+      await db.transaction(async (tx) => {
+        await tx.insert(customerReturns).values({
+          rma_id,
+          bill_id: sale.bill_id,
+          customer_id: sale.customer_id,
+          inventory: returnInventory,
+          reason,
+          return_date: return_date ? return_date : new Date().toISOString(),
+          created_by: req.user.id,
+        });
+
+        for (const { sale_product_id, quantity, condition } of products) {
+          const saleProduct = sale.products.find(
+            (product) => product.id === sale_product_id
+          );
+          const parseDiscount = parseFloat(saleProduct.discount) || 0;
+          const refundAmount =
+            quantity * saleProduct.unit_price -
+            (quantity * saleProduct.unit_price * parseDiscount) / 100;
+
+          let restockedLot;
+          if (condition === "resellable") {
+            restockedLot = await restockIntoOriginalLot(
+              { inventory: returnInventory, saleProduct, quantity },
+              tx
+            );
+
+            await recordStockMovement(
+              {
+                source_type: "RMA",
+                source_id: rma_id,
+                lot: restockedLot,
+                quantity,
+                created_by: req.user.id,
+              },
+              tx
+            );
+          }
+
+          const [customerReturnProduct] = await tx
+            .insert(customerReturnProducts)
+            .values({
+              rma_id,
+              sale_product_id,
+              inventory_product_id: restockedLot?.id,
+              mr_id: saleProduct.mr_id,
+              product: saleProduct.product,
+              quantity,
+              condition,
+              unit_price: saleProduct.unit_price,
+              discount: parseDiscount,
+              refund_amount: refundAmount,
+            })
+            .returning();
+          allCustomerReturnProducts.push(customerReturnProduct);
+        }
+
+        [newCustomerReturn] = await tx
+          .update(customerReturns)
+          .set({
+            refund_amount: allCustomerReturnProducts.reduce(
+              (total, product) => total + parseFloat(product.refund_amount),
+              0
+            ),
+          })
+          .where(ilike(customerReturns.rma_id, rma_id))
+          .returning();
+
+        if (fullyReturned) {
+          await tx
+            .update(sales)
+            .set({
+              status: "return",
+              updated_at: new Date().toISOString(),
+            })
+            .where(eq(sales.id, sale.id));
+        }
+      });
+
+      await evaluateStockThresholds([returnInventory]).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
+      res.status(201).json({
+        message: `The customer return RMA ID "${rma_id}" has been created successfully`,
+        customerReturn: newCustomerReturn,
+        products: allCustomerReturnProducts,
+      });
+    } catch (error) {
+      console.error("An error occurred while creating customer return", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while creating the customer return. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveAll: async (req, res) => {
+    try {
+      const allCustomerReturns = await db.query.customerReturns.findMany({
+        orderBy: [desc(customerReturns.created_at)],
+        with: {
+          products: true,
+        },
+      });
+
+      res.status(200).json({
+        message: "Customer returns retrieved successfully",
+        customerReturns: allCustomerReturns,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving customer returns",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving customer returns. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveByRmaId: async (req, res) => {
+    try {
+      const { rmaId } = req.params;
+      const customerReturn = await db.query.customerReturns.findFirst({
+        where: ilike(customerReturns.rma_id, rmaId),
+        with: {
+          products: true,
+          customer: true,
+        },
+      });
+
+      if (!customerReturn) {
+        return res.status(404).json({
+          message: `The customer return RMA ID "${rmaId}" was not found. Please verify the RMA ID and try again.`,
+        });
+      }
+
+      res.status(200).json({
+        message: "Customer return retrieved successfully",
+        customerReturn,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving customer return",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the customer return. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  refundByRmaId: async (req, res) => {
+    try {
+      const { rmaId } = req.params;
+
+      const existingCustomerReturn = await findCustomerReturnByRmaId(rmaId);
+      if (!existingCustomerReturn) {
+        return res.status(404).json({
+          message: `The customer return RMA ID "${rmaId}" was not found. Please verify the RMA ID.`,
+        });
+      }
+
+      const allowed = getAllowedTransitions(
+        customerReturnStatusTransitions,
+        existingCustomerReturn.status
+      );
+      if (!allowed.includes("refunded")) {
+        return res.status(409).json({
+          message: `The customer return RMA ID "${rmaId}" cannot be refunded while it is ${existingCustomerReturn.status}.`,
+          allowed,
+        });
+      }
+
+      let refundedCustomerReturn;
+      await db.transaction(async (tx) => {
+        [refundedCustomerReturn] = await tx
+          .update(customerReturns)
+          .set({
+            status: "refunded",
+            refunded_by: req.user.id,
+            refunded_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+          })
+          .where(eq(customerReturns.id, existingCustomerReturn.id))
+          .returning();
+
+        // A bill fully returned by its customer returns is refunded with the
+        // last of them
+        const { bill_id } = existingCustomerReturn;
+        const [pendingRefund] = await tx
+          .select({ id: customerReturns.id })
+          .from(customerReturns)
+          .where(
+            and(
+              ilike(customerReturns.bill_id, bill_id),
+              ne(customerReturns.status, "refunded")
+            )
+          )
+          .limit(1);
+        const soldProducts = await tx
+          .select()
+          .from(saleProducts)
+          .where(ilike(saleProducts.bill_id, bill_id));
+        const returnedQuantities = await calculateReturnedSaleQuantities(
+          bill_id,
+          tx
+        );
+        const fullyReturned = soldProducts.every(
+          (product) => (returnedQuantities[product.id] || 0) >= product.quantity
+        );
+
+        if (!pendingRefund && fullyReturned) {
+          await tx
+            .update(sales)
+            .set({
+              status: "refunded",
+              updated_at: new Date().toISOString(),
+            })
+            .where(
+              and(ilike(sales.bill_id, bill_id), eq(sales.status, "return"))
+            );
+        }
+      });
+
+      res.status(200).json({
+        message: `The customer return RMA ID "${rmaId}" has been refunded successfully.`,
+        customerReturn: refundedCustomerReturn,
+      });
+    } catch (error) {
+      console.error("An error occurred while refunding customer return", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while refunding the customer return. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+};
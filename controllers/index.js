@@ -17,3 +17,16 @@ export { usersController } from "./users.js";
 export { vehiclesController } from "./vehicles.js";
 export { vendorsController } from "./vendors.js";
 export { cloudinaryController } from "./cloudinary.js";
+export { stockReservationsController } from "./stockReservations.js";
+export { stockLedgerController } from "./stockLedger.js";
+export { stockCountsController } from "./stockCounts.js";
+export { stockThresholdsController } from "./stockThresholds.js";
+export { stockAlertsController } from "./stockAlerts.js";
+export { purchaseOrdersController } from "./purchaseOrders.js";
+export { vendorReturnsController } from "./vendorReturns.js";
+export { customerReturnsController } from "./customerReturns.js";
+export { maintenanceSchedulesController } from "./maintenanceSchedules.js";
+export { maintenanceRecordsController } from "./maintenanceRecords.js";
+export { vehicleDocumentsController } from "./vehicleDocuments.js";
+export { tripLogsController } from "./tripLogs.js";
+export { invitesController } from "./invites.js";
@@ -10,14 +10,25 @@ import {
   findInventoryByEmail,
   findInventoryByName,
   findInventoryByPhone,
+  inTransitInventory,
 } from "../services/index.js";
 
+// The virtual inventory of dispatched transfers can not be managed by hand
+const isInTransitInventory = (name) =>
+  name.toLowerCase() === inTransitInventory.toLowerCase();
+
 export const inventoriesController = {
   create: async (req, res) => {
     try {
       await insertInventorySchema.parseAsync(req.body);
       const { name, email, phone, description, address } = req.body;
 
+      if (name && isInTransitInventory(name)) {
+        return res.status(409).json({
+          message: `The inventory name "${inTransitInventory}" is reserved for goods in transit. Please choose a different name.`,
+        });
+      }
+
       if (name) {
         const existingInventory = await findInventoryByName(name);
         if (existingInventory) {
@@ -124,6 +135,8 @@ export const inventoriesController = {
                   failed_login_attempt_count: false,
                   failed_login_attempt_last_at: false,
                   reset_password_token: false,
+                  validation_token: false,
+                  two_factor_secret: false,
                   reset_password_token_expired_at: false,
                   created_by: false,
                 },
@@ -140,6 +153,8 @@ export const inventoriesController = {
                       failed_login_attempt_count: false,
                       failed_login_attempt_last_at: false,
                       reset_password_token: false,
+                      validation_token: false,
+                      two_factor_secret: false,
                       reset_password_token_expired_at: false,
                       created_by: false,
                       created_at: false,
@@ -231,6 +246,8 @@ export const inventoriesController = {
                   failed_login_attempt_count: false,
                   failed_login_attempt_last_at: false,
                   reset_password_token: false,
+                  validation_token: false,
+                  two_factor_secret: false,
                   reset_password_token_expired_at: false,
                   created_by: false,
                 },
@@ -247,6 +264,8 @@ export const inventoriesController = {
                       failed_login_attempt_count: false,
                       failed_login_attempt_last_at: false,
                       reset_password_token: false,
+                      validation_token: false,
+                      two_factor_secret: false,
                       reset_password_token_expired_at: false,
                       created_by: false,
                       created_at: false,
@@ -298,7 +317,14 @@ export const inventoriesController = {
     try {
       await updateInventorySchema.parseAsync(req.body);
       const name = req.params.name.replace(/-/g, " ");
-      const { name: newName, email, phone, description, address } = req.body;
+      const {
+        name: newName,
+        email,
+        phone,
+        description,
+        address,
+        allocation_strategy,
+      } = req.body;
 
       const existingInventory = await findInventoryByName(name);
       if (!existingInventory) {
@@ -307,12 +333,22 @@ export const inventoriesController = {
         });
       }
 
+      if (
+        isInTransitInventory(existingInventory.name) ||
+        (newName && isInTransitInventory(newName))
+      ) {
+        return res.status(409).json({
+          message: `The "${inTransitInventory}" inventory is reserved for goods in transit and can not be changed.`,
+        });
+      }
+
       const {
         name: existingInventoryName,
         email: existingInventoryEmail,
         phone: existingInventoryPhone,
         description: existingInventoryDescription,
         address: existingInventoryAddress,
+        allocation_strategy: existingInventoryAllocationStrategy,
       } = existingInventory;
 
       if (newName && newName !== existingInventoryName) {
@@ -346,6 +382,8 @@ export const inventoriesController = {
         phone: phone || existingInventoryPhone,
         description: description || existingInventoryDescription,
         address: address || existingInventoryAddress,
+        allocation_strategy:
+          allocation_strategy || existingInventoryAllocationStrategy,
         updated_at: new Date().toISOString(),
       };
 
@@ -387,6 +425,12 @@ export const inventoriesController = {
     try {
       const name = req.params.name.replace(/-/g, " ");
 
+      if (isInTransitInventory(name)) {
+        return res.status(409).json({
+          message: `The "${inTransitInventory}" inventory is reserved for goods in transit and can not be deleted.`,
+        });
+      }
+
       const [deletedInventory] = await db
         .delete(inventories)
         .where(ilike(inventories.name, name))
@@ -93,6 +93,8 @@ export const inventoryEmploymentsController = {
               failed_login_attempt_count: false,
               failed_login_attempt_last_at: false,
               reset_password_token: false,
+              validation_token: false,
+              two_factor_secret: false,
               reset_password_token_expired_at: false,
               created_by: false,
             },
@@ -109,6 +111,8 @@ export const inventoryEmploymentsController = {
                   failed_login_attempt_count: false,
                   failed_login_attempt_last_at: false,
                   reset_password_token: false,
+                  validation_token: false,
+                  two_factor_secret: false,
                   reset_password_token_expired_at: false,
                   created_by: false,
                   created_at: false,
@@ -156,6 +160,8 @@ export const inventoryEmploymentsController = {
               failed_login_attempt_count: false,
               failed_login_attempt_last_at: false,
               reset_password_token: false,
+              validation_token: false,
+              two_factor_secret: false,
               reset_password_token_expired_at: false,
               created_by: false,
             },
@@ -172,6 +178,8 @@ export const inventoryEmploymentsController = {
                   failed_login_attempt_count: false,
                   failed_login_attempt_last_at: false,
                   reset_password_token: false,
+                  validation_token: false,
+                  two_factor_secret: false,
                   reset_password_token_expired_at: false,
                   created_by: false,
                   created_at: false,
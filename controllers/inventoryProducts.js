@@ -1,6 +1,21 @@
 import { eq, desc } from "drizzle-orm";
 import { db } from "../database/connection.js";
 import { inventoryProducts } from "../schemas/index.js";
+import {
+  calculateReservedQuantities,
+  rebuildStockSnapshot,
+  reconcileStockLedger,
+} from "../services/index.js";
+
+// Available-to-promise is the on-hand quantity minus active reservations.
+const withAvailability = (record, reservedQuantities) => {
+  const reserved_quantity = reservedQuantities[record.id] || 0;
+  return {
+    ...record,
+    reserved_quantity,
+    available_quantity: record.quantity - reserved_quantity,
+  };
+};
 
 export const inventoryProductsController = {
   retrieveAll: async (req, res) => {
@@ -15,10 +30,14 @@ export const inventoryProductsController = {
           },
         }
       );
+      const reservedQuantities = await calculateReservedQuantities();
+
       res.status(200).json({
         message:
           "All inventories with associated products retrieved successfully",
-        records: inventoryProductRecords,
+        records: inventoryProductRecords.map((record) =>
+          withAvailability(record, reservedQuantities)
+        ),
       });
     } catch (error) {
       console.error(
@@ -53,9 +72,11 @@ export const inventoryProductsController = {
         });
       }
 
+      const reservedQuantities = await calculateReservedQuantities();
+
       res.status(200).json({
         message: "Inventory with associated product retrieved successfully",
-        record: inventoryProductRecord,
+        record: withAvailability(inventoryProductRecord, reservedQuantities),
       });
     } catch (error) {
       console.error(
@@ -69,4 +90,57 @@ export const inventoryProductsController = {
       });
     }
   },
+  retrieveAsOf: async (req, res) => {
+    try {
+      const { date } = req.query;
+
+      if (!date || isNaN(Date.parse(date))) {
+        return res.status(400).json({
+          message: "A valid date query parameter is required.",
+        });
+      }
+
+      const asOf = new Date(date);
+      const snapshot = await rebuildStockSnapshot(asOf);
+
+      res.status(200).json({
+        message: `Inventory products as of ${asOf.toISOString()} rebuilt successfully`,
+        as_of: asOf.toISOString(),
+        records: snapshot,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while rebuilding inventory products snapshot",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while rebuilding the inventory products snapshot. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  reconcile: async (req, res) => {
+    try {
+      const drifts = await reconcileStockLedger();
+
+      res.status(200).json({
+        message:
+          drifts.length > 0
+            ? `${drifts.length} inventory products drifted from the stock ledger`
+            : "Inventory products are in sync with the stock ledger",
+        records: drifts,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while reconciling inventory products",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while reconciling inventory products. Please try again.",
+        error: error.message,
+      });
+    }
+  },
 };
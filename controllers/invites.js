@@ -0,0 +1,466 @@
+import { and, desc, eq, gt, ilike, isNotNull, isNull, lte } from "drizzle-orm";
+import { z } from "zod";
+import { db } from "../database/connection.js";
+import {
+  acceptInviteSchema,
+  insertInviteSchema,
+  inventoryEmployments,
+  invites,
+  users,
+} from "../schemas/index.js";
+import {
+  activeEmpTracker,
+  findInventoryByName,
+  findUserByEmail,
+} from "../services/index.js";
+import {
+  generateRefreshToken,
+  hashPassword,
+  hashToken,
+  sendEmail,
+  userRolesEnum,
+} from "../utils/index.js";
+
+const inviteExpiryHours = parseInt(process.env.INVITE_EXPIRY_HOURS || 72, 10);
+
+// Roles each inviter may onboard, managers only onboarding their own staff
+const invitableRoles = {
+  admin: userRolesEnum,
+  "fleet-manager": ["captain"],
+  "inventory-manager": ["inventory-in-charge"],
+};
+
+const inviteStatusFilters = {
+  pending: () =>
+    and(
+      isNull(invites.accepted_at),
+      isNull(invites.revoked_at),
+      gt(invites.expires_at, new Date().toISOString())
+    ),
+  accepted: () => isNotNull(invites.accepted_at),
+  revoked: () => isNotNull(invites.revoked_at),
+  expired: () =>
+    and(
+      isNull(invites.accepted_at),
+      isNull(invites.revoked_at),
+      lte(invites.expires_at, new Date().toISOString())
+    ),
+};
+
+const findInviteStatus = (invite) => {
+  if (invite.accepted_at) return "accepted";
+  if (invite.revoked_at) return "revoked";
+  return new Date(invite.expires_at) > new Date() ? "pending" : "expired";
+};
+
+// Invites are never returned with their token
+const formatInvite = ({ token, ...invite }) => ({
+  ...invite,
+  status: findInviteStatus(invite),
+});
+
+const findInviteExpiry = () =>
+  new Date(Date.now() + inviteExpiryHours * 60 * 60 * 1000).toISOString();
+
+const emailInvite = async (invite, token, inviterName) => {
+  const inviteLink = `${process.env.CLIENT_URL}/accept-invite?token=${token}`;
+  await sendEmail(
+    invite.email,
+    "You have been invited to logiEx",
+    `Hi ${invite.name}, ${inviterName} invited you to join logiEx as ${invite.role}. Click here to set your password and activate your account: ${inviteLink}\n\nThe invitation expires in ${inviteExpiryHours} hours.`
+  );
+};
+
+// Admins manage every invite, managers only the ones they sent
+const findManagedInvite = async (id, user) => {
+  const [invite] = await db
+    .select()
+    .from(invites)
+    .where(
+      and(
+        eq(invites.id, id),
+        user.role === "admin" ? undefined : eq(invites.created_by, user.id)
+      )
+    )
+    .limit(1);
+
+  return invite ? invite : null;
+};
+
+export const invitesController = {
+  create: async (req, res) => {
+    try {
+      await insertInviteSchema.parseAsync(req.body);
+      const { name, email, role, inventory } = req.body;
+
+      if (!invitableRoles[req.user.role]?.includes(role)) {
+        return res.status(403).json({
+          message: `The role "${req.user.role}" cannot invite users with the role "${role}".`,
+        });
+      }
+
+      const existingUser = await findUserByEmail(email);
+      if (existingUser) {
+        return res.status(409).json({
+          message: `A user with the email "${email}" already exists. Please use a different email.`,
+        });
+      }
+
+      const [pendingInvite] = await db
+        .select()
+        .from(invites)
+        .where(and(ilike(invites.email, email), inviteStatusFilters.pending()))
+        .limit(1);
+      if (pendingInvite) {
+        return res.status(409).json({
+          message: `An invite is already pending for the email "${email}". Please resend it instead.`,
+          invite_id: pendingInvite.id,
+        });
+      }
+
+      // Only inventory in-charges are assigned to an inventory
+      let inviteInventory;
+      if (role === "inventory-in-charge") {
+        if (!inventory) {
+          return res.status(400).json({
+            message:
+              "An inventory is required to invite an inventory in-charge.",
+          });
+        }
+
+        const inventoryValidation = await findInventoryByName(inventory);
+        if (!inventoryValidation) {
+          return res.status(404).json({
+            message: `The inventory "${inventory}" was not found. Please verify the inventory.`,
+          });
+        }
+
+        const activeAssignment = await activeEmpTracker(
+          inventoryValidation.name
+        );
+        if (activeAssignment) {
+          return res.status(409).json({
+            message: `An active employee is already associated with the inventory "${inventoryValidation.name}". Please check the assignment.`,
+          });
+        }
+        inviteInventory = inventoryValidation.name;
+      } else if (inventory) {
+        return res.status(400).json({
+          message: "Only inventory in-charges can be invited to an inventory.",
+        });
+      }
+
+      const token = generateRefreshToken();
+      const [newInvite] = await db
+        .insert(invites)
+        .values({
+          name,
+          email,
+          role,
+          inventory: inviteInventory,
+          token: hashToken(token),
+          expires_at: findInviteExpiry(),
+          created_by: req.user.id,
+        })
+        .returning();
+
+      // The invite stays pending when the email fails, it can be resent
+      let inviteSent = true;
+      try {
+        await emailInvite(newInvite, token, req.user.name);
+      } catch (error) {
+        inviteSent = false;
+        console.error("Failed to send the invite email", error);
+      }
+
+      res.status(201).json({
+        message: inviteSent
+          ? `"${name}" has been invited successfully. An invitation link has been sent to "${email}".`
+          : `The invite of "${name}" has been created, but the email could not be sent. Please resend it.`,
+        invite: formatInvite(newInvite),
+      });
+    } catch (error) {
+      console.error("An error occurred while creating invite", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while creating the invite. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveAll: async (req, res) => {
+    try {
+      const { status } = req.query;
+
+      if (status && !inviteStatusFilters[status]) {
+        return res.status(400).json({
+          message: `Status must be one of ${Object.keys(
+            inviteStatusFilters
+          ).join(", ")}`,
+        });
+      }
+
+      const allInvites = await db.query.invites.findMany({
+        where: and(
+          req.user.role === "admin"
+            ? undefined
+            : eq(invites.created_by, req.user.id),
+          status ? inviteStatusFilters[status]() : undefined
+        ),
+        orderBy: [desc(invites.created_at)],
+        columns: {
+          token: false,
+        },
+        with: {
+          creator: {
+            columns: {
+              id: true,
+              name: true,
+              email: true,
+              role: true,
+            },
+          },
+        },
+      });
+
+      res.status(200).json({
+        message: "Invites retrieved successfully",
+        invites: allInvites.map(formatInvite),
+      });
+    } catch (error) {
+      console.error("An error occurred while retrieving invites", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving invites. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveById: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const invite = await findManagedInvite(id, req.user);
+      if (!invite) {
+        return res.status(404).json({
+          message: `No invite found with the provided ID "${id}". Please verify the ID and try again.`,
+        });
+      }
+
+      res.status(200).json({
+        message: "Invite retrieved successfully",
+        invite: formatInvite(invite),
+      });
+    } catch (error) {
+      console.error("An error occurred while retrieving invite", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the invite. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  resendById: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const invite = await findManagedInvite(id, req.user);
+      if (!invite) {
+        return res.status(404).json({
+          message: `No invite found with the provided ID "${id}". Please verify the ID and try again.`,
+        });
+      }
+
+      // An expired invite is renewed, the previous link stops working
+      const status = findInviteStatus(invite);
+      if (status === "accepted" || status === "revoked") {
+        return res.status(409).json({
+          message: `The invite of "${invite.email}" is ${status} and cannot be resent.`,
+        });
+      }
+
+      const token = generateRefreshToken();
+      const [renewedInvite] = await db
+        .update(invites)
+        .set({
+          token: hashToken(token),
+          expires_at: findInviteExpiry(),
+          updated_at: new Date().toISOString(),
+        })
+        .where(eq(invites.id, invite.id))
+        .returning();
+
+      await emailInvite(renewedInvite, token, req.user.name);
+
+      res.status(200).json({
+        message: `A new invitation link has been sent to "${renewedInvite.email}".`,
+        expires_at: renewedInvite.expires_at,
+      });
+    } catch (error) {
+      console.error("An error occurred while resending invite", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while resending the invite. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  revokeById: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const invite = await findManagedInvite(id, req.user);
+      if (!invite) {
+        return res.status(404).json({
+          message: `No invite found with the provided ID "${id}". Please verify the ID and try again.`,
+        });
+      }
+
+      const status = findInviteStatus(invite);
+      if (status === "accepted" || status === "revoked") {
+        return res.status(409).json({
+          message: `The invite of "${invite.email}" is ${status} and cannot be revoked.`,
+        });
+      }
+
+      await db
+        .update(invites)
+        .set({
+          revoked_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .where(eq(invites.id, invite.id));
+
+      res.status(200).json({
+        message: `The invite of "${invite.email}" has been revoked successfully`,
+      });
+    } catch (error) {
+      console.error("An error occurred while revoking invite", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while revoking the invite. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  accept: async (req, res) => {
+    try {
+      await acceptInviteSchema.parseAsync(req.body);
+      const { token, password } = req.body;
+
+      const [invite] = await db
+        .select()
+        .from(invites)
+        .where(
+          and(
+            eq(invites.token, hashToken(token)),
+            inviteStatusFilters.pending()
+          )
+        )
+        .limit(1);
+      if (!invite) {
+        return res.status(404).json({
+          message: "Invalid or expired invite",
+        });
+      }
+
+      const existingUser = await findUserByEmail(invite.email);
+      if (existingUser) {
+        return res.status(409).json({
+          message: `A user with the email "${invite.email}" already exists. Please log in instead.`,
+        });
+      }
+
+      // The in-charge is only assigned if nobody took the inventory meanwhile
+      const activeAssignment = invite.inventory
+        ? await activeEmpTracker(invite.inventory)
+        : null;
+
+      const hashedPassword = await hashPassword(password);
+
+      // Following the emailed link verifies the email address. The invite is
+      // claimed first so that it is only accepted once, even by concurrent
+      // requests, and while it is still pending
+      let acceptedInvite;
+      let newUser;
+      await db.transaction(async (tx) => {
+        [acceptedInvite] = await tx
+          .update(invites)
+          .set({
+            accepted_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+          })
+          .where(
+            and(
+              eq(invites.id, invite.id),
+              isNull(invites.accepted_at),
+              isNull(invites.revoked_at)
+            )
+          )
+          .returning();
+        if (!acceptedInvite) return;
+
+        [newUser] = await tx
+          .insert(users)
+          .values({
+            name: invite.name,
+            email: invite.email,
+            password: hashedPassword,
+            role: invite.role,
+            created_by: invite.created_by,
+          })
+          .returning();
+
+        if (invite.inventory && !activeAssignment) {
+          await tx.insert(inventoryEmployments).values({
+            employee_id: newUser.id,
+            inventory: invite.inventory,
+            employee_status: true,
+          });
+        }
+
+        await tx
+          .update(invites)
+          .set({ user_id: newUser.id })
+          .where(eq(invites.id, invite.id));
+      });
+      if (!acceptedInvite) {
+        return res.status(404).json({
+          message: "Invalid or expired invite",
+        });
+      }
+
+      res.status(201).json({
+        message:
+          invite.inventory && activeAssignment
+            ? `The account of "${newUser.name}" has been activated successfully, but the inventory "${invite.inventory}" already has an active employee. Please check the assignment.`
+            : `The account of "${newUser.name}" has been activated successfully. You can now log in.`,
+        user: {
+          id: newUser.id,
+          name: newUser.name,
+          email: newUser.email,
+          role: newUser.role,
+        },
+      });
+    } catch (error) {
+      console.error("An error occurred while accepting invite", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while accepting the invite. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+};
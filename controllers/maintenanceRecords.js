@@ -0,0 +1,206 @@
+import { and, eq, ilike, desc } from "drizzle-orm";
+import { z } from "zod";
+import { db } from "../database/connection.js";
+import {
+  insertMaintenanceRecordSchema,
+  maintenanceRecords,
+  maintenanceSchedules,
+  vehicles,
+} from "../schemas/index.js";
+import {
+  findVehicleByVin,
+  refreshMaintenanceSchedule,
+} from "../services/index.js";
+
+export const maintenanceRecordsController = {
+  create: async (req, res) => {
+    try {
+      await insertMaintenanceRecordSchema.parseAsync(req.body);
+      const {
+        vehicle_vin,
+        schedule_id,
+        service_type,
+        service_date,
+        odometer,
+        cost,
+        vendor,
+        note,
+      } = req.body;
+
+      const vehicle = await findVehicleByVin(vehicle_vin);
+      if (!vehicle) {
+        return res.status(404).json({
+          message: `No vehicle found with the provided VIN "${vehicle_vin}". Please verify the VIN and try again.`,
+        });
+      }
+
+      // Services are counted against the vehicle's schedule of the same type
+      // unless another schedule is given
+      const [schedule] = await db
+        .select()
+        .from(maintenanceSchedules)
+        .where(
+          and(
+            eq(maintenanceSchedules.vehicle_vin, vehicle.vin),
+            schedule_id
+              ? eq(maintenanceSchedules.id, schedule_id)
+              : ilike(maintenanceSchedules.service_type, service_type)
+          )
+        )
+        .limit(1);
+      if (schedule_id && !schedule) {
+        return res.status(404).json({
+          message: `The maintenance schedule ID "${schedule_id}" was not found for the vehicle "${vehicle_vin}". Please verify the ID.`,
+        });
+      }
+
+      let newRecord;
+      let refreshedSchedule = null;
+      await db.transaction(async (tx) => {
+        [newRecord] = await tx
+          .insert(maintenanceRecords)
+          .values({
+            vehicle_vin: vehicle.vin,
+            schedule_id: schedule?.id,
+            service_type,
+            service_date: service_date
+              ? service_date
+              : new Date().toISOString(),
+            odometer,
+            cost,
+            vendor,
+            note,
+            created_by: req.user.id,
+          })
+          .returning();
+
+        if (odometer > (vehicle.mileage || 0)) {
+          await tx
+            .update(vehicles)
+            .set({
+              mileage: odometer,
+              updated_at: new Date().toISOString(),
+            })
+            .where(eq(vehicles.id, vehicle.id));
+        }
+
+        if (schedule) {
+          refreshedSchedule = await refreshMaintenanceSchedule(schedule.id, tx);
+        }
+      });
+
+      res.status(201).json({
+        message: `The "${service_type}" service of the vehicle "${vehicle_vin}" has been recorded successfully`,
+        record: newRecord,
+        schedule: refreshedSchedule,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while creating maintenance record",
+        error
+      );
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while recording the maintenance. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveAll: async (req, res) => {
+    try {
+      const allRecords = await db.query.maintenanceRecords.findMany({
+        orderBy: [desc(maintenanceRecords.service_date)],
+      });
+
+      res.status(200).json({
+        message: "Maintenance records retrieved successfully",
+        records: allRecords,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving maintenance records",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving maintenance records. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveById: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const record = await db.query.maintenanceRecords.findFirst({
+        where: eq(maintenanceRecords.id, id),
+        with: {
+          schedule: true,
+        },
+      });
+
+      if (!record) {
+        return res.status(404).json({
+          message: `The maintenance record ID ${id} was not found. Please verify the ID and try again.`,
+        });
+      }
+
+      res.status(200).json({
+        message: "Maintenance record retrieved successfully",
+        record,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving maintenance record",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the maintenance record. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  deleteById: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      let deletedRecord;
+      await db.transaction(async (tx) => {
+        [deletedRecord] = await tx
+          .delete(maintenanceRecords)
+          .where(eq(maintenanceRecords.id, id))
+          .returning();
+
+        // The schedule falls back to the service before the deleted one
+        if (deletedRecord?.schedule_id) {
+          await refreshMaintenanceSchedule(deletedRecord.schedule_id, tx);
+        }
+      });
+      if (!deletedRecord) {
+        return res.status(404).json({
+          message: `The maintenance record ID "${id}" was not found. Please verify the ID.`,
+        });
+      }
+
+      res.status(200).json({
+        message: `The maintenance record ID "${id}" has been deleted successfully`,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while deleting maintenance record",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while deleting the maintenance record. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+};
@@ -0,0 +1,293 @@
+import { and, eq, ilike, desc } from "drizzle-orm";
+import { z } from "zod";
+import { db } from "../database/connection.js";
+import {
+  insertMaintenanceScheduleSchema,
+  maintenanceRecords,
+  maintenanceSchedules,
+  updateMaintenanceScheduleSchema,
+  vehicles,
+} from "../schemas/index.js";
+import {
+  evaluateMaintenanceSchedules,
+  findVehicleByVin,
+  refreshMaintenanceSchedule,
+} from "../services/index.js";
+
+const findEvaluatedSchedule = async (schedule) => {
+  const vehicle = await findVehicleByVin(schedule.vehicle_vin);
+  const evaluatedSchedules = await evaluateMaintenanceSchedules([vehicle]);
+  return evaluatedSchedules.find(({ id }) => id === schedule.id);
+};
+
+export const maintenanceSchedulesController = {
+  create: async (req, res) => {
+    try {
+      await insertMaintenanceScheduleSchema.parseAsync(req.body);
+      const {
+        vehicle_vin,
+        service_type,
+        interval_km,
+        interval_days,
+        start_date,
+        start_mileage,
+      } = req.body;
+
+      if (!interval_km && !interval_days) {
+        return res.status(400).json({
+          message: "A mileage or time interval is required.",
+        });
+      }
+
+      const vehicle = await findVehicleByVin(vehicle_vin);
+      if (!vehicle) {
+        return res.status(404).json({
+          message: `No vehicle found with the provided VIN "${vehicle_vin}". Please verify the VIN and try again.`,
+        });
+      }
+
+      const [existingSchedule] = await db
+        .select()
+        .from(maintenanceSchedules)
+        .where(
+          and(
+            eq(maintenanceSchedules.vehicle_vin, vehicle.vin),
+            ilike(maintenanceSchedules.service_type, service_type)
+          )
+        )
+        .limit(1);
+      if (existingSchedule) {
+        return res.status(409).json({
+          message: `The vehicle "${vehicle_vin}" already has a "${service_type}" maintenance schedule.`,
+        });
+      }
+
+      let newSchedule;
+      await db.transaction(async (tx) => {
+        const [insertedSchedule] = await tx
+          .insert(maintenanceSchedules)
+          .values({
+            vehicle_vin: vehicle.vin,
+            service_type,
+            interval_km,
+            interval_days,
+            start_date: start_date ? start_date : new Date().toISOString(),
+            start_mileage: start_mileage ?? vehicle.mileage ?? 0,
+            created_by: req.user.id,
+          })
+          .returning();
+
+        newSchedule = await refreshMaintenanceSchedule(insertedSchedule.id, tx);
+      });
+
+      res.status(201).json({
+        message: `The "${service_type}" maintenance schedule of the vehicle "${vehicle_vin}" has been created successfully`,
+        schedule: await findEvaluatedSchedule(newSchedule),
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while creating maintenance schedule",
+        error
+      );
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while creating the maintenance schedule. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveAll: async (req, res) => {
+    try {
+      const { due_status } = req.query;
+
+      const allVehicles = await db.select().from(vehicles);
+      const allSchedules = await evaluateMaintenanceSchedules(allVehicles);
+
+      res.status(200).json({
+        message: "Maintenance schedules retrieved successfully",
+        schedules: allSchedules.filter(
+          (schedule) => !due_status || schedule.due_status === due_status
+        ),
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving maintenance schedules",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving maintenance schedules. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveById: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const schedule = await db.query.maintenanceSchedules.findFirst({
+        where: eq(maintenanceSchedules.id, id),
+        with: {
+          records: {
+            orderBy: [desc(maintenanceRecords.service_date)],
+          },
+        },
+      });
+
+      if (!schedule) {
+        return res.status(404).json({
+          message: `The maintenance schedule ID ${id} was not found. Please verify the ID and try again.`,
+        });
+      }
+
+      res.status(200).json({
+        message: "Maintenance schedule retrieved successfully",
+        schedule: {
+          ...(await findEvaluatedSchedule(schedule)),
+          records: schedule.records,
+        },
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving maintenance schedule",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the maintenance schedule. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  updateById: async (req, res) => {
+    try {
+      const { id } = req.params;
+      await updateMaintenanceScheduleSchema.parseAsync(req.body);
+      const {
+        service_type,
+        interval_km,
+        interval_days,
+        start_date,
+        start_mileage,
+      } = req.body;
+
+      const [existingSchedule] = await db
+        .select()
+        .from(maintenanceSchedules)
+        .where(eq(maintenanceSchedules.id, id))
+        .limit(1);
+      if (!existingSchedule) {
+        return res.status(404).json({
+          message: `The maintenance schedule ID "${id}" was not found. Please verify the ID.`,
+        });
+      }
+
+      if (
+        service_type &&
+        service_type.toLowerCase() !==
+          existingSchedule.service_type.toLowerCase()
+      ) {
+        const [duplicateSchedule] = await db
+          .select()
+          .from(maintenanceSchedules)
+          .where(
+            and(
+              eq(
+                maintenanceSchedules.vehicle_vin,
+                existingSchedule.vehicle_vin
+              ),
+              ilike(maintenanceSchedules.service_type, service_type)
+            )
+          )
+          .limit(1);
+        if (duplicateSchedule) {
+          return res.status(409).json({
+            message: `The vehicle "${existingSchedule.vehicle_vin}" already has a "${service_type}" maintenance schedule.`,
+          });
+        }
+      }
+
+      const updatedData = {
+        service_type: service_type || existingSchedule.service_type,
+        interval_km: interval_km ?? existingSchedule.interval_km,
+        interval_days: interval_days ?? existingSchedule.interval_days,
+        start_date: start_date || existingSchedule.start_date,
+        start_mileage: start_mileage ?? existingSchedule.start_mileage,
+      };
+
+      if (!updatedData.interval_km && !updatedData.interval_days) {
+        return res.status(400).json({
+          message: "A mileage or time interval is required.",
+        });
+      }
+
+      let updatedSchedule;
+      await db.transaction(async (tx) => {
+        await tx
+          .update(maintenanceSchedules)
+          .set({
+            ...updatedData,
+            updated_at: new Date().toISOString(),
+          })
+          .where(eq(maintenanceSchedules.id, id));
+
+        updatedSchedule = await refreshMaintenanceSchedule(id, tx);
+      });
+
+      res.status(200).json({
+        message: `The maintenance schedule ID "${id}" has been updated successfully.`,
+        schedule: await findEvaluatedSchedule(updatedSchedule),
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while updating maintenance schedule",
+        error
+      );
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while updating the maintenance schedule. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  deleteById: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const [deletedSchedule] = await db
+        .delete(maintenanceSchedules)
+        .where(eq(maintenanceSchedules.id, id))
+        .returning();
+      if (!deletedSchedule) {
+        return res.status(404).json({
+          message: `The maintenance schedule ID "${id}" was not found. Please verify the ID.`,
+        });
+      }
+
+      res.status(200).json({
+        message: `The maintenance schedule ID "${id}" has been deleted successfully`,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while deleting maintenance schedule",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while deleting the maintenance schedule. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+};
@@ -155,7 +155,16 @@ export const productsController = {
     try {
       await updateProductSchema.parseAsync(req.body);
       const name = req.params.name.replace(/-/g, " ");
-      const { name: newName, description, price, category, sku } = req.body;
+      const {
+        name: newName,
+        description,
+        price,
+        category,
+        sku,
+        allocation_strategy,
+        weight,
+        volume,
+      } = req.body;
 
       const existingProduct = await findProductByName(name);
       if (!existingProduct) {
@@ -170,6 +179,9 @@ export const productsController = {
         price: existingProductPrice,
         category: existingProductCategory,
         sku: existingProductSku,
+        allocation_strategy: existingProductAllocationStrategy,
+        weight: existingProductWeight,
+        volume: existingProductVolume,
       } = existingProduct;
 
       if (newName && newName !== existingProductName) {
@@ -196,6 +208,10 @@ export const productsController = {
         price: price || existingProductPrice,
         category: category || existingProductCategory,
         sku: sku || existingProductSku,
+        allocation_strategy:
+          allocation_strategy || existingProductAllocationStrategy,
+        weight: weight || existingProductWeight,
+        volume: volume || existingProductVolume,
         updated_at: new Date().toISOString(),
       };
 
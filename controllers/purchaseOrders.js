@@ -0,0 +1,668 @@
+import { eq, ilike, desc } from "drizzle-orm";
+import { z } from "zod";
+import { db } from "../database/connection.js";
+import {
+  insertPurchaseOrderProductSchema,
+  insertPurchaseOrderSchema,
+  insertPurchaseSchema,
+  inventoryProducts,
+  purchaseOrderProducts,
+  purchaseOrders,
+  purchaseProducts,
+  purchases,
+  receivePurchaseOrderProductSchema,
+  updatePurchaseOrderSchema,
+} from "../schemas/index.js";
+import {
+  evaluateStockThresholds,
+  findInventoryByName,
+  findProductByName,
+  findPurchaseByMrId,
+  findPurchaseOrderByPoId,
+  findVendorByName,
+  inTransitInventory,
+  recordStockMovement,
+  refreshPurchaseOrderReceipts,
+} from "../services/index.js";
+import {
+  getAllowedTransitions,
+  purchaseOrderStatusTransitions,
+} from "../utils/index.js";
+
+const calculateLinePrice = ({ quantity, unit_price, discount }) => {
+  const parsedDiscount = parseFloat(discount) || 0;
+  return quantity * unit_price - (quantity * unit_price * parsedDiscount) / 100;
+};
+
+// Validates the order lines and prices them.
+const buildOrderLines = async (products) => {
+  const lines = [];
+  const errors = [];
+  for (const product of products) {
+    await insertPurchaseOrderProductSchema.parseAsync(product);
+
+    const productVerification = await findProductByName(product.product);
+    if (!productVerification) {
+      errors.push(
+        `The product ${product.product} was not found. Please verify the product`
+      );
+      continue;
+    }
+
+    lines.push({
+      product: productVerification.name,
+      quantity: product.quantity,
+      unit_price: product.unit_price,
+      discount: parseFloat(product.discount) || 0,
+      total_price: calculateLinePrice(product),
+    });
+  }
+
+  return { lines, errors };
+};
+
+// Receipts can not exceed what is still open on each order line.
+const findReceiptErrors = (orderProducts, products, poId) => {
+  const errors = [];
+  const receivedQuantities = {};
+  for (const { po_product_id, quantity } of products) {
+    const orderProduct = orderProducts.find(
+      (product) => product.id === po_product_id
+    );
+    if (!orderProduct) {
+      errors.push(
+        `The PO product ID "${po_product_id}" does not belong to the purchase order PO ID "${poId}".`
+      );
+      continue;
+    }
+
+    receivedQuantities[po_product_id] =
+      (receivedQuantities[po_product_id] || 0) + quantity;
+    const openQuantity = orderProduct.quantity - orderProduct.received_quantity;
+    if (receivedQuantities[po_product_id] > openQuantity) {
+      errors.push(
+        `Only ${openQuantity} units of "${orderProduct.product}" are still open on the purchase order PO ID "${poId}".`
+      );
+    }
+  }
+
+  return errors;
+};
+
+export const purchaseOrdersController = {
+  create: async (req, res) => {
+    try {
+      const { po_id, vendor, inventory, order_date, expected_date, products } =
+        req.body;
+
+      if (!Array.isArray(products) || products.length === 0) {
+        return res.status(400).json({ message: "Products are required" });
+      }
+
+      await insertPurchaseOrderSchema.parseAsync({
+        po_id,
+        vendor,
+        inventory,
+        order_date,
+        expected_date,
+      });
+
+      const existingPurchaseOrder = await findPurchaseOrderByPoId(po_id);
+      if (existingPurchaseOrder) {
+        return res.status(409).json({
+          message: `The purchase order with the PO ID "${po_id}" already exists. Please choose a different PO ID.`,
+        });
+      }
+
+      const vendorValidation = await findVendorByName(vendor);
+      if (!vendorValidation) {
+        return res.status(404).json({
+          message: `The vendor "${vendor}" was not found. Please verify the vendor.`,
+        });
+      }
+
+      const inventoryValidation = await findInventoryByName(inventory);
+      if (!inventoryValidation) {
+        return res.status(404).json({
+          message: `The inventory "${inventory}" was not found. Please verify the inventory.`,
+        });
+      }
+
+      if (inventoryValidation.name === inTransitInventory) {
+        return res.status(400).json({
+          message: `Goods can not be ordered into the "${inTransitInventory}" inventory.`,
+        });
+      }
+
+      const { lines, errors } = await buildOrderLines(products);
+      if (errors.length > 0) {
+        return res.status(404).json({ message: errors });
+      }
+
+      let newPurchaseOrder;
+      let allPurchaseOrderProducts = [];
+      await db.transaction(async (tx) => {
+        [newPurchaseOrder] = await tx
+          .insert(purchaseOrders)
+          .values({
+            po_id,
+            vendor,
+            inventory,
+            order_date: order_date ? order_date : new Date().toISOString(),
+            expected_date,
+            total_price: lines.reduce(
+              (total, line) => total + line.total_price,
+              0
+            ),
+            created_by: req.user.id,
+          })
+          .returning();
+
+        allPurchaseOrderProducts = await tx
+          .insert(purchaseOrderProducts)
+          .values(lines.map((line) => ({ ...line, po_id })))
+          .returning();
+      });
+
+      res.status(201).json({
+        message: `The purchase order PO ID "${po_id}" has been created successfully`,
+        purchaseOrder: newPurchaseOrder,
+        products: allPurchaseOrderProducts,
+      });
+    } catch (error) {
+      console.error("An error occurred while creating purchase order", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while creating the purchase order. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveAll: async (req, res) => {
+    try {
+      const allPurchaseOrders = await db.query.purchaseOrders.findMany({
+        orderBy: [desc(purchaseOrders.created_at)],
+        with: {
+          products: true,
+        },
+      });
+
+      res.status(200).json({
+        message: "Purchase orders retrieved successfully",
+        purchaseOrders: allPurchaseOrders,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving purchase orders",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving purchase orders. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveByPoId: async (req, res) => {
+    try {
+      const { poId } = req.params;
+      const purchaseOrder = await db.query.purchaseOrders.findFirst({
+        where: ilike(purchaseOrders.po_id, poId),
+        with: {
+          products: true,
+          receipts: {
+            with: {
+              products: true,
+            },
+          },
+        },
+      });
+
+      if (!purchaseOrder) {
+        return res.status(404).json({
+          message: `The purchase order PO ID "${poId}" was not found. Please verify the PO ID and try again.`,
+        });
+      }
+
+      res.status(200).json({
+        message: "Purchase order retrieved successfully",
+        purchaseOrder,
+      });
+    } catch (error) {
+      console.error("An error occurred while retrieving purchase order", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the purchase order. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  updateByPoId: async (req, res) => {
+    try {
+      const { poId } = req.params;
+      const { vendor, inventory, order_date, expected_date, products } =
+        req.body;
+
+      await updatePurchaseOrderSchema.parseAsync({
+        vendor,
+        inventory,
+        order_date,
+        expected_date,
+      });
+
+      const existingPurchaseOrder = await findPurchaseOrderByPoId(poId);
+      if (!existingPurchaseOrder) {
+        return res.status(404).json({
+          message: `The purchase order PO ID "${poId}" was not found. Please verify the PO ID.`,
+        });
+      }
+
+      if (existingPurchaseOrder.status !== "draft") {
+        return res.status(409).json({
+          message: `The purchase order PO ID "${poId}" is ${existingPurchaseOrder.status} and can no longer be changed.`,
+        });
+      }
+
+      if (vendor && vendor !== existingPurchaseOrder.vendor) {
+        const vendorValidation = await findVendorByName(vendor);
+        if (!vendorValidation) {
+          return res.status(404).json({
+            message: `The vendor "${vendor}" was not found. Please verify the vendor.`,
+          });
+        }
+      }
+
+      if (inventory && inventory !== existingPurchaseOrder.inventory) {
+        const inventoryValidation = await findInventoryByName(inventory);
+        if (!inventoryValidation) {
+          return res.status(404).json({
+            message: `The inventory "${inventory}" was not found. Please verify the inventory.`,
+          });
+        }
+
+        if (inventoryValidation.name === inTransitInventory) {
+          return res.status(400).json({
+            message: `Goods can not be ordered into the "${inTransitInventory}" inventory.`,
+          });
+        }
+      }
+
+      let lines = [];
+      if (Array.isArray(products) && products.length > 0) {
+        const orderLines = await buildOrderLines(products);
+        if (orderLines.errors.length > 0) {
+          return res.status(404).json({ message: orderLines.errors });
+        }
+        lines = orderLines.lines;
+      }
+
+      let updatedPurchaseOrder;
+      let updatedPurchaseOrderProducts = [];
+      await db.transaction(async (tx) => {
+        const updatedData = {
+          vendor: vendor || existingPurchaseOrder.vendor,
+          inventory: inventory || existingPurchaseOrder.inventory,
+          order_date: order_date || existingPurchaseOrder.order_date,
+          expected_date: expected_date || existingPurchaseOrder.expected_date,
+          updated_at: new Date().toISOString(),
+        };
+
+        // New products replace the lines of the draft
+        if (lines.length > 0) {
+          await tx
+            .delete(purchaseOrderProducts)
+            .where(
+              ilike(purchaseOrderProducts.po_id, existingPurchaseOrder.po_id)
+            );
+
+          updatedPurchaseOrderProducts = await tx
+            .insert(purchaseOrderProducts)
+            .values(
+              lines.map((line) => ({
+                ...line,
+                po_id: existingPurchaseOrder.po_id,
+              }))
+            )
+            .returning();
+
+          updatedData.total_price = lines.reduce(
+            (total, line) => total + line.total_price,
+            0
+          );
+        }
+
+        [updatedPurchaseOrder] = await tx
+          .update(purchaseOrders)
+          .set(updatedData)
+          .where(eq(purchaseOrders.id, existingPurchaseOrder.id))
+          .returning();
+      });
+
+      res.status(200).json({
+        message: `The purchase order PO ID "${poId}" has been updated successfully.`,
+        purchaseOrder: updatedPurchaseOrder,
+        products: updatedPurchaseOrderProducts,
+      });
+    } catch (error) {
+      console.error("An error occurred while updating purchase order", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while updating the purchase order. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  approveByPoId: async (req, res) => {
+    try {
+      const { poId } = req.params;
+
+      const existingPurchaseOrder = await findPurchaseOrderByPoId(poId);
+      if (!existingPurchaseOrder) {
+        return res.status(404).json({
+          message: `The purchase order PO ID "${poId}" was not found. Please verify the PO ID.`,
+        });
+      }
+
+      const allowed = getAllowedTransitions(
+        purchaseOrderStatusTransitions,
+        existingPurchaseOrder.status
+      );
+      if (!allowed.includes("approved")) {
+        return res.status(409).json({
+          message: `The purchase order PO ID "${poId}" cannot be approved while it is ${existingPurchaseOrder.status}.`,
+          allowed,
+        });
+      }
+
+      const [approvedPurchaseOrder] = await db
+        .update(purchaseOrders)
+        .set({
+          status: "approved",
+          approved_by: req.user.id,
+          approved_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .where(eq(purchaseOrders.id, existingPurchaseOrder.id))
+        .returning();
+
+      res.status(200).json({
+        message: `The purchase order PO ID "${poId}" has been approved successfully.`,
+        purchaseOrder: approvedPurchaseOrder,
+      });
+    } catch (error) {
+      console.error("An error occurred while approving purchase order", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while approving the purchase order. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  closeByPoId: async (req, res) => {
+    try {
+      const { poId } = req.params;
+
+      const existingPurchaseOrder = await findPurchaseOrderByPoId(poId);
+      if (!existingPurchaseOrder) {
+        return res.status(404).json({
+          message: `The purchase order PO ID "${poId}" was not found. Please verify the PO ID.`,
+        });
+      }
+
+      const allowed = getAllowedTransitions(
+        purchaseOrderStatusTransitions,
+        existingPurchaseOrder.status
+      );
+      if (!allowed.includes("closed")) {
+        return res.status(409).json({
+          message: `The purchase order PO ID "${poId}" cannot be closed while it is ${existingPurchaseOrder.status}.`,
+          allowed,
+        });
+      }
+
+      const [closedPurchaseOrder] = await db
+        .update(purchaseOrders)
+        .set({
+          status: "closed",
+          updated_at: new Date().toISOString(),
+        })
+        .where(eq(purchaseOrders.id, existingPurchaseOrder.id))
+        .returning();
+
+      res.status(200).json({
+        message: `The purchase order PO ID "${poId}" has been closed successfully.`,
+        purchaseOrder: closedPurchaseOrder,
+      });
+    } catch (error) {
+      console.error("An error occurred while closing purchase order", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while closing the purchase order. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  receiveByPoId: async (req, res) => {
+    try {
+      const { poId } = req.params;
+      const { mr_id, purchase_date, products } = req.body;
+
+      if (!Array.isArray(products) || products.length === 0) {
+        return res.status(400).json({ message: "Products are required" });
+      }
+
+      await insertPurchaseSchema
+        .pick({ mr_id: true, purchase_date: true })
+        .parseAsync({ mr_id, purchase_date });
+      for (const product of products) {
+        await receivePurchaseOrderProductSchema.parseAsync(product);
+      }
+
+      const purchaseOrder = await db.query.purchaseOrders.findFirst({
+        where: ilike(purchaseOrders.po_id, poId),
+        with: {
+          products: true,
+        },
+      });
+      if (!purchaseOrder) {
+        return res.status(404).json({
+          message: `The purchase order PO ID "${poId}" was not found. Please verify the PO ID.`,
+        });
+      }
+
+      if (!["approved", "partially received"].includes(purchaseOrder.status)) {
+        return res.status(409).json({
+          message: `The purchase order PO ID "${poId}" is ${purchaseOrder.status} and cannot receive goods.`,
+        });
+      }
+
+      const existingPurchase = await findPurchaseByMrId(mr_id);
+      if (existingPurchase) {
+        return res.status(409).json({
+          message: `The purchase with the MR ID "${mr_id}" already exists. Please choose a different MR ID.`,
+        });
+      }
+
+      const receiptErrors = findReceiptErrors(
+        purchaseOrder.products,
+        products,
+        poId
+      );
+      if (receiptErrors.length > 0) {
+        return res.status(400).json({ message: receiptErrors });
+      }
+
+      const allPurchaseProducts = [];
+      let newPurchase;
+      let refreshedPurchaseOrder;
+      await db.transaction(async (tx) => {
+        // The order lines are locked so that concurrent receipts are checked
+        // against each other's received quantities
+        const lockedOrderProducts = await tx
+          .select()
+          .from(purchaseOrderProducts)
+          .where(ilike(purchaseOrderProducts.po_id, purchaseOrder.po_id))
+          .for("update");
+        const lockedReceiptErrors = findReceiptErrors(
+          lockedOrderProducts,
+          products,
+          poId
+        );
+        if (lockedReceiptErrors.length > 0) {
+          const error = new Error(
+            `The receipt exceeds the open quantities of the purchase order PO ID "${poId}".`
+          );
+          error.name = "PurchaseReceiptError";
+          error.receiptErrors = lockedReceiptErrors;
+          throw error;
+        }
+
+        await tx.insert(purchases).values({
+          mr_id,
+          po_id: purchaseOrder.po_id,
+          purchase_date: purchase_date
+            ? purchase_date
+            : new Date().toISOString(),
+          vendor: purchaseOrder.vendor,
+          inventory: purchaseOrder.inventory,
+        });
+
+        for (const { po_product_id, quantity, expiry_date } of products) {
+          const orderProduct = purchaseOrder.products.find(
+            (product) => product.id === po_product_id
+          );
+
+          const [purchaseProduct] = await tx
+            .insert(purchaseProducts)
+            .values({
+              mr_id,
+              po_product_id,
+              product: orderProduct.product,
+              quantity,
+              unit_price: orderProduct.unit_price,
+              discount: orderProduct.discount,
+              total_price: calculateLinePrice({
+                quantity,
+                unit_price: orderProduct.unit_price,
+                discount: orderProduct.discount,
+              }),
+            })
+            .returning();
+          allPurchaseProducts.push(purchaseProduct);
+
+          const [lot] = await tx
+            .insert(inventoryProducts)
+            .values({
+              mr_id,
+              inventory: purchaseOrder.inventory,
+              product: orderProduct.product,
+              quantity,
+              expiry_date,
+            })
+            .returning();
+
+          await recordStockMovement(
+            {
+              source_type: "MR",
+              source_id: mr_id,
+              lot,
+              quantity,
+              created_by: req.user.id,
+            },
+            tx
+          );
+        }
+
+        [newPurchase] = await tx
+          .update(purchases)
+          .set({
+            total_price: allPurchaseProducts.reduce(
+              (total, product) => total + parseFloat(product.total_price),
+              0
+            ),
+            updated_at: new Date().toISOString(),
+          })
+          .where(ilike(purchases.mr_id, mr_id))
+          .returning();
+
+        refreshedPurchaseOrder = await refreshPurchaseOrderReceipts(
+          purchaseOrder.po_id,
+          tx
+        );
+      });
+
+      await evaluateStockThresholds([purchaseOrder.inventory]).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
+      res.status(201).json({
+        message: `The goods of purchase order PO ID "${poId}" have been received under MR ID "${mr_id}" successfully`,
+        purchaseOrder: refreshedPurchaseOrder,
+        purchase: newPurchase,
+        products: allPurchaseProducts,
+      });
+    } catch (error) {
+      console.error("An error occurred while receiving purchase order", error);
+      if (error.name === "PurchaseReceiptError") {
+        return res.status(400).json({ message: error.receiptErrors });
+      }
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while receiving the purchase order. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  deleteByPoId: async (req, res) => {
+    try {
+      const { poId } = req.params;
+
+      const existingPurchaseOrder = await findPurchaseOrderByPoId(poId);
+      if (!existingPurchaseOrder) {
+        return res.status(404).json({
+          message: `The purchase order PO ID "${poId}" was not found. Please verify the PO ID.`,
+        });
+      }
+
+      // Approved orders are commitments to the vendor, close them instead
+      if (existingPurchaseOrder.status !== "draft") {
+        return res.status(409).json({
+          message: `The purchase order PO ID "${poId}" is ${existingPurchaseOrder.status} and cannot be deleted.`,
+        });
+      }
+
+      await db
+        .delete(purchaseOrders)
+        .where(eq(purchaseOrders.id, existingPurchaseOrder.id));
+
+      res.status(200).json({
+        message: `The purchase order PO ID "${poId}" has been deleted successfully`,
+      });
+    } catch (error) {
+      console.error("An error occurred while deleting purchase order", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while deleting the purchase order. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+};
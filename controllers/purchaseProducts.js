@@ -1,13 +1,21 @@
-import { and, eq, ilike, desc } from "drizzle-orm";
+import { and, eq, ilike, desc, ne } from "drizzle-orm";
 import { z } from "zod";
 import { db } from "../database/connection.js";
 import {
   inventoryProducts,
+  purchaseOrderProducts,
   purchases,
   purchaseProducts,
   updatePurchaseProductSchema,
+  vendorReturnProducts,
+  vendorReturns,
 } from "../schemas/index.js";
-import { calculatePurchasePrice } from "../services/index.js";
+import {
+  calculatePurchasePrice,
+  evaluateStockThresholds,
+  recordStockMovement,
+  refreshPurchaseOrderReceipts,
+} from "../services/index.js";
 
 export const purchaseProductsController = {
   retrieveAll: async (req, res) => {
@@ -99,6 +107,27 @@ export const purchaseProductsController = {
       } = existingPurchaseProduct;
 
       const productQty = parseQuantity || existingPurchaseProductQuantity;
+
+      // Receipts against a purchase order line can not exceed what was ordered
+      if (existingPurchaseProduct.po_product_id) {
+        const [orderProduct] = await db
+          .select()
+          .from(purchaseOrderProducts)
+          .where(
+            eq(purchaseOrderProducts.id, existingPurchaseProduct.po_product_id)
+          )
+          .limit(1);
+
+        const openQuantity =
+          orderProduct.quantity -
+          orderProduct.received_quantity +
+          existingPurchaseProductQuantity;
+        if (productQty > openQuantity) {
+          return res.status(400).json({
+            message: `Only ${openQuantity} units of "${existingPurchaseProductName}" can be received against purchase order PO ID "${orderProduct.po_id}".`,
+          });
+        }
+      }
       const unitPrice = parseUnitPrice || existingPurchaseProductUnitPrice;
       const discountPrice = parseDiscount || existingPurchaseProductDiscount;
 
@@ -106,6 +135,7 @@ export const purchaseProductsController = {
         productQty * unitPrice - (productQty * unitPrice * discountPrice) / 100;
 
       let updatedPurchase;
+      const updatedLots = [];
       await db.transaction(async (tx) => {
         [updatedPurchase] = await tx
           .update(purchaseProducts)
@@ -119,18 +149,39 @@ export const purchaseProductsController = {
           .where(eq(purchaseProducts.id, id))
           .returning();
 
-        await tx
-          .update(inventoryProducts)
-          .set({
-            quantity: productQty,
-            updated_at: new Date().toISOString(),
-          })
+        const lots = await tx
+          .select()
+          .from(inventoryProducts)
           .where(
             and(
               ilike(inventoryProducts.mr_id, existingPurchaseProductMrId),
               ilike(inventoryProducts.product, existingPurchaseProductName)
             )
+          )
+          .for("update");
+
+        for (const lot of lots) {
+          const [updatedLot] = await tx
+            .update(inventoryProducts)
+            .set({
+              quantity: productQty,
+              updated_at: new Date().toISOString(),
+            })
+            .where(eq(inventoryProducts.id, lot.id))
+            .returning();
+          updatedLots.push(updatedLot);
+
+          await recordStockMovement(
+            {
+              source_type: "MR",
+              source_id: existingPurchaseProductMrId,
+              lot: updatedLot,
+              quantity: productQty - lot.quantity,
+              created_by: req.user.id,
+            },
+            tx
           );
+        }
 
         const updatedTotalPrice = await calculatePurchasePrice(
           existingPurchaseProductMrId,
@@ -144,7 +195,26 @@ export const purchaseProductsController = {
             updated_at: new Date().toISOString(),
           })
           .where(ilike(purchases.mr_id, existingPurchaseProductMrId));
+
+        if (existingPurchaseProduct.po_product_id) {
+          const [orderProduct] = await tx
+            .select({ po_id: purchaseOrderProducts.po_id })
+            .from(purchaseOrderProducts)
+            .where(
+              eq(
+                purchaseOrderProducts.id,
+                existingPurchaseProduct.po_product_id
+              )
+            );
+          await refreshPurchaseOrderReceipts(orderProduct.po_id, tx);
+        }
       });
+      await evaluateStockThresholds(
+        updatedLots.map((lot) => lot.inventory)
+      ).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
       res.status(200).json({
         message: `The purchase product ID "${id}" has been updated successfully.`,
         purchase: updatedPurchase,
@@ -168,7 +238,29 @@ export const purchaseProductsController = {
     try {
       const { id } = req.params;
 
+      // Returned goods keep their credit against the purchase product
+      const [vendorReturn] = await db
+        .select({ rtv_id: vendorReturns.rtv_id })
+        .from(vendorReturnProducts)
+        .innerJoin(
+          vendorReturns,
+          eq(vendorReturnProducts.rtv_id, vendorReturns.rtv_id)
+        )
+        .where(
+          and(
+            eq(vendorReturnProducts.purchase_product_id, id),
+            ne(vendorReturns.status, "cancelled")
+          )
+        )
+        .limit(1);
+      if (vendorReturn) {
+        return res.status(409).json({
+          message: `The purchase product ID "${id}" was returned to the vendor under RTV ID "${vendorReturn.rtv_id}" and cannot be deleted.`,
+        });
+      }
+
       let deletedRecord;
+      let deletedLots = [];
       await db.transaction(async (tx) => {
         [deletedRecord] = await tx
           .delete(purchaseProducts)
@@ -181,7 +273,7 @@ export const purchaseProductsController = {
 
         const { mr_id, product } = deletedRecord;
 
-        await tx
+        deletedLots = await tx
           .delete(inventoryProducts)
           .where(
             and(
@@ -191,6 +283,20 @@ export const purchaseProductsController = {
           )
           .returning();
 
+        for (const lot of deletedLots) {
+          await recordStockMovement(
+            {
+              source_type: "MR",
+              source_id: mr_id,
+              lot,
+              quantity: -lot.quantity,
+              balance: 0,
+              created_by: req.user.id,
+            },
+            tx
+          );
+        }
+
         const updatedTotalPrice = await calculatePurchasePrice(mr_id, tx);
 
         await tx
@@ -200,8 +306,22 @@ export const purchaseProductsController = {
             updated_at: new Date().toISOString(),
           })
           .where(ilike(purchases.mr_id, mr_id));
+
+        if (deletedRecord.po_product_id) {
+          const [orderProduct] = await tx
+            .select({ po_id: purchaseOrderProducts.po_id })
+            .from(purchaseOrderProducts)
+            .where(eq(purchaseOrderProducts.id, deletedRecord.po_product_id));
+          await refreshPurchaseOrderReceipts(orderProduct.po_id, tx);
+        }
       });
 
+      await evaluateStockThresholds(
+        deletedLots.map((lot) => lot.inventory)
+      ).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
       res.status(200).json({
         message: `The purchase product ID "${id}" has been deleted successfully`,
       });
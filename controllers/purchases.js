@@ -2,169 +2,22 @@ import { ilike, and, desc } from "drizzle-orm";
 import { z } from "zod";
 import { db } from "../database/connection.js";
 import {
-  insertPurchaseSchema,
-  insertPurchaseProductSchema,
   inventoryProducts,
   purchases,
-  purchaseProducts,
   updatePurchaseSchema,
 } from "../schemas/index.js";
 import {
   calculatePurchasePrice,
   findInventoryByName,
-  findProductByName,
   findPurchaseByMrId,
   findVendorByName,
+  evaluateStockThresholds,
+  inTransitInventory,
+  recordStockMovement,
+  refreshPurchaseOrderReceipts,
 } from "../services/index.js";
 
 export const purchasesController = {
-  create: async (req, res) => {
-    try {
-      const { mr_id, purchase_date, vendor, inventory, adjustment, products } =
-        req.body;
-
-      if (!Array.isArray(products) || products.length === 0) {
-        return res.status(400).json({ message: "Products are required" });
-      }
-
-      await insertPurchaseSchema.parseAsync({
-        mr_id,
-        purchase_date,
-        vendor,
-        inventory,
-        adjustment,
-      });
-
-      const existingPurchase = await findPurchaseByMrId(mr_id);
-      if (existingPurchase) {
-        return res.status(409).json({
-          message: `The purchase with the MR ID "${mr_id}" already exists. Please choose a different MR ID.`,
-        });
-      }
-
-      const vendorValidation = await findVendorByName(vendor);
-      if (!vendorValidation) {
-        return res.status(404).json({
-          message: `The vendor "${vendor}" was not found. Please verify the vendor.`,
-        });
-      }
-
-      const inventoryValidation = await findInventoryByName(inventory);
-      if (!inventoryValidation) {
-        return res.status(404).json({
-          message: `The inventory "${inventory}" was not found. Please verify the inventory.`,
-        });
-      }
-
-      const productErrors = [];
-      await Promise.all(
-        products.map(async (product) => {
-          await insertPurchaseProductSchema.parseAsync(product);
-
-          const productVerification = await findProductByName(product.product);
-          if (!productVerification) {
-            productErrors.push(
-              `The product ${product.product} was not found. Please verify the product`
-            );
-            return null;
-          }
-          return product;
-        })
-      );
-      if (productErrors.length > 0) {
-        return res.status(404).json({ message: productErrors });
-      }
-
-      const allPurchaseProducts = [];
-      const newPurchase = await db.transaction(async (tx) => {
-        await tx
-          .insert(purchases)
-          .values({
-            mr_id,
-            purchase_date: purchase_date
-              ? purchase_date
-              : new Date().toISOString(),
-            vendor,
-            inventory,
-            adjustment,
-          })
-          .returning();
-
-        for (const product of products) {
-          const {
-            product: productName,
-            quantity,
-            unit_price,
-            discount,
-          } = product;
-
-          const parseDiscount = parseFloat(discount) || 0;
-
-          const productTotalPrice =
-            quantity * unit_price -
-            (quantity * unit_price * parseDiscount) / 100;
-
-          const [purchaseProduct] = await tx
-            .insert(purchaseProducts)
-            .values({
-              mr_id,
-              product: productName,
-              quantity,
-              unit_price,
-              discount: parseDiscount,
-              total_price: productTotalPrice,
-            })
-            .returning();
-          allPurchaseProducts.push(purchaseProduct);
-
-          await tx
-            .insert(inventoryProducts)
-            .values({
-              mr_id,
-              inventory,
-              product: productName,
-              quantity,
-            })
-            .returning();
-        }
-
-        const updatedTotalPrice = allPurchaseProducts.reduce(
-          (total, product) => total + parseFloat(product.total_price),
-          0
-        );
-
-        const [updatedpurchase] = await tx
-          .update(purchases)
-          .set({
-            total_price: sql`${updatedTotalPrice} - ${purchases.adjustment}`,
-            updated_at: new Date().toISOString(),
-          })
-          .where(ilike(purchases.mr_id, mr_id))
-          .returning();
-
-        return updatedpurchase;
-      });
-
-      res.status(201).json({
-        message: `The purchase MR ID "${mr_id}" has been created successfully`,
-        purchase: newPurchase,
-        products: allPurchaseProducts,
-      });
-    } catch (error) {
-      console.error("An error occurred while creating purchase", error);
-      if (error instanceof z.ZodError) {
-        return res.status(400).json({
-          message: "Validation error",
-          errors: error.errors.map((e) => e.message),
-        });
-      }
-      res.status(500).json({
-        message:
-          "An unexpected error occurred while creating the purchase. Please try again.",
-        error: error.message,
-      });
-    }
-  },
   retrieveAll: async (req, res) => {
     try {
       const allPurchases = await db.query.purchases.findMany({
@@ -294,6 +147,23 @@ export const purchasesController = {
         total_price: existingTotalPrice,
       } = existingPurchase;
 
+      // Stock lots and MR records are only created by goods receipts
+      if (Array.isArray(products) && products.length > 0) {
+        return res.status(409).json({
+          message: `Products can not be added to the purchase MR ID "${mrId}". Please receive them against a purchase order instead.`,
+        });
+      }
+
+      // Goods receipts follow their purchase order
+      const changesOrderTerms =
+        (vendor && vendor !== existingVendor) ||
+        (inventory && inventory !== existingInventory);
+      if (existingPurchase.po_id && changesOrderTerms) {
+        return res.status(409).json({
+          message: `The purchase MR ID "${mrId}" was received against purchase order PO ID "${existingPurchase.po_id}". Its vendor and inventory follow the purchase order.`,
+        });
+      }
+
       // MR ID validation
       if (mrIdBody && mrIdBody !== existingMrId) {
         const mrIdVerification = await findPurchaseByMrId(mrIdBody);
@@ -322,26 +192,11 @@ export const purchasesController = {
             message: `The inventory "${inventory}" was not found. Please verify the inventory.`,
           });
         }
-      }
 
-      // Product validation
-      if (Array.isArray(products) && products.length > 0) {
-        const productErrors = [];
-        await Promise.all(
-          products.map(async (product) => {
-            await insertPurchaseProductSchema.parseAsync(product);
-            const productVerification = await findProductByName(
-              product.product
-            );
-            if (!productVerification) {
-              productErrors.push(
-                `The product ${product.product} was not found. Please verify the product`
-              );
-            }
-          })
-        );
-        if (productErrors.length > 0) {
-          return res.status(404).json({ message: productErrors });
+        if (inventoryValidation.name === inTransitInventory) {
+          return res.status(400).json({
+            message: `A purchase can not be moved to the "${inTransitInventory}" inventory.`,
+          });
         }
       }
 
@@ -357,102 +212,22 @@ export const purchasesController = {
       // Calculate old product total price
       const oldProductTotalPrice = await calculatePurchasePrice(mrId);
 
-      let updatedPurchase;
-      const newlyPurchaseProducts = [];
-
-      if (Array.isArray(products) && products.length > 0) {
-        updatedPurchase = await db.transaction(async (tx) => {
-          const [updatedPurchase] = await tx
-            .update(purchases)
-            .set(updatedData)
-            .where(ilike(purchases.mr_id, mrId))
-            .returning();
-
-          for (const product of products) {
-            const {
-              product: productName,
-              quantity,
-              unit_price: unitPrice,
-              discount,
-            } = product;
-            const parsedDiscount = parseFloat(discount) || 0;
-
-            const productTotalPrice =
-              quantity * unitPrice -
-              (quantity * unitPrice * parsedDiscount) / 100;
-
-            const [purchaseProduct] = await tx
-              .insert(purchaseProducts)
-              .values({
-                mr_id: updatedPurchase.mr_id,
-                product: productName,
-                quantity,
-                unit_price: unitPrice,
-                discount: parsedDiscount,
-                total_price: productTotalPrice,
-              })
-              .returning();
-            newlyPurchaseProducts.push(purchaseProduct);
-
-            await tx
-              .insert(inventoryProducts)
-              .values({
-                mr_id: updatedPurchase.mr_id,
-                inventory: updatedPurchase.inventory,
-                product: productName,
-                quantity,
-              })
-              .returning();
-          }
-
-          const newlyProductTotalPrice = newlyPurchaseProducts.reduce(
-            (total, product) => total + parseFloat(product.total_price),
-            0
-          );
-
-          const updatedTotalPrice =
-            oldProductTotalPrice + newlyProductTotalPrice;
-
-          if (
-            parsedAdjustment &&
-            (parsedAdjustment < 0 || parsedAdjustment > updatedTotalPrice)
-          ) {
-            tx.rollback();
-          }
-
-          const finalAdjustment =
-            parsedAdjustment || parseFloat(existingAdjustment);
-
-          const finalTotalPrice = updatedTotalPrice - finalAdjustment;
-
-          const [finalUpdatedPurchase] = await tx
-            .update(purchases)
-            .set({
-              adjustment: finalAdjustment,
-              total_price: finalTotalPrice,
-              updated_at: new Date().toISOString(),
-            })
-            .where(ilike(purchases.mr_id, updatedPurchase.mr_id))
-            .returning();
-
-          return finalUpdatedPurchase;
+      if (
+        parsedAdjustment &&
+        (parsedAdjustment < 0 || parsedAdjustment > oldProductTotalPrice)
+      ) {
+        return res.status(400).json({
+          message:
+            "Adjustment amount must be between 0 and available total price.",
         });
-      } else {
-        if (
-          parsedAdjustment &&
-          (parsedAdjustment < 0 || parsedAdjustment > oldProductTotalPrice)
-        ) {
-          return res.status(400).json({
-            message:
-              "Adjustment amount must be between 0 and available total price.",
-          });
-        }
+      }
 
-        const finalAdjustment =
-          parsedAdjustment || parseFloat(existingAdjustment);
-        const finalTotalPrice = oldProductTotalPrice - finalAdjustment;
+      const finalAdjustment =
+        parsedAdjustment || parseFloat(existingAdjustment);
+      const finalTotalPrice = oldProductTotalPrice - finalAdjustment;
 
-        [updatedPurchase] = await db
+      const updatedPurchase = await db.transaction(async (tx) => {
+        const [updatedPurchase] = await tx
           .update(purchases)
           .set({
             ...updatedData,
@@ -463,26 +238,72 @@ export const purchasesController = {
           .where(ilike(purchases.mr_id, mrId))
           .returning();
 
-        if (!updatedPurchase) {
-          return res.status(404).json({
-            message: `An error occurred while updating the purchase MR ID "${mrId}". Please try again.`,
-          });
+        if (!updatedPurchase) return updatedPurchase;
+
+        // Moving the purchase to another inventory moves the lots still held
+        // there with it, not the ones transferred elsewhere since
+        if (
+          updatedPurchase.inventory.toLowerCase() !==
+          existingInventory.toLowerCase()
+        ) {
+          const movedLots = await tx
+            .update(inventoryProducts)
+            .set({
+              inventory: updatedPurchase.inventory,
+              updated_at: new Date().toISOString(),
+            })
+            .where(
+              and(
+                ilike(inventoryProducts.mr_id, updatedPurchase.mr_id),
+                ilike(inventoryProducts.inventory, existingInventory)
+              )
+            )
+            .returning();
+
+          for (const lot of movedLots) {
+            await recordStockMovement(
+              {
+                source_type: "MR",
+                source_id: updatedPurchase.mr_id,
+                lot: { ...lot, inventory: existingInventory },
+                quantity: -lot.quantity,
+                balance: 0,
+                created_by: req.user.id,
+              },
+              tx
+            );
+            await recordStockMovement(
+              {
+                source_type: "MR",
+                source_id: updatedPurchase.mr_id,
+                lot,
+                quantity: lot.quantity,
+                created_by: req.user.id,
+              },
+              tx
+            );
+          }
         }
 
-        await db
-          .update(inventoryProducts)
-          .set({
-            inventory: updatedPurchase.inventory,
-            updated_at: new Date().toISOString(),
-          })
-          .where(ilike(inventoryProducts.mr_id, mrId))
-          .returning();
+        return updatedPurchase;
+      });
+
+      if (!updatedPurchase) {
+        return res.status(404).json({
+          message: `An error occurred while updating the purchase MR ID "${mrId}". Please try again.`,
+        });
       }
 
+      await evaluateStockThresholds([
+        existingInventory,
+        updatedPurchase.inventory,
+      ]).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
       res.status(200).json({
         message: `The purchase MR ID "${mrId}" has been updated successfully`,
         purchase: updatedPurchase,
-        products: newlyPurchaseProducts || [],
       });
     } catch (error) {
       console.error("An error occurred while updating purchase:", error);
@@ -518,14 +339,29 @@ export const purchasesController = {
       const { inventory: existingInventory } = existingPurchase;
 
       await db.transaction(async (tx) => {
-        await tx
+        const deletedLots = await tx
           .delete(inventoryProducts)
           .where(
             and(
               ilike(inventoryProducts.inventory, existingInventory),
               ilike(inventoryProducts.mr_id, mrId)
             )
+          )
+          .returning();
+
+        for (const lot of deletedLots) {
+          await recordStockMovement(
+            {
+              source_type: "MR",
+              source_id: existingPurchase.mr_id,
+              lot,
+              quantity: -lot.quantity,
+              balance: 0,
+              created_by: req.user.id,
+            },
+            tx
           );
+        }
 
         const [deletedPurchase] = await tx
           .delete(purchases)
@@ -538,8 +374,16 @@ export const purchasesController = {
           );
           tx.rollback();
         }
+
+        if (existingPurchase.po_id) {
+          await refreshPurchaseOrderReceipts(existingPurchase.po_id, tx);
+        }
       });
 
+      await evaluateStockThresholds([existingInventory]).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
       res.status(200).json({
         message: `The purchase with MR ID "${mrId}" has been deleted successfully.`,
       });
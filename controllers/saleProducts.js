@@ -1,13 +1,22 @@
-import { and, eq, gte, ilike, sql, desc } from "drizzle-orm";
+import { and, eq, ilike, ne, sql, desc } from "drizzle-orm";
 import { z } from "zod";
 import { db } from "../database/connection.js";
 import {
+  customerReturnProducts,
   inventoryProducts,
   saleProducts,
   sales,
+  stockReservations,
   updateSaleProductSchema,
 } from "../schemas/index.js";
-import { calculateSalePrice } from "../services/index.js";
+import {
+  calculateReservedQuantities,
+  calculateSalePrice,
+  evaluateStockThresholds,
+  findSaleByBillId,
+  recordStockMovement,
+} from "../services/index.js";
+import { saleRestockedStatuses } from "../utils/index.js";
 
 export const saleProductsController = {
   retrieveAll: async (req, res) => {
@@ -87,6 +96,17 @@ export const saleProductsController = {
         });
       }
 
+      const [returnedProduct] = await db
+        .select({ rma_id: customerReturnProducts.rma_id })
+        .from(customerReturnProducts)
+        .where(eq(customerReturnProducts.sale_product_id, id))
+        .limit(1);
+      if (returnedProduct) {
+        return res.status(409).json({
+          message: `The sale product ID "${id}" was returned by the customer under RMA ID "${returnedProduct.rma_id}" and cannot be changed.`,
+        });
+      }
+
       const {
         bill_id: existingSaleProductBillId,
         mr_id: existingSaleProductMrId,
@@ -97,6 +117,27 @@ export const saleProductsController = {
         discount: existingSaleProductDiscount,
       } = existingSaleProduct;
 
+      // The products of a restocked sale are no longer deducted from stock
+      const existingSale = await findSaleByBillId(existingSaleProductBillId);
+      if (saleRestockedStatuses.includes(existingSale.status)) {
+        return res.status(409).json({
+          message: `The sale product ID "${id}" belongs to the ${existingSale.status} sale "${existingSale.bill_id}" and cannot be changed.`,
+        });
+      }
+
+      // Lines of pending sales hold a reservation instead of stock, only a
+      // consumed one was deducted
+      const [reservation] = await db
+        .select()
+        .from(stockReservations)
+        .where(
+          and(
+            eq(stockReservations.sale_product_id, id),
+            ne(stockReservations.status, "consumed")
+          )
+        )
+        .limit(1);
+
       if (parseQuantity && existingSaleProductQuantity < parseQuantity) {
         const qtyDifference = parseQuantity - existingSaleProductQuantity;
 
@@ -107,13 +148,18 @@ export const saleProductsController = {
             and(
               ilike(inventoryProducts.mr_id, existingSaleProductMrId),
               ilike(inventoryProducts.inventory, existingSaleProductInventory),
-              ilike(inventoryProducts.product, existingSaleProductName),
-              gte(inventoryProducts.quantity, qtyDifference)
+              ilike(inventoryProducts.product, existingSaleProductName)
             )
           )
           .limit(1);
 
-        if (!inventoryQuery) {
+        const reservedQuantities = await calculateReservedQuantities();
+        const availableQuantity = inventoryQuery
+          ? inventoryQuery.quantity -
+            (reservedQuantities[inventoryQuery.id] || 0)
+          : 0;
+
+        if (availableQuantity < qtyDifference) {
           return res.status(404).json({
             message: "Exceeds the available quantity limit.",
           });
@@ -157,6 +203,17 @@ export const saleProductsController = {
           .where(ilike(sales.bill_id, existingSaleProductBillId))
           .returning();
 
+        if (reservation) {
+          await tx
+            .update(stockReservations)
+            .set({
+              quantity: productQty,
+              updated_at: new Date().toISOString(),
+            })
+            .where(eq(stockReservations.id, reservation.id));
+          return;
+        }
+
         await tx
           .update(inventoryProducts)
           .set({
@@ -172,7 +229,7 @@ export const saleProductsController = {
           )
           .returning();
 
-        await tx
+        const [updatedLot] = await tx
           .update(inventoryProducts)
           .set({
             quantity: sql`${inventoryProducts.quantity} - ${productQty}`,
@@ -186,8 +243,23 @@ export const saleProductsController = {
             )
           )
           .returning();
+
+        await recordStockMovement(
+          {
+            source_type: "BILL",
+            source_id: existingSaleProductBillId,
+            lot: updatedLot,
+            quantity: existingSaleProductQuantity - productQty,
+            created_by: req.user.id,
+          },
+          tx
+        );
       });
 
+      await evaluateStockThresholds([existingSaleProductInventory]).catch(
+        (error) => console.error("Failed to evaluate stock thresholds", error)
+      );
+
       res.status(200).json({
         message: `The sale product ID "${id}" has been updated successfully.`,
         sale: updatedSale,
@@ -211,8 +283,51 @@ export const saleProductsController = {
     try {
       const { id } = req.params;
 
+      const [returnedProduct] = await db
+        .select({ rma_id: customerReturnProducts.rma_id })
+        .from(customerReturnProducts)
+        .where(eq(customerReturnProducts.sale_product_id, id))
+        .limit(1);
+      if (returnedProduct) {
+        return res.status(409).json({
+          message: `The sale product ID "${id}" was returned by the customer under RMA ID "${returnedProduct.rma_id}" and cannot be deleted.`,
+        });
+      }
+
+      const [existingSaleProduct] = await db
+        .select()
+        .from(saleProducts)
+        .where(eq(saleProducts.id, id))
+        .limit(1);
+      if (!existingSaleProduct) {
+        return res.status(404).json({
+          message: `The sale product ID "${id}" was not found. Please verify the ID.`,
+        });
+      }
+
+      // The products of a restocked sale are no longer deducted from stock
+      const existingSale = await findSaleByBillId(existingSaleProduct.bill_id);
+      if (saleRestockedStatuses.includes(existingSale.status)) {
+        return res.status(409).json({
+          message: `The sale product ID "${id}" belongs to the ${existingSale.status} sale "${existingSale.bill_id}" and cannot be deleted.`,
+        });
+      }
+
       let deletedRecord;
       await db.transaction(async (tx) => {
+        // Reservations are deleted with the line, only a consumed one was
+        // deducted from stock
+        const [reservation] = await tx
+          .select()
+          .from(stockReservations)
+          .where(
+            and(
+              eq(stockReservations.sale_product_id, id),
+              ne(stockReservations.status, "consumed")
+            )
+          )
+          .limit(1);
+
         [deletedRecord] = await tx
           .delete(saleProducts)
           .where(eq(saleProducts.id, id))
@@ -244,7 +359,9 @@ export const saleProductsController = {
           .where(ilike(sales.bill_id, deletedRecordBillId))
           .returning();
 
-        await tx
+        if (reservation) return;
+
+        const [restockedLot] = await tx
           .update(inventoryProducts)
           .set({
             quantity: sql`${inventoryProducts.quantity} + ${deletedRecordQuantity}`,
@@ -258,8 +375,23 @@ export const saleProductsController = {
             )
           )
           .returning();
+
+        await recordStockMovement(
+          {
+            source_type: "BILL",
+            source_id: deletedRecordBillId,
+            lot: restockedLot,
+            quantity: deletedRecordQuantity,
+            created_by: req.user.id,
+          },
+          tx
+        );
       });
 
+      await evaluateStockThresholds([deletedRecord.inventory]).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
       res.status(200).json({
         message: `The sale product ID "${id}" has been deleted successfully`,
       });
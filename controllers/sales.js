@@ -1,4 +1,4 @@
-import { and, eq, gte, ilike, sql, desc } from "drizzle-orm";
+import { and, eq, ilike, ne, sql, desc } from "drizzle-orm";
 import { z } from "zod";
 import { db } from "../database/connection.js";
 import {
@@ -7,14 +7,32 @@ import {
   inventoryProducts,
   saleProducts,
   sales,
+  stockReservations,
   updateSaleSchema,
 } from "../schemas/index.js";
 import {
+  allocateInventoryProducts,
+  applySaleStatusEffects,
   calculateSalePrice,
   findCustomerById,
   findInventoryByName,
+  evaluateStockThresholds,
   findSaleByBillId,
+  inTransitInventory,
+  recordStockMovement,
 } from "../services/index.js";
+import {
+  getAllowedTransitions,
+  isValidTransition,
+  saleRestockedStatuses,
+  saleStatusTransitions,
+} from "../utils/index.js";
+
+const reservationExpiryHours =
+  parseInt(process.env.RESERVATION_EXPIRY_HOURS) || 48;
+
+const defaultReservationExpiry = () =>
+  new Date(Date.now() + reservationExpiryHours * 60 * 60 * 1000).toISOString();
 
 export const salesController = {
   create: async (req, res) => {
@@ -27,6 +45,7 @@ export const salesController = {
         shipping_address,
         status,
         adjustment,
+        reservation_expires_at,
         products,
       } = req.body;
 
@@ -42,6 +61,7 @@ export const salesController = {
         shipping_address,
         status,
         adjustment,
+        reservation_expires_at,
       });
 
       const existingSale = await findSaleByBillId(bill_id);
@@ -65,6 +85,17 @@ export const salesController = {
         });
       }
 
+      if (inventoryValidation.name === inTransitInventory) {
+        return res.status(400).json({
+          message: `Goods in "${inTransitInventory}" can not be sold before they are received.`,
+        });
+      }
+
+      // Pending sales only reserve their stock until they are processed
+      const isPending = status === "pending";
+      const reservationExpiresAt =
+        reservation_expires_at || defaultReservationExpiry();
+
       const allSaleProducts = [];
       const newSale = await db.transaction(async (tx) => {
         await tx
@@ -89,54 +120,65 @@ export const salesController = {
             discount,
           } = product;
 
-          const [productQuery] = await tx
-            .select()
-            .from(inventoryProducts)
-            .where(
-              and(
-                ilike(inventoryProducts.inventory, inventory),
-                ilike(inventoryProducts.product, productName),
-                gte(inventoryProducts.quantity, quantity)
-              )
-            )
-            .limit(1);
-
-          if (!productQuery) {
-            throw new Error(
-              `Product "${productName}" (${quantity} units) not found at inventory "${inventory}". Please check the inventory product and try again.`
-            );
-            tx.rollback();
-          }
+          // Split the line across inventory lots
+          const allocations = await allocateInventoryProducts(
+            { inventory, product: productName, quantity },
+            tx
+          );
 
           const parseDiscount = parseFloat(discount) || 0;
 
-          const productTotalPrice =
-            quantity * unit_price -
-            (quantity * unit_price * parseDiscount) / 100;
+          for (const { lot, quantity: lotQuantity } of allocations) {
+            const productTotalPrice =
+              lotQuantity * unit_price -
+              (lotQuantity * unit_price * parseDiscount) / 100;
 
-          const [newProduct] = await tx
-            .insert(saleProducts)
-            .values({
-              mr_id: productQuery.mr_id,
-              inventory,
-              bill_id,
-              product: productName,
-              quantity,
-              unit_price,
-              discount: parseDiscount,
-              total_price: productTotalPrice,
-            })
-            .returning();
-          allSaleProducts.push(newProduct);
+            const [newProduct] = await tx
+              .insert(saleProducts)
+              .values({
+                mr_id: lot.mr_id,
+                inventory,
+                bill_id,
+                product: productName,
+                quantity: lotQuantity,
+                unit_price,
+                discount: parseDiscount,
+                total_price: productTotalPrice,
+              })
+              .returning();
+            allSaleProducts.push(newProduct);
 
-          await tx
-            .update(inventoryProducts)
-            .set({
-              quantity: sql`${inventoryProducts.quantity} - ${quantity}`,
-              updated_at: new Date().toISOString(),
-            })
-            .where(eq(inventoryProducts.id, productQuery.id))
-            .returning();
+            if (isPending) {
+              await tx.insert(stockReservations).values({
+                bill_id,
+                sale_product_id: newProduct.id,
+                inventory_product_id: lot.id,
+                quantity: lotQuantity,
+                expires_at: reservationExpiresAt,
+              });
+              continue;
+            }
+
+            const [updatedLot] = await tx
+              .update(inventoryProducts)
+              .set({
+                quantity: sql`${inventoryProducts.quantity} - ${lotQuantity}`,
+                updated_at: new Date().toISOString(),
+              })
+              .where(eq(inventoryProducts.id, lot.id))
+              .returning();
+
+            await recordStockMovement(
+              {
+                source_type: "BILL",
+                source_id: bill_id,
+                lot: updatedLot,
+                quantity: -lotQuantity,
+                created_by: req.user.id,
+              },
+              tx
+            );
+          }
         }
 
         const updatedTotalPrice = allSaleProducts.reduce(
@@ -156,6 +198,10 @@ export const salesController = {
         return updatedSale;
       });
 
+      await evaluateStockThresholds([inventory]).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
       res.status(201).json({
         message: `The sales BILL ID "${bill_id}" has been created successfully`,
         sale: newSale,
@@ -163,6 +209,12 @@ export const salesController = {
       });
     } catch (error) {
       console.error("Error creating sale Bill ID:", error);
+      if (error.name === "StockShortageError") {
+        return res.status(409).json({
+          message: error.message,
+          shortage: error.shortage,
+        });
+      }
       if (error instanceof z.ZodError) {
         return res.status(400).json({
           message: "Validation error",
@@ -305,6 +357,36 @@ export const salesController = {
         status: existingSaleStatus,
       } = existingSale;
 
+      // Validate status transition
+      const nextStatus = status || existingSaleStatus;
+      if (
+        !isValidTransition(
+          saleStatusTransitions,
+          existingSaleStatus,
+          nextStatus
+        )
+      ) {
+        return res.status(409).json({
+          message: `The sale BILL ID "${billId}" cannot move from "${existingSaleStatus}" to "${nextStatus}".`,
+          allowed: getAllowedTransitions(
+            saleStatusTransitions,
+            existingSaleStatus
+          ),
+        });
+      }
+      const statusChanged = nextStatus !== existingSaleStatus;
+
+      // A restocked sale would never deduct or put back new products again
+      if (
+        Array.isArray(products) &&
+        products.length > 0 &&
+        saleRestockedStatuses.includes(existingSaleStatus)
+      ) {
+        return res.status(409).json({
+          message: `The sale BILL ID "${billId}" is ${existingSaleStatus} and no products can be added to it.`,
+        });
+      }
+
       // Validate new bill_id for uniqueness
       if (bill_id && bill_id !== existingSaleBillId) {
         const billIdVerification = await findSaleByBillId(bill_id);
@@ -332,7 +414,7 @@ export const salesController = {
         inventory: existingInventory,
         customer_id: customer_id || existingSaleCustomerId,
         shipping_address: shipping_address || existingSaleShippingAddress,
-        status: status || existingSaleStatus,
+        status: nextStatus,
         updated_at: new Date().toISOString(),
       };
 
@@ -361,55 +443,68 @@ export const salesController = {
               discount,
             } = product;
 
-            const [productQuery] = await tx
-              .select()
-              .from(inventoryProducts)
-              .where(
-                and(
-                  ilike(inventoryProducts.inventory, inventory),
-                  ilike(inventoryProducts.product, productName),
-                  gte(inventoryProducts.quantity, quantity)
-                )
-              )
-              .limit(1);
-
-            if (!productQuery) {
-              throw new Error(
-                `Product "${productName}" (${quantity} units) not found in inventory "${inventory}".`
-              );
-              tx.rollback();
-            }
+            // Split the line across inventory lots
+            const allocations = await allocateInventoryProducts(
+              { inventory: existingInventory, product: productName, quantity },
+              tx
+            );
 
             const parsedDiscount = parseFloat(discount) || 0;
-            const productTotalPrice =
-              quantity * unit_price -
-              (quantity * unit_price * parsedDiscount) / 100;
-
-            // Insert sale product
-            const [saleProduct] = await tx
-              .insert(saleProducts)
-              .values({
-                mr_id: productQuery.mr_id,
-                inventory,
-                bill_id,
-                product: productName,
-                quantity,
-                unit_price,
-                discount: parsedDiscount,
-                total_price: productTotalPrice,
-              })
-              .returning();
-            newlySaleProducts.push(saleProduct);
 
-            // Update inventory product quantity
-            await tx
-              .update(inventoryProducts)
-              .set({
-                quantity: sql`${inventoryProducts.quantity} - ${quantity}`,
-                updated_at: new Date().toISOString(),
-              })
-              .where(eq(inventoryProducts.id, productQuery.id))
-              .returning();
+            for (const { lot, quantity: lotQuantity } of allocations) {
+              const productTotalPrice =
+                lotQuantity * unit_price -
+                (lotQuantity * unit_price * parsedDiscount) / 100;
+
+              // Insert sale product
+              const [saleProduct] = await tx
+                .insert(saleProducts)
+                .values({
+                  mr_id: lot.mr_id,
+                  inventory: existingInventory,
+                  bill_id: updatedSale.bill_id,
+                  product: productName,
+                  quantity: lotQuantity,
+                  unit_price,
+                  discount: parsedDiscount,
+                  total_price: productTotalPrice,
+                })
+                .returning();
+              newlySaleProducts.push(saleProduct);
+
+              // Reserve stock for pending sales instead of deducting it
+              if (nextStatus === "pending") {
+                await tx.insert(stockReservations).values({
+                  bill_id: updatedSale.bill_id,
+                  sale_product_id: saleProduct.id,
+                  inventory_product_id: lot.id,
+                  quantity: lotQuantity,
+                  expires_at: defaultReservationExpiry(),
+                });
+                continue;
+              }
+
+              // Update inventory product quantity
+              const [updatedLot] = await tx
+                .update(inventoryProducts)
+                .set({
+                  quantity: sql`${inventoryProducts.quantity} - ${lotQuantity}`,
+                  updated_at: new Date().toISOString(),
+                })
+                .where(eq(inventoryProducts.id, lot.id))
+                .returning();
+
+              await recordStockMovement(
+                {
+                  source_type: "BILL",
+                  source_id: updatedSale.bill_id,
+                  lot: updatedLot,
+                  quantity: -lotQuantity,
+                  created_by: req.user.id,
+                },
+                tx
+              );
+            }
           }
 
           // Calculate the total price
@@ -444,6 +539,16 @@ export const salesController = {
             .where(ilike(sales.bill_id, updatedSale.bill_id))
             .returning();
 
+          // Apply stock effects of the status transition
+          if (statusChanged) {
+            await applySaleStatusEffects(
+              finalUpdatedSale,
+              nextStatus,
+              req.user.id,
+              tx
+            );
+          }
+
           return finalUpdatedSale;
         });
       } else {
@@ -462,15 +567,29 @@ export const salesController = {
           parsedAdjustment || parseFloat(existingSaleAdjustment);
         const finalTotalPrice = oldProductTotalPrice - finalAdjustment;
 
-        [updatedSale] = await db
-          .update(sales)
-          .set({
-            ...updatedData,
-            adjustment: finalAdjustment,
-            total_price: finalTotalPrice,
-          })
-          .where(ilike(sales.bill_id, billId))
-          .returning();
+        updatedSale = await db.transaction(async (tx) => {
+          const [updatedSale] = await tx
+            .update(sales)
+            .set({
+              ...updatedData,
+              adjustment: finalAdjustment,
+              total_price: finalTotalPrice,
+            })
+            .where(ilike(sales.bill_id, billId))
+            .returning();
+
+          // Apply stock effects of the status transition
+          if (updatedSale && statusChanged) {
+            await applySaleStatusEffects(
+              updatedSale,
+              nextStatus,
+              req.user.id,
+              tx
+            );
+          }
+
+          return updatedSale;
+        });
 
         if (!updatedSale) {
           return res.status(404).json({
@@ -479,6 +598,10 @@ export const salesController = {
         }
       }
 
+      await evaluateStockThresholds([existingInventory]).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
       // Send response
       res.status(200).json({
         message: `The sale BILL ID "${billId}" has been updated successfully.`,
@@ -487,6 +610,12 @@ export const salesController = {
       });
     } catch (error) {
       console.error("Error updating sale by bill ID:", error);
+      if (error.name === "StockShortageError") {
+        return res.status(409).json({
+          message: error.message,
+          shortage: error.shortage,
+        });
+      }
       if (error instanceof z.ZodError) {
         return res.status(400).json({
           message: "Validation error",
@@ -508,6 +637,7 @@ export const salesController = {
         where: ilike(sales.bill_id, billId),
         with: {
           products: true,
+          returns: true,
         },
       });
       if (!existingSale) {
@@ -516,10 +646,36 @@ export const salesController = {
         });
       }
 
-      if (existingSale.products.length > 0) {
+      if (existingSale.returns.length > 0) {
+        return res.status(409).json({
+          message: `The sale BILL ID "${billId}" has customer returns and cannot be deleted.`,
+        });
+      }
+
+      // Reserved lines only hold reservations, which are deleted with the
+      // sale, and cancelled or returned sales have already been restocked
+      if (
+        existingSale.products.length > 0 &&
+        !saleRestockedStatuses.includes(existingSale.status)
+      ) {
         await db.transaction(async (tx) => {
+          const heldReservations = await tx
+            .select({ sale_product_id: stockReservations.sale_product_id })
+            .from(stockReservations)
+            .where(
+              and(
+                ilike(stockReservations.bill_id, existingSale.bill_id),
+                ne(stockReservations.status, "consumed")
+              )
+            );
+          const reservedProductIds = heldReservations.map(
+            (reservation) => reservation.sale_product_id
+          );
+
           for (const product of existingSale.products) {
-            await tx
+            if (reservedProductIds.includes(product.id)) continue;
+
+            const [restockedLot] = await tx
               .update(inventoryProducts)
               .set({
                 quantity: sql`${inventoryProducts.quantity} + ${product.quantity}`,
@@ -531,7 +687,19 @@ export const salesController = {
                   ilike(inventoryProducts.mr_id, product.mr_id),
                   ilike(inventoryProducts.product, product.product)
                 )
-              );
+              )
+              .returning();
+
+            await recordStockMovement(
+              {
+                source_type: "BILL",
+                source_id: existingSale.bill_id,
+                lot: restockedLot,
+                quantity: product.quantity,
+                created_by: req.user.id,
+              },
+              tx
+            );
           }
           await tx.delete(sales).where(ilike(sales.bill_id, billId));
         });
@@ -539,6 +707,10 @@ export const salesController = {
         await db.delete(sales).where(ilike(sales.bill_id, billId));
       }
 
+      await evaluateStockThresholds([existingSale.inventory]).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
       res.status(200).json({
         message: `The sale BILL ID "${billId}" has been deleted successfully`,
         sales: existingSale,
@@ -1,11 +1,26 @@
-import { eq , desc} from "drizzle-orm";
+import { eq, desc, ilike } from "drizzle-orm";
 import { z } from "zod";
 import { db } from "../database/connection.js";
 import {
+  deliveryProofPhotos,
+  deliveryProofProducts,
+  deliveryProofs,
+  insertDeliveryProofPhotoSchema,
+  insertDeliveryProofProductSchema,
+  insertDeliveryProofSchema,
+  saleProducts,
   shipmentProducts,
   updateShipmentProductSchema,
 } from "../schemas/index.js";
-import { findSaleByBillId, findShipmentBySid } from "../services/index.js";
+import {
+  attachAssets,
+  destroyDeliveryProofAssets,
+  findSaleByBillId,
+  findShipmentBySid,
+} from "../services/index.js";
+
+// Orders are handed over while their shipment is on the road
+const deliveringStatuses = ["in transit", "delayed"];
 
 export const shipmentProductsController = {
   retrieveAll: async (req, res) => {
@@ -22,6 +37,12 @@ export const shipmentProductsController = {
               id: false,
             },
           },
+          proof: {
+            with: {
+              photos: true,
+              products: true,
+            },
+          },
         },
       });
 
@@ -57,6 +78,12 @@ export const shipmentProductsController = {
               id: false,
             },
           },
+          proof: {
+            with: {
+              photos: true,
+              products: true,
+            },
+          },
         },
       });
 
@@ -159,10 +186,278 @@ export const shipmentProductsController = {
       });
     }
   },
+  createProof: async (req, res) => {
+    try {
+      const { id } = req.params;
+      await insertDeliveryProofSchema.parseAsync(req.body);
+      const {
+        outcome,
+        recipient_name,
+        signature,
+        signature_public_id,
+        latitude,
+        longitude,
+        delivered_at,
+        note,
+        photos,
+        products,
+      } = req.body;
+      for (const photo of photos || []) {
+        await insertDeliveryProofPhotoSchema.parseAsync(photo);
+      }
+      for (const product of products || []) {
+        await insertDeliveryProofProductSchema.parseAsync(product);
+      }
+
+      if (outcome !== "refused" && !signature) {
+        return res.status(400).json({
+          message: "The recipient's signature is required for a delivery.",
+        });
+      }
+
+      const isPartialDelivery = outcome === "partially delivered";
+      if (isPartialDelivery && (!Array.isArray(products) || !products.length)) {
+        return res.status(400).json({
+          message:
+            "The delivered quantities are required for a partial delivery.",
+        });
+      }
+      if (!isPartialDelivery && products) {
+        return res.status(400).json({
+          message:
+            "Delivered quantities are only recorded for partially delivered orders.",
+        });
+      }
+
+      const shipmentProduct = await db.query.shipmentProducts.findFirst({
+        where: eq(shipmentProducts.id, id),
+        with: {
+          shipment: true,
+          proof: true,
+        },
+      });
+      if (!shipmentProduct) {
+        return res.status(404).json({
+          message: `Shipment product ID ${id} was not found. Please verify the ID and try again.`,
+        });
+      }
+
+      const { shipment, bill_id } = shipmentProduct;
+      if (req.user.role === "captain" && shipment.captain_id !== req.user.id) {
+        return res.status(403).json({
+          message: `Only the captain of the shipment "${shipment.shipment_id}" can record its deliveries.`,
+        });
+      }
+      if (!deliveringStatuses.includes(shipment.status)) {
+        return res.status(409).json({
+          message: `The shipment "${shipment.shipment_id}" is ${shipment.status}. Deliveries can only be recorded while it is in transit or delayed.`,
+        });
+      }
+      if (shipmentProduct.proof) {
+        return res.status(409).json({
+          message: `The order BILL ID "${bill_id}" already has a proof of delivery.`,
+        });
+      }
+
+      // Products left out of a partial delivery were handed over in full
+      const soldProducts = await db
+        .select()
+        .from(saleProducts)
+        .where(ilike(saleProducts.bill_id, bill_id));
+      const quantityErrors = [];
+      for (const { sale_product_id, delivered_quantity } of products || []) {
+        const soldProduct = soldProducts.find(
+          (product) => product.id === sale_product_id
+        );
+        if (!soldProduct) {
+          quantityErrors.push(
+            `The sale product ID "${sale_product_id}" does not belong to the sale BILL ID "${bill_id}".`
+          );
+        } else if (delivered_quantity > soldProduct.quantity) {
+          quantityErrors.push(
+            `Only ${soldProduct.quantity} units of "${soldProduct.product}" were sold under BILL ID "${bill_id}".`
+          );
+        }
+      }
+      if (quantityErrors.length > 0) {
+        return res.status(400).json({ message: quantityErrors });
+      }
+
+      const deliveredQuantities = soldProducts.map((soldProduct) => {
+        const line = (products || []).find(
+          (product) => product.sale_product_id === soldProduct.id
+        );
+        let deliveredQuantity = soldProduct.quantity;
+        if (outcome === "refused") deliveredQuantity = 0;
+        else if (line) deliveredQuantity = line.delivered_quantity;
+
+        return {
+          sale_product_id: soldProduct.id,
+          quantity: soldProduct.quantity,
+          delivered_quantity: deliveredQuantity,
+        };
+      });
+      if (isPartialDelivery) {
+        const orderedTotal = deliveredQuantities.reduce(
+          (total, line) => total + line.quantity,
+          0
+        );
+        const deliveredTotal = deliveredQuantities.reduce(
+          (total, line) => total + line.delivered_quantity,
+          0
+        );
+        if (deliveredTotal === 0 || deliveredTotal >= orderedTotal) {
+          return res.status(400).json({
+            message: `A partial delivery hands over part of the order BILL ID "${bill_id}". Please record it as delivered or refused instead.`,
+          });
+        }
+      }
+
+      let newProof;
+      const proofPhotos = [];
+      const proofProducts = [];
+      await db.transaction(async (tx) => {
+        [newProof] = await tx
+          .insert(deliveryProofs)
+          .values({
+            shipment_product_id: shipmentProduct.id,
+            shipment_id: shipment.shipment_id,
+            bill_id,
+            outcome,
+            recipient_name,
+            signature,
+            signature_public_id,
+            latitude,
+            longitude,
+            delivered_at: delivered_at
+              ? delivered_at
+              : new Date().toISOString(),
+            note,
+            created_by: req.user.id,
+          })
+          .returning();
+
+        for (const { photo, photo_public_id } of photos || []) {
+          const [newPhoto] = await tx
+            .insert(deliveryProofPhotos)
+            .values({
+              delivery_proof_id: newProof.id,
+              photo,
+              photo_public_id,
+            })
+            .returning();
+          proofPhotos.push(newPhoto);
+        }
+
+        for (const line of deliveredQuantities) {
+          const [newProofProduct] = await tx
+            .insert(deliveryProofProducts)
+            .values({
+              delivery_proof_id: newProof.id,
+              ...line,
+            })
+            .returning();
+          proofProducts.push(newProofProduct);
+        }
+
+        await attachAssets(
+          {
+            entity: "delivery proof",
+            entity_id: newProof.id,
+            public_ids: [
+              signature_public_id,
+              ...proofPhotos.map((photo) => photo.photo_public_id),
+            ],
+            actor: req.user,
+          },
+          tx
+        );
+      });
+
+      res.status(201).json({
+        message: `The order BILL ID "${bill_id}" has been recorded as ${outcome}`,
+        proof: {
+          ...newProof,
+          photos: proofPhotos,
+          products: proofProducts,
+        },
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while recording proof of delivery",
+        error
+      );
+      if (error.name === "AssetAttachmentError") {
+        return res.status(403).json({ message: error.message });
+      }
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while recording the proof of delivery. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  deleteProof: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const proof = await db.query.deliveryProofs.findFirst({
+        where: eq(deliveryProofs.shipment_product_id, id),
+        with: {
+          shipment: true,
+          photos: true,
+        },
+      });
+      if (!proof) {
+        return res.status(404).json({
+          message: `No proof of delivery found for the shipment product ID ${id}. Please verify the ID and try again.`,
+        });
+      }
+
+      // A delivered shipment keeps the proof of every order it carried
+      if (proof.shipment.status === "delivered") {
+        return res.status(409).json({
+          message: `The shipment "${proof.shipment_id}" is delivered. Its proofs of delivery can no longer be deleted.`,
+        });
+      }
+
+      await db.delete(deliveryProofs).where(eq(deliveryProofs.id, proof.id));
+
+      await destroyDeliveryProofAssets([proof]);
+
+      res.status(200).json({
+        message: `The proof of delivery of the order BILL ID "${proof.bill_id}" has been deleted successfully`,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while deleting proof of delivery",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while deleting the proof of delivery. Please try again.",
+        error: error.message,
+      });
+    }
+  },
   deleteById: async (req, res) => {
     try {
       const { id } = req.params;
 
+      // The proof of delivery goes with the order
+      const proofs = await db.query.deliveryProofs.findMany({
+        where: eq(deliveryProofs.shipment_product_id, id),
+        with: {
+          photos: true,
+        },
+      });
+
       const [deletedRecord] = await db
         .delete(shipmentProducts)
         .where(eq(shipmentProducts.id, id))
@@ -174,6 +469,8 @@ export const shipmentProductsController = {
         });
       }
 
+      await destroyDeliveryProofAssets(proofs);
+
       res.status(200).json({
         message: "Shipment product deleted successfully",
         record: deletedRecord,
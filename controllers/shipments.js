@@ -1,19 +1,214 @@
-import { ilike, desc } from "drizzle-orm";
+import { eq, ilike, desc } from "drizzle-orm";
 import { z } from "zod";
 import { db } from "../database/connection.js";
 import {
+  deliveryProofs,
   insertShipmentProductSchema,
   insertShipmentSchema,
+  insertShipmentTransferSchema,
   shipmentProducts,
+  shipmentTransfers,
   shipments,
   updateShipmentSchema,
+  users,
+  vehicles,
 } from "../schemas/index.js";
 import {
+  applyDeliveryOutcomes,
+  calculateShipmentLoad,
+  destroyDeliveryProofAssets,
+  evaluateMaintenanceSchedules,
+  evaluateStockThresholds,
+  findExpiringDocuments,
   findSaleByBillId,
+  findSalesByShipmentId,
+  findOverlappingShipments,
   findShipmentBySid,
+  findTransferByTrfId,
+  findTransfersByShipmentId,
   findUserByIdAndRole,
   findVehicleByVin,
+  updateSalesStatus,
+  updateTransfersStatus,
 } from "../services/index.js";
+import {
+  getAllowedTransitions,
+  isValidTransition,
+  saleStatusTransitions,
+  shipmentActiveStatuses,
+  shipmentSaleStatuses,
+  shipmentStatusTransitions,
+  shipmentTransferStatuses,
+} from "../utils/index.js";
+
+const findSaleTransitionErrors = (carriedSales, saleStatus) =>
+  carriedSales
+    .filter(
+      (sale) =>
+        !isValidTransition(saleStatusTransitions, sale.status, saleStatus)
+    )
+    .map(
+      (sale) =>
+        `The sale BILL ID "${sale.bill_id}" cannot move from "${sale.status}" to "${saleStatus}".`
+    );
+
+// A shipment without a planned end holds its vehicle and captain until the
+// end of the day it starts on.
+const resolvePlannedWindow = (plannedStart, plannedEnd) => {
+  const start = new Date(plannedStart);
+  const end = new Date(plannedEnd || plannedStart);
+  if (!plannedEnd) end.setHours(23, 59, 59, 999);
+
+  return {
+    planned_start: start.toISOString(),
+    planned_end: end.toISOString(),
+  };
+};
+
+// Vehicles due for a service can not take new shipments until serviced
+const findMaintenanceBlocks = async (vehicle) => {
+  const schedules = await evaluateMaintenanceSchedules([vehicle]);
+
+  return schedules
+    .filter((schedule) => schedule.due_status !== "ok")
+    .map((schedule) => {
+      const { service_type, due_status } = schedule;
+      return `The vehicle "${vehicle.vin}" is ${due_status} for "${service_type}" and can not take new shipments until it is serviced.`;
+    });
+};
+
+// Vehicles and captains can not be assigned to a shipment that ends after one
+// of their documents expires
+const findComplianceBlocks = async ({
+  planned_end,
+  vehicle_vin,
+  captain_id,
+}) => {
+  const { vehicleDocuments, captainLicenses } = await findExpiringDocuments({
+    until: planned_end,
+    vehicle_vins: [vehicle_vin],
+    captain_ids: [captain_id],
+  });
+
+  return [
+    ...vehicleDocuments.map(
+      ({ type, expiry_date }) =>
+        `The ${type} of the vehicle "${vehicle_vin}" expires on ${expiry_date}, before the shipment ends.`
+    ),
+    ...captainLicenses.map(
+      ({ name, driving_license_expires_at }) =>
+        `The driving license of the captain "${name}" expires on ${driving_license_expires_at}, before the shipment ends.`
+    ),
+  ];
+};
+
+const findBookingConflicts = async (booking) => {
+  const overlappingShipments = await findOverlappingShipments(booking);
+
+  return overlappingShipments.flatMap((shipment) => {
+    const { shipment_id, planned_start, planned_end } = shipment;
+    const conflicts = [];
+    if (
+      shipment.vehicle_vin.toLowerCase() === booking.vehicle_vin.toLowerCase()
+    ) {
+      conflicts.push(
+        `The vehicle "${shipment.vehicle_vin}" is already booked on the shipment "${shipment_id}" from ${planned_start} to ${planned_end}.`
+      );
+    }
+    if (shipment.captain_id === booking.captain_id) {
+      conflicts.push(
+        `The captain is already booked on the shipment "${shipment_id}" from ${planned_start} to ${planned_end}.`
+      );
+    }
+    return conflicts;
+  });
+};
+
+// Looks up the sales to put on a shipment. A sale is carried by one shipment
+// only unless that shipment was cancelled, orders given twice are carried
+// once.
+const verifyShipmentOrders = async (ordersToCarry) => {
+  const orderErrors = [];
+  const verifiedSales = [];
+  for (const order of ordersToCarry) {
+    await insertShipmentProductSchema.parseAsync(order);
+    const { bill_id } = order;
+
+    const sale = await findSaleByBillId(bill_id);
+    if (!sale) {
+      orderErrors.push(
+        `Order with bill ID "${bill_id}" was not found. Please verify the BILL ID.`
+      );
+      continue;
+    }
+    if (verifiedSales.some(({ id }) => id === sale.id)) continue;
+
+    const carriers = await db.query.shipmentProducts.findMany({
+      where: ilike(shipmentProducts.bill_id, sale.bill_id),
+      with: {
+        shipment: true,
+      },
+    });
+    const carrier = carriers.find(
+      ({ shipment }) => shipment && shipment.status !== "cancelled"
+    );
+    if (carrier) {
+      orderErrors.push(
+        `Order with bill ID "${bill_id}" is already carried by the shipment "${carrier.shipment_id}". Please choose a different BILL ID for this order.`
+      );
+      continue;
+    }
+    verifiedSales.push(sale);
+  }
+
+  return { orderErrors, verifiedSales };
+};
+
+// Looks up the transfers to put on a shipment. A transfer is carried by one
+// shipment at a time unless that shipment was cancelled, and only until it
+// has been received.
+const verifyShipmentTransfers = async (transfersToCarry) => {
+  const transferErrors = [];
+  const verifiedTransfers = [];
+  for (const cargoTransfer of transfersToCarry) {
+    await insertShipmentTransferSchema.parseAsync(cargoTransfer);
+    const { trf_id } = cargoTransfer;
+
+    const transfer = await findTransferByTrfId(trf_id);
+    if (!transfer) {
+      transferErrors.push(
+        `Transfer with TRF ID "${trf_id}" was not found. Please verify the TRF ID.`
+      );
+      continue;
+    }
+    if (transfer.status === "received") {
+      transferErrors.push(
+        `Transfer with TRF ID "${trf_id}" has already been received and can no longer be shipped.`
+      );
+      continue;
+    }
+    if (verifiedTransfers.some(({ id }) => id === transfer.id)) continue;
+
+    const carriers = await db.query.shipmentTransfers.findMany({
+      where: ilike(shipmentTransfers.trf_id, trf_id),
+      with: {
+        shipment: true,
+      },
+    });
+    const carrier = carriers.find(
+      ({ shipment }) => shipment && shipment.status !== "cancelled"
+    );
+    if (carrier) {
+      transferErrors.push(
+        `Transfer with TRF ID "${trf_id}" is already carried by the shipment "${carrier.shipment_id}".`
+      );
+      continue;
+    }
+    verifiedTransfers.push(transfer);
+  }
+
+  return { transferErrors, verifiedTransfers };
+};
 
 export const shipmentsController = {
   create: async (req, res) => {
@@ -21,15 +216,20 @@ export const shipmentsController = {
       const {
         shipment_id,
         shipment_date,
+        planned_start,
+        planned_end,
         vehicle_vin,
         captain_id,
         status,
         orders,
+        transfers,
       } = req.body;
 
       await insertShipmentSchema.parseAsync({
         shipment_id,
         shipment_date,
+        planned_start,
+        planned_end,
         vehicle_vin,
         captain_id,
         status,
@@ -42,6 +242,20 @@ export const shipmentsController = {
         });
       }
 
+      const initialStatus = status || "pending";
+      if (
+        !isValidTransition(shipmentStatusTransitions, "pending", initialStatus)
+      ) {
+        return res.status(409).json({
+          message: `A new shipment cannot start with the status "${initialStatus}".`,
+          allowed: [
+            "pending",
+            ...getAllowedTransitions(shipmentStatusTransitions, "pending"),
+          ],
+        });
+      }
+      const saleStatus = shipmentSaleStatuses[initialStatus];
+
       const userHasPermission = await findUserByIdAndRole(
         captain_id,
         "captain"
@@ -60,65 +274,161 @@ export const shipmentsController = {
         });
       }
 
+      const maintenanceBlocks = await findMaintenanceBlocks(vehicleValidation);
+      if (maintenanceBlocks.length > 0) {
+        return res.status(409).json({ message: maintenanceBlocks });
+      }
+
+      const plannedWindow = resolvePlannedWindow(
+        planned_start || shipment_date || new Date(),
+        planned_end
+      );
+      if (plannedWindow.planned_end <= plannedWindow.planned_start) {
+        return res.status(400).json({
+          message: "The planned end must be after the planned start.",
+        });
+      }
+
+      if (shipmentActiveStatuses.includes(initialStatus)) {
+        const bookingConflicts = await findBookingConflicts({
+          ...plannedWindow,
+          vehicle_vin,
+          captain_id,
+        });
+        if (bookingConflicts.length > 0) {
+          return res.status(409).json({ message: bookingConflicts });
+        }
+
+        const complianceBlocks = await findComplianceBlocks({
+          ...plannedWindow,
+          vehicle_vin: vehicleValidation.vin,
+          captain_id,
+        });
+        if (complianceBlocks.length > 0) {
+          return res.status(409).json({ message: complianceBlocks });
+        }
+      }
+
       const newShipmentData = {
         shipment_id,
         shipment_date: shipment_date ? shipment_date : new Date().toISOString(),
-        vehicle_vin,
+        ...plannedWindow,
+        vehicle_vin: vehicleValidation.vin,
         captain_id,
         status,
       };
 
-      let newShipment;
       const shipmentOrders = [];
+      let carriedSales = [];
       if (Array.isArray(orders) && orders.length > 0) {
-        const orderErrors = [];
-        await Promise.all(
-          orders.map(async (order) => {
-            await insertShipmentProductSchema.parseAsync(order);
-            const orderVerification = await findSaleByBillId(order.bill_id);
-            if (!orderVerification) {
-              orderErrors.push(
-                `Order with bill ID "${order.bill_id}" was not found. Please verify the BILL ID.`
-              );
-              return null;
-            }
-            return order;
-          })
+        const { orderErrors, verifiedSales } = await verifyShipmentOrders(
+          orders
         );
         if (orderErrors.length > 0) {
           return res.status(404).json({ message: orderErrors });
         }
+        carriedSales = verifiedSales;
 
-        await db.transaction(async (tx) => {
-          [newShipment] = await tx
-            .insert(shipments)
-            .values(newShipmentData)
-            .returning();
+        const transitionErrors = saleStatus
+          ? findSaleTransitionErrors(carriedSales, saleStatus)
+          : [];
+        if (transitionErrors.length > 0) {
+          return res.status(409).json({ message: transitionErrors });
+        }
+      }
 
-          for (const order of orders) {
-            const { bill_id } = order;
-
-            const [newOrder] = await tx
-              .insert(shipmentProducts)
-              .values({
-                shipment_id: newShipmentData.shipment_id,
-                bill_id,
-              })
-              .returning();
-            shipmentOrders.push(newOrder);
-          }
+      let carriedTransfers = [];
+      if (Array.isArray(transfers) && transfers.length > 0) {
+        const { transferErrors, verifiedTransfers } =
+          await verifyShipmentTransfers(transfers);
+        if (transferErrors.length > 0) {
+          return res.status(404).json({ message: transferErrors });
+        }
+        carriedTransfers = verifiedTransfers;
+      }
+      const transferStatus = shipmentTransferStatuses[initialStatus];
+
+      // The cargo has to fit the vehicle
+      const load = await calculateShipmentLoad({
+        vehicle: vehicleValidation,
+        bill_ids: carriedSales.map((sale) => sale.bill_id),
+        trf_ids: carriedTransfers.map((transfer) => transfer.trf_id),
+      });
+      if (load.overloaded) {
+        return res.status(409).json({
+          message: `The cargo exceeds the capacity of the vehicle "${vehicle_vin}". Please choose a larger vehicle or split the shipment.`,
+          load,
         });
-      } else {
-        [newShipment] = await db
+      }
+
+      let newShipment;
+      const shipmentCargoTransfers = [];
+      let cascadedSales = [];
+      let cascadedTransfers = [];
+      await db.transaction(async (tx) => {
+        [newShipment] = await tx
           .insert(shipments)
           .values(newShipmentData)
           .returning();
-      }
+
+        for (const { bill_id } of carriedSales) {
+          const [newOrder] = await tx
+            .insert(shipmentProducts)
+            .values({
+              shipment_id: newShipmentData.shipment_id,
+              bill_id,
+            })
+            .returning();
+          shipmentOrders.push(newOrder);
+        }
+
+        for (const { trf_id } of carriedTransfers) {
+          const [newCargoTransfer] = await tx
+            .insert(shipmentTransfers)
+            .values({
+              shipment_id: newShipmentData.shipment_id,
+              trf_id,
+            })
+            .returning();
+          shipmentCargoTransfers.push(newCargoTransfer);
+        }
+
+        if (saleStatus) {
+          cascadedSales = await updateSalesStatus(
+            carriedSales,
+            saleStatus,
+            req.user.id,
+            tx
+          );
+        }
+
+        if (transferStatus) {
+          cascadedTransfers = await updateTransfersStatus(
+            carriedTransfers,
+            transferStatus,
+            req.user.id,
+            tx
+          );
+        }
+      });
+
+      // Transfers received with the delivery restock their destinations
+      await evaluateStockThresholds(
+        cascadedTransfers
+          .filter((transfer) => transfer.status === "received")
+          .map((transfer) => transfer.destination_inventory)
+      ).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
 
       res.status(201).json({
         message: `The shipment "${shipment_id}" has been created successfully`,
         shipment: newShipment,
+        load,
         orders: shipmentOrders,
+        cargoTransfers: shipmentCargoTransfers,
+        sales: cascadedSales,
+        transfers: cascadedTransfers,
       });
     } catch (error) {
       console.error("An error occurred while creating a new shipment", error);
@@ -158,6 +468,8 @@ export const shipmentsController = {
               failed_login_attempt_count: false,
               failed_login_attempt_last_at: false,
               reset_password_token: false,
+              validation_token: false,
+              two_factor_secret: false,
               reset_password_token_expired_at: false,
               created_by: false,
             },
@@ -174,6 +486,8 @@ export const shipmentsController = {
                   failed_login_attempt_count: false,
                   failed_login_attempt_last_at: false,
                   reset_password_token: false,
+                  validation_token: false,
+                  two_factor_secret: false,
                   reset_password_token_expired_at: false,
                   created_by: false,
                   created_at: false,
@@ -190,6 +504,14 @@ export const shipmentsController = {
               sale: true,
             },
           },
+          transfers: {
+            columns: {
+              shipment_id: false,
+            },
+            with: {
+              transfer: true,
+            },
+          },
         },
       });
 
@@ -206,6 +528,91 @@ export const shipmentsController = {
       });
     }
   },
+  retrieveAvailability: async (req, res) => {
+    try {
+      const { start, end } = req.query;
+
+      if (
+        !start ||
+        isNaN(Date.parse(start)) ||
+        !end ||
+        isNaN(Date.parse(end))
+      ) {
+        return res.status(400).json({
+          message: "Valid start and end query parameters are required.",
+        });
+      }
+
+      const plannedWindow = resolvePlannedWindow(start, end);
+      if (plannedWindow.planned_end <= plannedWindow.planned_start) {
+        return res.status(400).json({
+          message: "The end must be after the start.",
+        });
+      }
+
+      const bookedShipments = await findOverlappingShipments(plannedWindow);
+      const bookedVins = bookedShipments.map((shipment) =>
+        shipment.vehicle_vin.toLowerCase()
+      );
+      const bookedCaptains = bookedShipments.map(
+        (shipment) => shipment.captain_id
+      );
+
+      const allVehicles = await db.query.vehicles.findMany({
+        orderBy: [desc(vehicles.created_at)],
+      });
+      const dueVins = (await evaluateMaintenanceSchedules(allVehicles))
+        .filter((schedule) => schedule.due_status !== "ok")
+        .map((schedule) => schedule.vehicle_vin);
+      const expiringDocuments = await findExpiringDocuments({
+        until: plannedWindow.planned_end,
+      });
+      const expiringVins = expiringDocuments.vehicleDocuments.map(
+        (document) => document.vehicle_vin
+      );
+      const expiringCaptains = expiringDocuments.captainLicenses.map(
+        (captain) => captain.id
+      );
+      const allCaptains = await db.query.users.findMany({
+        where: eq(users.role, "captain"),
+        orderBy: [desc(users.created_at)],
+        columns: {
+          id: true,
+          name: true,
+          email: true,
+          phone: true,
+          avatar: true,
+          driving_license_no: true,
+        },
+      });
+
+      res.status(200).json({
+        message: "Shipment availability retrieved successfully",
+        ...plannedWindow,
+        vehicles: allVehicles.filter(
+          (vehicle) =>
+            !bookedVins.includes(vehicle.vin.toLowerCase()) &&
+            !dueVins.includes(vehicle.vin) &&
+            !expiringVins.includes(vehicle.vin)
+        ),
+        captains: allCaptains.filter(
+          (captain) =>
+            !bookedCaptains.includes(captain.id) &&
+            !expiringCaptains.includes(captain.id)
+        ),
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving shipment availability",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving shipment availability. Please try again.",
+        error: error.message,
+      });
+    }
+  },
   retrieveByShipmentId: async (req, res) => {
     try {
       const { shipmentId } = req.params;
@@ -228,6 +635,8 @@ export const shipmentsController = {
               failed_login_attempt_count: false,
               failed_login_attempt_last_at: false,
               reset_password_token: false,
+              validation_token: false,
+              two_factor_secret: false,
               reset_password_token_expired_at: false,
               created_by: false,
             },
@@ -244,6 +653,8 @@ export const shipmentsController = {
                   failed_login_attempt_count: false,
                   failed_login_attempt_last_at: false,
                   reset_password_token: false,
+                  validation_token: false,
+                  two_factor_secret: false,
                   reset_password_token_expired_at: false,
                   created_by: false,
                   created_at: false,
@@ -265,6 +676,25 @@ export const shipmentsController = {
                   customer: true,
                 },
               },
+              proof: {
+                with: {
+                  photos: true,
+                },
+              },
+            },
+          },
+          transfers: {
+            columns: {
+              shipment_id: false,
+            },
+            with: {
+              transfer: {
+                with: {
+                  source: true,
+                  destination: true,
+                  products: true,
+                },
+              },
             },
           },
         },
@@ -276,9 +706,16 @@ export const shipmentsController = {
         });
       }
 
+      const load = await calculateShipmentLoad({
+        vehicle: shipment.vehicle,
+        bill_ids: shipment.items.map((item) => item.bill_id),
+        trf_ids: shipment.transfers.map((item) => item.trf_id),
+      });
+
       res.status(200).json({
         message: "Shipment retrieved successfully",
         shipment,
+        load,
       });
     } catch (error) {
       console.error("An error occurred while retrieving the shipment", error);
@@ -295,14 +732,19 @@ export const shipmentsController = {
       const {
         shipment_id,
         shipment_date,
+        planned_start,
+        planned_end,
         vehicle_vin,
         captain_id,
         status,
         orders,
+        transfers,
       } = req.body;
       await updateShipmentSchema.parseAsync({
         shipment_id,
         shipment_date,
+        planned_start,
+        planned_end,
         vehicle_vin,
         captain_id,
         status,
@@ -323,6 +765,59 @@ export const shipmentsController = {
         status: existingShipmentStatus,
       } = existingShipment;
 
+      const nextStatus = status || existingShipmentStatus;
+      if (
+        !isValidTransition(
+          shipmentStatusTransitions,
+          existingShipmentStatus,
+          nextStatus
+        )
+      ) {
+        return res.status(409).json({
+          message: `The shipment "${shipmentId}" cannot move from "${existingShipmentStatus}" to "${nextStatus}".`,
+          allowed: getAllowedTransitions(
+            shipmentStatusTransitions,
+            existingShipmentStatus
+          ),
+        });
+      }
+      const saleStatus =
+        nextStatus !== existingShipmentStatus
+          ? shipmentSaleStatuses[nextStatus]
+          : undefined;
+
+      // Every order needs a proof of delivery before the shipment is
+      // delivered. Refused orders cancel their sale instead.
+      const isDelivering =
+        nextStatus === "delivered" && existingShipmentStatus !== "delivered";
+      let refusedBillIds = [];
+      if (isDelivering) {
+        if (Array.isArray(orders) && orders.length > 0) {
+          return res.status(409).json({
+            message: `Orders can not be added to the shipment "${shipmentId}" as it is delivered.`,
+          });
+        }
+
+        const deliveredOrders = await db.query.shipmentProducts.findMany({
+          where: ilike(shipmentProducts.shipment_id, shipmentId),
+          with: {
+            proof: true,
+          },
+        });
+        const proofErrors = deliveredOrders
+          .filter((order) => !order.proof)
+          .map(
+            (order) =>
+              `The order BILL ID "${order.bill_id}" has no proof of delivery.`
+          );
+        if (proofErrors.length > 0) {
+          return res.status(409).json({ message: proofErrors });
+        }
+        refusedBillIds = deliveredOrders
+          .filter((order) => order.proof.outcome === "refused")
+          .map((order) => order.bill_id);
+      }
+
       if (shipment_id && shipment_id !== existingShipmentSID) {
         const shipmentValidation = await findShipmentBySid(shipment_id);
         if (shipmentValidation) {
@@ -345,92 +840,243 @@ export const shipmentsController = {
         }
       }
 
-      if (vehicle_vin && vehicle_vin !== existingShipmentVIN) {
+      // The VIN is stored as registered on the vehicle, whatever its casing
+      let updatedVehicleVin = existingShipmentVIN;
+      if (
+        vehicle_vin &&
+        vehicle_vin.toLowerCase() !== existingShipmentVIN.toLowerCase()
+      ) {
         const vehicleValidation = await findVehicleByVin(vehicle_vin);
         if (!vehicleValidation) {
           return res.status(404).json({
             message: `The vehicle with the provided vehicle VIN "${vehicle_vin}" was not found. Please verify the vehicle VIN.`,
           });
         }
+        updatedVehicleVin = vehicleValidation.vin;
+
+        const maintenanceBlocks = await findMaintenanceBlocks(
+          vehicleValidation
+        );
+        if (maintenanceBlocks.length > 0) {
+          return res.status(409).json({ message: maintenanceBlocks });
+        }
+      }
+
+      const plannedWindow = resolvePlannedWindow(
+        planned_start ||
+          existingShipment.planned_start ||
+          shipment_date ||
+          existingShipmentDate,
+        planned_end || existingShipment.planned_end
+      );
+      if (plannedWindow.planned_end <= plannedWindow.planned_start) {
+        return res.status(400).json({
+          message: "The planned end must be after the planned start.",
+        });
       }
 
       const updatedData = {
         shipment_id: shipment_id || existingShipmentSID,
         shipment_date: shipment_date || existingShipmentDate,
+        ...plannedWindow,
         captain_id: captain_id || existingShipmentCID,
-        vehicle_vin: vehicle_vin || existingShipmentVIN,
-        status: status || existingShipmentStatus,
+        vehicle_vin: updatedVehicleVin,
+        status: nextStatus,
         updated_at: new Date().toISOString(),
       };
 
-      let updatedShipment;
+      const bookingChanged =
+        planned_start ||
+        planned_end ||
+        !existingShipment.planned_start ||
+        updatedData.vehicle_vin !== existingShipmentVIN ||
+        updatedData.captain_id !== existingShipmentCID;
+      if (bookingChanged && shipmentActiveStatuses.includes(nextStatus)) {
+        const bookingConflicts = await findBookingConflicts({
+          ...plannedWindow,
+          vehicle_vin: updatedData.vehicle_vin,
+          captain_id: updatedData.captain_id,
+          shipment_id: existingShipmentSID,
+        });
+        if (bookingConflicts.length > 0) {
+          return res.status(409).json({ message: bookingConflicts });
+        }
+
+        const complianceBlocks = await findComplianceBlocks({
+          ...plannedWindow,
+          vehicle_vin: updatedData.vehicle_vin,
+          captain_id: updatedData.captain_id,
+        });
+        if (complianceBlocks.length > 0) {
+          return res.status(409).json({ message: complianceBlocks });
+        }
+      }
+
       const shipmentOrders = [];
+      let addedSales = [];
+      const shipmentSales = saleStatus
+        ? await findSalesByShipmentId(shipmentId)
+        : [];
+      const carriedSales = shipmentSales.filter(
+        (sale) => !refusedBillIds.includes(sale.bill_id)
+      );
+      const refusedSales = shipmentSales.filter((sale) =>
+        refusedBillIds.includes(sale.bill_id)
+      );
       if (Array.isArray(orders) && orders.length > 0) {
-        const orderErrors = [];
-        await Promise.all(
-          orders.map(async (order) => {
-            await insertShipmentProductSchema.parseAsync(order);
-            const orderVerification = await findSaleByBillId(order.bill_id);
-            if (!orderVerification) {
-              orderErrors.push(
-                `Order with bill ID ${order.bill_id} was not found. Please verify the BILL ID.`
-              );
-              return;
-            }
-            const [billVerification] = await db
-              .select()
-              .from(shipmentProducts)
-              .where(ilike(shipmentProducts.bill_id, order.bill_id))
-              .limit(1);
-
-            if (billVerification) {
-              orderErrors.push(
-                `Order with bill ID "${order.bill_id}" already exists for the shipment "${shipmentId}". Please choose a different BILL ID for this order.`
-              );
-              return;
-            }
-          })
+        const { orderErrors, verifiedSales } = await verifyShipmentOrders(
+          orders
         );
         if (orderErrors.length > 0) {
           return res.status(404).json({ message: orderErrors });
         }
+        addedSales = verifiedSales;
+        if (saleStatus) carriedSales.push(...addedSales);
+      }
 
-        await db.transaction(async (tx) => {
-          [updatedShipment] = await tx
-            .update(shipments)
-            .set(updatedData)
-            .where(ilike(shipments.shipment_id, shipmentId))
-            .returning();
+      const transitionErrors = saleStatus
+        ? [
+            ...findSaleTransitionErrors(carriedSales, saleStatus),
+            ...findSaleTransitionErrors(refusedSales, "cancelled"),
+          ]
+        : [];
+      if (transitionErrors.length > 0) {
+        return res.status(409).json({ message: transitionErrors });
+      }
+
+      // Transfers already received at their destination have left the
+      // shipment's status behind
+      const carriedTransfers =
+        nextStatus !== existingShipmentStatus
+          ? (await findTransfersByShipmentId(shipmentId)).filter(
+              (transfer) => transfer.status !== "received"
+            )
+          : [];
+      let addedTransfers = [];
+      if (Array.isArray(transfers) && transfers.length > 0) {
+        const { transferErrors, verifiedTransfers } =
+          await verifyShipmentTransfers(transfers);
+        if (transferErrors.length > 0) {
+          return res.status(404).json({ message: transferErrors });
+        }
+        addedTransfers = verifiedTransfers;
+      }
+      // Added transfers catch up with the shipment's status
+      carriedTransfers.push(...addedTransfers);
+      const transferStatus = shipmentTransferStatuses[nextStatus];
 
-          for (const order of orders) {
-            const { bill_id } = order;
-
-            const [newOrder] = await tx
-              .insert(shipmentProducts)
-              .values({
-                shipment_id: updatedData.shipment_id,
-                bill_id,
-              })
-              .returning();
-            shipmentOrders.push(newOrder);
-          }
+      // Added cargo or another vehicle has to fit the capacity
+      const loadedSales = await findSalesByShipmentId(shipmentId);
+      const loadedTransfers = await findTransfersByShipmentId(shipmentId);
+      const load = await calculateShipmentLoad({
+        vehicle: await findVehicleByVin(updatedData.vehicle_vin),
+        bill_ids: [...loadedSales, ...addedSales].map((sale) => sale.bill_id),
+        trf_ids: [...loadedTransfers, ...addedTransfers].map(
+          (transfer) => transfer.trf_id
+        ),
+      });
+      const loadChanged =
+        addedSales.length > 0 ||
+        addedTransfers.length > 0 ||
+        updatedData.vehicle_vin !== existingShipmentVIN;
+      if (loadChanged && load.overloaded) {
+        return res.status(409).json({
+          message: `The cargo exceeds the capacity of the vehicle "${updatedData.vehicle_vin}". Please choose a larger vehicle or split the shipment.`,
+          load,
         });
-      } else {
-        [updatedShipment] = await db
+      }
+
+      let updatedShipment;
+      const shipmentCargoTransfers = [];
+      let cascadedSales = [];
+      let cascadedTransfers = [];
+      let restockedInventories = [];
+      await db.transaction(async (tx) => {
+        [updatedShipment] = await tx
           .update(shipments)
           .set(updatedData)
           .where(ilike(shipments.shipment_id, shipmentId))
           .returning();
-      }
+        if (!updatedShipment) return;
+
+        for (const { bill_id } of addedSales) {
+          const [newOrder] = await tx
+            .insert(shipmentProducts)
+            .values({
+              shipment_id: updatedData.shipment_id,
+              bill_id,
+            })
+            .returning();
+          shipmentOrders.push(newOrder);
+        }
+
+        for (const { trf_id } of addedTransfers) {
+          const [newCargoTransfer] = await tx
+            .insert(shipmentTransfers)
+            .values({
+              shipment_id: updatedData.shipment_id,
+              trf_id,
+            })
+            .returning();
+          shipmentCargoTransfers.push(newCargoTransfer);
+        }
+
+        if (saleStatus) {
+          cascadedSales = await updateSalesStatus(
+            carriedSales,
+            saleStatus,
+            req.user.id,
+            tx
+          );
+        }
+
+        if (isDelivering) {
+          const { cancelledSales, restockedLots } = await applyDeliveryOutcomes(
+            updatedShipment.shipment_id,
+            req.user.id,
+            tx
+          );
+          cascadedSales = [...cascadedSales, ...cancelledSales];
+          restockedInventories = [
+            ...cancelledSales.map((sale) => sale.inventory),
+            ...restockedLots.map((lot) => lot.inventory),
+          ];
+        }
+
+        if (transferStatus) {
+          cascadedTransfers = await updateTransfersStatus(
+            carriedTransfers,
+            transferStatus,
+            req.user.id,
+            tx
+          );
+        }
+      });
       if (!updatedShipment) {
         return res.status(409).json({
           message: `An error occurred while updating the shipment "${shipmentId}". Please try again.`,
         });
       }
 
+      // Transfers received with the delivery restock their destinations, as
+      // do the goods of orders that were not delivered in full
+      await evaluateStockThresholds([
+        ...cascadedTransfers
+          .filter((transfer) => transfer.status === "received")
+          .map((transfer) => transfer.destination_inventory),
+        ...restockedInventories,
+      ]).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
       res.status(200).json({
         message: `The Shipment "${shipmentId}" has been updated successfully`,
         shipment: updatedShipment,
+        load,
+        orders: shipmentOrders,
+        cargoTransfers: shipmentCargoTransfers,
+        sales: cascadedSales,
+        transfers: cascadedTransfers,
       });
     } catch (error) {
       console.error("An error occurred while updating shipment", error);
@@ -451,6 +1097,14 @@ export const shipmentsController = {
     try {
       const { shipmentId } = req.params;
 
+      // The proofs of delivery go with the shipment
+      const proofs = await db.query.deliveryProofs.findMany({
+        where: ilike(deliveryProofs.shipment_id, shipmentId),
+        with: {
+          photos: true,
+        },
+      });
+
       const [deletedShipment] = await db
         .delete(shipments)
         .where(ilike(shipments.shipment_id, shipmentId))
@@ -462,6 +1116,8 @@ export const shipmentsController = {
         });
       }
 
+      await destroyDeliveryProofAssets(proofs);
+
       res.status(200).json({
         message: `The shipment "${shipmentId}" has been deleted successfully`,
       });
@@ -0,0 +1,33 @@
+import { desc, isNull, isNotNull } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { stockAlerts } from "../schemas/index.js";
+
+export const stockAlertsController = {
+  retrieveAll: async (req, res) => {
+    try {
+      const { status } = req.query;
+
+      const filters = {
+        open: isNull(stockAlerts.resolved_at),
+        resolved: isNotNull(stockAlerts.resolved_at),
+      };
+
+      const allStockAlerts = await db.query.stockAlerts.findMany({
+        where: filters[status],
+        orderBy: [desc(stockAlerts.created_at)],
+      });
+
+      res.status(200).json({
+        message: "Stock alerts retrieved successfully",
+        records: allStockAlerts,
+      });
+    } catch (error) {
+      console.error("An error occurred while retrieving stock alerts", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving stock alerts. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+};
@@ -0,0 +1,523 @@
+import { and, eq, ilike, inArray, desc } from "drizzle-orm";
+import { z } from "zod";
+import { db } from "../database/connection.js";
+import {
+  insertStockCountProductSchema,
+  insertStockCountSchema,
+  inventoryProducts,
+  stockCountProducts,
+  stockCounts,
+} from "../schemas/index.js";
+import {
+  calculateReservedQuantities,
+  findInventoryByName,
+  evaluateStockThresholds,
+  findStockCountByScId,
+  inTransitInventory,
+  recordStockMovement,
+} from "../services/index.js";
+import {
+  getAllowedTransitions,
+  stockCountStatusTransitions,
+} from "../utils/index.js";
+
+// A shortage has to be explained as damage or theft, a surplus as found stock.
+const findReasonError = ({
+  inventory_product_id,
+  product,
+  variance,
+  reason,
+}) => {
+  if (variance < 0 && !["damage", "theft"].includes(reason)) {
+    return `The shortage of ${-variance} "${product}" in lot "${inventory_product_id}" requires a damage or theft reason.`;
+  }
+  if (variance > 0 && reason !== "found") {
+    return `The surplus of ${variance} "${product}" in lot "${inventory_product_id}" requires a found reason.`;
+  }
+  return null;
+};
+
+// Compares the counted quantities with the lots of the inventory.
+const buildCountLines = async (products, inventory) => {
+  const lines = [];
+  const errors = [];
+  for (const product of products) {
+    await insertStockCountProductSchema.parseAsync(product);
+    const { inventory_product_id, counted_quantity, reason } = product;
+
+    if (
+      lines.some((line) => line.inventory_product_id === inventory_product_id)
+    ) {
+      errors.push(
+        `The lot "${inventory_product_id}" is counted more than once.`
+      );
+      continue;
+    }
+
+    const [lot] = await db
+      .select()
+      .from(inventoryProducts)
+      .where(
+        and(
+          eq(inventoryProducts.id, inventory_product_id),
+          ilike(inventoryProducts.inventory, inventory)
+        )
+      )
+      .limit(1);
+    if (!lot) {
+      errors.push(
+        `The lot "${inventory_product_id}" was not found at inventory "${inventory}".`
+      );
+      continue;
+    }
+
+    const variance = counted_quantity - lot.quantity;
+    const line = {
+      inventory_product_id,
+      mr_id: lot.mr_id,
+      product: lot.product,
+      expected_quantity: lot.quantity,
+      counted_quantity,
+      variance,
+      reason: variance === 0 ? null : reason,
+    };
+
+    const reasonError = findReasonError(line);
+    if (reasonError) {
+      errors.push(reasonError);
+      continue;
+    }
+    lines.push(line);
+  }
+
+  return { lines, errors };
+};
+
+export const stockCountsController = {
+  create: async (req, res) => {
+    try {
+      const { sc_id, inventory, count_date, products } = req.body;
+
+      if (!Array.isArray(products) || products.length === 0) {
+        return res.status(400).json({ message: "Products are required" });
+      }
+
+      await insertStockCountSchema.parseAsync({
+        sc_id,
+        inventory,
+        count_date,
+      });
+
+      const existingStockCount = await findStockCountByScId(sc_id);
+      if (existingStockCount) {
+        return res.status(409).json({
+          message: `The stock count with the SC ID "${sc_id}" already exists. Please choose a different SC ID.`,
+        });
+      }
+
+      const inventoryValidation = await findInventoryByName(inventory);
+      if (!inventoryValidation) {
+        return res.status(404).json({
+          message: `The inventory "${inventory}" was not found. Please verify the inventory.`,
+        });
+      }
+
+      if (inventoryValidation.name === inTransitInventory) {
+        return res.status(400).json({
+          message: `Goods in "${inTransitInventory}" can not be counted before they are received.`,
+        });
+      }
+
+      const { lines, errors } = await buildCountLines(products, inventory);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: errors });
+      }
+
+      let newStockCount;
+      let allStockCountProducts = [];
+      await db.transaction(async (tx) => {
+        [newStockCount] = await tx
+          .insert(stockCounts)
+          .values({
+            sc_id,
+            inventory,
+            count_date: count_date ? count_date : new Date().toISOString(),
+            counted_by: req.user.id,
+          })
+          .returning();
+
+        allStockCountProducts = await tx
+          .insert(stockCountProducts)
+          .values(lines.map((line) => ({ ...line, sc_id })))
+          .returning();
+      });
+
+      res.status(201).json({
+        message: `The stock count SC ID "${sc_id}" has been created successfully`,
+        stockCount: newStockCount,
+        products: allStockCountProducts,
+      });
+    } catch (error) {
+      console.error("An error occurred while creating stock count", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while creating the stock count. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveAll: async (req, res) => {
+    try {
+      const allStockCounts = await db.query.stockCounts.findMany({
+        orderBy: [desc(stockCounts.created_at)],
+      });
+
+      res.status(200).json({
+        message: "Stock counts retrieved successfully",
+        stockCounts: allStockCounts,
+      });
+    } catch (error) {
+      console.error("An error occurred while retrieving stock counts", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving stock counts. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveByScId: async (req, res) => {
+    try {
+      const { scId } = req.params;
+      const stockCount = await db.query.stockCounts.findFirst({
+        where: ilike(stockCounts.sc_id, scId),
+        with: {
+          products: true,
+        },
+      });
+
+      if (!stockCount) {
+        return res.status(404).json({
+          message: `The stock count SC ID "${scId}" was not found. Please verify the SC ID and try again.`,
+        });
+      }
+
+      res.status(200).json({
+        message: "Stock count retrieved successfully",
+        stockCount,
+      });
+    } catch (error) {
+      console.error("An error occurred while retrieving stock count", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the stock count. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  updateByScId: async (req, res) => {
+    try {
+      const { scId } = req.params;
+      const { count_date, products } = req.body;
+
+      await insertStockCountSchema.pick({ count_date: true }).parseAsync({
+        count_date,
+      });
+
+      const existingStockCount = await findStockCountByScId(scId);
+      if (!existingStockCount) {
+        return res.status(404).json({
+          message: `The stock count SC ID "${scId}" was not found. Please verify the SC ID.`,
+        });
+      }
+
+      if (existingStockCount.status !== "pending") {
+        return res.status(409).json({
+          message: `The stock count SC ID "${scId}" is already ${existingStockCount.status} and can no longer be changed.`,
+        });
+      }
+
+      let lines = [];
+      if (Array.isArray(products) && products.length > 0) {
+        const countLines = await buildCountLines(
+          products,
+          existingStockCount.inventory
+        );
+        if (countLines.errors.length > 0) {
+          return res.status(400).json({ message: countLines.errors });
+        }
+        lines = countLines.lines;
+      }
+
+      let updatedStockCount;
+      let updatedStockCountProducts = [];
+      await db.transaction(async (tx) => {
+        [updatedStockCount] = await tx
+          .update(stockCounts)
+          .set({
+            count_date: count_date || existingStockCount.count_date,
+            counted_by: req.user.id,
+            updated_at: new Date().toISOString(),
+          })
+          .where(eq(stockCounts.id, existingStockCount.id))
+          .returning();
+
+        if (lines.length === 0) return;
+
+        // Recounted lots replace their previous count
+        await tx.delete(stockCountProducts).where(
+          and(
+            ilike(stockCountProducts.sc_id, existingStockCount.sc_id),
+            inArray(
+              stockCountProducts.inventory_product_id,
+              lines.map((line) => line.inventory_product_id)
+            )
+          )
+        );
+
+        updatedStockCountProducts = await tx
+          .insert(stockCountProducts)
+          .values(
+            lines.map((line) => ({ ...line, sc_id: existingStockCount.sc_id }))
+          )
+          .returning();
+      });
+
+      res.status(200).json({
+        message: `The stock count SC ID "${scId}" has been updated successfully.`,
+        stockCount: updatedStockCount,
+        products: updatedStockCountProducts,
+      });
+    } catch (error) {
+      console.error("An error occurred while updating stock count", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while updating the stock count. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  approveByScId: async (req, res) => {
+    try {
+      const { scId } = req.params;
+
+      const existingStockCount = await db.query.stockCounts.findFirst({
+        where: ilike(stockCounts.sc_id, scId),
+        with: {
+          products: true,
+        },
+      });
+      if (!existingStockCount) {
+        return res.status(404).json({
+          message: `The stock count SC ID "${scId}" was not found. Please verify the SC ID.`,
+        });
+      }
+
+      const allowed = getAllowedTransitions(
+        stockCountStatusTransitions,
+        existingStockCount.status
+      );
+      if (!allowed.includes("approved")) {
+        return res.status(409).json({
+          message: `The stock count SC ID "${scId}" cannot be approved while it is ${existingStockCount.status}.`,
+          allowed,
+        });
+      }
+
+      const adjustments = [];
+      const countConflicts = [];
+      const approvedStockCount = await db.transaction(async (tx) => {
+        // A lot that is gone or moved since it was counted has to be
+        // counted again
+        const lockedLots = {};
+        for (const line of existingStockCount.products) {
+          const [lot] = await tx
+            .select()
+            .from(inventoryProducts)
+            .where(eq(inventoryProducts.id, line.inventory_product_id))
+            .for("update");
+
+          if (!lot) {
+            countConflicts.push(
+              `The lot "${line.inventory_product_id}" of "${line.product}" (MR ID "${line.mr_id}") no longer exists.`
+            );
+            continue;
+          }
+          if (lot.quantity !== line.expected_quantity) {
+            countConflicts.push(
+              `The lot "${lot.id}" of "${lot.product}" holds ${lot.quantity} units instead of the ${line.expected_quantity} expected when it was counted. Please count it again.`
+            );
+            continue;
+          }
+          lockedLots[lot.id] = lot;
+        }
+
+        // Reservations of pending sales can not be left without stock
+        const reservedQuantities = await calculateReservedQuantities(tx);
+        for (const line of existingStockCount.products) {
+          const lot = lockedLots[line.inventory_product_id];
+          const reserved = lot ? reservedQuantities[lot.id] || 0 : 0;
+          if (line.counted_quantity < reserved) {
+            countConflicts.push(
+              `The lot "${lot.id}" of "${lot.product}" would hold ${line.counted_quantity} units while ${reserved} are reserved by pending sales. Please release the reservations first.`
+            );
+          }
+        }
+        if (countConflicts.length > 0) return null;
+
+        // Post the variances of the count as stock adjustments
+        for (const line of existingStockCount.products) {
+          const lot = lockedLots[line.inventory_product_id];
+          const variance = line.counted_quantity - lot.quantity;
+          if (variance === 0) continue;
+
+          const [adjustedLot] = await tx
+            .update(inventoryProducts)
+            .set({
+              quantity: line.counted_quantity,
+              updated_at: new Date().toISOString(),
+            })
+            .where(eq(inventoryProducts.id, lot.id))
+            .returning();
+
+          const adjustment = await recordStockMovement(
+            {
+              source_type: "ADJ",
+              source_id: existingStockCount.sc_id,
+              lot: adjustedLot,
+              quantity: variance,
+              reason: line.reason,
+              created_by: req.user.id,
+            },
+            tx
+          );
+          adjustments.push(adjustment);
+        }
+
+        const [approvedStockCount] = await tx
+          .update(stockCounts)
+          .set({
+            status: "approved",
+            approved_by: req.user.id,
+            approved_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+          })
+          .where(eq(stockCounts.id, existingStockCount.id))
+          .returning();
+
+        return approvedStockCount;
+      });
+      if (countConflicts.length > 0) {
+        return res.status(409).json({ message: countConflicts });
+      }
+
+      await evaluateStockThresholds([existingStockCount.inventory]).catch(
+        (error) => console.error("Failed to evaluate stock thresholds", error)
+      );
+
+      res.status(200).json({
+        message: `The stock count SC ID "${scId}" has been approved and its adjustments posted successfully.`,
+        stockCount: approvedStockCount,
+        adjustments,
+      });
+    } catch (error) {
+      console.error("An error occurred while approving stock count", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while approving the stock count. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  rejectByScId: async (req, res) => {
+    try {
+      const { scId } = req.params;
+
+      const existingStockCount = await findStockCountByScId(scId);
+      if (!existingStockCount) {
+        return res.status(404).json({
+          message: `The stock count SC ID "${scId}" was not found. Please verify the SC ID.`,
+        });
+      }
+
+      const allowed = getAllowedTransitions(
+        stockCountStatusTransitions,
+        existingStockCount.status
+      );
+      if (!allowed.includes("rejected")) {
+        return res.status(409).json({
+          message: `The stock count SC ID "${scId}" cannot be rejected while it is ${existingStockCount.status}.`,
+          allowed,
+        });
+      }
+
+      const [rejectedStockCount] = await db
+        .update(stockCounts)
+        .set({
+          status: "rejected",
+          approved_by: req.user.id,
+          approved_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .where(eq(stockCounts.id, existingStockCount.id))
+        .returning();
+
+      res.status(200).json({
+        message: `The stock count SC ID "${scId}" has been rejected.`,
+        stockCount: rejectedStockCount,
+      });
+    } catch (error) {
+      console.error("An error occurred while rejecting stock count", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while rejecting the stock count. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  deleteByScId: async (req, res) => {
+    try {
+      const { scId } = req.params;
+
+      const existingStockCount = await findStockCountByScId(scId);
+      if (!existingStockCount) {
+        return res.status(404).json({
+          message: `The stock count SC ID "${scId}" was not found. Please verify the SC ID.`,
+        });
+      }
+
+      // Approved counts are the adjustment documents behind ledger entries
+      if (existingStockCount.status === "approved") {
+        return res.status(409).json({
+          message: `The stock count SC ID "${scId}" has been approved and cannot be deleted.`,
+        });
+      }
+
+      await db
+        .delete(stockCounts)
+        .where(eq(stockCounts.id, existingStockCount.id));
+
+      res.status(200).json({
+        message: `The stock count SC ID "${scId}" has been deleted successfully`,
+      });
+    } catch (error) {
+      console.error("An error occurred while deleting stock count", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while deleting the stock count. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+};
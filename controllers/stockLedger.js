@@ -0,0 +1,64 @@
+import { and, eq, gte, ilike, lte, desc } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { stockLedger } from "../schemas/index.js";
+import { stockLedgerSourcesEnum } from "../utils/index.js";
+
+export const stockLedgerController = {
+  retrieveAll: async (req, res) => {
+    try {
+      const { inventory, product, mr_id, source_type, source_id, from, to } =
+        req.query;
+
+      if (source_type && !stockLedgerSourcesEnum.includes(source_type)) {
+        return res.status(400).json({
+          message: `The source type "${source_type}" is invalid. Allowed source types are ${stockLedgerSourcesEnum.join(
+            ", "
+          )}.`,
+        });
+      }
+
+      if ([from, to].some((date) => date && isNaN(Date.parse(date)))) {
+        return res.status(400).json({
+          message: "The from and to filters must be valid dates.",
+        });
+      }
+
+      const filters = [
+        inventory && ilike(stockLedger.inventory, inventory),
+        product && ilike(stockLedger.product, product),
+        mr_id && ilike(stockLedger.mr_id, mr_id),
+        source_type && eq(stockLedger.source_type, source_type),
+        source_id && ilike(stockLedger.source_id, source_id),
+        from && gte(stockLedger.created_at, new Date(from).toISOString()),
+        to && lte(stockLedger.created_at, new Date(to).toISOString()),
+      ].filter(Boolean);
+
+      const entries = await db.query.stockLedger.findMany({
+        where: and(...filters),
+        orderBy: [desc(stockLedger.created_at)],
+        with: {
+          creator: {
+            columns: {
+              id: true,
+              name: true,
+              email: true,
+              role: true,
+            },
+          },
+        },
+      });
+
+      res.status(200).json({
+        message: "Stock ledger retrieved successfully",
+        records: entries,
+      });
+    } catch (error) {
+      console.error("An error occurred while retrieving stock ledger", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the stock ledger. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+};
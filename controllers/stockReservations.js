@@ -0,0 +1,76 @@
+import { eq, desc } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { stockReservations } from "../schemas/index.js";
+
+export const stockReservationsController = {
+  retrieveAll: async (req, res) => {
+    try {
+      const allStockReservations = await db.query.stockReservations.findMany({
+        orderBy: [desc(stockReservations.created_at)],
+        with: {
+          inventoryProduct: {
+            columns: {
+              mr_id: true,
+              inventory: true,
+              product: true,
+            },
+          },
+        },
+      });
+
+      res.status(200).json({
+        message: "Stock reservations retrieved successfully",
+        records: allStockReservations,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving stock reservations",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving stock reservations. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveById: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const stockReservation = await db.query.stockReservations.findFirst({
+        where: eq(stockReservations.id, id),
+        with: {
+          inventoryProduct: {
+            columns: {
+              mr_id: true,
+              inventory: true,
+              product: true,
+            },
+          },
+          saleProduct: true,
+        },
+      });
+
+      if (!stockReservation) {
+        return res.status(404).json({
+          message: `The stock reservation ID ${id} was not found. Please verify the ID and try again.`,
+        });
+      }
+
+      res.status(200).json({
+        message: "Stock reservation retrieved successfully",
+        record: stockReservation,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving stock reservation",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the stock reservation. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+};
@@ -0,0 +1,278 @@
+import { and, eq, ilike, desc } from "drizzle-orm";
+import { z } from "zod";
+import { db } from "../database/connection.js";
+import {
+  insertStockThresholdSchema,
+  stockThresholds,
+  updateStockThresholdSchema,
+} from "../schemas/index.js";
+import {
+  evaluateStockThresholds,
+  findInventoryByName,
+  findProductByName,
+  findStockLevels,
+} from "../services/index.js";
+
+const findThresholdRangeError = ({
+  min_quantity,
+  reorder_point,
+  max_quantity,
+}) => {
+  if (min_quantity > reorder_point || reorder_point > max_quantity) {
+    return "The reorder point must be between the minimum and maximum quantity.";
+  }
+  return null;
+};
+
+export const stockThresholdsController = {
+  create: async (req, res) => {
+    try {
+      await insertStockThresholdSchema.parseAsync(req.body);
+      const {
+        inventory,
+        product,
+        min_quantity = 0,
+        max_quantity,
+        reorder_point,
+      } = req.body;
+
+      const rangeError = findThresholdRangeError({
+        min_quantity,
+        reorder_point,
+        max_quantity,
+      });
+      if (rangeError) {
+        return res.status(400).json({ message: rangeError });
+      }
+
+      const inventoryValidation = await findInventoryByName(inventory);
+      if (!inventoryValidation) {
+        return res.status(404).json({
+          message: `The inventory "${inventory}" was not found. Please verify the inventory.`,
+        });
+      }
+
+      const productValidation = await findProductByName(product);
+      if (!productValidation) {
+        return res.status(404).json({
+          message: `The product "${product}" was not found. Please verify the product.`,
+        });
+      }
+
+      const [existingThreshold] = await db
+        .select()
+        .from(stockThresholds)
+        .where(
+          and(
+            ilike(stockThresholds.inventory, inventory),
+            ilike(stockThresholds.product, product)
+          )
+        )
+        .limit(1);
+      if (existingThreshold) {
+        return res.status(409).json({
+          message: `The product "${product}" already has stock thresholds at inventory "${inventory}".`,
+        });
+      }
+
+      const [newThreshold] = await db
+        .insert(stockThresholds)
+        .values({
+          inventory: inventoryValidation.name,
+          product: productValidation.name,
+          min_quantity,
+          max_quantity,
+          reorder_point,
+        })
+        .returning();
+
+      await evaluateStockThresholds([newThreshold.inventory]).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
+      res.status(201).json({
+        message: `The stock thresholds of "${product}" at inventory "${inventory}" have been created successfully`,
+        threshold: newThreshold,
+      });
+    } catch (error) {
+      console.error("An error occurred while creating stock threshold", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while creating the stock threshold. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveAll: async (req, res) => {
+    try {
+      const allThresholds = await db.query.stockThresholds.findMany({
+        orderBy: [desc(stockThresholds.created_at)],
+      });
+
+      res.status(200).json({
+        message: "Stock thresholds retrieved successfully",
+        thresholds: allThresholds,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving stock thresholds",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving stock thresholds. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveBelowThreshold: async (req, res) => {
+    try {
+      const stockLevels = await findStockLevels();
+
+      // Suggest ordering back up to the maximum quantity
+      const belowThreshold = stockLevels
+        .filter((level) => level.quantity < level.reorder_point)
+        .map((level) => ({
+          ...level,
+          below_minimum: level.quantity < level.min_quantity,
+          reorder_quantity: level.max_quantity - level.quantity,
+        }));
+
+      res.status(200).json({
+        message: "Products below their reorder point retrieved successfully",
+        records: belowThreshold,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving products below threshold",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving products below threshold. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveById: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const threshold = await db.query.stockThresholds.findFirst({
+        where: eq(stockThresholds.id, id),
+      });
+
+      if (!threshold) {
+        return res.status(404).json({
+          message: `The stock threshold ID ${id} was not found. Please verify the ID and try again.`,
+        });
+      }
+
+      res.status(200).json({
+        message: "Stock threshold retrieved successfully",
+        threshold,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving stock threshold",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the stock threshold. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  updateById: async (req, res) => {
+    try {
+      const { id } = req.params;
+      await updateStockThresholdSchema.parseAsync(req.body);
+      const { min_quantity, max_quantity, reorder_point } = req.body;
+
+      const [existingThreshold] = await db
+        .select()
+        .from(stockThresholds)
+        .where(eq(stockThresholds.id, id))
+        .limit(1);
+      if (!existingThreshold) {
+        return res.status(404).json({
+          message: `The stock threshold ID "${id}" was not found. Please verify the ID.`,
+        });
+      }
+
+      const updatedData = {
+        min_quantity: min_quantity ?? existingThreshold.min_quantity,
+        max_quantity: max_quantity ?? existingThreshold.max_quantity,
+        reorder_point: reorder_point ?? existingThreshold.reorder_point,
+      };
+
+      const rangeError = findThresholdRangeError(updatedData);
+      if (rangeError) {
+        return res.status(400).json({ message: rangeError });
+      }
+
+      const [updatedThreshold] = await db
+        .update(stockThresholds)
+        .set({
+          ...updatedData,
+          updated_at: new Date().toISOString(),
+        })
+        .where(eq(stockThresholds.id, id))
+        .returning();
+
+      await evaluateStockThresholds([updatedThreshold.inventory]).catch(
+        (error) => console.error("Failed to evaluate stock thresholds", error)
+      );
+
+      res.status(200).json({
+        message: `The stock threshold ID "${id}" has been updated successfully.`,
+        threshold: updatedThreshold,
+      });
+    } catch (error) {
+      console.error("An error occurred while updating stock threshold", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while updating the stock threshold. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  deleteById: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const [deletedThreshold] = await db
+        .delete(stockThresholds)
+        .where(eq(stockThresholds.id, id))
+        .returning();
+      if (!deletedThreshold) {
+        return res.status(404).json({
+          message: `The stock threshold ID "${id}" was not found. Please verify the ID.`,
+        });
+      }
+
+      res.status(200).json({
+        message: `The stock threshold ID "${id}" has been deleted successfully`,
+      });
+    } catch (error) {
+      console.error("An error occurred while deleting stock threshold", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while deleting the stock threshold. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+};
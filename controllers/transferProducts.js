@@ -1,13 +1,19 @@
-import { and, eq, gte, ilike, sql, desc } from "drizzle-orm";
+import { eq, desc } from "drizzle-orm";
 import { z } from "zod";
 import { db } from "../database/connection.js";
 import {
   transfers,
   transferProducts,
-  inventoryProducts,
   updateTransferProductSchema,
 } from "../schemas/index.js";
-import { findTransferByTrfId } from "../services/index.js";
+import {
+  allocateInventoryProducts,
+  evaluateStockThresholds,
+  ensureInTransitInventory,
+  findTransferByTrfId,
+  inTransitInventory,
+  moveTransferStock,
+} from "../services/index.js";
 
 export const transferProductsController = {
   retrieveAll: async (req, res) => {
@@ -94,10 +100,6 @@ export const transferProductsController = {
         quantity: existingTransferProductQuantity,
       } = existingTransferProduct;
 
-      const qtyDifference = Math.abs(
-        existingTransferProductQuantity - (newQuantity || 0)
-      );
-
       const existingTransfer = await findTransferByTrfId(
         existingTransferProductTrfId
       );
@@ -107,73 +109,68 @@ export const transferProductsController = {
         });
       }
 
-      const {
-        source_inventory: existingTransferSourceInventory,
-        destination_inventory: existingTransferDestinationInventory,
-      } = existingTransfer;
-
-      const [productQuery] = await db
-        .select()
-        .from(inventoryProducts)
-        .where(
-          and(
-            ilike(inventoryProducts.inventory, existingTransferSourceInventory),
-            ilike(inventoryProducts.product, existingTransferProductName),
-            ilike(inventoryProducts.mr_id, existingTransferProductMrId),
-            gte(inventoryProducts.quantity, qtyDifference)
-          )
-        )
-        .limit(1);
-
-      if (!productQuery) {
-        return res.status(404).json({
-          message: `The source inventory "${existingTransferSourceInventory}" does not have enough "${existingTransferProductName}" to fulfill the transfer product with ID "${id}". Please verify the inventory and try again.`,
+      if (existingTransfer.status !== "dispatched") {
+        return res.status(409).json({
+          message: `The transfer ID "${existingTransferProductTrfId}" is ${existingTransfer.status}. Its products can no longer be changed.`,
         });
       }
+
+      const { source_inventory: existingTransferSourceInventory } =
+        existingTransfer;
+
       let altQty;
       if (newQuantity === undefined) {
         altQty = newQuantity || existingTransferProductQuantity;
       } else {
         altQty = newQuantity;
       }
+      const qtyDifference = altQty - existingTransferProductQuantity;
 
       let updatedRecord;
       await db.transaction(async (tx) => {
-        await tx
-          .update(inventoryProducts)
-          .set({
-            quantity: sql`(${inventoryProducts.quantity} + ${existingTransferProductQuantity}) - ${altQty}`,
-            updated_at: new Date().toISOString(),
-          })
-          .where(
-            and(
-              ilike(
-                inventoryProducts.inventory,
-                existingTransferSourceInventory
-              ),
-              ilike(inventoryProducts.product, existingTransferProductName),
-              ilike(inventoryProducts.mr_id, existingTransferProductMrId)
-            )
-          )
-          .returning();
+        const transitInventory = await ensureInTransitInventory(tx);
 
-        await tx
-          .update(inventoryProducts)
-          .set({
-            quantity: sql`(${inventoryProducts.quantity} - ${existingTransferProductQuantity}) + ${altQty}`,
-            updated_at: new Date().toISOString(),
-          })
-          .where(
-            and(
-              ilike(
-                inventoryProducts.inventory,
-                existingTransferDestinationInventory
-              ),
-              ilike(inventoryProducts.product, existingTransferProductName),
-              ilike(inventoryProducts.mr_id, existingTransferProductMrId)
-            )
-          )
-          .returning();
+        if (qtyDifference > 0) {
+          // Only the available quantity of the source lot can be dispatched
+          const allocations = await allocateInventoryProducts(
+            {
+              inventory: existingTransferSourceInventory,
+              product: existingTransferProductName,
+              quantity: qtyDifference,
+              mr_id: existingTransferProductMrId,
+            },
+            tx
+          );
+
+          for (const { lot, quantity: lotQuantity } of allocations) {
+            await moveTransferStock(
+              {
+                trf_id: existingTransferProductTrfId,
+                from: existingTransferSourceInventory,
+                from_lot_id: lot.id,
+                to: transitInventory,
+                mr_id: existingTransferProductMrId,
+                product: existingTransferProductName,
+                quantity: lotQuantity,
+                created_by: req.user.id,
+              },
+              tx
+            );
+          }
+        } else {
+          await moveTransferStock(
+            {
+              trf_id: existingTransferProductTrfId,
+              from: transitInventory,
+              to: existingTransferSourceInventory,
+              mr_id: existingTransferProductMrId,
+              product: existingTransferProductName,
+              quantity: -qtyDifference,
+              created_by: req.user.id,
+            },
+            tx
+          );
+        }
 
         [updatedRecord] = await tx
           .update(transferProducts)
@@ -184,12 +181,22 @@ export const transferProductsController = {
           .where(eq(transferProducts.id, id))
           .returning();
       });
+      await evaluateStockThresholds([existingTransferSourceInventory]).catch(
+        (error) => console.error("Failed to evaluate stock thresholds", error)
+      );
+
       res.status(200).json({
         message: "Transfer product updated successfully",
         record: updatedRecord,
       });
     } catch (error) {
       console.error("An error occurred while updating transfer product", error);
+      if (error.name === "StockShortageError") {
+        return res.status(409).json({
+          message: error.message,
+          shortage: error.shortage,
+        });
+      }
       res.status(500).json({
         message:
           "An unexpected error occurred while updating the transfer product. Please try again.",
@@ -201,78 +208,53 @@ export const transferProductsController = {
     try {
       const { id } = req.params;
 
-      let deletedRecord;
-      await db.transaction(async (tx) => {
-        [deletedRecord] = await tx
-          .delete(transferProducts)
-          .where(eq(transferProducts.id, id))
-          .returning();
-        if (!deletedRecord) {
-          tx.rollback();
-        }
-        const {
-          trf_id: deletedTrfId,
-          mr_id: deletedMrId,
-          product: deletedProduct,
-          quantity: deletedQuantity,
-        } = deletedRecord;
+      const [existingTransferProduct] = await db
+        .select()
+        .from(transferProducts)
+        .where(eq(transferProducts.id, id))
+        .limit(1);
+      if (!existingTransferProduct) {
+        return res.status(404).json({
+          message: `The transfer product ID ${id} was not found. Please verify the ID and try again.`,
+        });
+      }
 
-        const existingTransfer = await findTransferByTrfId(deletedTrfId, tx);
-        if (!existingTransfer) {
-          tx.rollback();
-        }
-        const {
-          source_inventory: existingTransferSourceInventory,
-          destination_inventory: existingTransferDestinationInventory,
-        } = existingTransfer;
+      const {
+        trf_id: existingTrfId,
+        mr_id: existingMrId,
+        product: existingProduct,
+        quantity: existingQuantity,
+      } = existingTransferProduct;
 
-        const [DestinationInventoryProduct] = await tx
-          .select()
-          .from(inventoryProducts)
-          .where(
-            and(
-              ilike(
-                inventoryProducts.inventory,
-                existingTransferDestinationInventory
-              ),
-              ilike(inventoryProducts.product, deletedProduct),
-              ilike(inventoryProducts.mr_id, deletedMrId)
-            )
-          )
-          .limit(1);
-        const { quantity: availableQuantity } = DestinationInventoryProduct;
+      const existingTransfer = await findTransferByTrfId(existingTrfId);
+      if (existingTransfer.status !== "dispatched") {
+        return res.status(409).json({
+          message: `The transfer ID "${existingTrfId}" is ${existingTransfer.status}. Its products can no longer be deleted.`,
+        });
+      }
 
-        await tx
-          .update(inventoryProducts)
-          .set({
-            quantity: sql`${inventoryProducts.quantity} + ${availableQuantity}`,
-            updated_at: new Date().toISOString(),
-          })
-          .where(
-            and(
-              ilike(
-                inventoryProducts.inventory,
-                existingTransferSourceInventory
-              ),
-              ilike(inventoryProducts.product, deletedProduct),
-              ilike(inventoryProducts.mr_id, deletedMrId)
-            )
-          );
+      // Goods of the line go back from transit to the source inventory
+      await db.transaction(async (tx) => {
+        await tx.delete(transferProducts).where(eq(transferProducts.id, id));
 
-        await tx
-          .delete(inventoryProducts)
-          .where(
-            and(
-              ilike(
-                inventoryProducts.inventory,
-                existingTransferDestinationInventory
-              ),
-              ilike(inventoryProducts.product, deletedProduct),
-              ilike(inventoryProducts.mr_id, deletedMrId)
-            )
-          );
+        await moveTransferStock(
+          {
+            trf_id: existingTrfId,
+            from: inTransitInventory,
+            to: existingTransfer.source_inventory,
+            mr_id: existingMrId,
+            product: existingProduct,
+            quantity: existingQuantity,
+            created_by: req.user.id,
+          },
+          tx
+        );
       });
 
+      await evaluateStockThresholds([existingTransfer.source_inventory]).catch(
+        (error) => console.error("Failed to evaluate stock thresholds", error)
+      );
+
       res.status(200).json({
         message: "Transfer product deleted successfully",
       });
@@ -1,15 +1,30 @@
-import { and, eq, gte, ilike, sql , desc} from "drizzle-orm";
+import { eq, ilike, desc } from "drizzle-orm";
 import { z } from "zod";
 import { db } from "../database/connection.js";
 import {
   insertTransferProductSchema,
   insertTransferSchema,
-  inventoryProducts,
+  receiveTransferProductSchema,
+  transferDiscrepancies,
   transferProducts,
   transfers,
   updateTransferSchema,
 } from "../schemas/index.js";
-import { findInventoryByName, findTransferByTrfId } from "../services/index.js";
+import {
+  activeEmpTracker,
+  allocateInventoryProducts,
+  ensureInTransitInventory,
+  findInventoryByName,
+  evaluateStockThresholds,
+  findTransferByTrfId,
+  inTransitInventory,
+  moveTransferStock,
+  receiveTransfer,
+} from "../services/index.js";
+import {
+  getAllowedTransitions,
+  transferStatusTransitions,
+} from "../utils/index.js";
 
 export const transfersController = {
   create: async (req, res) => {
@@ -56,9 +71,27 @@ export const transfersController = {
         });
       }
 
+      if (
+        [verifySourceInventory.name, verifyDestinationInventory.name].includes(
+          inTransitInventory
+        )
+      ) {
+        return res.status(400).json({
+          message: `Goods can not be transferred from or to the "${inTransitInventory}" inventory.`,
+        });
+      }
+
+      if (verifySourceInventory.name === verifyDestinationInventory.name) {
+        return res.status(400).json({
+          message: "The source and destination inventories must be different.",
+        });
+      }
+
       let newTransfer;
       let allTransferProducts = [];
       await db.transaction(async (tx) => {
+        const transitInventory = await ensureInTransitInventory(tx);
+
         [newTransfer] = await tx
           .insert(transfers)
           .values({
@@ -68,6 +101,8 @@ export const transfersController = {
               : new Date().toISOString(),
             source_inventory,
             destination_inventory,
+            status: "dispatched",
+            dispatched_by: req.user.id,
           })
           .returning();
 
@@ -75,85 +110,54 @@ export const transfersController = {
           await insertTransferProductSchema.parseAsync(product);
           const { mr_id, product: productName, quantity } = product;
 
-          const [sourceInventoryProductQuery] = await tx
-            .select()
-            .from(inventoryProducts)
-            .where(
-              and(
-                ilike(inventoryProducts.inventory, source_inventory),
-                ilike(inventoryProducts.mr_id, mr_id),
-                ilike(inventoryProducts.product, productName),
-                gte(inventoryProducts.quantity, quantity)
-              )
-            )
-            .limit(1);
-
-          if (!sourceInventoryProductQuery) {
-            throw new Error(
-              `Product "${productName}" (${quantity} units) for MR "${mr_id}" not found in inventory "${source_inventory}". Please check inventory products.`
+          // Without an MR ID the line is split across the source lots
+          const allocations = await allocateInventoryProducts(
+            {
+              inventory: source_inventory,
+              product: productName,
+              quantity,
+              mr_id,
+            },
+            tx
+          );
+
+          // Dispatched goods are held in transit until they are received
+          for (const { lot, quantity: lotQuantity } of allocations) {
+            await moveTransferStock(
+              {
+                trf_id,
+                from: source_inventory,
+                from_lot_id: lot.id,
+                to: transitInventory,
+                mr_id: lot.mr_id,
+                product: productName,
+                quantity: lotQuantity,
+                expiry_date: lot.expiry_date,
+                created_by: req.user.id,
+              },
+              tx
             );
-            tx.rollback();
-          }
 
-          const [destinationInventoryProductQuery] = await tx
-            .select()
-            .from(inventoryProducts)
-            .where(
-              and(
-                ilike(inventoryProducts.inventory, destination_inventory),
-                ilike(inventoryProducts.mr_id, mr_id),
-                ilike(inventoryProducts.product, productName)
-              )
-            )
-            .limit(1);
-
-          await tx
-            .update(inventoryProducts)
-            .set({
-              quantity: sql`${inventoryProducts.quantity} - ${quantity}`,
-              updated_at: new Date().toISOString(),
-            })
-            .where(eq(inventoryProducts.id, sourceInventoryProductQuery.id))
-            .returning();
-
-          if (destinationInventoryProductQuery) {
-            await tx
-              .update(inventoryProducts)
-              .set({
-                quantity: sql`${inventoryProducts.quantity} + ${quantity}`,
-                updated_at: new Date().toISOString(),
-              })
-              .where(
-                eq(inventoryProducts.id, destinationInventoryProductQuery.id)
-              )
-              .returning();
-          } else {
-            await tx
-              .insert(inventoryProducts)
+            const [newTransferProduct] = await tx
+              .insert(transferProducts)
               .values({
-                mr_id,
-                inventory: destination_inventory,
+                trf_id,
+                mr_id: lot.mr_id,
                 product: productName,
-                quantity,
+                quantity: lotQuantity,
               })
               .returning();
+            allTransferProducts.push(newTransferProduct);
           }
-
-          const [newTransferProduct] = await tx
-            .insert(transferProducts)
-            .values({
-              trf_id,
-              mr_id,
-              product: productName,
-              quantity,
-            })
-            .returning();
-          allTransferProducts.push(newTransferProduct);
         }
       });
 
+      await evaluateStockThresholds([source_inventory]).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
       res.status(201).json({
-        message: "Transfer created successfully",
+        message: "Transfer dispatched successfully",
         transfer: newTransfer,
         transferProducts: allTransferProducts,
       });
@@ -162,6 +166,12 @@ export const transfersController = {
         "An error occurred while creating transfer product between inventories",
         error
       );
+      if (error.name === "StockShortageError") {
+        return res.status(409).json({
+          message: error.message,
+          shortage: error.shortage,
+        });
+      }
 
       if (error instanceof z.ZodError) {
         return res.status(400).json({
@@ -204,6 +214,31 @@ export const transfersController = {
       });
     }
   },
+  retrieveDiscrepancies: async (req, res) => {
+    try {
+      const allDiscrepancies = await db.query.transferDiscrepancies.findMany({
+        orderBy: [desc(transferDiscrepancies.created_at)],
+        with: {
+          transfer: true,
+        },
+      });
+
+      res.status(200).json({
+        message: "Transfer discrepancies retrieved successfully",
+        discrepancies: allDiscrepancies,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving transfer discrepancies",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving transfer discrepancies. Please try again.",
+        error: error.message,
+      });
+    }
+  },
   retrieveByTrfId: async (req, res) => {
     try {
       const { trfId } = req.params;
@@ -212,6 +247,8 @@ export const transfersController = {
         orderBy: [desc(transfers.created_at)],
         with: {
           products: true,
+          discrepancies: true,
+          shipments: true,
           source: false,
           destination: false,
         },
@@ -260,6 +297,13 @@ export const transfersController = {
         destination_inventory: existingDestinationInventory,
       } = existingTransfer;
 
+      const hasProducts = Array.isArray(products) && products.length > 0;
+      if (hasProducts && existingTransfer.status !== "dispatched") {
+        return res.status(409).json({
+          message: `The transfer "${trfId}" is ${existingTransfer.status}. Products can only be added before it leaves the source inventory.`,
+        });
+      }
+
       if (trf_id && trf_id !== trfId) {
         const existingTransfer = await findTransferByTrfId(trf_id);
         if (existingTransfer) {
@@ -280,8 +324,10 @@ export const transfersController = {
       let updatedTransfer;
       const newlyTransferProducts = [];
 
-      if (Array.isArray(products) && products.length > 0) {
+      if (hasProducts) {
         updatedTransfer = await db.transaction(async (tx) => {
+          const transitInventory = await ensureInTransitInventory(tx);
+
           const [updatedTransfer] = await tx
             .update(transfers)
             .set(updateData)
@@ -292,86 +338,44 @@ export const transfersController = {
             await insertTransferProductSchema.parseAsync(product);
             const { mr_id, product: productName, quantity } = product;
 
-            const [sourceInventoryProductQuery] = await tx
-              .select()
-              .from(inventoryProducts)
-              .where(
-                and(
-                  ilike(
-                    inventoryProducts.inventory,
-                    updatedTransfer.source_inventory
-                  ),
-                  ilike(inventoryProducts.mr_id, mr_id),
-                  ilike(inventoryProducts.product, productName),
-                  gte(inventoryProducts.quantity, quantity)
-                )
-              )
-              .limit(1);
-
-            if (!sourceInventoryProductQuery) {
-              throw new Error(
-                `Product "${productName}" (${quantity} units) for MR "${mr_id}" not found in inventory "${source_inventory}". Please check inventory products.`
-              );
-              tx.rollback();
-            }
+            // Without an MR ID the line is split across the source lots
+            const allocations = await allocateInventoryProducts(
+              {
+                inventory: updatedTransfer.source_inventory,
+                product: productName,
+                quantity,
+                mr_id,
+              },
+              tx
+            );
 
-            const [destinationInventoryProductQuery] = await tx
-              .select()
-              .from(inventoryProducts)
-              .where(
-                and(
-                  ilike(
-                    inventoryProducts.inventory,
-                    updatedTransfer.destination_inventory
-                  ),
-                  ilike(inventoryProducts.mr_id, mr_id),
-                  ilike(inventoryProducts.product, productName)
-                )
-              )
-              .limit(1);
-
-            await tx
-              .update(inventoryProducts)
-              .set({
-                quantity: sql`${inventoryProducts.quantity} - ${quantity}`,
-                updated_at: new Date().toISOString(),
-              })
-              .where(eq(inventoryProducts.id, sourceInventoryProductQuery.id))
-              .returning();
+            for (const { lot, quantity: lotQuantity } of allocations) {
+              await moveTransferStock(
+                {
+                  trf_id: updatedTransfer.trf_id,
+                  from: updatedTransfer.source_inventory,
+                  from_lot_id: lot.id,
+                  to: transitInventory,
+                  mr_id: lot.mr_id,
+                  product: productName,
+                  quantity: lotQuantity,
+                  expiry_date: lot.expiry_date,
+                  created_by: req.user.id,
+                },
+                tx
+              );
 
-            if (destinationInventoryProductQuery) {
-              await tx
-                .update(inventoryProducts)
-                .set({
-                  quantity: sql`${inventoryProducts.quantity} + ${quantity}`,
-                  updated_at: new Date().toISOString(),
-                })
-                .where(
-                  eq(inventoryProducts.id, destinationInventoryProductQuery.id)
-                )
-                .returning();
-            } else {
-              await tx
-                .insert(inventoryProducts)
+              const [newTransferProduct] = await tx
+                .insert(transferProducts)
                 .values({
-                  mr_id,
-                  inventory: updatedTransfer.destination_inventory,
+                  trf_id: updatedTransfer.trf_id,
+                  mr_id: lot.mr_id,
                   product: productName,
-                  quantity,
+                  quantity: lotQuantity,
                 })
                 .returning();
+              newlyTransferProducts.push(newTransferProduct);
             }
-
-            const [newTransferProduct] = await tx
-              .insert(transferProducts)
-              .values({
-                trf_id: updatedTransfer.trf_id,
-                mr_id,
-                product: productName,
-                quantity,
-              })
-              .returning();
-            newlyTransferProducts.push(newTransferProduct);
           }
 
           return updatedTransfer;
@@ -384,6 +388,10 @@ export const transfersController = {
           .returning();
       }
 
+      await evaluateStockThresholds([existingSourceInventory]).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
       res.status(200).json({
         message: "Inventory transfer updated successfully",
         transfer: updatedTransfer,
@@ -393,6 +401,12 @@ export const transfersController = {
         "An error occurred while updating inventory transfer",
         error
       );
+      if (error.name === "StockShortageError") {
+        return res.status(409).json({
+          message: error.message,
+          shortage: error.shortage,
+        });
+      }
       if (error instanceof z.ZodError) {
         return res.status(400).json({
           message: "Validation error",
@@ -406,6 +420,165 @@ export const transfersController = {
       });
     }
   },
+  markInTransitByTrfId: async (req, res) => {
+    try {
+      const { trfId } = req.params;
+
+      const existingTransfer = await findTransferByTrfId(trfId);
+      if (!existingTransfer) {
+        return res.status(404).json({
+          message: `Inventory with associated transfer not found with the provided ID "${trfId}". Please verify the ID.`,
+        });
+      }
+
+      const allowed = getAllowedTransitions(
+        transferStatusTransitions,
+        existingTransfer.status
+      );
+      if (!allowed.includes("in transit")) {
+        return res.status(409).json({
+          message: `The transfer "${trfId}" cannot be in transit while it is ${existingTransfer.status}.`,
+          allowed,
+        });
+      }
+
+      const [updatedTransfer] = await db
+        .update(transfers)
+        .set({
+          status: "in transit",
+          updated_at: new Date().toISOString(),
+        })
+        .where(eq(transfers.id, existingTransfer.id))
+        .returning();
+
+      res.status(200).json({
+        message: `The transfer "${trfId}" is in transit.`,
+        transfer: updatedTransfer,
+      });
+    } catch (error) {
+      console.error("An error occurred while updating transfer status", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while updating the transfer status. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  receiveByTrfId: async (req, res) => {
+    try {
+      const { trfId } = req.params;
+      const { products = [] } = req.body;
+
+      if (!Array.isArray(products)) {
+        return res.status(400).json({ message: "Products must be a list" });
+      }
+      for (const product of products) {
+        await receiveTransferProductSchema.parseAsync(product);
+      }
+
+      const transfer = await db.query.transfers.findFirst({
+        where: ilike(transfers.trf_id, trfId),
+        with: {
+          products: true,
+        },
+      });
+      if (!transfer) {
+        return res.status(404).json({
+          message: `Inventory with associated transfer not found with the provided ID "${trfId}". Please verify the ID.`,
+        });
+      }
+
+      const allowed = getAllowedTransitions(
+        transferStatusTransitions,
+        transfer.status
+      );
+      if (!allowed.includes("received")) {
+        return res.status(409).json({
+          message: `The transfer "${trfId}" cannot be received while it is ${transfer.status}.`,
+          allowed,
+        });
+      }
+
+      // Only the in-charge of the destination confirms its receipts
+      if (req.user.role === "inventory-in-charge") {
+        const activeEmployee = await activeEmpTracker(
+          transfer.destination_inventory
+        );
+        if (activeEmployee?.employee_id !== req.user.id) {
+          return res.status(403).json({
+            message: `Only the inventory-in-charge of "${transfer.destination_inventory}" can receive the transfer "${trfId}".`,
+          });
+        }
+      }
+
+      // Products that are not confirmed are received in full
+      const receiptErrors = [];
+      const receipts = transfer.products.map((transferProduct) => ({
+        transferProduct,
+        received_quantity: transferProduct.quantity,
+      }));
+      for (const { transfer_product_id, received_quantity, note } of products) {
+        const receipt = receipts.find(
+          ({ transferProduct }) => transferProduct.id === transfer_product_id
+        );
+        if (!receipt) {
+          receiptErrors.push(
+            `The transfer product ID "${transfer_product_id}" does not belong to the transfer "${trfId}".`
+          );
+          continue;
+        }
+
+        const { product, quantity } = receipt.transferProduct;
+        if (received_quantity > quantity) {
+          receiptErrors.push(
+            `Only ${quantity} units of "${product}" were dispatched on the transfer "${trfId}".`
+          );
+          continue;
+        }
+        receipt.received_quantity = received_quantity;
+        receipt.note = note;
+      }
+      if (receiptErrors.length > 0) {
+        return res.status(400).json({ message: receiptErrors });
+      }
+
+      let transferReceipt;
+      await db.transaction(async (tx) => {
+        transferReceipt = await receiveTransfer(
+          transfer,
+          receipts,
+          req.user.id,
+          tx
+        );
+      });
+
+      await evaluateStockThresholds([transfer.destination_inventory]).catch(
+        (error) => console.error("Failed to evaluate stock thresholds", error)
+      );
+
+      res.status(200).json({
+        message: `The transfer "${trfId}" has been received successfully.`,
+        transfer: transferReceipt.transfer,
+        discrepancies: transferReceipt.discrepancies,
+      });
+    } catch (error) {
+      console.error("An error occurred while receiving transfer", error);
+      if (error.name === "TransferReceiptError") {
+        return res.status(409).json({ message: error.message });
+      }
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while receiving the transfer. Please try again.",
+        error: error.message,
+      });
+    }
+  },
   deleteByTrfId: async (req, res) => {
     try {
       const { trfId } = req.params;
@@ -423,10 +596,15 @@ export const transfersController = {
       const {
         trf_id: existingTransferTrfId,
         source_inventory: existingTransferSourceInventory,
-        destination_inventory: existingTransferDestinationInventory,
       } = existingTransfer;
 
-      let deletedTransfer;
+      // Goods on the road or received can not be called back
+      if (existingTransfer.status !== "dispatched") {
+        return res.status(409).json({
+          message: `The transfer "${trfId}" is ${existingTransfer.status} and can no longer be deleted.`,
+        });
+      }
+
       await db.transaction(async (tx) => {
         const allTransferProducts = await tx
           .delete(transferProducts)
@@ -434,60 +612,26 @@ export const transfersController = {
           .returning();
 
         for (const product of allTransferProducts) {
-          const [destinationInventoryProduct] = await tx
-            .select()
-            .from(inventoryProducts)
-            .where(
-              and(
-                ilike(inventoryProducts.mr_id, product.mr_id),
-                ilike(inventoryProducts.product, product.product),
-                ilike(
-                  inventoryProducts.inventory,
-                  existingTransferDestinationInventory
-                )
-              )
-            )
-            .limit(1);
-
-          const { quantity: availableQuantity } = destinationInventoryProduct;
-
-          await tx
-            .update(inventoryProducts)
-            .set({
-              quantity: sql`${inventoryProducts.quantity} + ${availableQuantity}`,
-              updated_at: new Date().toISOString(),
-            })
-            .where(
-              and(
-                ilike(
-                  inventoryProducts.inventory,
-                  existingTransferSourceInventory
-                ),
-                ilike(inventoryProducts.product, product.product),
-                ilike(inventoryProducts.mr_id, product.mr_id)
-              )
-            )
-            .returning();
-
-          await tx
-            .delete(inventoryProducts)
-            .where(
-              and(
-                ilike(
-                  inventoryProducts.inventory,
-                  existingTransferDestinationInventory
-                ),
-                ilike(inventoryProducts.product, product.product),
-                ilike(inventoryProducts.mr_id, product.mr_id)
-              )
-            )
-            .returning();
+          await moveTransferStock(
+            {
+              trf_id: existingTransferTrfId,
+              from: inTransitInventory,
+              to: existingTransferSourceInventory,
+              mr_id: product.mr_id,
+              product: product.product,
+              quantity: product.quantity,
+              created_by: req.user.id,
+            },
+            tx
+          );
         }
-        [deletedTransfer] = await tx
-          .delete(transfers)
-          .where(ilike(transfers.trf_id, trfId))
-          .returning();
+
+        await tx.delete(transfers).where(ilike(transfers.trf_id, trfId));
       });
+      await evaluateStockThresholds([existingTransferSourceInventory]).catch(
+        (error) => console.error("Failed to evaluate stock thresholds", error)
+      );
+
       res.status(200).json({
         message: "Inventory transfer deleted successfully",
       });
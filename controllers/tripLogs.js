@@ -0,0 +1,384 @@
+import { and, desc, eq, ilike } from "drizzle-orm";
+import { z } from "zod";
+import { db } from "../database/connection.js";
+import {
+  fuelLogs,
+  insertFuelLogSchema,
+  insertTripLogSchema,
+  tripLogs,
+  updateTripLogSchema,
+  vehicles,
+} from "../schemas/index.js";
+import {
+  evaluateFuelEfficiency,
+  findShipmentBySid,
+  findVehicleByVin,
+} from "../services/index.js";
+
+// Captains only log the trips of the shipments they are assigned to
+const isForeignTrip = (trip, user) =>
+  user.role === "captain" && trip.captain_id !== user.id;
+
+// Odometer readings only ever raise the vehicle's mileage
+const raiseVehicleMileage = async (vehicleVin, odometer, tx) => {
+  const [vehicle] = await tx
+    .select()
+    .from(vehicles)
+    .where(ilike(vehicles.vin, vehicleVin))
+    .limit(1);
+
+  if (vehicle && odometer > (vehicle.mileage || 0)) {
+    await tx
+      .update(vehicles)
+      .set({
+        mileage: odometer,
+        updated_at: new Date().toISOString(),
+      })
+      .where(eq(vehicles.id, vehicle.id));
+  }
+};
+
+const evaluateTrip = async (trip) => {
+  const [efficiency] = await evaluateFuelEfficiency([trip.vehicle_vin]);
+  return efficiency.trips.find(({ id }) => id === trip.id);
+};
+
+export const tripLogsController = {
+  create: async (req, res) => {
+    try {
+      await insertTripLogSchema.parseAsync(req.body);
+      const { shipment_id, start_odometer, started_at, note } = req.body;
+
+      const shipment = await findShipmentBySid(shipment_id);
+      if (!shipment) {
+        return res.status(404).json({
+          message: `The shipment "${shipment_id}" was not found. Please verify the Shipment ID.`,
+        });
+      }
+      if (isForeignTrip(shipment, req.user)) {
+        return res.status(403).json({
+          message: `Only the captain of the shipment "${shipment_id}" can log its trip.`,
+        });
+      }
+      if (shipment.status === "cancelled") {
+        return res.status(409).json({
+          message: `The shipment "${shipment_id}" is cancelled and can not be logged.`,
+        });
+      }
+
+      const [existingTrip] = await db
+        .select()
+        .from(tripLogs)
+        .where(eq(tripLogs.shipment_id, shipment.shipment_id))
+        .limit(1);
+      if (existingTrip) {
+        return res.status(409).json({
+          message: `The trip of the shipment "${shipment_id}" has already been logged.`,
+        });
+      }
+
+      const vehicle = await findVehicleByVin(shipment.vehicle_vin);
+      if (!vehicle) {
+        return res.status(404).json({
+          message: `The vehicle "${shipment.vehicle_vin}" of the shipment "${shipment_id}" was not found. Please verify the vehicle.`,
+        });
+      }
+
+      let newTrip;
+      await db.transaction(async (tx) => {
+        [newTrip] = await tx
+          .insert(tripLogs)
+          .values({
+            shipment_id: shipment.shipment_id,
+            vehicle_vin: vehicle.vin,
+            captain_id: shipment.captain_id,
+            start_odometer,
+            started_at: started_at ? started_at : new Date().toISOString(),
+            odometer_rollback: start_odometer < (vehicle.mileage || 0),
+            note,
+            created_by: req.user.id,
+          })
+          .returning();
+
+        await raiseVehicleMileage(vehicle.vin, start_odometer, tx);
+      });
+
+      res.status(201).json({
+        message: `The trip of the shipment "${shipment_id}" has been started successfully`,
+        tripLog: await evaluateTrip(newTrip),
+      });
+    } catch (error) {
+      console.error("An error occurred while creating trip log", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while logging the trip. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveAll: async (req, res) => {
+    try {
+      const { vehicle_vin, anomalous } = req.query;
+
+      const allTrips = await db.query.tripLogs.findMany({
+        where: and(
+          vehicle_vin ? ilike(tripLogs.vehicle_vin, vehicle_vin) : undefined,
+          req.user.role === "captain"
+            ? eq(tripLogs.captain_id, req.user.id)
+            : undefined
+        ),
+        orderBy: [desc(tripLogs.started_at)],
+      });
+
+      const efficiencies = await evaluateFuelEfficiency([
+        ...new Set(allTrips.map((trip) => trip.vehicle_vin)),
+      ]);
+      const evaluatedTrips = allTrips.map((trip) =>
+        efficiencies
+          .find((efficiency) => efficiency.vehicle_vin === trip.vehicle_vin)
+          .trips.find(({ id }) => id === trip.id)
+      );
+
+      res.status(200).json({
+        message: "Trip logs retrieved successfully",
+        tripLogs:
+          anomalous === "true"
+            ? evaluatedTrips.filter((trip) => trip.anomalies.length > 0)
+            : evaluatedTrips,
+      });
+    } catch (error) {
+      console.error("An error occurred while retrieving trip logs", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving trip logs. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveById: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const trip = await db.query.tripLogs.findFirst({
+        where: eq(tripLogs.id, id),
+        with: {
+          shipment: true,
+          vehicle: true,
+        },
+      });
+
+      if (!trip) {
+        return res.status(404).json({
+          message: `The trip log ID "${id}" was not found. Please verify the ID and try again.`,
+        });
+      }
+      if (isForeignTrip(trip, req.user)) {
+        return res.status(403).json({
+          message: `Only the captain of the shipment "${trip.shipment_id}" can view its trip.`,
+        });
+      }
+
+      res.status(200).json({
+        message: "Trip log retrieved successfully",
+        tripLog: {
+          ...trip,
+          ...(await evaluateTrip(trip)),
+        },
+      });
+    } catch (error) {
+      console.error("An error occurred while retrieving trip log", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the trip log. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  updateById: async (req, res) => {
+    try {
+      const { id } = req.params;
+      await updateTripLogSchema.parseAsync(req.body);
+      const { end_odometer, ended_at, note } = req.body;
+
+      const [existingTrip] = await db
+        .select()
+        .from(tripLogs)
+        .where(eq(tripLogs.id, id))
+        .limit(1);
+      if (!existingTrip) {
+        return res.status(404).json({
+          message: `The trip log ID "${id}" was not found. Please verify the ID.`,
+        });
+      }
+      if (isForeignTrip(existingTrip, req.user)) {
+        return res.status(403).json({
+          message: `Only the captain of the shipment "${existingTrip.shipment_id}" can log its trip.`,
+        });
+      }
+
+      // A trip ends with its end reading unless another end time is given
+      const updatedData = {
+        end_odometer: end_odometer ?? existingTrip.end_odometer,
+        ended_at:
+          ended_at ||
+          existingTrip.ended_at ||
+          (end_odometer !== undefined ? new Date().toISOString() : null),
+        note: note || existingTrip.note,
+      };
+
+      let updatedTrip;
+      await db.transaction(async (tx) => {
+        [updatedTrip] = await tx
+          .update(tripLogs)
+          .set({
+            ...updatedData,
+            updated_at: new Date().toISOString(),
+          })
+          .where(eq(tripLogs.id, id))
+          .returning();
+
+        if (end_odometer !== undefined) {
+          await raiseVehicleMileage(existingTrip.vehicle_vin, end_odometer, tx);
+        }
+      });
+
+      res.status(200).json({
+        message: `The trip log ID "${id}" has been updated successfully.`,
+        tripLog: await evaluateTrip(updatedTrip),
+      });
+    } catch (error) {
+      console.error("An error occurred while updating trip log", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while updating the trip log. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  createFuelLog: async (req, res) => {
+    try {
+      const { id } = req.params;
+      await insertFuelLogSchema.parseAsync(req.body);
+      const { liters, cost, odometer, station, filled_at } = req.body;
+
+      const [trip] = await db
+        .select()
+        .from(tripLogs)
+        .where(eq(tripLogs.id, id))
+        .limit(1);
+      if (!trip) {
+        return res.status(404).json({
+          message: `The trip log ID "${id}" was not found. Please verify the ID.`,
+        });
+      }
+      if (isForeignTrip(trip, req.user)) {
+        return res.status(403).json({
+          message: `Only the captain of the shipment "${trip.shipment_id}" can log its fill-ups.`,
+        });
+      }
+
+      let newFuelLog;
+      await db.transaction(async (tx) => {
+        [newFuelLog] = await tx
+          .insert(fuelLogs)
+          .values({
+            trip_log_id: trip.id,
+            vehicle_vin: trip.vehicle_vin,
+            liters,
+            cost,
+            odometer,
+            station,
+            filled_at: filled_at ? filled_at : new Date().toISOString(),
+            created_by: req.user.id,
+          })
+          .returning();
+
+        if (odometer !== undefined) {
+          await raiseVehicleMileage(trip.vehicle_vin, odometer, tx);
+        }
+      });
+
+      res.status(201).json({
+        message: `The fill-up of ${liters} liters has been logged successfully`,
+        fuelLog: newFuelLog,
+        tripLog: await evaluateTrip(trip),
+      });
+    } catch (error) {
+      console.error("An error occurred while creating fuel log", error);
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while logging the fill-up. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  deleteFuelLog: async (req, res) => {
+    try {
+      const { id, fuelLogId } = req.params;
+
+      const [deletedFuelLog] = await db
+        .delete(fuelLogs)
+        .where(and(eq(fuelLogs.id, fuelLogId), eq(fuelLogs.trip_log_id, id)))
+        .returning();
+      if (!deletedFuelLog) {
+        return res.status(404).json({
+          message: `The fuel log ID "${fuelLogId}" was not found on the trip log ID "${id}". Please verify the IDs.`,
+        });
+      }
+
+      res.status(200).json({
+        message: `The fuel log ID "${fuelLogId}" has been deleted successfully`,
+      });
+    } catch (error) {
+      console.error("An error occurred while deleting fuel log", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while deleting the fuel log. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  deleteById: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const [deletedTrip] = await db
+        .delete(tripLogs)
+        .where(eq(tripLogs.id, id))
+        .returning();
+      if (!deletedTrip) {
+        return res.status(404).json({
+          message: `The trip log ID "${id}" was not found. Please verify the ID.`,
+        });
+      }
+
+      res.status(200).json({
+        message: `The trip log ID "${id}" has been deleted successfully`,
+      });
+    } catch (error) {
+      console.error("An error occurred while deleting trip log", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while deleting the trip log. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+};
@@ -1,68 +1,19 @@
 import { eq, ilike, or, inArray, desc } from "drizzle-orm";
 import { z } from "zod";
 import { db } from "../database/connection.js";
-import { insertUserSchema, updateUserSchema, users } from "../schemas/index.js";
-import { findUserByEmail, findUserByPhone } from "../services/index.js";
+import { recoveryCodes, updateUserSchema, users } from "../schemas/index.js";
+import {
+  attachAssets,
+  destroyAssets,
+  destroyEntityAssets,
+  findUserByEmail,
+  findUserByPhone,
+  revokeSessions,
+  sendVerificationEmail,
+} from "../services/index.js";
 import { hashPassword } from "../utils/index.js";
 
 export const usersController = {
-  create: async (req, res) => {
-    try {
-      await insertUserSchema.parseAsync(req.body);
-      const { name, email, phone, password } = req.body;
-
-      const existingUser = await findUserByEmail(email);
-      if (existingUser) {
-        return res.status(409).json({
-          message: `A user with the email "${email}" already exists. Please use a different email.`,
-        });
-      }
-
-      if (phone) {
-        const existingUser = await findUserByPhone(phone);
-        if (existingUser) {
-          return res.status(409).json({
-            message: `A user with the phone number "${phone}" already exists. Please use a different phone number.`,
-          });
-        }
-      }
-
-      const hashedPassword = await hashPassword(password);
-
-      const [newUser] = await db
-        .insert(users)
-        .values({
-          ...req.body,
-          password: hashedPassword,
-          created_by: req.user.id,
-        })
-        .returning();
-
-      if (!newUser) {
-        return res.status(409).json({
-          message: `An error occurred while creating the user "${name}". Please try again.`,
-        });
-      }
-
-      res.status(201).json({
-        message: `The user "${name}" has been created successfully`,
-        user: newUser,
-      });
-    } catch (error) {
-      console.error("An error occurred while creating user", error);
-      if (error instanceof z.ZodError) {
-        return res.status(400).json({
-          message: "Validation error",
-          errors: error.errors.map((e) => e.message),
-        });
-      }
-      res.status(500).json({
-        message:
-          "An unexpected error occurred while creating the user. Please try again.",
-        error: error.message,
-      });
-    }
-  },
   retrieveAll: async (req, res) => {
     const { role } = req.user;
     try {
@@ -74,6 +25,8 @@ export const usersController = {
             password: false,
             created_by: false,
             reset_password_token: false,
+            validation_token: false,
+            two_factor_secret: false,
             reset_password_token_expired_at: false,
           },
           with: {
@@ -89,6 +42,8 @@ export const usersController = {
                 failed_login_attempt_count: false,
                 failed_login_attempt_last_at: false,
                 reset_password_token: false,
+                validation_token: false,
+                two_factor_secret: false,
                 reset_password_token_expired_at: false,
                 created_by: false,
                 created_at: false,
@@ -124,6 +79,8 @@ export const usersController = {
             password: false,
             created_by: false,
             reset_password_token: false,
+            validation_token: false,
+            two_factor_secret: false,
             reset_password_token_expired_at: false,
           },
           with: {
@@ -139,6 +96,8 @@ export const usersController = {
                 failed_login_attempt_count: false,
                 failed_login_attempt_last_at: false,
                 reset_password_token: false,
+                validation_token: false,
+                two_factor_secret: false,
                 reset_password_token_expired_at: false,
                 created_by: false,
                 created_at: false,
@@ -174,6 +133,8 @@ export const usersController = {
             password: false,
             created_by: false,
             reset_password_token: false,
+            validation_token: false,
+            two_factor_secret: false,
             reset_password_token_expired_at: false,
           },
           with: {
@@ -189,6 +150,8 @@ export const usersController = {
                 failed_login_attempt_count: false,
                 failed_login_attempt_last_at: false,
                 reset_password_token: false,
+                validation_token: false,
+                two_factor_secret: false,
                 reset_password_token_expired_at: false,
                 created_by: false,
                 created_at: false,
@@ -224,6 +187,8 @@ export const usersController = {
             password: false,
             created_by: false,
             reset_password_token: false,
+            validation_token: false,
+            two_factor_secret: false,
             reset_password_token_expired_at: false,
           },
           with: {
@@ -239,6 +204,8 @@ export const usersController = {
                 failed_login_attempt_count: false,
                 failed_login_attempt_last_at: false,
                 reset_password_token: false,
+                validation_token: false,
+                two_factor_secret: false,
                 reset_password_token_expired_at: false,
                 created_by: false,
                 created_at: false,
@@ -292,6 +259,8 @@ export const usersController = {
           password: false,
           created_by: false,
           reset_password_token: false,
+          validation_token: false,
+          two_factor_secret: false,
           reset_password_token_expired_at: false,
         },
         with: {
@@ -307,6 +276,8 @@ export const usersController = {
               failed_login_attempt_count: false,
               failed_login_attempt_last_at: false,
               reset_password_token: false,
+              validation_token: false,
+              two_factor_secret: false,
               reset_password_token_expired_at: false,
               created_by: false,
               created_at: false,
@@ -363,11 +334,16 @@ export const usersController = {
         email,
         phone,
         avatar,
+        avatar_public_id,
         address,
         password,
         role,
         national_id,
-        driving_license,
+        driving_license_no,
+        driving_license_issued_at,
+        driving_license_expires_at,
+        driving_license_scan,
+        driving_license_scan_public_id,
         passport_no,
       } = req.body;
 
@@ -387,11 +363,16 @@ export const usersController = {
         email: existingUserEmail,
         phone: existingUserPhone,
         avatar: existingUserAvatar,
+        avatar_public_id: existingUserAvatarPublicId,
         address: existingUserAddress,
         password: existingUserPassword,
         role: existingUserRole,
         national_id: existingUserNationalId,
-        driving_license: existingUserDrivingLicense,
+        driving_license_no: existingUserDrivingLicense,
+        driving_license_issued_at: existingUserDrivingLicenseIssuedAt,
+        driving_license_expires_at: existingUserDrivingLicenseExpiresAt,
+        driving_license_scan: existingUserDrivingLicenseScan,
+        driving_license_scan_public_id: existingUserDrivingLicenseScanPublicId,
         passport_no: existingUserPassportNo,
       } = existingUser;
 
@@ -417,37 +398,129 @@ export const usersController = {
         ? await hashPassword(password)
         : existingUserPassword;
 
+      // A new email address has to be verified again
+      const emailChanged = Boolean(email) && email !== existingUserEmail;
+
       const updatedData = {
         name: name || existingUserName,
         email: email || existingUserEmail,
+        email_verified_at: emailChanged ? null : existingUser.email_verified_at,
         phone: phone || existingUserPhone,
         avatar: avatar || existingUserAvatar,
+        avatar_public_id: avatar_public_id || existingUserAvatarPublicId,
         address: address || existingUserAddress,
         password: hashedPassword,
         role: role || existingUserRole,
         national_id: national_id || existingUserNationalId,
-        driving_license_no: driving_license || existingUserDrivingLicense,
+        driving_license_no: driving_license_no || existingUserDrivingLicense,
+        driving_license_issued_at:
+          driving_license_issued_at || existingUserDrivingLicenseIssuedAt,
+        driving_license_expires_at:
+          driving_license_expires_at || existingUserDrivingLicenseExpiresAt,
+        driving_license_scan:
+          driving_license_scan || existingUserDrivingLicenseScan,
+        driving_license_scan_public_id:
+          driving_license_scan_public_id ||
+          existingUserDrivingLicenseScanPublicId,
         passport_no: passport_no || existingUserPassportNo,
         updated_at: new Date().toISOString(),
       };
 
-      const [updatedUser] = await db
-        .update(users)
-        .set(updatedData)
-        .where(eq(users.id, id))
-        .returning();
+      const avatarReplaced =
+        updatedData.avatar_public_id !== existingUserAvatarPublicId;
+      const licenseScanReplaced =
+        updatedData.driving_license_scan_public_id !==
+        existingUserDrivingLicenseScanPublicId;
+
+      let updatedUser;
+      await db.transaction(async (tx) => {
+        [updatedUser] = await tx
+          .update(users)
+          .set(updatedData)
+          .where(eq(users.id, id))
+          .returning();
+        if (!updatedUser) return;
+
+        // A new password signs the user out everywhere but in this session
+        if (password) {
+          await revokeSessions(
+            {
+              user_id: id,
+              except_id: id === req.user.id ? req.user.sid : undefined,
+            },
+            tx
+          );
+        }
+
+        if (avatarReplaced) {
+          await attachAssets(
+            {
+              entity: "user avatar",
+              entity_id: id,
+              public_ids: [updatedData.avatar_public_id],
+              actor: req.user,
+            },
+            tx
+          );
+        }
+        if (licenseScanReplaced) {
+          await attachAssets(
+            {
+              entity: "driving license",
+              entity_id: id,
+              public_ids: [updatedData.driving_license_scan_public_id],
+              actor: req.user,
+            },
+            tx
+          );
+        }
+      });
 
       if (!updatedUser) {
         return res.status(404).json({
           message: `An error occurred while updating the user "${existingUserName}". Please try again.`,
         });
       }
+
+      // The replaced avatar and license scan are no longer referenced
+      await destroyAssets([
+        avatarReplaced ? existingUserAvatarPublicId : null,
+        licenseScanReplaced ? existingUserDrivingLicenseScanPublicId : null,
+      ]);
+
+      let message = `The user ${existingUserName} has been updated successfully`;
+      if (emailChanged) {
+        try {
+          await sendVerificationEmail(updatedUser);
+          message += `. A verification link has been sent to "${updatedUser.email}".`;
+        } catch (error) {
+          message +=
+            ", but the verification email could not be sent. Please request a new one.";
+          console.error("Failed to send the verification email", error);
+        }
+      }
+
+      const user = await db.query.users.findFirst({
+        where: eq(users.id, id),
+        columns: {
+          password: false,
+          created_by: false,
+          reset_password_token: false,
+          validation_token: false,
+          two_factor_secret: false,
+          reset_password_token_expired_at: false,
+        },
+      });
+
       res.status(200).json({
-        message: `The user ${existingUserName} has been updated successfully`,
-        user: updatedUser,
+        message,
+        user,
       });
     } catch (error) {
       console.error("An error occurred while updating user", error);
+      if (error.name === "AssetAttachmentError") {
+        return res.status(403).json({ message: error.message });
+      }
       if (error instanceof z.ZodError) {
         return res.status(400).json({
           message: "Validation error",
@@ -461,6 +534,81 @@ export const usersController = {
       });
     }
   },
+  unlockById: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const [unlockedUser] = await db
+        .update(users)
+        .set({
+          failed_login_attempt_count: 0,
+          locked_until: null,
+          updated_at: new Date().toISOString(),
+        })
+        .where(eq(users.id, id))
+        .returning();
+      if (!unlockedUser) {
+        return res.status(404).json({
+          message: `No user found with the provided ID "${id}". Please verify the ID and try again.`,
+        });
+      }
+
+      res.status(200).json({
+        message: `The user "${unlockedUser.name}" has been unlocked successfully`,
+      });
+    } catch (error) {
+      console.error("An error occurred while unlocking user", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while unlocking the user. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  resetTwoFactorById: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      // A user who lost their authenticator and recovery codes sets it up
+      // again at their next login, signed out of the devices they had
+      let resetUser;
+      await db.transaction(async (tx) => {
+        [resetUser] = await tx
+          .update(users)
+          .set({
+            two_factor_secret: null,
+            two_factor_enabled_at: null,
+            two_factor_last_counter: null,
+            updated_at: new Date().toISOString(),
+          })
+          .where(eq(users.id, id))
+          .returning();
+        if (!resetUser) return;
+
+        await tx.delete(recoveryCodes).where(eq(recoveryCodes.user_id, id));
+        await revokeSessions({ user_id: id }, tx);
+      });
+      if (!resetUser) {
+        return res.status(404).json({
+          message: `No user found with the provided ID "${id}". Please verify the ID and try again.`,
+        });
+      }
+
+      res.status(200).json({
+        message: `The two-factor authentication of the user "${resetUser.name}" has been reset successfully`,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while resetting two-factor authentication",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while resetting the two-factor authentication. Please try again.",
+        error: error.message,
+      });
+    }
+  },
   deleteById: async (req, res) => {
     try {
       const { id } = req.params;
@@ -474,6 +622,13 @@ export const usersController = {
         });
       }
 
+      await destroyAssets([
+        deletedUser.avatar_public_id,
+        deletedUser.driving_license_scan_public_id,
+      ]);
+      await destroyEntityAssets("user avatar", [deletedUser.id]);
+      await destroyEntityAssets("driving license", [deletedUser.id]);
+
       res.status(200).json({
         message: `The user "${deletedUser.name}" has been deleted successfully`,
       });
@@ -0,0 +1,295 @@
+import { eq, desc } from "drizzle-orm";
+import { z } from "zod";
+import { db } from "../database/connection.js";
+import {
+  insertVehicleDocumentSchema,
+  updateVehicleDocumentSchema,
+  vehicleDocuments,
+} from "../schemas/index.js";
+import {
+  attachAssets,
+  destroyAssets,
+  destroyEntityAssets,
+  findExpiringDocuments,
+  findVehicleByVin,
+} from "../services/index.js";
+
+const dayInMs = 24 * 60 * 60 * 1000;
+
+export const vehicleDocumentsController = {
+  create: async (req, res) => {
+    try {
+      await insertVehicleDocumentSchema.parseAsync(req.body);
+      const {
+        vehicle_vin,
+        type,
+        document_no,
+        issue_date,
+        expiry_date,
+        scan,
+        scan_public_id,
+      } = req.body;
+
+      if (issue_date && new Date(expiry_date) <= new Date(issue_date)) {
+        return res.status(400).json({
+          message: "The expiry date must be after the issue date.",
+        });
+      }
+
+      const vehicle = await findVehicleByVin(vehicle_vin);
+      if (!vehicle) {
+        return res.status(404).json({
+          message: `No vehicle found with the provided VIN "${vehicle_vin}". Please verify the VIN and try again.`,
+        });
+      }
+
+      let newDocument;
+      await db.transaction(async (tx) => {
+        [newDocument] = await tx
+          .insert(vehicleDocuments)
+          .values({
+            vehicle_vin: vehicle.vin,
+            type,
+            document_no,
+            issue_date,
+            expiry_date,
+            scan,
+            scan_public_id,
+            created_by: req.user.id,
+          })
+          .returning();
+
+        await attachAssets(
+          {
+            entity: "vehicle document",
+            entity_id: newDocument.id,
+            public_ids: [scan_public_id],
+            actor: req.user,
+          },
+          tx
+        );
+      });
+
+      res.status(201).json({
+        message: `The ${type} of the vehicle "${vehicle_vin}" has been created successfully`,
+        document: newDocument,
+      });
+    } catch (error) {
+      console.error("An error occurred while creating vehicle document", error);
+      if (error.name === "AssetAttachmentError") {
+        return res.status(403).json({ message: error.message });
+      }
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while creating the vehicle document. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveAll: async (req, res) => {
+    try {
+      const allDocuments = await db.query.vehicleDocuments.findMany({
+        orderBy: [desc(vehicleDocuments.created_at)],
+      });
+
+      res.status(200).json({
+        message: "Vehicle documents retrieved successfully",
+        documents: allDocuments,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving vehicle documents",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving vehicle documents. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveExpiring: async (req, res) => {
+    try {
+      const days = parseInt(req.query.days ?? 30, 10);
+      if (isNaN(days) || days < 0) {
+        return res.status(400).json({
+          message: "The days query parameter must be a non-negative number.",
+        });
+      }
+
+      const until = new Date(Date.now() + days * dayInMs);
+      const expiringDocuments = await findExpiringDocuments({ until });
+
+      res.status(200).json({
+        message: `Documents expiring within ${days} days retrieved successfully`,
+        until: until.toISOString(),
+        ...expiringDocuments,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving expiring documents",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving expiring documents. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveById: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const document = await db.query.vehicleDocuments.findFirst({
+        where: eq(vehicleDocuments.id, id),
+        with: {
+          vehicle: true,
+        },
+      });
+
+      if (!document) {
+        return res.status(404).json({
+          message: `The vehicle document ID ${id} was not found. Please verify the ID and try again.`,
+        });
+      }
+
+      res.status(200).json({
+        message: "Vehicle document retrieved successfully",
+        document,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving vehicle document",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the vehicle document. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  updateById: async (req, res) => {
+    try {
+      const { id } = req.params;
+      await updateVehicleDocumentSchema.parseAsync(req.body);
+      const { document_no, issue_date, expiry_date, scan, scan_public_id } =
+        req.body;
+
+      const [existingDocument] = await db
+        .select()
+        .from(vehicleDocuments)
+        .where(eq(vehicleDocuments.id, id))
+        .limit(1);
+      if (!existingDocument) {
+        return res.status(404).json({
+          message: `The vehicle document ID "${id}" was not found. Please verify the ID.`,
+        });
+      }
+
+      const updatedData = {
+        document_no: document_no || existingDocument.document_no,
+        issue_date: issue_date || existingDocument.issue_date,
+        expiry_date: expiry_date || existingDocument.expiry_date,
+        scan: scan || existingDocument.scan,
+        scan_public_id: scan_public_id || existingDocument.scan_public_id,
+      };
+
+      if (
+        updatedData.issue_date &&
+        new Date(updatedData.expiry_date) <= new Date(updatedData.issue_date)
+      ) {
+        return res.status(400).json({
+          message: "The expiry date must be after the issue date.",
+        });
+      }
+
+      const scanReplaced =
+        updatedData.scan_public_id !== existingDocument.scan_public_id;
+      let updatedDocument;
+      await db.transaction(async (tx) => {
+        [updatedDocument] = await tx
+          .update(vehicleDocuments)
+          .set({
+            ...updatedData,
+            updated_at: new Date().toISOString(),
+          })
+          .where(eq(vehicleDocuments.id, id))
+          .returning();
+
+        if (scanReplaced) {
+          await attachAssets(
+            {
+              entity: "vehicle document",
+              entity_id: id,
+              public_ids: [updatedData.scan_public_id],
+              actor: req.user,
+            },
+            tx
+          );
+        }
+      });
+
+      // The replaced scan is no longer referenced
+      if (scanReplaced) {
+        await destroyAssets([existingDocument.scan_public_id]);
+      }
+
+      res.status(200).json({
+        message: `The vehicle document ID "${id}" has been updated successfully.`,
+        document: updatedDocument,
+      });
+    } catch (error) {
+      console.error("An error occurred while updating vehicle document", error);
+      if (error.name === "AssetAttachmentError") {
+        return res.status(403).json({ message: error.message });
+      }
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while updating the vehicle document. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  deleteById: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const [deletedDocument] = await db
+        .delete(vehicleDocuments)
+        .where(eq(vehicleDocuments.id, id))
+        .returning();
+      if (!deletedDocument) {
+        return res.status(404).json({
+          message: `The vehicle document ID "${id}" was not found. Please verify the ID.`,
+        });
+      }
+
+      await destroyAssets([deletedDocument.scan_public_id]);
+      await destroyEntityAssets("vehicle document", [deletedDocument.id]);
+
+      res.status(200).json({
+        message: `The vehicle document ID "${id}" has been deleted successfully`,
+      });
+    } catch (error) {
+      console.error("An error occurred while deleting vehicle document", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while deleting the vehicle document. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+};
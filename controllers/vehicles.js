@@ -3,10 +3,16 @@ import { z } from "zod";
 import { db } from "../database/connection.js";
 import {
   insertVehicleSchema,
+  maintenanceRecords,
   updateVehicleSchema,
+  vehicleDocuments,
   vehicles,
 } from "../schemas/index.js";
 import {
+  destroyAssets,
+  destroyEntityAssets,
+  evaluateFuelEfficiency,
+  evaluateMaintenanceSchedules,
   findVehicleByVin,
   findVehicleByEngineNo,
   findVehicleByChassisNo,
@@ -96,9 +102,19 @@ export const vehiclesController = {
         },
       });
 
+      // Vehicles with a due or overdue service are flagged
+      const dueSchedules = (
+        await evaluateMaintenanceSchedules(allVehicles)
+      ).filter((schedule) => schedule.due_status !== "ok");
+
       res.status(200).json({
         message: "Vehicles retrieved successfully.",
-        vehicles: allVehicles,
+        vehicles: allVehicles.map((vehicle) => ({
+          ...vehicle,
+          maintenance_due: dueSchedules.some(
+            (schedule) => schedule.vehicle_vin === vehicle.vin
+          ),
+        })),
       });
     } catch (error) {
       console.error("An error occurred while retrieving vehicles", error);
@@ -131,9 +147,17 @@ export const vehiclesController = {
         });
       }
 
+      const dueSchedules = (
+        await evaluateMaintenanceSchedules([vehicle])
+      ).filter((schedule) => schedule.due_status !== "ok");
+
       res.status(200).json({
         message: "Vehicle retrieved successfully.",
-        vehicle,
+        vehicle: {
+          ...vehicle,
+          maintenance_due: dueSchedules.length > 0,
+        },
+        maintenance: dueSchedules,
       });
     } catch (error) {
       console.error("An error occurred while retrieving vehicle", error);
@@ -144,6 +168,78 @@ export const vehiclesController = {
       });
     }
   },
+  retrieveMaintenanceByVIN: async (req, res) => {
+    try {
+      const { vin } = req.params;
+
+      const vehicle = await findVehicleByVin(vin);
+      if (!vehicle) {
+        return res.status(404).json({
+          message: `No vehicle found with the provided VIN "${vin}". Please verify the VIN and try again.`,
+        });
+      }
+
+      const schedules = await evaluateMaintenanceSchedules([vehicle]);
+      const records = await db.query.maintenanceRecords.findMany({
+        where: eq(maintenanceRecords.vehicle_vin, vehicle.vin),
+        orderBy: [desc(maintenanceRecords.service_date)],
+      });
+
+      res.status(200).json({
+        message: "Vehicle maintenance history retrieved successfully.",
+        vehicle,
+        maintenance_due: schedules.some(
+          (schedule) => schedule.due_status !== "ok"
+        ),
+        total_cost: records.reduce(
+          (total, record) => total + parseFloat(record.cost || 0),
+          0
+        ),
+        schedules,
+        records,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving vehicle maintenance history",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the vehicle maintenance history. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveFuelEfficiencyByVIN: async (req, res) => {
+    try {
+      const { vin } = req.params;
+
+      const vehicle = await findVehicleByVin(vin);
+      if (!vehicle) {
+        return res.status(404).json({
+          message: `No vehicle found with the provided VIN "${vin}". Please verify the VIN and try again.`,
+        });
+      }
+
+      const [efficiency] = await evaluateFuelEfficiency([vehicle.vin]);
+
+      res.status(200).json({
+        message: "Vehicle fuel efficiency retrieved successfully.",
+        vehicle,
+        ...efficiency,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while retrieving vehicle fuel efficiency",
+        error
+      );
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the vehicle fuel efficiency. Please try again.",
+        error: error.message,
+      });
+    }
+  },
   updateByVIN: async (req, res) => {
     try {
       await updateVehicleSchema.parseAsync(req.body);
@@ -158,6 +254,7 @@ export const vehiclesController = {
         chassis_no,
         plate_number,
         cargo_capacity,
+        cargo_volume,
         type,
         vin: newVin,
       } = req.body;
@@ -179,6 +276,7 @@ export const vehiclesController = {
         chassis_no: existingVehicleChassisNo,
         plate_number: existingVehiclePlateNumber,
         cargo_capacity: existingVehicleCargoCapacity,
+        cargo_volume: existingVehicleCargoVolume,
         type: existingVehicleType,
         vin: existingVehicleVin,
       } = existingVehicle;
@@ -232,6 +330,7 @@ export const vehiclesController = {
         vin: newVin || existingVehicleVin,
         plate_number: plate_number || existingVehiclePlateNumber,
         cargo_capacity: cargo_capacity || existingVehicleCargoCapacity,
+        cargo_volume: cargo_volume || existingVehicleCargoVolume,
         type: type || existingVehicleType,
         updated_at: new Date().toISOString(),
       };
@@ -271,6 +370,13 @@ export const vehiclesController = {
   deleteByVIN: async (req, res) => {
     try {
       const { vin } = req.params;
+
+      // The documents go with the vehicle
+      const documents = await db
+        .select()
+        .from(vehicleDocuments)
+        .where(eq(vehicleDocuments.vehicle_vin, vin));
+
       const [deletedVehicle] = await db
         .delete(vehicles)
         .where(eq(vehicles.vin, vin))
@@ -282,6 +388,12 @@ export const vehiclesController = {
         });
       }
 
+      await destroyAssets(documents.map((document) => document.scan_public_id));
+      await destroyEntityAssets(
+        "vehicle document",
+        documents.map((document) => document.id)
+      );
+
       res.status(200).json({
         message: `The vehicle "${deletedVehicle.make} ${deletedVehicle.model}" has been deleted successfully`,
       });
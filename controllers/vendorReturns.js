@@ -0,0 +1,558 @@
+import { and, desc, eq, ilike, ne, sql } from "drizzle-orm";
+import { z } from "zod";
+import { db } from "../database/connection.js";
+import {
+  acknowledgeVendorReturnSchema,
+  insertVendorReturnProductSchema,
+  insertVendorReturnSchema,
+  inventoryProducts,
+  purchaseProducts,
+  purchases,
+  vendorReturnProducts,
+  vendorReturns,
+} from "../schemas/index.js";
+import {
+  allocateInventoryProducts,
+  calculatePurchasePrice,
+  evaluateStockThresholds,
+  findInventoryByName,
+  findPurchaseByMrId,
+  findVendorReturnByRtvId,
+  inTransitInventory,
+  recordStockMovement,
+} from "../services/index.js";
+import {
+  getAllowedTransitions,
+  vendorReturnStatusTransitions,
+} from "../utils/index.js";
+
+// Quantity of each purchase product already returned by returns that were
+// not cancelled.
+const findReturnedQuantities = async (mrId, ctx = db) => {
+  const returned = await ctx
+    .select({
+      purchase_product_id: vendorReturnProducts.purchase_product_id,
+      quantity: sql`sum(${vendorReturnProducts.quantity})`.mapWith(Number),
+    })
+    .from(vendorReturnProducts)
+    .innerJoin(
+      vendorReturns,
+      eq(vendorReturnProducts.rtv_id, vendorReturns.rtv_id)
+    )
+    .where(
+      and(
+        ilike(vendorReturns.mr_id, mrId),
+        ne(vendorReturns.status, "cancelled")
+      )
+    )
+    .groupBy(vendorReturnProducts.purchase_product_id);
+
+  return returned.reduce((quantities, line) => {
+    quantities[line.purchase_product_id] = line.quantity;
+    return quantities;
+  }, {});
+};
+
+// Returns can not exceed what was purchased and not returned yet.
+const findReturnErrors = (
+  purchasedProducts,
+  returnedQuantities,
+  products,
+  mrId
+) => {
+  const errors = [];
+  for (const { purchase_product_id, quantity } of products) {
+    const purchaseProduct = purchasedProducts.find(
+      (product) => product.id === purchase_product_id
+    );
+    if (!purchaseProduct) {
+      errors.push(
+        `The purchase product ID "${purchase_product_id}" does not belong to the purchase MR ID "${mrId}".`
+      );
+      continue;
+    }
+
+    const { product, quantity: purchasedQuantity } = purchaseProduct;
+    const alreadyReturned = returnedQuantities[purchase_product_id] || 0;
+    returnedQuantities[purchase_product_id] = alreadyReturned + quantity;
+    if (alreadyReturned + quantity > purchasedQuantity) {
+      errors.push(
+        `Only ${purchasedQuantity} units of "${product}" were purchased under MR ID "${mrId}" and ${alreadyReturned} of them were already returned.`
+      );
+    }
+  }
+
+  return errors;
+};
+
+const updatePurchaseTotal = async (mrId, tx) => {
+  const updatedTotalPrice = await calculatePurchasePrice(mrId, tx);
+
+  await tx
+    .update(purchases)
+    .set({
+      total_price: sql`${updatedTotalPrice} - ${purchases.adjustment}`,
+      updated_at: new Date().toISOString(),
+    })
+    .where(ilike(purchases.mr_id, mrId));
+};
+
+const findTransitionError = (vendorReturn, nextStatus) => {
+  const allowed = getAllowedTransitions(
+    vendorReturnStatusTransitions,
+    vendorReturn.status
+  );
+  if (allowed.includes(nextStatus)) return null;
+
+  return {
+    message: `The vendor return RTV ID "${vendorReturn.rtv_id}" cannot be ${nextStatus} while it is ${vendorReturn.status}.`,
+    allowed,
+  };
+};
+
+export const vendorReturnsController = {
+  create: async (req, res) => {
+    try {
+      const { rtv_id, mr_id, inventory, reason, return_date, products } =
+        req.body;
+
+      if (!Array.isArray(products) || products.length === 0) {
+        return res.status(400).json({ message: "Products are required" });
+      }
+
+      await insertVendorReturnSchema.parseAsync({
+        rtv_id,
+        mr_id,
+        inventory,
+        reason,
+        return_date,
+      });
+      for (const product of products) {
+        await insertVendorReturnProductSchema.parseAsync(product);
+      }
+
+      const existingVendorReturn = await findVendorReturnByRtvId(rtv_id);
+      if (existingVendorReturn) {
+        return res.status(409).json({
+          message: `The vendor return with the RTV ID "${rtv_id}" already exists. Please choose a different RTV ID.`,
+        });
+      }
+
+      const purchase = await findPurchaseByMrId(mr_id);
+      if (!purchase) {
+        return res.status(404).json({
+          message: `The purchase MR ID "${mr_id}" was not found. Please verify the MR ID.`,
+        });
+      }
+
+      // Goods are returned from the purchase inventory unless they were
+      // transferred elsewhere
+      let returnInventory = purchase.inventory;
+      if (inventory && inventory !== purchase.inventory) {
+        const inventoryValidation = await findInventoryByName(inventory);
+        if (!inventoryValidation) {
+          return res.status(404).json({
+            message: `The inventory "${inventory}" was not found. Please verify the inventory.`,
+          });
+        }
+
+        if (inventoryValidation.name === inTransitInventory) {
+          return res.status(400).json({
+            message: `Goods in "${inTransitInventory}" can not be returned to the vendor before they are received.`,
+          });
+        }
+        returnInventory = inventoryValidation.name;
+      }
+
+      const purchasedProducts = await db
+        .select()
+        .from(purchaseProducts)
+        .where(ilike(purchaseProducts.mr_id, purchase.mr_id));
+      const returnErrors = findReturnErrors(
+        purchasedProducts,
+        await findReturnedQuantities(purchase.mr_id),
+        products,
+        mr_id
+      );
+      if (returnErrors.length > 0) {
+        return res.status(400).json({ message: returnErrors });
+      }
+
+      let newVendorReturn;
+      const allVendorReturnProducts = [];
+      await db.transaction(async (tx) => {
+        // The purchase products are locked so that concurrent returns are
+        // checked against each other's returned quantities
+        const lockedPurchaseProducts = await tx
+          .select()
+          .from(purchaseProducts)
+          .where(ilike(purchaseProducts.mr_id, purchase.mr_id))
+          .for("update");
+        const lockedReturnErrors = findReturnErrors(
+          lockedPurchaseProducts,
+          await findReturnedQuantities(purchase.mr_id, tx),
+          products,
+          mr_id
+        );
+        if (lockedReturnErrors.length > 0) {
+          const error = new Error(
+            `The return exceeds the quantities purchased under MR ID "${mr_id}".`
+          );
+          error.name = "VendorReturnError";
+          error.returnErrors = lockedReturnErrors;
+          throw error;
+        }
+
+        await tx.insert(vendorReturns).values({
+          rtv_id,
+          mr_id: purchase.mr_id,
+          vendor: purchase.vendor,
+          inventory: returnInventory,
+          reason,
+          return_date: return_date ? return_date : new Date().toISOString(),
+          created_by: req.user.id,
+        });
+
+        for (const { purchase_product_id, quantity } of products) {
+          const purchaseProduct = purchasedProducts.find(
+            (product) => product.id === purchase_product_id
+          );
+          const parseDiscount = parseFloat(purchaseProduct.discount) || 0;
+
+          const allocations = await allocateInventoryProducts(
+            {
+              inventory: returnInventory,
+              product: purchaseProduct.product,
+              quantity,
+              mr_id: purchase.mr_id,
+            },
+            tx
+          );
+
+          for (const { lot, quantity: lotQuantity } of allocations) {
+            const creditAmount =
+              lotQuantity * purchaseProduct.unit_price -
+              (lotQuantity * purchaseProduct.unit_price * parseDiscount) / 100;
+
+            const [vendorReturnProduct] = await tx
+              .insert(vendorReturnProducts)
+              .values({
+                rtv_id,
+                purchase_product_id,
+                inventory_product_id: lot.id,
+                product: purchaseProduct.product,
+                quantity: lotQuantity,
+                unit_price: purchaseProduct.unit_price,
+                discount: parseDiscount,
+                credit_amount: creditAmount,
+              })
+              .returning();
+            allVendorReturnProducts.push(vendorReturnProduct);
+
+            const [updatedLot] = await tx
+              .update(inventoryProducts)
+              .set({
+                quantity: sql`${inventoryProducts.quantity} - ${lotQuantity}`,
+                updated_at: new Date().toISOString(),
+              })
+              .where(eq(inventoryProducts.id, lot.id))
+              .returning();
+
+            await recordStockMovement(
+              {
+                source_type: "RTV",
+                source_id: rtv_id,
+                lot: updatedLot,
+                quantity: -lotQuantity,
+                created_by: req.user.id,
+              },
+              tx
+            );
+          }
+        }
+
+        [newVendorReturn] = await tx
+          .update(vendorReturns)
+          .set({
+            credit_amount: allVendorReturnProducts.reduce(
+              (total, product) => total + parseFloat(product.credit_amount),
+              0
+            ),
+          })
+          .where(ilike(vendorReturns.rtv_id, rtv_id))
+          .returning();
+
+        await updatePurchaseTotal(purchase.mr_id, tx);
+      });
+
+      await evaluateStockThresholds([returnInventory]).catch((error) =>
+        console.error("Failed to evaluate stock thresholds", error)
+      );
+
+      res.status(201).json({
+        message: `The vendor return RTV ID "${rtv_id}" has been created successfully`,
+        vendorReturn: newVendorReturn,
+        products: allVendorReturnProducts,
+      });
+    } catch (error) {
+      console.error("An error occurred while creating vendor return", error);
+      if (error.name === "VendorReturnError") {
+        return res.status(400).json({ message: error.returnErrors });
+      }
+      if (error.name === "StockShortageError") {
+        return res.status(409).json({
+          message: error.message,
+          shortage: error.shortage,
+        });
+      }
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while creating the vendor return. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveAll: async (req, res) => {
+    try {
+      const allVendorReturns = await db.query.vendorReturns.findMany({
+        orderBy: [desc(vendorReturns.created_at)],
+        with: {
+          products: true,
+        },
+      });
+
+      res.status(200).json({
+        message: "Vendor returns retrieved successfully",
+        vendorReturns: allVendorReturns,
+      });
+    } catch (error) {
+      console.error("An error occurred while retrieving vendor returns", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving vendor returns. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  retrieveByRtvId: async (req, res) => {
+    try {
+      const { rtvId } = req.params;
+      const vendorReturn = await db.query.vendorReturns.findFirst({
+        where: ilike(vendorReturns.rtv_id, rtvId),
+        with: {
+          products: true,
+          creator: {
+            columns: {
+              id: true,
+              name: true,
+              email: true,
+              role: true,
+            },
+          },
+        },
+      });
+
+      if (!vendorReturn) {
+        return res.status(404).json({
+          message: `The vendor return RTV ID "${rtvId}" was not found. Please verify the RTV ID and try again.`,
+        });
+      }
+
+      res.status(200).json({
+        message: "Vendor return retrieved successfully",
+        vendorReturn,
+      });
+    } catch (error) {
+      console.error("An error occurred while retrieving vendor return", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while retrieving the vendor return. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  dispatchByRtvId: async (req, res) => {
+    try {
+      const { rtvId } = req.params;
+
+      const existingVendorReturn = await findVendorReturnByRtvId(rtvId);
+      if (!existingVendorReturn) {
+        return res.status(404).json({
+          message: `The vendor return RTV ID "${rtvId}" was not found. Please verify the RTV ID.`,
+        });
+      }
+
+      const transitionError = findTransitionError(
+        existingVendorReturn,
+        "dispatched"
+      );
+      if (transitionError) {
+        return res.status(409).json(transitionError);
+      }
+
+      const [dispatchedVendorReturn] = await db
+        .update(vendorReturns)
+        .set({
+          status: "dispatched",
+          dispatched_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .where(eq(vendorReturns.id, existingVendorReturn.id))
+        .returning();
+
+      res.status(200).json({
+        message: `The vendor return RTV ID "${rtvId}" has been dispatched successfully.`,
+        vendorReturn: dispatchedVendorReturn,
+      });
+    } catch (error) {
+      console.error("An error occurred while dispatching vendor return", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while dispatching the vendor return. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  acknowledgeByRtvId: async (req, res) => {
+    try {
+      const { rtvId } = req.params;
+      await acknowledgeVendorReturnSchema.parseAsync(req.body);
+      const { vendor_reference } = req.body;
+
+      const existingVendorReturn = await findVendorReturnByRtvId(rtvId);
+      if (!existingVendorReturn) {
+        return res.status(404).json({
+          message: `The vendor return RTV ID "${rtvId}" was not found. Please verify the RTV ID.`,
+        });
+      }
+
+      const transitionError = findTransitionError(
+        existingVendorReturn,
+        "acknowledged"
+      );
+      if (transitionError) {
+        return res.status(409).json(transitionError);
+      }
+
+      const [acknowledgedVendorReturn] = await db
+        .update(vendorReturns)
+        .set({
+          status: "acknowledged",
+          vendor_reference,
+          acknowledged_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .where(eq(vendorReturns.id, existingVendorReturn.id))
+        .returning();
+
+      res.status(200).json({
+        message: `The vendor return RTV ID "${rtvId}" has been acknowledged by the vendor.`,
+        vendorReturn: acknowledgedVendorReturn,
+      });
+    } catch (error) {
+      console.error(
+        "An error occurred while acknowledging vendor return",
+        error
+      );
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: error.errors.map((e) => e.message),
+        });
+      }
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while acknowledging the vendor return. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+  cancelByRtvId: async (req, res) => {
+    try {
+      const { rtvId } = req.params;
+
+      const existingVendorReturn = await findVendorReturnByRtvId(rtvId);
+      if (!existingVendorReturn) {
+        return res.status(404).json({
+          message: `The vendor return RTV ID "${rtvId}" was not found. Please verify the RTV ID.`,
+        });
+      }
+
+      const transitionError = findTransitionError(
+        existingVendorReturn,
+        "cancelled"
+      );
+      if (transitionError) {
+        return res.status(409).json(transitionError);
+      }
+
+      let cancelledVendorReturn;
+      await db.transaction(async (tx) => {
+        [cancelledVendorReturn] = await tx
+          .update(vendorReturns)
+          .set({
+            status: "cancelled",
+            updated_at: new Date().toISOString(),
+          })
+          .where(eq(vendorReturns.id, existingVendorReturn.id))
+          .returning();
+
+        const returnedProducts = await tx
+          .select()
+          .from(vendorReturnProducts)
+          .where(
+            ilike(vendorReturnProducts.rtv_id, existingVendorReturn.rtv_id)
+          );
+
+        // The goods never left, put them back into the lots they came from
+        for (const product of returnedProducts) {
+          if (!product.inventory_product_id) continue;
+
+          const [restockedLot] = await tx
+            .update(inventoryProducts)
+            .set({
+              quantity: sql`${inventoryProducts.quantity} + ${product.quantity}`,
+              updated_at: new Date().toISOString(),
+            })
+            .where(eq(inventoryProducts.id, product.inventory_product_id))
+            .returning();
+
+          await recordStockMovement(
+            {
+              source_type: "RTV",
+              source_id: existingVendorReturn.rtv_id,
+              lot: restockedLot,
+              quantity: product.quantity,
+              created_by: req.user.id,
+            },
+            tx
+          );
+        }
+
+        await updatePurchaseTotal(existingVendorReturn.mr_id, tx);
+      });
+
+      await evaluateStockThresholds([existingVendorReturn.inventory]).catch(
+        (error) => console.error("Failed to evaluate stock thresholds", error)
+      );
+
+      res.status(200).json({
+        message: `The vendor return RTV ID "${rtvId}" has been cancelled successfully.`,
+        vendorReturn: cancelledVendorReturn,
+      });
+    } catch (error) {
+      console.error("An error occurred while cancelling vendor return", error);
+      res.status(500).json({
+        message:
+          "An unexpected error occurred while cancelling the vendor return. Please try again.",
+        error: error.message,
+      });
+    }
+  },
+};
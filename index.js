@@ -26,6 +26,19 @@ import {
   vendorsRouter,
   transferProductsRouter,
   cloudinaryRouter,
+  stockReservationsRouter,
+  stockLedgerRouter,
+  stockCountsRouter,
+  stockThresholdsRouter,
+  stockAlertsRouter,
+  purchaseOrdersRouter,
+  vendorReturnsRouter,
+  customerReturnsRouter,
+  maintenanceSchedulesRouter,
+  maintenanceRecordsRouter,
+  vehicleDocumentsRouter,
+  tripLogsRouter,
+  invitesRouter,
 } from "./routes/index.js";
 
 const app = express();
@@ -39,6 +52,8 @@ const limiter = rateLimit({
   skip: (req) => req.method === "GET",
 });
 
+// Client IPs of sessions come from the proxy in front of the API
+app.set("trust proxy", 1);
 app.use(cors());
 // app.use(limiter);
 // app.use(helmet());
@@ -69,6 +84,19 @@ app.use("/shipments", shipmentsRouter);
 app.use("/users", usersRouter);
 app.use("/vehicles", vehiclesRouter);
 app.use("/cloudinary", cloudinaryRouter);
+app.use("/stock-reservations", stockReservationsRouter);
+app.use("/stock-ledger", stockLedgerRouter);
+app.use("/stock-counts", stockCountsRouter);
+app.use("/stock-thresholds", stockThresholdsRouter);
+app.use("/stock-alerts", stockAlertsRouter);
+app.use("/purchase-orders", purchaseOrdersRouter);
+app.use("/vendor-returns", vendorReturnsRouter);
+app.use("/customer-returns", customerReturnsRouter);
+app.use("/maintenance-schedules", maintenanceSchedulesRouter);
+app.use("/maintenance-records", maintenanceRecordsRouter);
+app.use("/vehicle-documents", vehicleDocumentsRouter);
+app.use("/trip-logs", tripLogsRouter);
+app.use("/invites", invitesRouter);
 
 app.use(errorGuard);
 
@@ -0,0 +1,60 @@
+import "dotenv/config";
+import { inArray } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { users } from "../schemas/index.js";
+import { findExpiringDocuments } from "../services/index.js";
+import { sendEmail } from "../utils/index.js";
+
+const dayInMs = 24 * 60 * 60 * 1000;
+
+async function main() {
+  const days = parseInt(
+    process.argv[2] || process.env.DOCUMENT_EXPIRY_DIGEST_DAYS || 30,
+    10
+  );
+  const until = new Date(Date.now() + days * dayInMs);
+  const { vehicleDocuments, captainLicenses } = await findExpiringDocuments({
+    until,
+  });
+
+  if (vehicleDocuments.length === 0 && captainLicenses.length === 0) {
+    console.log(`no documents expire within ${days} days`);
+    return;
+  }
+
+  const lines = [
+    ...vehicleDocuments.map(
+      (document) =>
+        `- ${document.type} of the vehicle ${document.vehicle_vin}: expires on ${document.expiry_date}`
+    ),
+    ...captainLicenses.map(
+      (captain) =>
+        `- driving license of the captain ${captain.name}: expires on ${captain.driving_license_expires_at}`
+    ),
+  ].join("\n");
+
+  const recipients = await db
+    .select({ email: users.email })
+    .from(users)
+    .where(inArray(users.role, ["admin", "fleet-manager"]));
+  for (const { email } of recipients) {
+    await sendEmail(
+      email,
+      `Documents expiring within ${days} days`,
+      `The following documents expire by ${until.toISOString()}:\n\n${lines}`
+    );
+  }
+
+  console.log(
+    `${
+      vehicleDocuments.length + captainLicenses.length
+    } expiring documents sent to ${recipients.length} recipients`
+  );
+}
+
+main()
+  .catch((error) => {
+    console.error("error while sending the document expiry digest:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => process.exit());
@@ -0,0 +1,24 @@
+import "dotenv/config";
+import { reconcileStockLedger } from "../services/index.js";
+
+async function main() {
+  const drifts = await reconcileStockLedger();
+
+  if (drifts.length === 0) {
+    console.log("inventory products are in sync with the stock ledger");
+    return;
+  }
+
+  console.error(
+    `${drifts.length} inventory products drifted from the stock ledger`
+  );
+  console.table(drifts);
+  process.exitCode = 1;
+}
+
+main()
+  .catch((error) => {
+    console.error("error while reconciling stock:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => process.exit());
@@ -0,0 +1,18 @@
+import "dotenv/config";
+import { db } from "../database/connection.js";
+import { seedOpeningBalances } from "../services/index.js";
+
+async function main() {
+  const openingEntries = await db.transaction((tx) => seedOpeningBalances(tx));
+
+  console.log(
+    `${openingEntries.length} opening balances written to the stock ledger`
+  );
+}
+
+main()
+  .catch((error) => {
+    console.error("error while seeding opening balances:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => process.exit());
@@ -1,17 +1,19 @@
 import jwt from "jsonwebtoken";
+import { findActiveSession } from "../services/index.js";
 
 const jwtSecret = process.env.JWT_SECRET;
 
 if (!jwtSecret) throw new Error("JWT_SECRET environment variable is not set");
 
 /**
- * Middleware to check JWT and validate user roles.
+ * Middleware to check JWT and validate user roles. A token is only accepted
+ * while the session it was issued for has not been revoked or expired.
  * @param {Array<string>} roles - Array of roles that are allowed access.
  * @returns {Function} Middleware function for Express.
  */
 
 export const authGuard = (roles) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     const { authorization } = req.headers;
 
     if (
@@ -33,10 +35,17 @@ export const authGuard = (roles) => {
           message: "invalid token",
         });
 
-      const { id, name, email, role, avatar } = decoded;
+      const { id, name, email, role, avatar, sid } = decoded;
+
+      const session = await findActiveSession(sid);
+      if (!session || session.user_id !== id) {
+        return res.status(401).json({
+          message: "session has been revoked or has expired",
+        });
+      }
 
       if (roles && roles.includes(role)) {
-        req.user = { id, name, email, role, avatar };
+        req.user = { id, name, email, role, avatar, sid };
         return next();
       } else {
         return res.status(403).json({
@@ -0,0 +1,15 @@
+import { rateLimit } from "express-rate-limit";
+
+/**
+ * Throttles login attempts per IP, whatever the account they are made for.
+ */
+export const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: parseInt(process.env.LOGIN_RATE_LIMIT || 20, 10),
+  message: {
+    message:
+      "too many login attempts from this IP, please try again after 15 minutes.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
@@ -1,12 +1,63 @@
 import express from "express";
 import { authController } from "../controllers/index.js";
+import { authGuard } from "../middlewares/authGuard.js";
+import { loginLimiter } from "../middlewares/loginLimiter.js";
+import { userRolesEnum } from "../utils/index.js";
 
 const authRouter = express.Router();
 
 authRouter.post("/register", authController.register);
-authRouter.post("/login", authController.login);
+authRouter.post("/login", loginLimiter, authController.login);
+authRouter.post(
+  "/login/two-factor",
+  loginLimiter,
+  authController.verifyTwoFactorLogin
+);
+authRouter.post(
+  "/login/two-factor/setup",
+  loginLimiter,
+  authController.setupTwoFactorLogin
+);
+authRouter.post("/refresh", authController.refresh);
+authRouter.post("/verify-email", authController.verifyEmail);
+authRouter.post("/verify-email/resend", authController.resendVerification);
 authRouter.post("/request-password-reset", authController.requestPasswordReset);
 authRouter.post("/reset-password", authController.resetPassword);
-authRouter.post("/logout/:id", authController.logout);
+authRouter.post("/logout", authGuard(userRolesEnum), authController.logout);
+authRouter.get(
+  "/sessions",
+  authGuard(userRolesEnum),
+  authController.retrieveSessions
+);
+authRouter.delete(
+  "/sessions",
+  authGuard(userRolesEnum),
+  authController.revokeOtherSessions
+);
+authRouter.delete(
+  "/sessions/:id",
+  authGuard(userRolesEnum),
+  authController.revokeSessionById
+);
+authRouter.post(
+  "/two-factor/setup",
+  authGuard(userRolesEnum),
+  authController.setupTwoFactor
+);
+authRouter.post(
+  "/two-factor/enable",
+  authGuard(userRolesEnum),
+  authController.enableTwoFactor
+);
+authRouter.post(
+  "/two-factor/recovery-codes",
+  authGuard(userRolesEnum),
+  authController.regenerateRecoveryCodes
+);
+authRouter.delete(
+  "/two-factor",
+  authGuard(userRolesEnum),
+  authController.disableTwoFactor
+);
 
 export { authRouter };
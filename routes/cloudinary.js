@@ -4,6 +4,18 @@ import { authGuard } from "../middlewares/authGuard.js";
 
 const cloudinaryRouter = express.Router();
 
+cloudinaryRouter.post(
+  "/sign",
+  authGuard([
+    "admin",
+    "procurement-manager",
+    "fleet-manager",
+    "inventory-manager",
+    "inventory-in-charge",
+    "captain",
+  ]),
+  cloudinaryController.sign
+);
 cloudinaryRouter.post(
   "/delete-image",
   authGuard([
@@ -13,7 +25,6 @@ cloudinaryRouter.post(
     "inventory-manager",
     "inventory-in-charge",
     "captain",
-    "guest",
   ]),
   cloudinaryController.delete
 );
@@ -0,0 +1,28 @@
+import express from "express";
+import { customerReturnsController } from "../controllers/index.js";
+import { authGuard } from "../middlewares/authGuard.js";
+
+const customerReturnsRouter = express.Router();
+
+customerReturnsRouter.post(
+  "/",
+  authGuard(["admin", "inventory-manager", "inventory-in-charge"]),
+  customerReturnsController.create
+);
+customerReturnsRouter.get(
+  "/",
+  authGuard(["admin", "inventory-manager", "inventory-in-charge"]),
+  customerReturnsController.retrieveAll
+);
+customerReturnsRouter.get(
+  "/:rmaId",
+  authGuard(["admin", "inventory-manager", "inventory-in-charge"]),
+  customerReturnsController.retrieveByRmaId
+);
+customerReturnsRouter.put(
+  "/:rmaId/refund",
+  authGuard(["admin", "inventory-manager"]),
+  customerReturnsController.refundByRmaId
+);
+
+export { customerReturnsRouter };
@@ -17,3 +17,16 @@ export { vehiclesRouter } from "./vehicles.js";
 export { vendorsRouter } from "./vendors.js";
 export { transferProductsRouter } from "./transferProducts.js";
 export { cloudinaryRouter } from "./cloudinary.js";
+export { stockReservationsRouter } from "./stockReservations.js";
+export { stockLedgerRouter } from "./stockLedger.js";
+export { stockCountsRouter } from "./stockCounts.js";
+export { stockThresholdsRouter } from "./stockThresholds.js";
+export { stockAlertsRouter } from "./stockAlerts.js";
+export { purchaseOrdersRouter } from "./purchaseOrders.js";
+export { vendorReturnsRouter } from "./vendorReturns.js";
+export { customerReturnsRouter } from "./customerReturns.js";
+export { maintenanceSchedulesRouter } from "./maintenanceSchedules.js";
+export { maintenanceRecordsRouter } from "./maintenanceRecords.js";
+export { vehicleDocumentsRouter } from "./vehicleDocuments.js";
+export { tripLogsRouter } from "./tripLogs.js";
+export { invitesRouter } from "./invites.js";
@@ -14,6 +14,21 @@ inventoryProductsRouter.get(
   ]),
   inventoryProductsController.retrieveAll
 );
+inventoryProductsRouter.get(
+  "/as-of",
+  authGuard([
+    "admin",
+    "procurement-manager",
+    "inventory-manager",
+    "inventory-in-charge",
+  ]),
+  inventoryProductsController.retrieveAsOf
+);
+inventoryProductsRouter.get(
+  "/reconcile",
+  authGuard(["admin", "procurement-manager", "inventory-manager"]),
+  inventoryProductsController.reconcile
+);
 inventoryProductsRouter.get(
   "/:id",
   authGuard([
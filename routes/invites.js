@@ -0,0 +1,34 @@
+import express from "express";
+import { invitesController } from "../controllers/index.js";
+import { authGuard } from "../middlewares/authGuard.js";
+
+const invitesRouter = express.Router();
+
+invitesRouter.post("/accept", invitesController.accept);
+invitesRouter.post(
+  "/",
+  authGuard(["admin", "fleet-manager", "inventory-manager"]),
+  invitesController.create
+);
+invitesRouter.get(
+  "/",
+  authGuard(["admin", "fleet-manager", "inventory-manager"]),
+  invitesController.retrieveAll
+);
+invitesRouter.get(
+  "/:id",
+  authGuard(["admin", "fleet-manager", "inventory-manager"]),
+  invitesController.retrieveById
+);
+invitesRouter.post(
+  "/:id/resend",
+  authGuard(["admin", "fleet-manager", "inventory-manager"]),
+  invitesController.resendById
+);
+invitesRouter.delete(
+  "/:id",
+  authGuard(["admin", "fleet-manager", "inventory-manager"]),
+  invitesController.revokeById
+);
+
+export { invitesRouter };
@@ -0,0 +1,28 @@
+import express from "express";
+import { maintenanceRecordsController } from "../controllers/index.js";
+import { authGuard } from "../middlewares/authGuard.js";
+
+const maintenanceRecordsRouter = express.Router();
+
+maintenanceRecordsRouter.post(
+  "/",
+  authGuard(["admin", "fleet-manager"]),
+  maintenanceRecordsController.create
+);
+maintenanceRecordsRouter.get(
+  "/",
+  authGuard(["admin", "fleet-manager", "captain"]),
+  maintenanceRecordsController.retrieveAll
+);
+maintenanceRecordsRouter.get(
+  "/:id",
+  authGuard(["admin", "fleet-manager", "captain"]),
+  maintenanceRecordsController.retrieveById
+);
+maintenanceRecordsRouter.delete(
+  "/:id",
+  authGuard(["admin", "fleet-manager"]),
+  maintenanceRecordsController.deleteById
+);
+
+export { maintenanceRecordsRouter };
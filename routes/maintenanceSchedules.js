@@ -0,0 +1,33 @@
+import express from "express";
+import { maintenanceSchedulesController } from "../controllers/index.js";
+import { authGuard } from "../middlewares/authGuard.js";
+
+const maintenanceSchedulesRouter = express.Router();
+
+maintenanceSchedulesRouter.post(
+  "/",
+  authGuard(["admin", "fleet-manager"]),
+  maintenanceSchedulesController.create
+);
+maintenanceSchedulesRouter.get(
+  "/",
+  authGuard(["admin", "fleet-manager", "captain"]),
+  maintenanceSchedulesController.retrieveAll
+);
+maintenanceSchedulesRouter.get(
+  "/:id",
+  authGuard(["admin", "fleet-manager", "captain"]),
+  maintenanceSchedulesController.retrieveById
+);
+maintenanceSchedulesRouter.put(
+  "/:id",
+  authGuard(["admin", "fleet-manager"]),
+  maintenanceSchedulesController.updateById
+);
+maintenanceSchedulesRouter.delete(
+  "/:id",
+  authGuard(["admin", "fleet-manager"]),
+  maintenanceSchedulesController.deleteById
+);
+
+export { maintenanceSchedulesRouter };
@@ -0,0 +1,63 @@
+import express from "express";
+import { purchaseOrdersController } from "../controllers/index.js";
+import { authGuard } from "../middlewares/authGuard.js";
+
+const purchaseOrdersRouter = express.Router();
+
+purchaseOrdersRouter.post(
+  "/",
+  authGuard(["admin", "procurement-manager", "inventory-manager"]),
+  purchaseOrdersController.create
+);
+purchaseOrdersRouter.get(
+  "/",
+  authGuard([
+    "admin",
+    "procurement-manager",
+    "inventory-manager",
+    "inventory-in-charge",
+  ]),
+  purchaseOrdersController.retrieveAll
+);
+purchaseOrdersRouter.get(
+  "/:poId",
+  authGuard([
+    "admin",
+    "procurement-manager",
+    "inventory-manager",
+    "inventory-in-charge",
+  ]),
+  purchaseOrdersController.retrieveByPoId
+);
+purchaseOrdersRouter.put(
+  "/:poId",
+  authGuard(["admin", "procurement-manager", "inventory-manager"]),
+  purchaseOrdersController.updateByPoId
+);
+purchaseOrdersRouter.put(
+  "/:poId/approve",
+  authGuard(["admin", "procurement-manager"]),
+  purchaseOrdersController.approveByPoId
+);
+purchaseOrdersRouter.put(
+  "/:poId/close",
+  authGuard(["admin", "procurement-manager"]),
+  purchaseOrdersController.closeByPoId
+);
+purchaseOrdersRouter.post(
+  "/:poId/receipts",
+  authGuard([
+    "admin",
+    "procurement-manager",
+    "inventory-manager",
+    "inventory-in-charge",
+  ]),
+  purchaseOrdersController.receiveByPoId
+);
+purchaseOrdersRouter.delete(
+  "/:poId",
+  authGuard(["admin", "procurement-manager", "inventory-manager"]),
+  purchaseOrdersController.deleteByPoId
+);
+
+export { purchaseOrdersRouter };
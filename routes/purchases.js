@@ -4,11 +4,6 @@ import { authGuard } from "../middlewares/authGuard.js";
 
 const purchasesRouter = express.Router();
 
-purchasesRouter.post(
-  "/",
-  authGuard(["admin", "procurement-manager"]),
-  purchasesController.create
-);
 purchasesRouter.get(
   "/",
   authGuard([
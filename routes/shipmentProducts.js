@@ -31,6 +31,16 @@ shipmentProductsRouter.put(
   authGuard(["admin", "inventory-manager", "inventory-in-charge"]),
   shipmentProductsController.updateById
 );
+shipmentProductsRouter.post(
+  "/:id/proof",
+  authGuard(["admin", "fleet-manager", "captain"]),
+  shipmentProductsController.createProof
+);
+shipmentProductsRouter.delete(
+  "/:id/proof",
+  authGuard(["admin", "fleet-manager"]),
+  shipmentProductsController.deleteProof
+);
 shipmentProductsRouter.delete(
   "/:id",
   authGuard(["admin", "inventory-manager"]),
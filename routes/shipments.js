@@ -20,6 +20,11 @@ shipmentsRouter.get(
   ]),
   shipmentsController.retrieveAll
 );
+shipmentsRouter.get(
+  "/availability",
+  authGuard(["admin", "fleet-manager"]),
+  shipmentsController.retrieveAvailability
+);
 shipmentsRouter.get(
   "/:shipmentId",
   authGuard([
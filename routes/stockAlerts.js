@@ -0,0 +1,18 @@
+import express from "express";
+import { stockAlertsController } from "../controllers/index.js";
+import { authGuard } from "../middlewares/authGuard.js";
+
+const stockAlertsRouter = express.Router();
+
+stockAlertsRouter.get(
+  "/",
+  authGuard([
+    "admin",
+    "procurement-manager",
+    "inventory-manager",
+    "inventory-in-charge",
+  ]),
+  stockAlertsController.retrieveAll
+);
+
+export { stockAlertsRouter };
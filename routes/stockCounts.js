@@ -0,0 +1,43 @@
+import express from "express";
+import { stockCountsController } from "../controllers/index.js";
+import { authGuard } from "../middlewares/authGuard.js";
+
+const stockCountsRouter = express.Router();
+
+stockCountsRouter.post(
+  "/",
+  authGuard(["admin", "inventory-manager", "inventory-in-charge"]),
+  stockCountsController.create
+);
+stockCountsRouter.get(
+  "/",
+  authGuard(["admin", "inventory-manager", "inventory-in-charge"]),
+  stockCountsController.retrieveAll
+);
+stockCountsRouter.get(
+  "/:scId",
+  authGuard(["admin", "inventory-manager", "inventory-in-charge"]),
+  stockCountsController.retrieveByScId
+);
+stockCountsRouter.put(
+  "/:scId",
+  authGuard(["admin", "inventory-manager", "inventory-in-charge"]),
+  stockCountsController.updateByScId
+);
+stockCountsRouter.put(
+  "/:scId/approve",
+  authGuard(["admin", "inventory-manager"]),
+  stockCountsController.approveByScId
+);
+stockCountsRouter.put(
+  "/:scId/reject",
+  authGuard(["admin", "inventory-manager"]),
+  stockCountsController.rejectByScId
+);
+stockCountsRouter.delete(
+  "/:scId",
+  authGuard(["admin", "inventory-manager"]),
+  stockCountsController.deleteByScId
+);
+
+export { stockCountsRouter };
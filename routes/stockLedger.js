@@ -0,0 +1,18 @@
+import express from "express";
+import { stockLedgerController } from "../controllers/index.js";
+import { authGuard } from "../middlewares/authGuard.js";
+
+const stockLedgerRouter = express.Router();
+
+stockLedgerRouter.get(
+  "/",
+  authGuard([
+    "admin",
+    "procurement-manager",
+    "inventory-manager",
+    "inventory-in-charge",
+  ]),
+  stockLedgerController.retrieveAll
+);
+
+export { stockLedgerRouter };
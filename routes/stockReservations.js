@@ -0,0 +1,28 @@
+import express from "express";
+import { stockReservationsController } from "../controllers/index.js";
+import { authGuard } from "../middlewares/authGuard.js";
+
+const stockReservationsRouter = express.Router();
+
+stockReservationsRouter.get(
+  "/",
+  authGuard([
+    "admin",
+    "procurement-manager",
+    "inventory-manager",
+    "inventory-in-charge",
+  ]),
+  stockReservationsController.retrieveAll
+);
+stockReservationsRouter.get(
+  "/:id",
+  authGuard([
+    "admin",
+    "procurement-manager",
+    "inventory-manager",
+    "inventory-in-charge",
+  ]),
+  stockReservationsController.retrieveById
+);
+
+export { stockReservationsRouter };
@@ -0,0 +1,53 @@
+import express from "express";
+import { stockThresholdsController } from "../controllers/index.js";
+import { authGuard } from "../middlewares/authGuard.js";
+
+const stockThresholdsRouter = express.Router();
+
+stockThresholdsRouter.post(
+  "/",
+  authGuard(["admin", "procurement-manager", "inventory-manager"]),
+  stockThresholdsController.create
+);
+stockThresholdsRouter.get(
+  "/",
+  authGuard([
+    "admin",
+    "procurement-manager",
+    "inventory-manager",
+    "inventory-in-charge",
+  ]),
+  stockThresholdsController.retrieveAll
+);
+stockThresholdsRouter.get(
+  "/below",
+  authGuard([
+    "admin",
+    "procurement-manager",
+    "inventory-manager",
+    "inventory-in-charge",
+  ]),
+  stockThresholdsController.retrieveBelowThreshold
+);
+stockThresholdsRouter.get(
+  "/:id",
+  authGuard([
+    "admin",
+    "procurement-manager",
+    "inventory-manager",
+    "inventory-in-charge",
+  ]),
+  stockThresholdsController.retrieveById
+);
+stockThresholdsRouter.put(
+  "/:id",
+  authGuard(["admin", "procurement-manager", "inventory-manager"]),
+  stockThresholdsController.updateById
+);
+stockThresholdsRouter.delete(
+  "/:id",
+  authGuard(["admin", "procurement-manager", "inventory-manager"]),
+  stockThresholdsController.deleteById
+);
+
+export { stockThresholdsRouter };
@@ -14,6 +14,11 @@ transfersRouter.get(
   authGuard(["admin", "inventory-manager", "inventory-in-charge"]),
   transfersController.retrieveAll
 );
+transfersRouter.get(
+  "/discrepancies",
+  authGuard(["admin", "inventory-manager", "inventory-in-charge"]),
+  transfersController.retrieveDiscrepancies
+);
 transfersRouter.get(
   "/:trfId",
   authGuard(["admin", "inventory-manager", "inventory-in-charge"]),
@@ -24,6 +29,16 @@ transfersRouter.put(
   authGuard(["admin", "inventory-manager", "inventory-in-charge"]),
   transfersController.updateByTrfId
 );
+transfersRouter.put(
+  "/:trfId/in-transit",
+  authGuard(["admin", "inventory-manager", "inventory-in-charge"]),
+  transfersController.markInTransitByTrfId
+);
+transfersRouter.put(
+  "/:trfId/receive",
+  authGuard(["admin", "inventory-manager", "inventory-in-charge"]),
+  transfersController.receiveByTrfId
+);
 transfersRouter.delete(
   "/:trfId",
   authGuard(["admin", "inventory-manager"]),
@@ -0,0 +1,43 @@
+import express from "express";
+import { tripLogsController } from "../controllers/index.js";
+import { authGuard } from "../middlewares/authGuard.js";
+
+const tripLogsRouter = express.Router();
+
+tripLogsRouter.post(
+  "/",
+  authGuard(["admin", "fleet-manager", "captain"]),
+  tripLogsController.create
+);
+tripLogsRouter.get(
+  "/",
+  authGuard(["admin", "fleet-manager", "captain"]),
+  tripLogsController.retrieveAll
+);
+tripLogsRouter.get(
+  "/:id",
+  authGuard(["admin", "fleet-manager", "captain"]),
+  tripLogsController.retrieveById
+);
+tripLogsRouter.put(
+  "/:id",
+  authGuard(["admin", "fleet-manager", "captain"]),
+  tripLogsController.updateById
+);
+tripLogsRouter.post(
+  "/:id/fuel-logs",
+  authGuard(["admin", "fleet-manager", "captain"]),
+  tripLogsController.createFuelLog
+);
+tripLogsRouter.delete(
+  "/:id/fuel-logs/:fuelLogId",
+  authGuard(["admin", "fleet-manager"]),
+  tripLogsController.deleteFuelLog
+);
+tripLogsRouter.delete(
+  "/:id",
+  authGuard(["admin", "fleet-manager"]),
+  tripLogsController.deleteById
+);
+
+export { tripLogsRouter };
@@ -4,11 +4,6 @@ import { authGuard } from "../middlewares/authGuard.js";
 
 const usersRouter = express.Router();
 
-usersRouter.post(
-  "/",
-  authGuard(["admin", "fleet-manager", "inventory-manager"]),
-  usersController.create
-);
 usersRouter.get(
   "/",
   authGuard([
@@ -45,6 +40,16 @@ usersRouter.put(
   ]),
   usersController.updateById
 );
+usersRouter.post(
+  "/:id/unlock",
+  authGuard(["admin"]),
+  usersController.unlockById
+);
+usersRouter.delete(
+  "/:id/two-factor",
+  authGuard(["admin"]),
+  usersController.resetTwoFactorById
+);
 usersRouter.delete("/:id", authGuard(["admin"]), usersController.deleteById);
 
 export { usersRouter };
@@ -0,0 +1,38 @@
+import express from "express";
+import { vehicleDocumentsController } from "../controllers/index.js";
+import { authGuard } from "../middlewares/authGuard.js";
+
+const vehicleDocumentsRouter = express.Router();
+
+vehicleDocumentsRouter.post(
+  "/",
+  authGuard(["admin", "fleet-manager"]),
+  vehicleDocumentsController.create
+);
+vehicleDocumentsRouter.get(
+  "/",
+  authGuard(["admin", "fleet-manager", "captain"]),
+  vehicleDocumentsController.retrieveAll
+);
+vehicleDocumentsRouter.get(
+  "/expiring",
+  authGuard(["admin", "fleet-manager"]),
+  vehicleDocumentsController.retrieveExpiring
+);
+vehicleDocumentsRouter.get(
+  "/:id",
+  authGuard(["admin", "fleet-manager", "captain"]),
+  vehicleDocumentsController.retrieveById
+);
+vehicleDocumentsRouter.put(
+  "/:id",
+  authGuard(["admin", "fleet-manager"]),
+  vehicleDocumentsController.updateById
+);
+vehicleDocumentsRouter.delete(
+  "/:id",
+  authGuard(["admin", "fleet-manager"]),
+  vehicleDocumentsController.deleteById
+);
+
+export { vehicleDocumentsRouter };
@@ -31,6 +31,16 @@ vehiclesRouter.get(
   ]),
   vehiclesController.retrieveByVIN
 );
+vehiclesRouter.get(
+  "/:vin/maintenance",
+  authGuard(["admin", "fleet-manager", "captain"]),
+  vehiclesController.retrieveMaintenanceByVIN
+);
+vehiclesRouter.get(
+  "/:vin/fuel-efficiency",
+  authGuard(["admin", "fleet-manager", "captain"]),
+  vehiclesController.retrieveFuelEfficiencyByVIN
+);
 vehiclesRouter.put(
   "/:vin",
   authGuard(["admin", "fleet-manager"]),
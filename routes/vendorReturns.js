@@ -0,0 +1,48 @@
+import express from "express";
+import { vendorReturnsController } from "../controllers/index.js";
+import { authGuard } from "../middlewares/authGuard.js";
+
+const vendorReturnsRouter = express.Router();
+
+vendorReturnsRouter.post(
+  "/",
+  authGuard(["admin", "procurement-manager", "inventory-manager"]),
+  vendorReturnsController.create
+);
+vendorReturnsRouter.get(
+  "/",
+  authGuard([
+    "admin",
+    "procurement-manager",
+    "inventory-manager",
+    "inventory-in-charge",
+  ]),
+  vendorReturnsController.retrieveAll
+);
+vendorReturnsRouter.get(
+  "/:rtvId",
+  authGuard([
+    "admin",
+    "procurement-manager",
+    "inventory-manager",
+    "inventory-in-charge",
+  ]),
+  vendorReturnsController.retrieveByRtvId
+);
+vendorReturnsRouter.put(
+  "/:rtvId/dispatch",
+  authGuard(["admin", "procurement-manager", "inventory-manager"]),
+  vendorReturnsController.dispatchByRtvId
+);
+vendorReturnsRouter.put(
+  "/:rtvId/acknowledge",
+  authGuard(["admin", "procurement-manager"]),
+  vendorReturnsController.acknowledgeByRtvId
+);
+vendorReturnsRouter.put(
+  "/:rtvId/cancel",
+  authGuard(["admin", "procurement-manager", "inventory-manager"]),
+  vendorReturnsController.cancelByRtvId
+);
+
+export { vendorReturnsRouter };
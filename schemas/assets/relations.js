@@ -0,0 +1,9 @@
+import { relations } from "drizzle-orm/relations";
+import { assets, users } from "../index.js";
+
+export const assetsRelations = relations(assets, ({ one }) => ({
+  owner: one(users, {
+    fields: [assets.owner_id],
+    references: [users.id],
+  }),
+}));
@@ -0,0 +1,40 @@
+import {
+  foreignKey,
+  index,
+  pgEnum,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { users } from "../index.js";
+import { assetEntitiesEnum } from "../../utils/enum.js";
+
+export const assetEntities = pgEnum("logiex_asset_entity", assetEntitiesEnum);
+
+export const assets = pgTable(
+  "logiex_assets",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    public_id: varchar("public_id", { length: 255 }).unique().notNull(),
+    entity: assetEntities("entity").notNull(),
+    // ID of the user, vehicle document or delivery proof once it is attached
+    entity_id: varchar("entity_id", { length: 40 }),
+    owner_id: uuid("owner_id"),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      entityIdx: index("assets_entity_idx").on(table.entity, table.entity_id),
+      ownerIdIdx: index("assets_owner_id_idx").on(table.owner_id),
+      ownerFk: foreignKey({
+        columns: [table.owner_id],
+        foreignColumns: [users.id],
+        name: "fk_asset_owner",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
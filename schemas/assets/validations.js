@@ -0,0 +1,17 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { assetEntitiesEnum } from "../../utils/enum.js";
+import { assets } from "../index.js";
+
+export const insertAssetSchema = createInsertSchema(assets, {
+  entity: z.enum(assetEntitiesEnum, {
+    message: `Asset entity must be one of ${assetEntitiesEnum.join(", ")}`,
+  }),
+  entity_id: z
+    .string()
+    .max(40, { message: "Entity ID must not exceed 40 characters" })
+    .optional(),
+}).pick({
+  entity: true,
+  entity_id: true,
+});
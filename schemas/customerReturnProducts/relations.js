@@ -0,0 +1,30 @@
+import { relations } from "drizzle-orm/relations";
+import {
+  customerReturnProducts,
+  customerReturns,
+  inventoryProducts,
+  products,
+  saleProducts,
+} from "../index.js";
+
+export const customerReturnProductsRelations = relations(
+  customerReturnProducts,
+  ({ one }) => ({
+    customerReturn: one(customerReturns, {
+      fields: [customerReturnProducts.rma_id],
+      references: [customerReturns.rma_id],
+    }),
+    saleProduct: one(saleProducts, {
+      fields: [customerReturnProducts.sale_product_id],
+      references: [saleProducts.id],
+    }),
+    inventoryProduct: one(inventoryProducts, {
+      fields: [customerReturnProducts.inventory_product_id],
+      references: [inventoryProducts.id],
+    }),
+    product: one(products, {
+      fields: [customerReturnProducts.product],
+      references: [products.name],
+    }),
+  })
+);
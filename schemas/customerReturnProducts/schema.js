@@ -0,0 +1,77 @@
+import {
+  foreignKey,
+  index,
+  integer,
+  numeric,
+  pgEnum,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import {
+  customerReturns,
+  inventoryProducts,
+  products,
+  saleProducts,
+} from "../index.js";
+import { returnConditionsEnum } from "../../utils/enum.js";
+
+export const returnConditions = pgEnum(
+  "logiex_return_condition",
+  returnConditionsEnum
+);
+
+export const customerReturnProducts = pgTable(
+  "logiex_customer_return_products",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    rma_id: varchar("rma_id", { length: 20 }).notNull(),
+    sale_product_id: uuid("sale_product_id"),
+    inventory_product_id: uuid("inventory_product_id"),
+    mr_id: varchar("mr_id", { length: 20 }).notNull(),
+    product: varchar("product", { length: 80 }).notNull(),
+    quantity: integer("quantity").notNull(),
+    condition: returnConditions("condition").notNull(),
+    unit_price: numeric({ precision: 10, scale: 3 }).notNull(),
+    discount: numeric({ precision: 10, scale: 3 }).default(0),
+    refund_amount: numeric({ precision: 10, scale: 3 }).notNull(),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+  },
+  (table) => {
+    return {
+      rma_idIdx: index("customer_return_products_rma_id_idx").on(table.rma_id),
+      saleProductIdx: index("customer_return_products_sale_product_idx").on(
+        table.sale_product_id
+      ),
+      rma_idFk: foreignKey({
+        columns: [table.rma_id],
+        foreignColumns: [customerReturns.rma_id],
+        name: "fk_rma_id",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      saleProductFk: foreignKey({
+        columns: [table.sale_product_id],
+        foreignColumns: [saleProducts.id],
+        name: "fk_sale_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      inventoryProductFk: foreignKey({
+        columns: [table.inventory_product_id],
+        foreignColumns: [inventoryProducts.id],
+        name: "fk_inventory_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      productFk: foreignKey({
+        columns: [table.product],
+        foreignColumns: [products.name],
+        name: "fk_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
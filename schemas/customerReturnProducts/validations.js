@@ -0,0 +1,21 @@
+import { z } from "zod";
+import { returnConditionsEnum } from "../../utils/enum.js";
+
+export const insertCustomerReturnProductSchema = z.object({
+  sale_product_id: z
+    .string({
+      required_error: "Sale product ID is required",
+    })
+    .uuid({ message: "Invalid sale product ID" }),
+  quantity: z
+    .number({
+      required_error: "Product quantity is required",
+      invalid_type_error: "Product quantity must be a Number",
+    })
+    .int({ message: "Product quantity must be an integer" })
+    .positive({ message: "Product quantity must be greater than 0" }),
+  condition: z.enum(returnConditionsEnum, {
+    required_error: "Condition is required",
+    message: `Condition must be one of ${returnConditionsEnum.join(", ")}`,
+  }),
+});
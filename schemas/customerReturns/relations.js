@@ -0,0 +1,38 @@
+import { relations } from "drizzle-orm/relations";
+import {
+  customerReturnProducts,
+  customerReturns,
+  customers,
+  inventories,
+  sales,
+  users,
+} from "../index.js";
+
+export const customerReturnsRelations = relations(
+  customerReturns,
+  ({ one, many }) => ({
+    sale: one(sales, {
+      fields: [customerReturns.bill_id],
+      references: [sales.bill_id],
+    }),
+    customer: one(customers, {
+      fields: [customerReturns.customer_id],
+      references: [customers.id],
+    }),
+    inventory: one(inventories, {
+      fields: [customerReturns.inventory],
+      references: [inventories.name],
+    }),
+    creator: one(users, {
+      fields: [customerReturns.created_by],
+      references: [users.id],
+      relationName: "creator",
+    }),
+    refunder: one(users, {
+      fields: [customerReturns.refunded_by],
+      references: [users.id],
+      relationName: "refunder",
+    }),
+    products: many(customerReturnProducts),
+  })
+);
@@ -0,0 +1,80 @@
+import {
+  foreignKey,
+  index,
+  numeric,
+  pgEnum,
+  pgTable,
+  text,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { customers, inventories, sales, users } from "../index.js";
+import { customerReturnStatusEnum } from "../../utils/enum.js";
+
+export const customerReturnStatus = pgEnum(
+  "logiex_customer_return_status",
+  customerReturnStatusEnum
+);
+
+export const customerReturns = pgTable(
+  "logiex_customer_returns",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    rma_id: varchar("rma_id", { length: 20 }).unique().notNull(),
+    bill_id: varchar("bill_id", { length: 20 }).notNull(),
+    customer_id: uuid("customer_id").notNull(),
+    inventory: varchar("inventory", { length: 80 }).notNull(),
+    status: customerReturnStatus("status").default("received"),
+    reason: text("reason"),
+    refund_amount: numeric({ precision: 10, scale: 3 }).default(0),
+    return_date: timestamp("return_date", { mode: "string" }).defaultNow(),
+    created_by: uuid("created_by"),
+    refunded_by: uuid("refunded_by"),
+    refunded_at: timestamp("refunded_at", { mode: "string" }),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      rma_idIdx: index("customer_returns_rma_id_idx").on(table.rma_id),
+      bill_idIdx: index("customer_returns_bill_id_idx").on(table.bill_id),
+      statusIdx: index("customer_returns_status_idx").on(table.status),
+      bill_idFk: foreignKey({
+        columns: [table.bill_id],
+        foreignColumns: [sales.bill_id],
+        name: "fk_bill_id",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      customerFk: foreignKey({
+        columns: [table.customer_id],
+        foreignColumns: [customers.id],
+        name: "fk_customer",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      inventoryFk: foreignKey({
+        columns: [table.inventory],
+        foreignColumns: [inventories.name],
+        name: "fk_inventory",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      creatorFk: foreignKey({
+        columns: [table.created_by],
+        foreignColumns: [users.id],
+        name: "fk_creator",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      refunderFk: foreignKey({
+        columns: [table.refunded_by],
+        foreignColumns: [users.id],
+        name: "fk_refunder",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
@@ -0,0 +1,30 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { customerReturns } from "../index.js";
+
+export const insertCustomerReturnSchema = createInsertSchema(customerReturns, {
+  rma_id: z
+    .string({
+      required_error: "RMA ID is required",
+    })
+    .min(6, { message: "RMA ID be at least 6 characters long" })
+    .max(20, { message: "RMA ID must not exceed 20 characters" }),
+  bill_id: z
+    .string({
+      required_error: "BILL ID is required",
+    })
+    .max(20, { message: "BILL ID must not exceed 20 characters" })
+    .nonempty({ message: "BILL ID is required" }),
+  inventory: z
+    .string()
+    .max(80, { message: "Inventory name must not exceed 80 characters" })
+    .optional(),
+  reason: z.string().optional(),
+  return_date: z.coerce.date({ message: "Invalid return date" }).optional(),
+}).pick({
+  rma_id: true,
+  bill_id: true,
+  inventory: true,
+  reason: true,
+  return_date: true,
+});
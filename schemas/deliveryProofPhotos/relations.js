@@ -0,0 +1,12 @@
+import { relations } from "drizzle-orm/relations";
+import { deliveryProofPhotos, deliveryProofs } from "../index.js";
+
+export const deliveryProofPhotosRelations = relations(
+  deliveryProofPhotos,
+  ({ one }) => ({
+    deliveryProof: one(deliveryProofs, {
+      fields: [deliveryProofPhotos.delivery_proof_id],
+      references: [deliveryProofs.id],
+    }),
+  })
+);
@@ -0,0 +1,34 @@
+import {
+  foreignKey,
+  index,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { deliveryProofs } from "../index.js";
+
+export const deliveryProofPhotos = pgTable(
+  "logiex_delivery_proof_photos",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    delivery_proof_id: uuid("delivery_proof_id").notNull(),
+    photo: varchar("photo", { length: 255 }).notNull(),
+    photo_public_id: varchar("photo_public_id", { length: 255 }),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+  },
+  (table) => {
+    return {
+      deliveryProofIdIdx: index("delivery_proof_photos_proof_id_idx").on(
+        table.delivery_proof_id
+      ),
+      deliveryProofFk: foreignKey({
+        columns: [table.delivery_proof_id],
+        foreignColumns: [deliveryProofs.id],
+        name: "fk_delivery_proof_photo_proof",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+    };
+  }
+);
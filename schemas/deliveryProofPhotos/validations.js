@@ -0,0 +1,22 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { deliveryProofPhotos } from "../index.js";
+
+export const insertDeliveryProofPhotoSchema = createInsertSchema(
+  deliveryProofPhotos,
+  {
+    photo: z
+      .string({
+        required_error: "Photo is required",
+      })
+      .url({ message: "Photo must be a valid URL" })
+      .max(255, { message: "Photo URL must not exceed 255 characters" }),
+    photo_public_id: z
+      .string()
+      .max(255, { message: "Photo public ID must not exceed 255 characters" })
+      .optional(),
+  }
+).pick({
+  photo: true,
+  photo_public_id: true,
+});
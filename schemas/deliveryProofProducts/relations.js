@@ -0,0 +1,20 @@
+import { relations } from "drizzle-orm/relations";
+import {
+  deliveryProofProducts,
+  deliveryProofs,
+  saleProducts,
+} from "../index.js";
+
+export const deliveryProofProductsRelations = relations(
+  deliveryProofProducts,
+  ({ one }) => ({
+    deliveryProof: one(deliveryProofs, {
+      fields: [deliveryProofProducts.delivery_proof_id],
+      references: [deliveryProofs.id],
+    }),
+    saleProduct: one(saleProducts, {
+      fields: [deliveryProofProducts.sale_product_id],
+      references: [saleProducts.id],
+    }),
+  })
+);
@@ -0,0 +1,42 @@
+import {
+  foreignKey,
+  index,
+  integer,
+  pgTable,
+  timestamp,
+  uuid,
+} from "drizzle-orm/pg-core";
+import { deliveryProofs, saleProducts } from "../index.js";
+
+export const deliveryProofProducts = pgTable(
+  "logiex_delivery_proof_products",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    delivery_proof_id: uuid("delivery_proof_id").notNull(),
+    sale_product_id: uuid("sale_product_id").notNull(),
+    quantity: integer("quantity").notNull(),
+    delivered_quantity: integer("delivered_quantity").notNull(),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+  },
+  (table) => {
+    return {
+      deliveryProofIdIdx: index("delivery_proof_products_proof_id_idx").on(
+        table.delivery_proof_id
+      ),
+      deliveryProofFk: foreignKey({
+        columns: [table.delivery_proof_id],
+        foreignColumns: [deliveryProofs.id],
+        name: "fk_delivery_proof_product_proof",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      saleProductFk: foreignKey({
+        columns: [table.sale_product_id],
+        foreignColumns: [saleProducts.id],
+        name: "fk_delivery_proof_product_sale_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+    };
+  }
+);
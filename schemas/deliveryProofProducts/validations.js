@@ -0,0 +1,16 @@
+import { z } from "zod";
+
+export const insertDeliveryProofProductSchema = z.object({
+  sale_product_id: z
+    .string({
+      required_error: "Sale product ID is required",
+    })
+    .uuid({ message: "Invalid sale product ID" }),
+  delivered_quantity: z
+    .number({
+      required_error: "Delivered quantity is required",
+      invalid_type_error: "Delivered quantity must be a Number",
+    })
+    .int({ message: "Delivered quantity must be an integer" })
+    .nonnegative({ message: "Delivered quantity must not be negative" }),
+});
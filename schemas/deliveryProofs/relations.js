@@ -0,0 +1,29 @@
+import { relations } from "drizzle-orm/relations";
+import {
+  deliveryProofPhotos,
+  deliveryProofProducts,
+  deliveryProofs,
+  shipmentProducts,
+  shipments,
+  users,
+} from "../index.js";
+
+export const deliveryProofsRelations = relations(
+  deliveryProofs,
+  ({ one, many }) => ({
+    shipmentProduct: one(shipmentProducts, {
+      fields: [deliveryProofs.shipment_product_id],
+      references: [shipmentProducts.id],
+    }),
+    shipment: one(shipments, {
+      fields: [deliveryProofs.shipment_id],
+      references: [shipments.shipment_id],
+    }),
+    creator: one(users, {
+      fields: [deliveryProofs.created_by],
+      references: [users.id],
+    }),
+    photos: many(deliveryProofPhotos),
+    products: many(deliveryProofProducts),
+  })
+);
@@ -0,0 +1,66 @@
+import {
+  foreignKey,
+  index,
+  numeric,
+  pgEnum,
+  pgTable,
+  text,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { shipmentProducts, shipments, users } from "../index.js";
+import { deliveryOutcomesEnum } from "../../utils/enum.js";
+
+export const deliveryOutcomes = pgEnum(
+  "logiex_delivery_outcome",
+  deliveryOutcomesEnum
+);
+
+export const deliveryProofs = pgTable(
+  "logiex_delivery_proofs",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    shipment_product_id: uuid("shipment_product_id").unique().notNull(),
+    shipment_id: varchar("shipment_id", { length: 20 }).notNull(),
+    bill_id: varchar("bill_id", { length: 20 }).notNull(),
+    outcome: deliveryOutcomes("outcome").notNull(),
+    recipient_name: varchar("recipient_name", { length: 80 }).notNull(),
+    signature: varchar("signature", { length: 255 }),
+    signature_public_id: varchar("signature_public_id", { length: 255 }),
+    latitude: numeric({ precision: 9, scale: 6 }).notNull(),
+    longitude: numeric({ precision: 9, scale: 6 }).notNull(),
+    delivered_at: timestamp("delivered_at", { mode: "string" }).defaultNow(),
+    note: text("note"),
+    created_by: uuid("created_by"),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+  },
+  (table) => {
+    return {
+      shipmentIdIdx: index("delivery_proofs_shipment_id_idx").on(
+        table.shipment_id
+      ),
+      shipmentProductFk: foreignKey({
+        columns: [table.shipment_product_id],
+        foreignColumns: [shipmentProducts.id],
+        name: "fk_delivery_proof_shipment_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      shipmentFk: foreignKey({
+        columns: [table.shipment_id],
+        foreignColumns: [shipments.shipment_id],
+        name: "fk_delivery_proof_shipment",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      creatorFk: foreignKey({
+        columns: [table.created_by],
+        foreignColumns: [users.id],
+        name: "fk_delivery_proof_creator",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
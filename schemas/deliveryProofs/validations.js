@@ -0,0 +1,54 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { deliveryOutcomesEnum } from "../../utils/enum.js";
+import { deliveryProofs } from "../index.js";
+
+export const insertDeliveryProofSchema = createInsertSchema(deliveryProofs, {
+  outcome: z.enum(deliveryOutcomesEnum, {
+    message: `Delivery outcome must be one of ${deliveryOutcomesEnum.join(
+      ", "
+    )}`,
+  }),
+  recipient_name: z
+    .string({
+      required_error: "Recipient name is required",
+    })
+    .max(80, { message: "Recipient name must not exceed 80 characters" })
+    .nonempty({ message: "Recipient name is required" }),
+  signature: z
+    .string()
+    .url({ message: "Signature must be a valid URL" })
+    .max(255, { message: "Signature URL must not exceed 255 characters" })
+    .optional(),
+  signature_public_id: z
+    .string()
+    .max(255, {
+      message: "Signature public ID must not exceed 255 characters",
+    })
+    .optional(),
+  latitude: z
+    .number({
+      required_error: "Latitude is required",
+      invalid_type_error: "Latitude must be a Number",
+    })
+    .min(-90, { message: "Latitude must be between -90 and 90" })
+    .max(90, { message: "Latitude must be between -90 and 90" }),
+  longitude: z
+    .number({
+      required_error: "Longitude is required",
+      invalid_type_error: "Longitude must be a Number",
+    })
+    .min(-180, { message: "Longitude must be between -180 and 180" })
+    .max(180, { message: "Longitude must be between -180 and 180" }),
+  delivered_at: z.coerce.date({ message: "Invalid delivery time" }).optional(),
+  note: z.string().optional(),
+}).pick({
+  outcome: true,
+  recipient_name: true,
+  signature: true,
+  signature_public_id: true,
+  latitude: true,
+  longitude: true,
+  delivered_at: true,
+  note: true,
+});
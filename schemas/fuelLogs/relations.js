@@ -0,0 +1,17 @@
+import { relations } from "drizzle-orm/relations";
+import { fuelLogs, tripLogs, users, vehicles } from "../index.js";
+
+export const fuelLogsRelations = relations(fuelLogs, ({ one }) => ({
+  tripLog: one(tripLogs, {
+    fields: [fuelLogs.trip_log_id],
+    references: [tripLogs.id],
+  }),
+  vehicle: one(vehicles, {
+    fields: [fuelLogs.vehicle_vin],
+    references: [vehicles.vin],
+  }),
+  creator: one(users, {
+    fields: [fuelLogs.created_by],
+    references: [users.id],
+  }),
+}));
@@ -0,0 +1,55 @@
+import {
+  foreignKey,
+  index,
+  integer,
+  numeric,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { tripLogs, users, vehicles } from "../index.js";
+
+export const fuelLogs = pgTable(
+  "logiex_fuel_logs",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    trip_log_id: uuid("trip_log_id").notNull(),
+    vehicle_vin: varchar("vehicle_vin", { length: 20 }).notNull(),
+    liters: numeric({ precision: 10, scale: 3 }).notNull(),
+    cost: numeric({ precision: 10, scale: 3 }).default(0),
+    odometer: integer("odometer"),
+    station: varchar("station", { length: 80 }),
+    filled_at: timestamp("filled_at", { mode: "string" }).defaultNow(),
+    created_by: uuid("created_by"),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      tripLogIdIdx: index("fuel_logs_trip_log_id_idx").on(table.trip_log_id),
+      vehicleVinIdx: index("fuel_logs_vehicle_vin_idx").on(table.vehicle_vin),
+      tripLogFk: foreignKey({
+        columns: [table.trip_log_id],
+        foreignColumns: [tripLogs.id],
+        name: "fk_fuel_log_trip_log",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      vehicleFk: foreignKey({
+        columns: [table.vehicle_vin],
+        foreignColumns: [vehicles.vin],
+        name: "fk_fuel_log_vehicle",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      creatorFk: foreignKey({
+        columns: [table.created_by],
+        foreignColumns: [users.id],
+        name: "fk_fuel_log_creator",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
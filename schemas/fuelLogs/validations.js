@@ -0,0 +1,41 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { priceValidation } from "../../utils/priceValidation.js";
+import { fuelLogs } from "../index.js";
+
+export const insertFuelLogSchema = createInsertSchema(fuelLogs, {
+  liters: z
+    .number({
+      required_error: "Liters are required",
+      invalid_type_error: "Liters must be a Number",
+    })
+    .positive({ message: "Liters must be a positive number" })
+    .refine((value) => priceValidation(value), {
+      message:
+        "Liters must have a maximum of 10 digits in total and 3 digits after the decimal point",
+    }),
+  cost: z
+    .number({ invalid_type_error: "Cost must be a Number" })
+    .nonnegative({ message: "Cost must not be negative" })
+    .refine((value) => priceValidation(value), {
+      message:
+        "Cost must have a maximum of 10 digits in total and 3 digits after the decimal point",
+    })
+    .optional(),
+  odometer: z
+    .number({ invalid_type_error: "Odometer reading must be a Number" })
+    .nonnegative({ message: "Odometer reading must not be negative" })
+    .int({ message: "Odometer reading must be an integer" })
+    .optional(),
+  station: z
+    .string()
+    .max(80, { message: "Station must not exceed 80 characters" })
+    .optional(),
+  filled_at: z.coerce.date({ message: "Invalid fill-up time" }).optional(),
+}).pick({
+  liters: true,
+  cost: true,
+  odometer: true,
+  station: true,
+  filled_at: true,
+});
@@ -1,21 +1,65 @@
 // schemas
 export { categories } from "./categories/schema.js";
 export { customers } from "./customers/schema.js";
-export { inventories } from "./inventories/schema.js";
+export { allocationStrategy, inventories } from "./inventories/schema.js";
 export { inventoryEmployments } from "./inventoryEmployments/schema.js";
 export { inventoryProducts } from "./inventoryProducts/schema.js";
-export { transfers } from "./transfers/schema.js";
+export { transferStatus, transfers } from "./transfers/schema.js";
 export { products } from "./products/schema.js";
 export { purchases } from "./purchases/schema.js";
 export { saleProducts } from "./saleProducts/schema.js";
 export { salesStatus, sales } from "./sales/schema.js";
 export { shipmentProducts } from "./shipmentProducts/schema.js";
 export { shipmentStatus, shipments } from "./shipments/schema.js";
+export { shipmentTransfers } from "./shipmentTransfers/schema.js";
 export { userRoles, users } from "./users/schema.js";
 export { vehicleTypes, vehicles } from "./vehicles/schema.js";
 export { purchaseProducts } from "./purchaseProducts/schema.js";
 export { vendors } from "./vendors/schema.js";
 export { transferProducts } from "./transferProducts/schema.js";
+export { transferDiscrepancies } from "./transferDiscrepancies/schema.js";
+export {
+  reservationStatus,
+  stockReservations,
+} from "./stockReservations/schema.js";
+export { stockLedgerSources, stockLedger } from "./stockLedger/schema.js";
+export { stockCountStatus, stockCounts } from "./stockCounts/schema.js";
+export {
+  adjustmentReasons,
+  stockCountProducts,
+} from "./stockCountProducts/schema.js";
+export { stockThresholds } from "./stockThresholds/schema.js";
+export { stockAlerts } from "./stockAlerts/schema.js";
+export {
+  purchaseOrderStatus,
+  purchaseOrders,
+} from "./purchaseOrders/schema.js";
+export { purchaseOrderProducts } from "./purchaseOrderProducts/schema.js";
+export { vendorReturnStatus, vendorReturns } from "./vendorReturns/schema.js";
+export { vendorReturnProducts } from "./vendorReturnProducts/schema.js";
+export {
+  customerReturnStatus,
+  customerReturns,
+} from "./customerReturns/schema.js";
+export {
+  returnConditions,
+  customerReturnProducts,
+} from "./customerReturnProducts/schema.js";
+export { maintenanceSchedules } from "./maintenanceSchedules/schema.js";
+export { maintenanceRecords } from "./maintenanceRecords/schema.js";
+export {
+  vehicleDocumentTypes,
+  vehicleDocuments,
+} from "./vehicleDocuments/schema.js";
+export { tripLogs } from "./tripLogs/schema.js";
+export { fuelLogs } from "./fuelLogs/schema.js";
+export { deliveryOutcomes, deliveryProofs } from "./deliveryProofs/schema.js";
+export { deliveryProofPhotos } from "./deliveryProofPhotos/schema.js";
+export { deliveryProofProducts } from "./deliveryProofProducts/schema.js";
+export { assetEntities, assets } from "./assets/schema.js";
+export { sessions } from "./sessions/schema.js";
+export { recoveryCodes } from "./recoveryCodes/schema.js";
+export { invites } from "./invites/schema.js";
 
 // relations
 export { categoriesRelations } from "./categories/relations.js";
@@ -30,11 +74,37 @@ export { saleProductsRelations } from "./saleProducts/relations.js";
 export { salesRelations } from "./sales/relations.js";
 export { shipmentProductsRelations } from "./shipmentProducts/relations.js";
 export { shipmentsRelations } from "./shipments/relations.js";
+export { shipmentTransfersRelations } from "./shipmentTransfers/relations.js";
 export { userRelations } from "./users/relations.js";
 export { vehiclesRelations } from "./vehicles/relations.js";
 export { purchaseProductsRelations } from "./purchaseProducts/relations.js";
 export { vendorsRelations } from "./vendors/relations.js";
 export { transferProductsRelations } from "./transferProducts/relations.js";
+export { transferDiscrepanciesRelations } from "./transferDiscrepancies/relations.js";
+export { stockReservationsRelations } from "./stockReservations/relations.js";
+export { stockLedgerRelations } from "./stockLedger/relations.js";
+export { stockCountsRelations } from "./stockCounts/relations.js";
+export { stockCountProductsRelations } from "./stockCountProducts/relations.js";
+export { stockThresholdsRelations } from "./stockThresholds/relations.js";
+export { stockAlertsRelations } from "./stockAlerts/relations.js";
+export { purchaseOrdersRelations } from "./purchaseOrders/relations.js";
+export { purchaseOrderProductsRelations } from "./purchaseOrderProducts/relations.js";
+export { vendorReturnsRelations } from "./vendorReturns/relations.js";
+export { vendorReturnProductsRelations } from "./vendorReturnProducts/relations.js";
+export { customerReturnsRelations } from "./customerReturns/relations.js";
+export { customerReturnProductsRelations } from "./customerReturnProducts/relations.js";
+export { maintenanceSchedulesRelations } from "./maintenanceSchedules/relations.js";
+export { maintenanceRecordsRelations } from "./maintenanceRecords/relations.js";
+export { vehicleDocumentsRelations } from "./vehicleDocuments/relations.js";
+export { tripLogsRelations } from "./tripLogs/relations.js";
+export { fuelLogsRelations } from "./fuelLogs/relations.js";
+export { deliveryProofsRelations } from "./deliveryProofs/relations.js";
+export { deliveryProofPhotosRelations } from "./deliveryProofPhotos/relations.js";
+export { deliveryProofProductsRelations } from "./deliveryProofProducts/relations.js";
+export { assetsRelations } from "./assets/relations.js";
+export { sessionsRelations } from "./sessions/relations.js";
+export { recoveryCodesRelations } from "./recoveryCodes/relations.js";
+export { invitesRelations } from "./invites/relations.js";
 
 // validations
 export {
@@ -82,6 +152,7 @@ export {
   insertShipmentSchema,
   updateShipmentSchema,
 } from "./shipments/validations.js";
+export { insertShipmentTransferSchema } from "./shipmentTransfers/validations.js";
 export {
   insertUserSchema,
   updateUserSchema,
@@ -89,6 +160,7 @@ export {
   loginUserSchema,
   verifyEmailUserSchema,
   resetPasswordUserSchema,
+  emailVerificationUserSchema,
 } from "./users/validations.js";
 export {
   insertVehicleSchema,
@@ -105,4 +177,54 @@ export {
 export {
   insertTransferProductSchema,
   updateTransferProductSchema,
+  receiveTransferProductSchema,
 } from "./transferProducts/validations.js";
+export { insertStockCountSchema } from "./stockCounts/validations.js";
+export { insertStockCountProductSchema } from "./stockCountProducts/validations.js";
+export {
+  insertStockThresholdSchema,
+  updateStockThresholdSchema,
+} from "./stockThresholds/validations.js";
+export {
+  insertPurchaseOrderSchema,
+  updatePurchaseOrderSchema,
+} from "./purchaseOrders/validations.js";
+export {
+  insertPurchaseOrderProductSchema,
+  receivePurchaseOrderProductSchema,
+} from "./purchaseOrderProducts/validations.js";
+export {
+  insertVendorReturnSchema,
+  acknowledgeVendorReturnSchema,
+} from "./vendorReturns/validations.js";
+export { insertVendorReturnProductSchema } from "./vendorReturnProducts/validations.js";
+export { insertCustomerReturnSchema } from "./customerReturns/validations.js";
+export { insertCustomerReturnProductSchema } from "./customerReturnProducts/validations.js";
+export {
+  insertMaintenanceScheduleSchema,
+  updateMaintenanceScheduleSchema,
+} from "./maintenanceSchedules/validations.js";
+export { insertMaintenanceRecordSchema } from "./maintenanceRecords/validations.js";
+export {
+  insertVehicleDocumentSchema,
+  updateVehicleDocumentSchema,
+} from "./vehicleDocuments/validations.js";
+export {
+  insertTripLogSchema,
+  updateTripLogSchema,
+} from "./tripLogs/validations.js";
+export { insertFuelLogSchema } from "./fuelLogs/validations.js";
+export { insertDeliveryProofSchema } from "./deliveryProofs/validations.js";
+export { insertDeliveryProofPhotoSchema } from "./deliveryProofPhotos/validations.js";
+export { insertDeliveryProofProductSchema } from "./deliveryProofProducts/validations.js";
+export { insertAssetSchema } from "./assets/validations.js";
+export { refreshSessionSchema } from "./sessions/validations.js";
+export {
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  twoFactorChallengeSchema,
+} from "./recoveryCodes/validations.js";
+export {
+  insertInviteSchema,
+  acceptInviteSchema,
+} from "./invites/validations.js";
@@ -1,11 +1,18 @@
 import {
   index,
+  pgEnum,
   pgTable,
   text,
   timestamp,
   uuid,
   varchar,
 } from "drizzle-orm/pg-core";
+import { allocationStrategiesEnum } from "../../utils/enum.js";
+
+export const allocationStrategy = pgEnum(
+  "logiex_allocation_strategy",
+  allocationStrategiesEnum
+);
 
 export const inventories = pgTable(
   "logiex_inventories",
@@ -16,6 +23,7 @@ export const inventories = pgTable(
     phone: varchar("phone", { length: 16 }).unique(),
     description: text("description", { length: 750 }),
     address: text("address", { length: 255 }).notNull(),
+    allocation_strategy: allocationStrategy("allocation_strategy"),
     created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
     updated_at: timestamp("updated_at", { mode: "string" }),
   },
@@ -1,6 +1,7 @@
 import { createInsertSchema } from "drizzle-zod";
 import { z } from "zod";
 import { inventories } from "../index.js";
+import { allocationStrategiesEnum } from "../../utils/enum.js";
 
 export const insertInventorySchema = createInsertSchema(inventories, {
   name: z
@@ -28,6 +29,7 @@ export const insertInventorySchema = createInsertSchema(inventories, {
       required_error: "Address is required",
     })
     .max(255, { message: "Address must not exceed 255 characters" }),
+  allocation_strategy: z.enum(allocationStrategiesEnum).optional(),
 });
 
 export const updateInventorySchema = createInsertSchema(inventories, {
@@ -54,4 +56,5 @@ export const updateInventorySchema = createInsertSchema(inventories, {
     .string()
     .max(255, { message: "Address must not exceed 255 characters" })
     .optional(),
+  allocation_strategy: z.enum(allocationStrategiesEnum).optional(),
 });
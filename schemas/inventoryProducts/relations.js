@@ -4,11 +4,12 @@ import {
   inventories,
   products,
   inventoryProducts,
+  stockReservations,
 } from "../index.js";
 
 export const inventoryProductsRelations = relations(
   inventoryProducts,
-  ({ one }) => ({
+  ({ one, many }) => ({
     purchase: one(purchases, {
       fields: [inventoryProducts.mr_id],
       references: [purchases.mr_id],
@@ -21,5 +22,6 @@ export const inventoryProductsRelations = relations(
       fields: [inventoryProducts.product],
       references: [products.name],
     }),
+    reservations: many(stockReservations),
   })
 );
@@ -18,6 +18,7 @@ export const inventoryProducts = pgTable(
     inventory: varchar("inventory", { length: 80 }).notNull(),
     product: varchar("product", { length: 80 }).notNull(),
     quantity: integer("quantity").notNull().default(0),
+    expiry_date: timestamp("expiry_date", { mode: "string" }),
     created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
     updated_at: timestamp("updated_at", { mode: "string" }),
   },
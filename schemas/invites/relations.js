@@ -0,0 +1,17 @@
+import { relations } from "drizzle-orm/relations";
+import { inventories, invites, users } from "../index.js";
+
+export const invitesRelations = relations(invites, ({ one }) => ({
+  inventory: one(inventories, {
+    fields: [invites.inventory],
+    references: [inventories.name],
+  }),
+  user: one(users, {
+    fields: [invites.user_id],
+    references: [users.id],
+  }),
+  creator: one(users, {
+    fields: [invites.created_by],
+    references: [users.id],
+  }),
+}));
@@ -0,0 +1,56 @@
+import {
+  foreignKey,
+  index,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { inventories, userRoles, users } from "../index.js";
+
+export const invites = pgTable(
+  "logiex_invites",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    name: varchar("name", { length: 80 }).notNull(),
+    email: varchar("email", { length: 150 }).notNull(),
+    role: userRoles("role").notNull(),
+    // Inventory the invited in-charge is assigned to on acceptance
+    inventory: varchar("inventory", { length: 80 }),
+    // SHA-256 hash of the token of the emailed link
+    token: varchar("token", { length: 64 }).unique().notNull(),
+    expires_at: timestamp("expires_at", { mode: "string" }).notNull(),
+    accepted_at: timestamp("accepted_at", { mode: "string" }),
+    user_id: uuid("user_id"),
+    revoked_at: timestamp("revoked_at", { mode: "string" }),
+    created_by: uuid("created_by"),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      emailIdx: index("invites_email_idx").on(table.email),
+      inventoryFk: foreignKey({
+        columns: [table.inventory],
+        foreignColumns: [inventories.name],
+        name: "fk_invite_inventory",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      userFk: foreignKey({
+        columns: [table.user_id],
+        foreignColumns: [users.id],
+        name: "fk_invite_user",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      creatorFk: foreignKey({
+        columns: [table.created_by],
+        foreignColumns: [users.id],
+        name: "fk_invite_creator",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
@@ -0,0 +1,50 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { userRolesEnum } from "../../utils/enum.js";
+import { invites } from "../index.js";
+
+export const insertInviteSchema = createInsertSchema(invites, {
+  name: z
+    .string({
+      required_error: "Name is required",
+    })
+    .min(3, { message: "Name must be at least 3 characters long" })
+    .max(80, { message: "Name must not exceed 80 characters" }),
+  email: z
+    .string({
+      required_error: "Email is required",
+    })
+    .email({ message: "Invalid email address" })
+    .max(150, { message: "Email must not exceed 150 characters" }),
+  role: z.enum(userRolesEnum, {
+    message: `Role must be one of ${userRolesEnum.join(", ")}`,
+  }),
+  inventory: z
+    .string()
+    .max(80, { message: "Inventory must not exceed 80 characters" })
+    .optional(),
+}).pick({
+  name: true,
+  email: true,
+  role: true,
+  inventory: true,
+});
+
+export const acceptInviteSchema = createInsertSchema(invites, {
+  token: z
+    .string({
+      required_error: "Token is required",
+    })
+    .nonempty({ message: "Token is required" }),
+})
+  .pick({
+    token: true,
+  })
+  .extend({
+    password: z
+      .string({
+        required_error: "Password is required",
+      })
+      .min(8, { message: "Password must be at least 8 characters" })
+      .max(32, { message: "Password must not exceed 32 characters" }),
+  });
@@ -0,0 +1,25 @@
+import { relations } from "drizzle-orm/relations";
+import {
+  maintenanceRecords,
+  maintenanceSchedules,
+  users,
+  vehicles,
+} from "../index.js";
+
+export const maintenanceRecordsRelations = relations(
+  maintenanceRecords,
+  ({ one }) => ({
+    vehicle: one(vehicles, {
+      fields: [maintenanceRecords.vehicle_vin],
+      references: [vehicles.vin],
+    }),
+    schedule: one(maintenanceSchedules, {
+      fields: [maintenanceRecords.schedule_id],
+      references: [maintenanceSchedules.id],
+    }),
+    creator: one(users, {
+      fields: [maintenanceRecords.created_by],
+      references: [users.id],
+    }),
+  })
+);
@@ -0,0 +1,64 @@
+import {
+  foreignKey,
+  index,
+  integer,
+  numeric,
+  pgTable,
+  text,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { maintenanceSchedules, users, vehicles } from "../index.js";
+
+export const maintenanceRecords = pgTable(
+  "logiex_maintenance_records",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    vehicle_vin: varchar("vehicle_vin", { length: 20 }).notNull(),
+    schedule_id: uuid("schedule_id"),
+    service_type: varchar("service_type", { length: 80 }).notNull(),
+    service_date: timestamp("service_date", { mode: "string" }).defaultNow(),
+    odometer: integer("odometer").notNull(),
+    cost: numeric({ precision: 10, scale: 3 }).default(0),
+    vendor: varchar("vendor", { length: 80 }),
+    note: text("note", { length: 255 }),
+    created_by: uuid("created_by"),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      vehicleVinIdx: index("maintenance_records_vehicle_vin_idx").on(
+        table.vehicle_vin
+      ),
+      scheduleIdIdx: index("maintenance_records_schedule_id_idx").on(
+        table.schedule_id
+      ),
+      serviceDateIdx: index("maintenance_records_service_date_idx").on(
+        table.service_date
+      ),
+      vehicleFk: foreignKey({
+        columns: [table.vehicle_vin],
+        foreignColumns: [vehicles.vin],
+        name: "fk_maintenance_record_vehicle",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      scheduleFk: foreignKey({
+        columns: [table.schedule_id],
+        foreignColumns: [maintenanceSchedules.id],
+        name: "fk_maintenance_record_schedule",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      creatorFk: foreignKey({
+        columns: [table.created_by],
+        foreignColumns: [users.id],
+        name: "fk_maintenance_record_creator",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
@@ -0,0 +1,59 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { priceValidation } from "../../utils/priceValidation.js";
+import { maintenanceRecords } from "../index.js";
+
+export const insertMaintenanceRecordSchema = createInsertSchema(
+  maintenanceRecords,
+  {
+    vehicle_vin: z
+      .string({
+        required_error: "Vehicle VIN is required",
+      })
+      .max(20, { message: "Vehicle VIN must not exceed 20 characters" })
+      .nonempty({ message: "Vehicle VIN is required" }),
+    schedule_id: z
+      .string()
+      .uuid({ message: "Invalid maintenance schedule ID" })
+      .optional(),
+    service_type: z
+      .string({
+        required_error: "Service type is required",
+      })
+      .max(80, { message: "Service type must not exceed 80 characters" })
+      .nonempty({ message: "Service type is required" }),
+    service_date: z.coerce.date({ message: "Invalid service date" }).optional(),
+    odometer: z
+      .number({
+        required_error: "Odometer reading is required",
+        invalid_type_error: "Odometer reading must be a Number",
+      })
+      .nonnegative({ message: "Odometer reading must not be negative" })
+      .int({ message: "Odometer reading must be an integer" }),
+    cost: z
+      .number({ invalid_type_error: "Cost must be a Number" })
+      .nonnegative({ message: "Cost must not be negative" })
+      .refine((value) => priceValidation(value), {
+        message:
+          "Cost must have a maximum of 10 digits in total and 3 digits after the decimal point",
+      })
+      .optional(),
+    vendor: z
+      .string()
+      .max(80, { message: "Vendor must not exceed 80 characters" })
+      .optional(),
+    note: z
+      .string()
+      .max(255, { message: "Note must not exceed 255 characters" })
+      .optional(),
+  }
+).pick({
+  vehicle_vin: true,
+  schedule_id: true,
+  service_type: true,
+  service_date: true,
+  odometer: true,
+  cost: true,
+  vendor: true,
+  note: true,
+});
@@ -0,0 +1,22 @@
+import { relations } from "drizzle-orm/relations";
+import {
+  maintenanceRecords,
+  maintenanceSchedules,
+  users,
+  vehicles,
+} from "../index.js";
+
+export const maintenanceSchedulesRelations = relations(
+  maintenanceSchedules,
+  ({ one, many }) => ({
+    vehicle: one(vehicles, {
+      fields: [maintenanceSchedules.vehicle_vin],
+      references: [vehicles.vin],
+    }),
+    creator: one(users, {
+      fields: [maintenanceSchedules.created_by],
+      references: [users.id],
+    }),
+    records: many(maintenanceRecords),
+  })
+);
@@ -0,0 +1,55 @@
+import {
+  foreignKey,
+  index,
+  integer,
+  pgTable,
+  timestamp,
+  uniqueIndex,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { users, vehicles } from "../index.js";
+
+export const maintenanceSchedules = pgTable(
+  "logiex_maintenance_schedules",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    vehicle_vin: varchar("vehicle_vin", { length: 20 }).notNull(),
+    service_type: varchar("service_type", { length: 80 }).notNull(),
+    interval_km: integer("interval_km"),
+    interval_days: integer("interval_days"),
+    start_date: timestamp("start_date", { mode: "string" }).defaultNow(),
+    start_mileage: integer("start_mileage").notNull().default(0),
+    last_service_at: timestamp("last_service_at", { mode: "string" }),
+    last_service_mileage: integer("last_service_mileage"),
+    next_due_at: timestamp("next_due_at", { mode: "string" }),
+    next_due_mileage: integer("next_due_mileage"),
+    created_by: uuid("created_by"),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      vehicleServiceTypeIdx: uniqueIndex(
+        "maintenance_schedules_vehicle_service_type_idx"
+      ).on(table.vehicle_vin, table.service_type),
+      nextDueAtIdx: index("maintenance_schedules_next_due_at_idx").on(
+        table.next_due_at
+      ),
+      vehicleFk: foreignKey({
+        columns: [table.vehicle_vin],
+        foreignColumns: [vehicles.vin],
+        name: "fk_maintenance_schedule_vehicle",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      creatorFk: foreignKey({
+        columns: [table.created_by],
+        foreignColumns: [users.id],
+        name: "fk_maintenance_schedule_creator",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
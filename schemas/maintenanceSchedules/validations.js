@@ -0,0 +1,54 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { maintenanceSchedules } from "../index.js";
+
+export const insertMaintenanceScheduleSchema = createInsertSchema(
+  maintenanceSchedules,
+  {
+    vehicle_vin: z
+      .string({
+        required_error: "Vehicle VIN is required",
+      })
+      .max(20, { message: "Vehicle VIN must not exceed 20 characters" })
+      .nonempty({ message: "Vehicle VIN is required" }),
+    service_type: z
+      .string({
+        required_error: "Service type is required",
+      })
+      .max(80, { message: "Service type must not exceed 80 characters" })
+      .nonempty({ message: "Service type is required" }),
+    interval_km: z
+      .number({ invalid_type_error: "Mileage interval must be a Number" })
+      .positive({ message: "Mileage interval must be a positive number" })
+      .int({ message: "Mileage interval must be an integer" })
+      .optional(),
+    interval_days: z
+      .number({ invalid_type_error: "Time interval must be a Number" })
+      .positive({ message: "Time interval must be a positive number" })
+      .int({ message: "Time interval must be an integer" })
+      .optional(),
+    start_date: z.coerce.date({ message: "Invalid start date" }).optional(),
+    start_mileage: z
+      .number({ invalid_type_error: "Start mileage must be a Number" })
+      .nonnegative({ message: "Start mileage must not be negative" })
+      .int({ message: "Start mileage must be an integer" })
+      .optional(),
+  }
+).pick({
+  vehicle_vin: true,
+  service_type: true,
+  interval_km: true,
+  interval_days: true,
+  start_date: true,
+  start_mileage: true,
+});
+
+export const updateMaintenanceScheduleSchema = insertMaintenanceScheduleSchema
+  .pick({
+    service_type: true,
+    interval_km: true,
+    interval_days: true,
+    start_date: true,
+    start_mileage: true,
+  })
+  .partial();
@@ -8,7 +8,7 @@ import {
   uuid,
   varchar,
 } from "drizzle-orm/pg-core";
-import { categories } from "../index.js";
+import { allocationStrategy, categories } from "../index.js";
 
 export const products = pgTable(
   "logiex_products",
@@ -19,6 +19,9 @@ export const products = pgTable(
     price: numeric({ precision: 10, scale: 3 }).notNull(),
     category: varchar("category", { length: 20 }).notNull(),
     sku: varchar("sku", { length: 80 }).unique().notNull(),
+    allocation_strategy: allocationStrategy("allocation_strategy"),
+    weight: numeric("weight", { precision: 10, scale: 3 }),
+    volume: numeric("volume", { precision: 10, scale: 3 }),
     created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
     updated_at: timestamp("updated_at", { mode: "string" }),
   },
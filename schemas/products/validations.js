@@ -2,6 +2,7 @@ import { createInsertSchema } from "drizzle-zod";
 import { z } from "zod";
 import { priceValidation } from "../../utils/priceValidation.js";
 import { products } from "../index.js";
+import { allocationStrategiesEnum } from "../../utils/enum.js";
 
 export const insertProductSchema = createInsertSchema(products, {
   name: z
@@ -38,6 +39,15 @@ export const insertProductSchema = createInsertSchema(products, {
     })
     .min(6, { message: "SKU be at least 6 characters long" })
     .max(20, { message: "SKU must not exceed 20 characters" }),
+  allocation_strategy: z.enum(allocationStrategiesEnum).optional(),
+  weight: z
+    .number({ invalid_type_error: "Weight must be a Number" })
+    .positive({ message: "Weight must be a positive number" })
+    .optional(),
+  volume: z
+    .number({ invalid_type_error: "Volume must be a Number" })
+    .positive({ message: "Volume must be a positive number" })
+    .optional(),
 });
 
 export const updateProductSchema = createInsertSchema(products, {
@@ -72,4 +82,13 @@ export const updateProductSchema = createInsertSchema(products, {
     .min(6, { message: "SKU be at least 6 characters long" })
     .max(20, { message: "SKU must not exceed 20 characters" })
     .optional(),
+  allocation_strategy: z.enum(allocationStrategiesEnum).optional(),
+  weight: z
+    .number({ invalid_type_error: "Weight must be a Number" })
+    .positive({ message: "Weight must be a positive number" })
+    .optional(),
+  volume: z
+    .number({ invalid_type_error: "Volume must be a Number" })
+    .positive({ message: "Volume must be a positive number" })
+    .optional(),
 });
@@ -0,0 +1,22 @@
+import { relations } from "drizzle-orm/relations";
+import {
+  products,
+  purchaseOrderProducts,
+  purchaseOrders,
+  purchaseProducts,
+} from "../index.js";
+
+export const purchaseOrderProductsRelations = relations(
+  purchaseOrderProducts,
+  ({ one, many }) => ({
+    order: one(purchaseOrders, {
+      fields: [purchaseOrderProducts.po_id],
+      references: [purchaseOrders.po_id],
+    }),
+    product: one(products, {
+      fields: [purchaseOrderProducts.product],
+      references: [products.name],
+    }),
+    receipts: many(purchaseProducts),
+  })
+);
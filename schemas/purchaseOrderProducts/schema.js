@@ -0,0 +1,49 @@
+import {
+  foreignKey,
+  index,
+  integer,
+  numeric,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { products, purchaseOrders } from "../index.js";
+
+export const purchaseOrderProducts = pgTable(
+  "logiex_purchase_order_products",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    po_id: varchar("po_id", { length: 20 }).notNull(),
+    product: varchar("product", { length: 80 }).notNull(),
+    quantity: integer("quantity").notNull(),
+    received_quantity: integer("received_quantity").notNull().default(0),
+    unit_price: numeric({ precision: 10, scale: 3 }).notNull(),
+    discount: numeric({ precision: 10, scale: 3 }).default(0),
+    total_price: numeric({ precision: 10, scale: 3 }).notNull(),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      po_idIdx: index("purchase_order_products_po_id_idx").on(table.po_id),
+      productIdx: index("purchase_order_products_product_idx").on(
+        table.product
+      ),
+      po_idFk: foreignKey({
+        columns: [table.po_id],
+        foreignColumns: [purchaseOrders.po_id],
+        name: "fk_po_id",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      productFk: foreignKey({
+        columns: [table.product],
+        foreignColumns: [products.name],
+        name: "fk_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
@@ -0,0 +1,60 @@
+import { createInsertSchema } from "drizzle-zod";
+import { z } from "zod";
+import { priceValidation } from "../../utils/priceValidation.js";
+import { purchaseOrderProducts } from "../index.js";
+
+export const insertPurchaseOrderProductSchema = createInsertSchema(
+  purchaseOrderProducts,
+  {
+    product: z
+      .string({
+        required_error: "Product name is required",
+      })
+      .max(80, { message: "Product name must not exceed 80 characters" })
+      .nonempty({ message: "Product name is required" }),
+    quantity: z
+      .number({
+        required_error: "Product quantity is required",
+        invalid_type_error: "Product quantity must be a Number",
+      })
+      .positive({ message: "Product quantity must be a positive number" })
+      .int({ message: "Product quantity must be an integer" }),
+    unit_price: z
+      .number({
+        required_error: "Product unit price is required",
+        invalid_type_error: "Product unit price must be a Number",
+      })
+      .refine((value) => priceValidation(value), {
+        message:
+          "Unit price must have a maximum of 10 digits in total and 3 digits after the decimal point",
+      }),
+    discount: z
+      .number({
+        invalid_type_error: "Product discount must be a Number",
+      })
+      .gte(0, { message: "Discount must have a minimum of zero percent" })
+      .lte(100, { message: "Discount must have a maximum of hundred percent" })
+      .optional(),
+  }
+).pick({
+  product: true,
+  quantity: true,
+  unit_price: true,
+  discount: true,
+});
+
+export const receivePurchaseOrderProductSchema = z.object({
+  po_product_id: z
+    .string({
+      required_error: "PO product ID is required",
+    })
+    .uuid({ message: "PO product ID must be a valid UUID" }),
+  quantity: z
+    .number({
+      required_error: "Received quantity is required",
+      invalid_type_error: "Received quantity must be a Number",
+    })
+    .positive({ message: "Received quantity must be a positive number" })
+    .int({ message: "Received quantity must be an integer" }),
+  expiry_date: z.coerce.date({ message: "Invalid expiry date" }).optional(),
+});
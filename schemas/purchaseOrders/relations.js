@@ -0,0 +1,24 @@
+import { relations } from "drizzle-orm/relations";
+import {
+  inventories,
+  purchaseOrderProducts,
+  purchaseOrders,
+  purchases,
+  vendors,
+} from "../index.js";
+
+export const purchaseOrdersRelations = relations(
+  purchaseOrders,
+  ({ one, many }) => ({
+    vendor: one(vendors, {
+      fields: [purchaseOrders.vendor],
+      references: [vendors.name],
+    }),
+    inventory: one(inventories, {
+      fields: [purchaseOrders.inventory],
+      references: [inventories.name],
+    }),
+    products: many(purchaseOrderProducts),
+    receipts: many(purchases),
+  })
+);
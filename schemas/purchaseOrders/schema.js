@@ -0,0 +1,70 @@
+import {
+  foreignKey,
+  index,
+  numeric,
+  pgEnum,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { inventories, users, vendors } from "../index.js";
+import { purchaseOrderStatusEnum } from "../../utils/enum.js";
+
+export const purchaseOrderStatus = pgEnum(
+  "logiex_purchase_order_status",
+  purchaseOrderStatusEnum
+);
+
+export const purchaseOrders = pgTable(
+  "logiex_purchase_orders",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    po_id: varchar("po_id", { length: 20 }).unique().notNull(),
+    vendor: varchar("vendor", { length: 80 }).notNull(),
+    inventory: varchar("inventory", { length: 80 }).notNull(),
+    status: purchaseOrderStatus("status").default("draft"),
+    total_price: numeric({ precision: 10, scale: 3 }).default(0),
+    order_date: timestamp("order_date", { mode: "string" }).defaultNow(),
+    expected_date: timestamp("expected_date", { mode: "string" }),
+    created_by: uuid("created_by"),
+    approved_by: uuid("approved_by"),
+    approved_at: timestamp("approved_at", { mode: "string" }),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      po_idIdx: index("purchase_orders_po_id_idx").on(table.po_id),
+      statusIdx: index("purchase_orders_status_idx").on(table.status),
+      vendorFk: foreignKey({
+        columns: [table.vendor],
+        foreignColumns: [vendors.name],
+        name: "fk_vendor",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      inventoryFk: foreignKey({
+        columns: [table.inventory],
+        foreignColumns: [inventories.name],
+        name: "fk_inventory",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      creatorFk: foreignKey({
+        columns: [table.created_by],
+        foreignColumns: [users.id],
+        name: "fk_creator",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      approverFk: foreignKey({
+        columns: [table.approved_by],
+        foreignColumns: [users.id],
+        name: "fk_approver",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
@@ -0,0 +1,41 @@
+import { createInsertSchema } from "drizzle-zod";
+import { z } from "zod";
+import { purchaseOrders } from "../index.js";
+
+export const insertPurchaseOrderSchema = createInsertSchema(purchaseOrders, {
+  po_id: z
+    .string({
+      required_error: "PO ID is required",
+    })
+    .min(6, { message: "PO ID be at least 6 characters long" })
+    .max(20, { message: "PO ID must not exceed 20 characters" }),
+  vendor: z
+    .string({
+      required_error: "Vendor name is required",
+    })
+    .max(80, { message: "Vendor name must not exceed 80 characters" })
+    .nonempty({ message: "Vendor name is required" }),
+  inventory: z
+    .string({
+      required_error: "Inventory name is required",
+    })
+    .max(80, { message: "Inventory name must not exceed 80 characters" })
+    .nonempty({ message: "Inventory name is required" }),
+  order_date: z.coerce.date({ message: "Invalid order date" }).optional(),
+  expected_date: z.coerce.date({ message: "Invalid expected date" }).optional(),
+}).pick({
+  po_id: true,
+  vendor: true,
+  inventory: true,
+  order_date: true,
+  expected_date: true,
+});
+
+export const updatePurchaseOrderSchema = insertPurchaseOrderSchema
+  .pick({
+    vendor: true,
+    inventory: true,
+    order_date: true,
+    expected_date: true,
+  })
+  .partial();
@@ -1,9 +1,15 @@
 import { relations } from "drizzle-orm/relations";
-import { purchases, purchaseProducts, products } from "../index.js";
+import {
+  purchases,
+  purchaseProducts,
+  products,
+  purchaseOrderProducts,
+  vendorReturnProducts,
+} from "../index.js";
 
 export const purchaseProductsRelations = relations(
   purchaseProducts,
-  ({ one }) => ({
+  ({ one, many }) => ({
     purchase: one(purchases, {
       fields: [purchaseProducts.mr_id],
       references: [purchases.mr_id],
@@ -12,5 +18,10 @@ export const purchaseProductsRelations = relations(
       fields: [purchaseProducts.product],
       references: [products.name],
     }),
+    orderProduct: one(purchaseOrderProducts, {
+      fields: [purchaseProducts.po_product_id],
+      references: [purchaseOrderProducts.id],
+    }),
+    returns: many(vendorReturnProducts),
   })
 );
@@ -8,7 +8,7 @@ import {
   uuid,
   varchar,
 } from "drizzle-orm/pg-core";
-import { purchases, products } from "../index.js";
+import { purchases, products, purchaseOrderProducts } from "../index.js";
 
 export const purchaseProducts = pgTable(
   "logiex_purchase_products",
@@ -16,6 +16,7 @@ export const purchaseProducts = pgTable(
     id: uuid("id").primaryKey().defaultRandom(),
     mr_id: varchar("mr_id", { length: 20 }).notNull(),
     product: varchar("product", { length: 80 }).notNull(),
+    po_product_id: uuid("po_product_id"),
     quantity: integer("quantity", { length: 80 }).notNull(),
     unit_price: numeric({ precision: 10, scale: 3 }).notNull(),
     discount: numeric({ precision: 10, scale: 3 }).default(0),
@@ -41,6 +42,13 @@ export const purchaseProducts = pgTable(
       })
         .onUpdate("cascade")
         .onDelete("set null"),
+      poProductFk: foreignKey({
+        columns: [table.po_product_id],
+        foreignColumns: [purchaseOrderProducts.id],
+        name: "fk_po_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
     };
   }
 );
@@ -39,13 +39,17 @@ export const insertPurchaseProductSchema = createInsertSchema(
       .lte(100, { message: "Discount must have a maximum of hundred percent" })
       .optional(),
   }
-).pick({
-  mr_id: false,
-  product: true,
-  quantity: true,
-  unit_price: true,
-  total_price: false,
-});
+)
+  .pick({
+    mr_id: false,
+    product: true,
+    quantity: true,
+    unit_price: true,
+    total_price: false,
+  })
+  .extend({
+    expiry_date: z.coerce.date({ message: "Invalid expiry date" }).optional(),
+  });
 
 export const updatePurchaseProductSchema = createInsertSchema(
   purchaseProducts,
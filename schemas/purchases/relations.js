@@ -6,6 +6,8 @@ import {
   vendors,
   purchases,
   inventories,
+  purchaseOrders,
+  vendorReturns,
 } from "../index.js";
 
 export const purchasesRelations = relations(purchases, ({ one, many }) => ({
@@ -17,7 +19,12 @@ export const purchasesRelations = relations(purchases, ({ one, many }) => ({
     fields: [purchases.inventory],
     references: [inventories.name],
   }),
+  order: one(purchaseOrders, {
+    fields: [purchases.po_id],
+    references: [purchaseOrders.po_id],
+  }),
   products: many(purchaseProducts),
   storages: many(inventoryProducts),
   sales: many(saleProducts),
+  returns: many(vendorReturns),
 }));
@@ -7,7 +7,7 @@ import {
   varchar,
   foreignKey,
 } from "drizzle-orm/pg-core";
-import { vendors, inventories } from "../index.js";
+import { vendors, inventories, purchaseOrders } from "../index.js";
 
 export const purchases = pgTable(
   "logiex_purchases",
@@ -16,6 +16,7 @@ export const purchases = pgTable(
     vendor: varchar("vendor", { length: 80 }).notNull(),
     inventory: varchar("inventory", { length: 80 }).notNull(),
     mr_id: varchar("mr_id", { length: 20 }).unique().notNull(),
+    po_id: varchar("po_id", { length: 20 }),
     adjustment: numeric({ precision: 10, scale: 3 }).default(0),
     total_price: numeric({ precision: 10, scale: 3 }).default(0),
     purchase_date: timestamp("purchase_date", { mode: "string" }).defaultNow(),
@@ -25,6 +26,7 @@ export const purchases = pgTable(
   (table) => {
     return {
       mr_idIdx: index("purchases_mr_id_idx").on(table.mr_id),
+      po_idIdx: index("purchases_po_id_idx").on(table.po_id),
       purchaseDateIdx: index("purchases_purchase_date_idx").on(
         table.purchase_date
       ),
@@ -42,6 +44,13 @@ export const purchases = pgTable(
       })
         .onUpdate("cascade")
         .onDelete("set null"),
+      po_idFk: foreignKey({
+        columns: [table.po_id],
+        foreignColumns: [purchaseOrders.po_id],
+        name: "fk_po_id",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
     };
   }
 );
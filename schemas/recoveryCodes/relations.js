@@ -0,0 +1,9 @@
+import { relations } from "drizzle-orm/relations";
+import { recoveryCodes, users } from "../index.js";
+
+export const recoveryCodesRelations = relations(recoveryCodes, ({ one }) => ({
+  user: one(users, {
+    fields: [recoveryCodes.user_id],
+    references: [users.id],
+  }),
+}));
@@ -0,0 +1,33 @@
+import {
+  foreignKey,
+  index,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { users } from "../index.js";
+
+export const recoveryCodes = pgTable(
+  "logiex_recovery_codes",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    user_id: uuid("user_id").notNull(),
+    // SHA-256 hash of the recovery code handed to the user
+    code: varchar("code", { length: 64 }).notNull(),
+    used_at: timestamp("used_at", { mode: "string" }),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+  },
+  (table) => {
+    return {
+      userIdIdx: index("recovery_codes_user_id_idx").on(table.user_id),
+      userFk: foreignKey({
+        columns: [table.user_id],
+        foreignColumns: [users.id],
+        name: "fk_recovery_code_user",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+    };
+  }
+);
@@ -0,0 +1,27 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { recoveryCodes } from "../index.js";
+
+// A second factor is either a TOTP code or one of the recovery codes
+export const twoFactorCodeSchema = createInsertSchema(recoveryCodes, {
+  code: z
+    .string({
+      required_error: "Code is required",
+    })
+    .nonempty({ message: "Code is required" })
+    .max(16, { message: "Code must not exceed 16 characters" }),
+}).pick({
+  code: true,
+});
+
+export const twoFactorLoginSchema = twoFactorCodeSchema.extend({
+  challenge_token: z
+    .string({
+      required_error: "Challenge token is required",
+    })
+    .nonempty({ message: "Challenge token is required" }),
+});
+
+export const twoFactorChallengeSchema = twoFactorLoginSchema.pick({
+  challenge_token: true,
+});
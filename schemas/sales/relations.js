@@ -5,6 +5,8 @@ import {
   saleProducts,
   customers,
   inventories,
+  stockReservations,
+  customerReturns,
 } from "../index.js";
 
 export const salesRelations = relations(sales, ({ one, many }) => ({
@@ -18,4 +20,6 @@ export const salesRelations = relations(sales, ({ one, many }) => ({
   }),
   products: many(saleProducts),
   shipments: many(shipmentProducts),
+  reservations: many(stockReservations),
+  returns: many(customerReturns),
 }));
@@ -44,6 +44,13 @@ export const insertSaleSchema = createInsertSchema(sales, {
           "Adjustment price must have a maximum of 10 digits in total and 3 digits after the decimal point",
       }
     ),
+}).extend({
+  reservation_expires_at: z.coerce
+    .date({ message: "Invalid reservation expiry date" })
+    .refine((value) => value > new Date(), {
+      message: "Reservation expiry must be in the future",
+    })
+    .optional(),
 });
 
 export const updateSaleSchema = createInsertSchema(sales, {
@@ -0,0 +1,9 @@
+import { relations } from "drizzle-orm/relations";
+import { sessions, users } from "../index.js";
+
+export const sessionsRelations = relations(sessions, ({ one }) => ({
+  user: one(users, {
+    fields: [sessions.user_id],
+    references: [users.id],
+  }),
+}));
@@ -0,0 +1,37 @@
+import {
+  foreignKey,
+  index,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { users } from "../index.js";
+
+export const sessions = pgTable(
+  "logiex_sessions",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    user_id: uuid("user_id").notNull(),
+    // SHA-256 hash of the refresh token handed to the client
+    refresh_token: varchar("refresh_token", { length: 64 }).unique().notNull(),
+    device: varchar("device", { length: 255 }),
+    ip: varchar("ip", { length: 45 }),
+    expires_at: timestamp("expires_at", { mode: "string" }).notNull(),
+    last_used_at: timestamp("last_used_at", { mode: "string" }).defaultNow(),
+    revoked_at: timestamp("revoked_at", { mode: "string" }),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+  },
+  (table) => {
+    return {
+      userIdIdx: index("sessions_user_id_idx").on(table.user_id),
+      userFk: foreignKey({
+        columns: [table.user_id],
+        foreignColumns: [users.id],
+        name: "fk_session_user",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+    };
+  }
+);
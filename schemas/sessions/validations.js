@@ -0,0 +1,13 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { sessions } from "../index.js";
+
+export const refreshSessionSchema = createInsertSchema(sessions, {
+  refresh_token: z
+    .string({
+      required_error: "Refresh token is required",
+    })
+    .nonempty({ message: "Refresh token is required" }),
+}).pick({
+  refresh_token: true,
+});
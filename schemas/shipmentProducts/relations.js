@@ -1,5 +1,10 @@
 import { relations } from "drizzle-orm/relations";
-import { sales, shipments, shipmentProducts } from "../index.js";
+import {
+  deliveryProofs,
+  sales,
+  shipments,
+  shipmentProducts,
+} from "../index.js";
 
 export const shipmentProductsRelations = relations(
   shipmentProducts,
@@ -12,5 +17,9 @@ export const shipmentProductsRelations = relations(
       fields: [shipmentProducts.bill_id],
       references: [sales.bill_id],
     }),
+    proof: one(deliveryProofs, {
+      fields: [shipmentProducts.id],
+      references: [deliveryProofs.shipment_product_id],
+    }),
   })
 );
@@ -0,0 +1,16 @@
+import { relations } from "drizzle-orm/relations";
+import { shipments, shipmentTransfers, transfers } from "../index.js";
+
+export const shipmentTransfersRelations = relations(
+  shipmentTransfers,
+  ({ one }) => ({
+    shipment: one(shipments, {
+      fields: [shipmentTransfers.shipment_id],
+      references: [shipments.shipment_id],
+    }),
+    transfer: one(transfers, {
+      fields: [shipmentTransfers.trf_id],
+      references: [transfers.trf_id],
+    }),
+  })
+);
@@ -0,0 +1,42 @@
+import {
+  foreignKey,
+  index,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { shipments, transfers } from "../index.js";
+
+export const shipmentTransfers = pgTable(
+  "logiex_shipment_transfers",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    shipment_id: varchar("shipment_id", { length: 20 }).notNull(),
+    trf_id: varchar("trf_id", { length: 20 }).notNull(),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      shipment_idIdx: index("shipment_transfers_shipment_id_idx").on(
+        table.shipment_id
+      ),
+      trf_idIdx: index("shipment_transfers_trf_id_idx").on(table.trf_id),
+      shipment_idFk: foreignKey({
+        columns: [table.shipment_id],
+        foreignColumns: [shipments.shipment_id],
+        name: "fk_shipment_transfer_shipment_id",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      trf_idFk: foreignKey({
+        columns: [table.trf_id],
+        foreignColumns: [transfers.trf_id],
+        name: "fk_shipment_transfer_trf_id",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+    };
+  }
+);
@@ -0,0 +1,15 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { shipmentTransfers } from "../index.js";
+
+export const insertShipmentTransferSchema = createInsertSchema(
+  shipmentTransfers,
+  {
+    trf_id: z
+      .string({
+        required_error: "TRF ID is required",
+      })
+      .max(20, { message: "TRF ID must not exceed 20 characters" })
+      .nonempty({ message: "TRF ID is required" }),
+  }
+).pick({ trf_id: true });
@@ -1,5 +1,12 @@
 import { relations } from "drizzle-orm/relations";
-import { shipmentProducts, users, vehicles, shipments } from "../index.js";
+import {
+  shipmentProducts,
+  shipmentTransfers,
+  tripLogs,
+  users,
+  vehicles,
+  shipments,
+} from "../index.js";
 
 export const shipmentsRelations = relations(shipments, ({ one, many }) => ({
   vehicle: one(vehicles, {
@@ -11,4 +18,9 @@ export const shipmentsRelations = relations(shipments, ({ one, many }) => ({
     references: [users.id],
   }),
   items: many(shipmentProducts),
+  transfers: many(shipmentTransfers),
+  tripLog: one(tripLogs, {
+    fields: [shipments.shipment_id],
+    references: [tripLogs.shipment_id],
+  }),
 }));
@@ -20,6 +20,8 @@ export const shipments = pgTable(
     vehicle_vin: varchar("vehicle_vin", { length: 20 }).notNull(),
     captain_id: uuid("captain_id").notNull(),
     shipment_date: timestamp("shipment_date", { mode: "string" }).defaultNow(),
+    planned_start: timestamp("planned_start", { mode: "string" }),
+    planned_end: timestamp("planned_end", { mode: "string" }),
     status: shipmentStatus("status").default("pending"),
     created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
     updated_at: timestamp("updated_at", { mode: "string" }),
@@ -32,6 +34,10 @@ export const shipments = pgTable(
       shipmentDateIdx: index("shipments_shipment_date_idx").on(
         table.shipment_date
       ),
+      plannedWindowIdx: index("shipments_planned_window_idx").on(
+        table.planned_start,
+        table.planned_end
+      ),
       vehicleFk: foreignKey({
         columns: [table.vehicle_vin],
         foreignColumns: [vehicles.vin],
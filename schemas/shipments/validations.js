@@ -11,6 +11,12 @@ export const insertShipmentSchema = createInsertSchema(shipments, {
     .max(20, { message: "Shipment ID must not exceed 20 characters" })
     .nonempty({ message: "Shipment ID is required" }),
   shipment_date: z.coerce.date({ message: "Invalid date" }).optional(),
+  planned_start: z.coerce
+    .date({ message: "Invalid planned start date" })
+    .optional(),
+  planned_end: z.coerce
+    .date({ message: "Invalid planned end date" })
+    .optional(),
   vehicle_vin: z
     .string({
       required_error: "Vehicle VIN is required",
@@ -32,6 +38,12 @@ export const updateShipmentSchema = createInsertSchema(shipments, {
     .max(20, { message: "Shipment ID must not exceed 20 characters" })
     .optional(),
   shipment_date: z.coerce.date({ message: "Invalid date" }).optional(),
+  planned_start: z.coerce
+    .date({ message: "Invalid planned start date" })
+    .optional(),
+  planned_end: z.coerce
+    .date({ message: "Invalid planned end date" })
+    .optional(),
   vehicle_vin: z
     .string()
     .max(20, { message: "Vehicle VIN must not exceed 20 characters" })
@@ -0,0 +1,13 @@
+import { relations } from "drizzle-orm/relations";
+import { inventories, products, stockAlerts } from "../index.js";
+
+export const stockAlertsRelations = relations(stockAlerts, ({ one }) => ({
+  inventory: one(inventories, {
+    fields: [stockAlerts.inventory],
+    references: [inventories.name],
+  }),
+  product: one(products, {
+    fields: [stockAlerts.product],
+    references: [products.name],
+  }),
+}));
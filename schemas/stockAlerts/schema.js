@@ -0,0 +1,47 @@
+import {
+  foreignKey,
+  index,
+  integer,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { inventories, products } from "../index.js";
+
+export const stockAlerts = pgTable(
+  "logiex_stock_alerts",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    inventory: varchar("inventory", { length: 80 }).notNull(),
+    product: varchar("product", { length: 80 }).notNull(),
+    quantity: integer("quantity").notNull(),
+    reorder_point: integer("reorder_point").notNull(),
+    notified_at: timestamp("notified_at", { mode: "string" }),
+    resolved_at: timestamp("resolved_at", { mode: "string" }),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+  },
+  (table) => {
+    return {
+      inventoryIdx: index("stock_alerts_inventory_idx").on(table.inventory),
+      productIdx: index("stock_alerts_product_idx").on(table.product),
+      resolvedAtIdx: index("stock_alerts_resolved_at_idx").on(
+        table.resolved_at
+      ),
+      inventoryFk: foreignKey({
+        columns: [table.inventory],
+        foreignColumns: [inventories.name],
+        name: "fk_inventory",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      productFk: foreignKey({
+        columns: [table.product],
+        foreignColumns: [products.name],
+        name: "fk_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+    };
+  }
+);
@@ -0,0 +1,20 @@
+import { relations } from "drizzle-orm/relations";
+import {
+  inventoryProducts,
+  stockCountProducts,
+  stockCounts,
+} from "../index.js";
+
+export const stockCountProductsRelations = relations(
+  stockCountProducts,
+  ({ one }) => ({
+    stockCount: one(stockCounts, {
+      fields: [stockCountProducts.sc_id],
+      references: [stockCounts.sc_id],
+    }),
+    inventoryProduct: one(inventoryProducts, {
+      fields: [stockCountProducts.inventory_product_id],
+      references: [inventoryProducts.id],
+    }),
+  })
+);
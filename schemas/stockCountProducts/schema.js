@@ -0,0 +1,56 @@
+import {
+  foreignKey,
+  index,
+  integer,
+  pgEnum,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { inventoryProducts, stockCounts } from "../index.js";
+import { adjustmentReasonsEnum } from "../../utils/enum.js";
+
+export const adjustmentReasons = pgEnum(
+  "logiex_adjustment_reason",
+  adjustmentReasonsEnum
+);
+
+export const stockCountProducts = pgTable(
+  "logiex_stock_count_products",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    sc_id: varchar("sc_id", { length: 20 }).notNull(),
+    inventory_product_id: uuid("inventory_product_id").notNull(),
+    mr_id: varchar("mr_id", { length: 20 }).notNull(),
+    product: varchar("product", { length: 80 }).notNull(),
+    expected_quantity: integer("expected_quantity").notNull(),
+    counted_quantity: integer("counted_quantity").notNull(),
+    variance: integer("variance").notNull().default(0),
+    reason: adjustmentReasons("reason"),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      scIdIdx: index("stock_count_products_sc_id_idx").on(table.sc_id),
+      inventoryProductIdx: index(
+        "stock_count_products_inventory_product_id_idx"
+      ).on(table.inventory_product_id),
+      sc_idFk: foreignKey({
+        columns: [table.sc_id],
+        foreignColumns: [stockCounts.sc_id],
+        name: "fk_sc_id",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      inventoryProductFk: foreignKey({
+        columns: [table.inventory_product_id],
+        foreignColumns: [inventoryProducts.id],
+        name: "fk_inventory_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+    };
+  }
+);
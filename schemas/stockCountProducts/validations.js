@@ -0,0 +1,31 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { stockCountProducts } from "../index.js";
+import { adjustmentReasonsEnum } from "../../utils/enum.js";
+
+export const insertStockCountProductSchema = createInsertSchema(
+  stockCountProducts,
+  {
+    inventory_product_id: z
+      .string({
+        required_error: "Inventory product ID is required",
+      })
+      .uuid({ message: "Inventory product ID must be a valid UUID" }),
+    counted_quantity: z
+      .number({
+        required_error: "Counted quantity is required",
+        invalid_type_error: "Counted quantity must be a Number",
+      })
+      .nonnegative({ message: "Counted quantity must not be negative" })
+      .int({ message: "Counted quantity must be an integer" }),
+    reason: z
+      .enum(adjustmentReasonsEnum, {
+        message: `Reason must be one of ${adjustmentReasonsEnum.join(", ")}`,
+      })
+      .optional(),
+  }
+).pick({
+  inventory_product_id: true,
+  counted_quantity: true,
+  reason: true,
+});
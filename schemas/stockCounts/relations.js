@@ -0,0 +1,25 @@
+import { relations } from "drizzle-orm/relations";
+import {
+  inventories,
+  stockCountProducts,
+  stockCounts,
+  users,
+} from "../index.js";
+
+export const stockCountsRelations = relations(stockCounts, ({ one, many }) => ({
+  inventory: one(inventories, {
+    fields: [stockCounts.inventory],
+    references: [inventories.name],
+  }),
+  counter: one(users, {
+    fields: [stockCounts.counted_by],
+    references: [users.id],
+    relationName: "counter",
+  }),
+  approver: one(users, {
+    fields: [stockCounts.approved_by],
+    references: [users.id],
+    relationName: "approver",
+  }),
+  products: many(stockCountProducts),
+}));
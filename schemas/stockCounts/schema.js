@@ -0,0 +1,60 @@
+import {
+  foreignKey,
+  index,
+  pgEnum,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { inventories, users } from "../index.js";
+import { stockCountStatusEnum } from "../../utils/enum.js";
+
+export const stockCountStatus = pgEnum(
+  "logiex_stock_count_status",
+  stockCountStatusEnum
+);
+
+export const stockCounts = pgTable(
+  "logiex_stock_counts",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    sc_id: varchar("sc_id", { length: 20 }).unique().notNull(),
+    inventory: varchar("inventory", { length: 80 }).notNull(),
+    status: stockCountStatus("status").default("pending"),
+    counted_by: uuid("counted_by"),
+    approved_by: uuid("approved_by"),
+    count_date: timestamp("count_date", { mode: "string" }).defaultNow(),
+    approved_at: timestamp("approved_at", { mode: "string" }),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      scIdIdx: index("stock_counts_sc_id_idx").on(table.sc_id),
+      inventoryIdx: index("stock_counts_inventory_idx").on(table.inventory),
+      statusIdx: index("stock_counts_status_idx").on(table.status),
+      inventoryFk: foreignKey({
+        columns: [table.inventory],
+        foreignColumns: [inventories.name],
+        name: "fk_inventory",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      counterFk: foreignKey({
+        columns: [table.counted_by],
+        foreignColumns: [users.id],
+        name: "fk_counter",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      approverFk: foreignKey({
+        columns: [table.approved_by],
+        foreignColumns: [users.id],
+        name: "fk_approver",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
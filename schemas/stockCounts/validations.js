@@ -0,0 +1,23 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { stockCounts } from "../index.js";
+
+export const insertStockCountSchema = createInsertSchema(stockCounts, {
+  sc_id: z
+    .string({
+      required_error: "SC ID is required",
+    })
+    .min(6, { message: "SC ID be at least 6 characters long" })
+    .max(20, { message: "SC ID must not exceed 20 characters" }),
+  inventory: z
+    .string({
+      required_error: "Inventory name is required",
+    })
+    .max(80, { message: "Inventory name must not exceed 80 characters" })
+    .nonempty({ message: "Inventory name is required" }),
+  count_date: z.coerce.date({ message: "Invalid date" }).optional(),
+}).pick({
+  sc_id: true,
+  inventory: true,
+  count_date: true,
+});
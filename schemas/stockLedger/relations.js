@@ -0,0 +1,9 @@
+import { relations } from "drizzle-orm/relations";
+import { stockLedger, users } from "../index.js";
+
+export const stockLedgerRelations = relations(stockLedger, ({ one }) => ({
+  creator: one(users, {
+    fields: [stockLedger.created_by],
+    references: [users.id],
+  }),
+}));
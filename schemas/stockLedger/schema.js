@@ -0,0 +1,60 @@
+import {
+  foreignKey,
+  index,
+  integer,
+  pgEnum,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { users } from "../index.js";
+import { adjustmentReasons } from "../stockCountProducts/schema.js";
+import { stockLedgerSourcesEnum } from "../../utils/enum.js";
+
+export const stockLedgerSources = pgEnum(
+  "logiex_stock_ledger_source",
+  stockLedgerSourcesEnum
+);
+
+// Append-only history of every stock movement. Entries keep the inventory,
+// product and lot as they were at the time of the movement, so they are not
+// tied to the lifetime of the rows they describe.
+export const stockLedger = pgTable(
+  "logiex_stock_ledger",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    source_type: stockLedgerSources("source_type").notNull(),
+    source_id: varchar("source_id", { length: 20 }).notNull(),
+    inventory: varchar("inventory", { length: 80 }).notNull(),
+    product: varchar("product", { length: 80 }).notNull(),
+    mr_id: varchar("mr_id", { length: 20 }).notNull(),
+    inventory_product_id: uuid("inventory_product_id").notNull(),
+    quantity: integer("quantity").notNull(),
+    balance: integer("balance").notNull(),
+    // Why a stock count adjusted the lot
+    reason: adjustmentReasons("reason"),
+    created_by: uuid("created_by"),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+  },
+  (table) => {
+    return {
+      sourceIdx: index("stock_ledger_source_idx").on(
+        table.source_type,
+        table.source_id
+      ),
+      inventoryIdx: index("stock_ledger_inventory_idx").on(table.inventory),
+      productIdx: index("stock_ledger_product_idx").on(table.product),
+      inventoryProductIdx: index("stock_ledger_inventory_product_id_idx").on(
+        table.inventory_product_id
+      ),
+      creatorFk: foreignKey({
+        columns: [table.created_by],
+        foreignColumns: [users.id],
+        name: "fk_creator",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
@@ -0,0 +1,25 @@
+import { relations } from "drizzle-orm/relations";
+import {
+  inventoryProducts,
+  saleProducts,
+  sales,
+  stockReservations,
+} from "../index.js";
+
+export const stockReservationsRelations = relations(
+  stockReservations,
+  ({ one }) => ({
+    sale: one(sales, {
+      fields: [stockReservations.bill_id],
+      references: [sales.bill_id],
+    }),
+    saleProduct: one(saleProducts, {
+      fields: [stockReservations.sale_product_id],
+      references: [saleProducts.id],
+    }),
+    inventoryProduct: one(inventoryProducts, {
+      fields: [stockReservations.inventory_product_id],
+      references: [inventoryProducts.id],
+    }),
+  })
+);
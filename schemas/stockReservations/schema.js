@@ -0,0 +1,62 @@
+import {
+  foreignKey,
+  index,
+  integer,
+  pgEnum,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { inventoryProducts, saleProducts, sales } from "../index.js";
+import { reservationStatusEnum } from "../../utils/enum.js";
+
+export const reservationStatus = pgEnum(
+  "logiex_reservation_status",
+  reservationStatusEnum
+);
+
+export const stockReservations = pgTable(
+  "logiex_stock_reservations",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    bill_id: varchar("bill_id", { length: 20 }).notNull(),
+    sale_product_id: uuid("sale_product_id").notNull(),
+    inventory_product_id: uuid("inventory_product_id").notNull(),
+    quantity: integer("quantity").notNull(),
+    status: reservationStatus("status").default("active"),
+    expires_at: timestamp("expires_at", { mode: "string" }).notNull(),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      billIdIdx: index("stock_reservations_bill_id_idx").on(table.bill_id),
+      inventoryProductIdx: index(
+        "stock_reservations_inventory_product_id_idx"
+      ).on(table.inventory_product_id),
+      statusIdx: index("stock_reservations_status_idx").on(table.status),
+      bill_idFk: foreignKey({
+        columns: [table.bill_id],
+        foreignColumns: [sales.bill_id],
+        name: "fk_bill_id",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      saleProductFk: foreignKey({
+        columns: [table.sale_product_id],
+        foreignColumns: [saleProducts.id],
+        name: "fk_sale_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      inventoryProductFk: foreignKey({
+        columns: [table.inventory_product_id],
+        foreignColumns: [inventoryProducts.id],
+        name: "fk_inventory_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+    };
+  }
+);
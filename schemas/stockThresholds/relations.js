@@ -0,0 +1,16 @@
+import { relations } from "drizzle-orm/relations";
+import { inventories, products, stockThresholds } from "../index.js";
+
+export const stockThresholdsRelations = relations(
+  stockThresholds,
+  ({ one }) => ({
+    inventory: one(inventories, {
+      fields: [stockThresholds.inventory],
+      references: [inventories.name],
+    }),
+    product: one(products, {
+      fields: [stockThresholds.product],
+      references: [products.name],
+    }),
+  })
+);
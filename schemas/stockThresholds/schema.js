@@ -0,0 +1,47 @@
+import {
+  foreignKey,
+  index,
+  integer,
+  pgTable,
+  timestamp,
+  uniqueIndex,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { inventories, products } from "../index.js";
+
+export const stockThresholds = pgTable(
+  "logiex_stock_thresholds",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    inventory: varchar("inventory", { length: 80 }).notNull(),
+    product: varchar("product", { length: 80 }).notNull(),
+    min_quantity: integer("min_quantity").notNull().default(0),
+    max_quantity: integer("max_quantity").notNull(),
+    reorder_point: integer("reorder_point").notNull(),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      inventoryProductIdx: uniqueIndex(
+        "stock_thresholds_inventory_product_idx"
+      ).on(table.inventory, table.product),
+      productIdx: index("stock_thresholds_product_idx").on(table.product),
+      inventoryFk: foreignKey({
+        columns: [table.inventory],
+        foreignColumns: [inventories.name],
+        name: "fk_inventory",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      productFk: foreignKey({
+        columns: [table.product],
+        foreignColumns: [products.name],
+        name: "fk_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+    };
+  }
+);
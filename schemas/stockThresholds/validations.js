@@ -0,0 +1,51 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { stockThresholds } from "../index.js";
+
+export const insertStockThresholdSchema = createInsertSchema(stockThresholds, {
+  inventory: z
+    .string({
+      required_error: "Inventory name is required",
+    })
+    .max(80, { message: "Inventory name must not exceed 80 characters" })
+    .nonempty({ message: "Inventory name is required" }),
+  product: z
+    .string({
+      required_error: "Product name is required",
+    })
+    .max(80, { message: "Product name must not exceed 80 characters" })
+    .nonempty({ message: "Product name is required" }),
+  min_quantity: z
+    .number({ invalid_type_error: "Minimum quantity must be a Number" })
+    .nonnegative({ message: "Minimum quantity must not be negative" })
+    .int({ message: "Minimum quantity must be an integer" })
+    .optional(),
+  max_quantity: z
+    .number({
+      required_error: "Maximum quantity is required",
+      invalid_type_error: "Maximum quantity must be a Number",
+    })
+    .positive({ message: "Maximum quantity must be a positive number" })
+    .int({ message: "Maximum quantity must be an integer" }),
+  reorder_point: z
+    .number({
+      required_error: "Reorder point is required",
+      invalid_type_error: "Reorder point must be a Number",
+    })
+    .nonnegative({ message: "Reorder point must not be negative" })
+    .int({ message: "Reorder point must be an integer" }),
+}).pick({
+  inventory: true,
+  product: true,
+  min_quantity: true,
+  max_quantity: true,
+  reorder_point: true,
+});
+
+export const updateStockThresholdSchema = insertStockThresholdSchema
+  .pick({
+    min_quantity: true,
+    max_quantity: true,
+    reorder_point: true,
+  })
+  .partial();
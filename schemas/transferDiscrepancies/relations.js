@@ -0,0 +1,25 @@
+import { relations } from "drizzle-orm/relations";
+import {
+  transferDiscrepancies,
+  transferProducts,
+  transfers,
+  users,
+} from "../index.js";
+
+export const transferDiscrepanciesRelations = relations(
+  transferDiscrepancies,
+  ({ one }) => ({
+    transfer: one(transfers, {
+      fields: [transferDiscrepancies.trf_id],
+      references: [transfers.trf_id],
+    }),
+    transferProduct: one(transferProducts, {
+      fields: [transferDiscrepancies.transfer_product_id],
+      references: [transferProducts.id],
+    }),
+    reporter: one(users, {
+      fields: [transferDiscrepancies.reported_by],
+      references: [users.id],
+    }),
+  })
+);
@@ -0,0 +1,54 @@
+import {
+  foreignKey,
+  index,
+  integer,
+  pgTable,
+  text,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { transferProducts, transfers, users } from "../index.js";
+
+export const transferDiscrepancies = pgTable(
+  "logiex_transfer_discrepancies",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    trf_id: varchar("trf_id", { length: 20 }).notNull(),
+    transfer_product_id: uuid("transfer_product_id").notNull(),
+    mr_id: varchar("mr_id", { length: 20 }).notNull(),
+    product: varchar("product", { length: 80 }).notNull(),
+    dispatched_quantity: integer("dispatched_quantity").notNull(),
+    received_quantity: integer("received_quantity").notNull(),
+    shortage: integer("shortage").notNull(),
+    note: text("note"),
+    reported_by: uuid("reported_by"),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+  },
+  (table) => {
+    return {
+      trfIdIdx: index("transfer_discrepancies_trf_id_idx").on(table.trf_id),
+      trf_idFk: foreignKey({
+        columns: [table.trf_id],
+        foreignColumns: [transfers.trf_id],
+        name: "fk_trf_id",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      transferProductFk: foreignKey({
+        columns: [table.transfer_product_id],
+        foreignColumns: [transferProducts.id],
+        name: "fk_transfer_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      reporterFk: foreignKey({
+        columns: [table.reported_by],
+        foreignColumns: [users.id],
+        name: "fk_reporter",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
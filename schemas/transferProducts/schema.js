@@ -17,6 +17,7 @@ export const transferProducts = pgTable(
     mr_id: varchar("mr_id", { length: 20 }).notNull(),
     product: varchar("product", { length: 80 }).notNull(),
     quantity: integer("quantity").notNull(),
+    received_quantity: integer("received_quantity"),
     created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
     updated_at: timestamp("updated_at", { mode: "string" }),
   },
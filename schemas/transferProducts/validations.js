@@ -10,7 +10,8 @@ export const insertTransferProductSchema = createInsertSchema(
         required_error: "MR ID is required",
       })
       .min(6, { message: "MR ID be at least 6 characters long" })
-      .max(20, { message: "MR ID must not exceed 20 characters" }),
+      .max(20, { message: "MR ID must not exceed 20 characters" })
+      .optional(),
     product: z
       .string({
         required_error: "Product name is required",
@@ -46,3 +47,19 @@ export const updateTransferProductSchema = createInsertSchema(
   product: false,
   mr_id: false,
 });
+
+export const receiveTransferProductSchema = z.object({
+  transfer_product_id: z
+    .string({
+      required_error: "Transfer product ID is required",
+    })
+    .uuid({ message: "Invalid transfer product ID" }),
+  received_quantity: z
+    .number({
+      required_error: "Received quantity is required",
+      invalid_type_error: "Received quantity must be a Number",
+    })
+    .int({ message: "Received quantity must be an integer" })
+    .nonnegative({ message: "Received quantity must not be negative" }),
+  note: z.string().optional(),
+});
@@ -1,7 +1,9 @@
 import { relations } from "drizzle-orm/relations";
 import {
   inventories,
+  shipmentTransfers,
   transfers,
+  transferDiscrepancies,
   transferProducts,
 } from "../index.js";
 
@@ -17,4 +19,6 @@ export const transfersRelations = relations(transfers, ({ one, many }) => ({
     relationName: "destination",
   }),
   products: many(transferProducts),
+  discrepancies: many(transferDiscrepancies),
+  shipments: many(shipmentTransfers),
 }));
@@ -2,12 +2,19 @@ import {
   foreignKey,
   index,
   integer,
+  pgEnum,
   pgTable,
   timestamp,
   uuid,
   varchar,
 } from "drizzle-orm/pg-core";
-import { inventories } from "../index.js";
+import { inventories, users } from "../index.js";
+import { transferStatusEnum } from "../../utils/enum.js";
+
+export const transferStatus = pgEnum(
+  "logiex_transfer_status",
+  transferStatusEnum
+);
 
 export const transfers = pgTable(
   "logiex_transfers",
@@ -19,6 +26,10 @@ export const transfers = pgTable(
       length: 80,
     }).notNull(),
     transfer_date: timestamp("transfer_date", { mode: "string" }).defaultNow(),
+    status: transferStatus("status").default("dispatched"),
+    dispatched_by: uuid("dispatched_by"),
+    received_by: uuid("received_by"),
+    received_at: timestamp("received_at", { mode: "string" }),
     created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
     updated_at: timestamp("updated_at", { mode: "string" }),
   },
@@ -34,6 +45,7 @@ export const transfers = pgTable(
       transferDateIdx: index("transfers_transfer_date_idx").on(
         table.transfer_date
       ),
+      statusIdx: index("transfers_status_idx").on(table.status),
       sourceInventoryFk: foreignKey({
         columns: [table.source_inventory],
         foreignColumns: [inventories.name],
@@ -48,6 +60,20 @@ export const transfers = pgTable(
       })
         .onUpdate("cascade")
         .onDelete("set null"),
+      dispatcherFk: foreignKey({
+        columns: [table.dispatched_by],
+        foreignColumns: [users.id],
+        name: "fk_dispatcher",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      receiverFk: foreignKey({
+        columns: [table.received_by],
+        foreignColumns: [users.id],
+        name: "fk_receiver",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
     };
   }
 );
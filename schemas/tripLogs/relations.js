@@ -0,0 +1,22 @@
+import { relations } from "drizzle-orm/relations";
+import { fuelLogs, shipments, tripLogs, users, vehicles } from "../index.js";
+
+export const tripLogsRelations = relations(tripLogs, ({ one, many }) => ({
+  shipment: one(shipments, {
+    fields: [tripLogs.shipment_id],
+    references: [shipments.shipment_id],
+  }),
+  vehicle: one(vehicles, {
+    fields: [tripLogs.vehicle_vin],
+    references: [vehicles.vin],
+  }),
+  captain: one(users, {
+    fields: [tripLogs.captain_id],
+    references: [users.id],
+  }),
+  creator: one(users, {
+    fields: [tripLogs.created_by],
+    references: [users.id],
+  }),
+  fuelLogs: many(fuelLogs),
+}));
@@ -0,0 +1,66 @@
+import {
+  boolean,
+  foreignKey,
+  index,
+  integer,
+  pgTable,
+  text,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { shipments, users, vehicles } from "../index.js";
+
+export const tripLogs = pgTable(
+  "logiex_trip_logs",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    shipment_id: varchar("shipment_id", { length: 20 }).unique().notNull(),
+    vehicle_vin: varchar("vehicle_vin", { length: 20 }).notNull(),
+    captain_id: uuid("captain_id"),
+    start_odometer: integer("start_odometer").notNull(),
+    end_odometer: integer("end_odometer"),
+    started_at: timestamp("started_at", { mode: "string" }).defaultNow(),
+    ended_at: timestamp("ended_at", { mode: "string" }),
+    // The start reading was below the vehicle's mileage when it was logged
+    odometer_rollback: boolean("odometer_rollback").notNull().default(false),
+    note: text("note", { length: 255 }),
+    created_by: uuid("created_by"),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      vehicleVinIdx: index("trip_logs_vehicle_vin_idx").on(table.vehicle_vin),
+      captainIdIdx: index("trip_logs_captain_id_idx").on(table.captain_id),
+      shipmentFk: foreignKey({
+        columns: [table.shipment_id],
+        foreignColumns: [shipments.shipment_id],
+        name: "fk_trip_log_shipment",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      vehicleFk: foreignKey({
+        columns: [table.vehicle_vin],
+        foreignColumns: [vehicles.vin],
+        name: "fk_trip_log_vehicle",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      captainFk: foreignKey({
+        columns: [table.captain_id],
+        foreignColumns: [users.id],
+        name: "fk_trip_log_captain",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      creatorFk: foreignKey({
+        columns: [table.created_by],
+        foreignColumns: [users.id],
+        name: "fk_trip_log_creator",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
@@ -0,0 +1,46 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { tripLogs } from "../index.js";
+
+export const insertTripLogSchema = createInsertSchema(tripLogs, {
+  shipment_id: z
+    .string({
+      required_error: "Shipment ID is required",
+    })
+    .max(20, { message: "Shipment ID must not exceed 20 characters" })
+    .nonempty({ message: "Shipment ID is required" }),
+  start_odometer: z
+    .number({
+      required_error: "Start odometer reading is required",
+      invalid_type_error: "Start odometer reading must be a Number",
+    })
+    .nonnegative({ message: "Start odometer reading must not be negative" })
+    .int({ message: "Start odometer reading must be an integer" }),
+  started_at: z.coerce.date({ message: "Invalid start time" }).optional(),
+  note: z
+    .string()
+    .max(255, { message: "Note must not exceed 255 characters" })
+    .optional(),
+}).pick({
+  shipment_id: true,
+  start_odometer: true,
+  started_at: true,
+  note: true,
+});
+
+export const updateTripLogSchema = createInsertSchema(tripLogs, {
+  end_odometer: z
+    .number({ invalid_type_error: "End odometer reading must be a Number" })
+    .nonnegative({ message: "End odometer reading must not be negative" })
+    .int({ message: "End odometer reading must be an integer" })
+    .optional(),
+  ended_at: z.coerce.date({ message: "Invalid end time" }).optional(),
+  note: z
+    .string()
+    .max(255, { message: "Note must not exceed 255 characters" })
+    .optional(),
+}).pick({
+  end_odometer: true,
+  ended_at: true,
+  note: true,
+});
@@ -22,11 +22,22 @@ export const users = pgTable(
     email: varchar("email", { length: 150 }).unique().notNull(),
     phone: varchar("phone", { length: 16 }).unique(),
     avatar: varchar("avatar", { length: 255 }),
+    avatar_public_id: varchar("avatar_public_id", { length: 255 }),
     address: text("address", { length: 255 }),
     password: varchar("password").notNull(),
     role: userRoles("role").default("admin"),
     national_id: varchar("national_id", { length: 20 }),
     driving_license_no: varchar("driving_license_no", { length: 20 }),
+    driving_license_issued_at: timestamp("driving_license_issued_at", {
+      mode: "string",
+    }),
+    driving_license_expires_at: timestamp("driving_license_expires_at", {
+      mode: "string",
+    }),
+    driving_license_scan: varchar("driving_license_scan", { length: 255 }),
+    driving_license_scan_public_id: varchar("driving_license_scan_public_id", {
+      length: 255,
+    }),
     passport_no: varchar("passport_no", { length: 20 }),
     isOnline: boolean().notNull().default(false),
     last_login_at: timestamp("last_login_at", { mode: "string" }),
@@ -37,6 +48,19 @@ export const users = pgTable(
     failed_login_attempt_last_at: timestamp("failed_login_attempt_last_at", {
       mode: "string",
     }),
+    locked_until: timestamp("locked_until", { mode: "string" }),
+    // Accounts are verified unless they are created waiting for their email
+    // to be confirmed, so that accounts older than the verification are too
+    email_verified_at: timestamp("email_verified_at", {
+      mode: "string",
+    }).defaultNow(),
+    // Base32 TOTP secret, only enforced once enrollment is confirmed
+    two_factor_secret: varchar("two_factor_secret", { length: 32 }),
+    two_factor_enabled_at: timestamp("two_factor_enabled_at", {
+      mode: "string",
+    }),
+    // Period of the last accepted TOTP code, so that it cannot be replayed
+    two_factor_last_counter: integer("two_factor_last_counter"),
     validation_token: varchar("validation_token"),
     validation_token_expired_at: timestamp("validation_token_expired_at"),
     reset_password_token: varchar("reset_password_token"),
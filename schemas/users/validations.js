@@ -26,6 +26,10 @@ export const insertUserSchema = createInsertSchema(users, {
     .string()
     .max(255, { message: "avatar URL must not exceed 255 characters" })
     .optional(),
+  avatar_public_id: z
+    .string()
+    .max(255, { message: "Avatar public ID must not exceed 255 characters" })
+    .optional(),
   address: z
     .string()
     .max(255, { message: "Address must not exceed 255 characters" })
@@ -45,6 +49,25 @@ export const insertUserSchema = createInsertSchema(users, {
     .string()
     .max(20, { message: "Driving license must not exceed 20 characters" })
     .optional(),
+  driving_license_issued_at: z.coerce
+    .date({ message: "Invalid driving license issue date" })
+    .optional(),
+  driving_license_expires_at: z.coerce
+    .date({ message: "Invalid driving license expiry date" })
+    .optional(),
+  driving_license_scan: z
+    .string()
+    .url({ message: "Driving license scan must be a valid URL" })
+    .max(255, {
+      message: "Driving license scan must not exceed 255 characters",
+    })
+    .optional(),
+  driving_license_scan_public_id: z
+    .string()
+    .max(255, {
+      message: "Driving license scan public ID must not exceed 255 characters",
+    })
+    .optional(),
   passport_no: z
     .string()
     .max(20, { message: "Passport no must not exceed 20 characters" })
@@ -71,6 +94,10 @@ export const updateUserSchema = createInsertSchema(users, {
     .string()
     .max(255, { message: "avatar URL must not exceed 255 characters" })
     .optional(),
+  avatar_public_id: z
+    .string()
+    .max(255, { message: "Avatar public ID must not exceed 255 characters" })
+    .optional(),
   address: z
     .string()
     .max(255, { message: "Address must not exceed 255 characters" })
@@ -88,6 +115,25 @@ export const updateUserSchema = createInsertSchema(users, {
     .string()
     .max(20, { message: "Driving license must not exceed 20 characters" })
     .optional(),
+  driving_license_issued_at: z.coerce
+    .date({ message: "Invalid driving license issue date" })
+    .optional(),
+  driving_license_expires_at: z.coerce
+    .date({ message: "Invalid driving license expiry date" })
+    .optional(),
+  driving_license_scan: z
+    .string()
+    .url({ message: "Driving license scan must be a valid URL" })
+    .max(255, {
+      message: "Driving license scan must not exceed 255 characters",
+    })
+    .optional(),
+  driving_license_scan_public_id: z
+    .string()
+    .max(255, {
+      message: "Driving license scan public ID must not exceed 255 characters",
+    })
+    .optional(),
   passport_no: z
     .string()
     .max(20, { message: "Passport no must not exceed 20 characters" })
@@ -157,3 +203,13 @@ export const resetPasswordUserSchema = createInsertSchema(users, {
   password: true,
   reset_password_token: true,
 });
+
+export const emailVerificationUserSchema = createInsertSchema(users, {
+  validation_token: z
+    .string({
+      required_error: "Token is required",
+    })
+    .nonempty({ message: "Token is required" }),
+}).pick({
+  validation_token: true,
+});
@@ -0,0 +1,16 @@
+import { relations } from "drizzle-orm/relations";
+import { users, vehicleDocuments, vehicles } from "../index.js";
+
+export const vehicleDocumentsRelations = relations(
+  vehicleDocuments,
+  ({ one }) => ({
+    vehicle: one(vehicles, {
+      fields: [vehicleDocuments.vehicle_vin],
+      references: [vehicles.vin],
+    }),
+    creator: one(users, {
+      fields: [vehicleDocuments.created_by],
+      references: [users.id],
+    }),
+  })
+);
@@ -0,0 +1,58 @@
+import {
+  foreignKey,
+  index,
+  pgEnum,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { users, vehicles } from "../index.js";
+import { vehicleDocumentTypesEnum } from "../../utils/enum.js";
+
+export const vehicleDocumentTypes = pgEnum(
+  "logiex_vehicle_document_type",
+  vehicleDocumentTypesEnum
+);
+
+export const vehicleDocuments = pgTable(
+  "logiex_vehicle_documents",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    vehicle_vin: varchar("vehicle_vin", { length: 20 }).notNull(),
+    type: vehicleDocumentTypes("type").notNull(),
+    document_no: varchar("document_no", { length: 40 }),
+    issue_date: timestamp("issue_date", { mode: "string" }),
+    expiry_date: timestamp("expiry_date", { mode: "string" }).notNull(),
+    scan: varchar("scan", { length: 255 }),
+    scan_public_id: varchar("scan_public_id", { length: 255 }),
+    created_by: uuid("created_by"),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      vehicleTypeIdx: index("vehicle_documents_vehicle_type_idx").on(
+        table.vehicle_vin,
+        table.type
+      ),
+      expiryDateIdx: index("vehicle_documents_expiry_date_idx").on(
+        table.expiry_date
+      ),
+      vehicleFk: foreignKey({
+        columns: [table.vehicle_vin],
+        foreignColumns: [vehicles.vin],
+        name: "fk_vehicle_document_vehicle",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      creatorFk: foreignKey({
+        columns: [table.created_by],
+        foreignColumns: [users.id],
+        name: "fk_vehicle_document_creator",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
@@ -0,0 +1,57 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { vehicleDocumentTypesEnum } from "../../utils/enum.js";
+import { vehicleDocuments } from "../index.js";
+
+export const insertVehicleDocumentSchema = createInsertSchema(
+  vehicleDocuments,
+  {
+    vehicle_vin: z
+      .string({
+        required_error: "Vehicle VIN is required",
+      })
+      .max(20, { message: "Vehicle VIN must not exceed 20 characters" })
+      .nonempty({ message: "Vehicle VIN is required" }),
+    type: z.enum(vehicleDocumentTypesEnum, {
+      message: `Document type must be one of ${vehicleDocumentTypesEnum.join(
+        ", "
+      )}`,
+    }),
+    document_no: z
+      .string()
+      .max(40, { message: "Document number must not exceed 40 characters" })
+      .optional(),
+    issue_date: z.coerce.date({ message: "Invalid issue date" }).optional(),
+    expiry_date: z.coerce.date({
+      required_error: "Expiry date is required",
+      invalid_type_error: "Invalid expiry date",
+    }),
+    scan: z
+      .string()
+      .url({ message: "Scan must be a valid URL" })
+      .max(255, { message: "Scan URL must not exceed 255 characters" })
+      .optional(),
+    scan_public_id: z
+      .string()
+      .max(255, { message: "Scan public ID must not exceed 255 characters" })
+      .optional(),
+  }
+).pick({
+  vehicle_vin: true,
+  type: true,
+  document_no: true,
+  issue_date: true,
+  expiry_date: true,
+  scan: true,
+  scan_public_id: true,
+});
+
+export const updateVehicleDocumentSchema = insertVehicleDocumentSchema
+  .pick({
+    document_no: true,
+    issue_date: true,
+    expiry_date: true,
+    scan: true,
+    scan_public_id: true,
+  })
+  .partial();
@@ -1,6 +1,19 @@
 import { relations } from "drizzle-orm/relations";
-import { vehicles, shipments } from "../index.js";
+import {
+  fuelLogs,
+  maintenanceRecords,
+  maintenanceSchedules,
+  vehicleDocuments,
+  vehicles,
+  shipments,
+  tripLogs,
+} from "../index.js";
 
 export const vehiclesRelations = relations(vehicles, ({ many }) => ({
   shipments: many(shipments),
+  maintenanceSchedules: many(maintenanceSchedules),
+  maintenanceRecords: many(maintenanceRecords),
+  documents: many(vehicleDocuments),
+  tripLogs: many(tripLogs),
+  fuelLogs: many(fuelLogs),
 }));
@@ -1,6 +1,7 @@
 import {
   index,
   integer,
+  numeric,
   pgEnum,
   pgTable,
   timestamp,
@@ -25,6 +26,7 @@ export const vehicles = pgTable(
     vin: varchar("vin", { length: 20 }).unique().notNull(),
     plate_number: varchar("plate_number", { length: 20 }).unique().notNull(),
     cargo_capacity: integer().notNull(),
+    cargo_volume: numeric("cargo_volume", { precision: 10, scale: 3 }),
     type: vehicleTypes("type").notNull(),
     created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
     updated_at: timestamp("updated_at", { mode: "string" }),
@@ -63,6 +63,10 @@ export const insertVehicleSchema = createInsertSchema(vehicles, {
     })
     .positive({ message: "Cargo capacity must be a positive number" })
     .int({ message: "Cargo capacity must be an integer" }),
+  cargo_volume: z
+    .number({ invalid_type_error: "Cargo volume must be a Number" })
+    .positive({ message: "Cargo volume must be a positive number" })
+    .optional(),
   type: z.enum(vehicleTypesEnum),
 });
 
@@ -120,5 +124,9 @@ export const updateVehicleSchema = createInsertSchema(vehicles, {
     .positive({ message: "Cargo capacity must be a positive number" })
     .int({ message: "Cargo capacity must be an integer" })
     .optional(),
+  cargo_volume: z
+    .number({ invalid_type_error: "Cargo volume must be a Number" })
+    .positive({ message: "Cargo volume must be a positive number" })
+    .optional(),
   type: z.enum(vehicleTypesEnum).optional(),
 });
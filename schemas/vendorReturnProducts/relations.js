@@ -0,0 +1,30 @@
+import { relations } from "drizzle-orm/relations";
+import {
+  inventoryProducts,
+  products,
+  purchaseProducts,
+  vendorReturnProducts,
+  vendorReturns,
+} from "../index.js";
+
+export const vendorReturnProductsRelations = relations(
+  vendorReturnProducts,
+  ({ one }) => ({
+    vendorReturn: one(vendorReturns, {
+      fields: [vendorReturnProducts.rtv_id],
+      references: [vendorReturns.rtv_id],
+    }),
+    purchaseProduct: one(purchaseProducts, {
+      fields: [vendorReturnProducts.purchase_product_id],
+      references: [purchaseProducts.id],
+    }),
+    inventoryProduct: one(inventoryProducts, {
+      fields: [vendorReturnProducts.inventory_product_id],
+      references: [inventoryProducts.id],
+    }),
+    product: one(products, {
+      fields: [vendorReturnProducts.product],
+      references: [products.name],
+    }),
+  })
+);
@@ -0,0 +1,68 @@
+import {
+  foreignKey,
+  index,
+  integer,
+  numeric,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import {
+  inventoryProducts,
+  products,
+  purchaseProducts,
+  vendorReturns,
+} from "../index.js";
+
+export const vendorReturnProducts = pgTable(
+  "logiex_vendor_return_products",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    rtv_id: varchar("rtv_id", { length: 20 }).notNull(),
+    purchase_product_id: uuid("purchase_product_id"),
+    inventory_product_id: uuid("inventory_product_id"),
+    product: varchar("product", { length: 80 }).notNull(),
+    quantity: integer("quantity").notNull(),
+    unit_price: numeric({ precision: 10, scale: 3 }).notNull(),
+    discount: numeric({ precision: 10, scale: 3 }).default(0),
+    credit_amount: numeric({ precision: 10, scale: 3 }).notNull(),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+  },
+  (table) => {
+    return {
+      rtv_idIdx: index("vendor_return_products_rtv_id_idx").on(table.rtv_id),
+      purchaseProductIdx: index(
+        "vendor_return_products_purchase_product_idx"
+      ).on(table.purchase_product_id),
+      rtv_idFk: foreignKey({
+        columns: [table.rtv_id],
+        foreignColumns: [vendorReturns.rtv_id],
+        name: "fk_rtv_id",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      purchaseProductFk: foreignKey({
+        columns: [table.purchase_product_id],
+        foreignColumns: [purchaseProducts.id],
+        name: "fk_purchase_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      inventoryProductFk: foreignKey({
+        columns: [table.inventory_product_id],
+        foreignColumns: [inventoryProducts.id],
+        name: "fk_inventory_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      productFk: foreignKey({
+        columns: [table.product],
+        foreignColumns: [products.name],
+        name: "fk_product",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
@@ -0,0 +1,16 @@
+import { z } from "zod";
+
+export const insertVendorReturnProductSchema = z.object({
+  purchase_product_id: z
+    .string({
+      required_error: "Purchase product ID is required",
+    })
+    .uuid({ message: "Invalid purchase product ID" }),
+  quantity: z
+    .number({
+      required_error: "Product quantity is required",
+      invalid_type_error: "Product quantity must be a Number",
+    })
+    .int({ message: "Product quantity must be an integer" })
+    .positive({ message: "Product quantity must be greater than 0" }),
+});
@@ -0,0 +1,32 @@
+import { relations } from "drizzle-orm/relations";
+import {
+  inventories,
+  purchases,
+  users,
+  vendorReturnProducts,
+  vendorReturns,
+  vendors,
+} from "../index.js";
+
+export const vendorReturnsRelations = relations(
+  vendorReturns,
+  ({ one, many }) => ({
+    purchase: one(purchases, {
+      fields: [vendorReturns.mr_id],
+      references: [purchases.mr_id],
+    }),
+    vendor: one(vendors, {
+      fields: [vendorReturns.vendor],
+      references: [vendors.name],
+    }),
+    inventory: one(inventories, {
+      fields: [vendorReturns.inventory],
+      references: [inventories.name],
+    }),
+    creator: one(users, {
+      fields: [vendorReturns.created_by],
+      references: [users.id],
+    }),
+    products: many(vendorReturnProducts),
+  })
+);
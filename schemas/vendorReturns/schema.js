@@ -0,0 +1,74 @@
+import {
+  foreignKey,
+  index,
+  numeric,
+  pgEnum,
+  pgTable,
+  text,
+  timestamp,
+  uuid,
+  varchar,
+} from "drizzle-orm/pg-core";
+import { inventories, purchases, users, vendors } from "../index.js";
+import { vendorReturnStatusEnum } from "../../utils/enum.js";
+
+export const vendorReturnStatus = pgEnum(
+  "logiex_vendor_return_status",
+  vendorReturnStatusEnum
+);
+
+export const vendorReturns = pgTable(
+  "logiex_vendor_returns",
+  {
+    id: uuid("id").primaryKey().defaultRandom(),
+    rtv_id: varchar("rtv_id", { length: 20 }).unique().notNull(),
+    mr_id: varchar("mr_id", { length: 20 }).notNull(),
+    vendor: varchar("vendor", { length: 80 }).notNull(),
+    inventory: varchar("inventory", { length: 80 }).notNull(),
+    status: vendorReturnStatus("status").default("pending"),
+    reason: text("reason"),
+    credit_amount: numeric({ precision: 10, scale: 3 }).default(0),
+    vendor_reference: varchar("vendor_reference", { length: 80 }),
+    return_date: timestamp("return_date", { mode: "string" }).defaultNow(),
+    created_by: uuid("created_by"),
+    dispatched_at: timestamp("dispatched_at", { mode: "string" }),
+    acknowledged_at: timestamp("acknowledged_at", { mode: "string" }),
+    created_at: timestamp("created_at", { mode: "string" }).defaultNow(),
+    updated_at: timestamp("updated_at", { mode: "string" }),
+  },
+  (table) => {
+    return {
+      rtv_idIdx: index("vendor_returns_rtv_id_idx").on(table.rtv_id),
+      mr_idIdx: index("vendor_returns_mr_id_idx").on(table.mr_id),
+      statusIdx: index("vendor_returns_status_idx").on(table.status),
+      mr_idFk: foreignKey({
+        columns: [table.mr_id],
+        foreignColumns: [purchases.mr_id],
+        name: "fk_mr_id",
+      })
+        .onUpdate("cascade")
+        .onDelete("cascade"),
+      vendorFk: foreignKey({
+        columns: [table.vendor],
+        foreignColumns: [vendors.name],
+        name: "fk_vendor",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      inventoryFk: foreignKey({
+        columns: [table.inventory],
+        foreignColumns: [inventories.name],
+        name: "fk_inventory",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+      creatorFk: foreignKey({
+        columns: [table.created_by],
+        foreignColumns: [users.id],
+        name: "fk_creator",
+      })
+        .onUpdate("cascade")
+        .onDelete("set null"),
+    };
+  }
+);
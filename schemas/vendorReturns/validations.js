@@ -0,0 +1,37 @@
+import { z } from "zod";
+import { createInsertSchema } from "drizzle-zod";
+import { vendorReturns } from "../index.js";
+
+export const insertVendorReturnSchema = createInsertSchema(vendorReturns, {
+  rtv_id: z
+    .string({
+      required_error: "RTV ID is required",
+    })
+    .min(6, { message: "RTV ID be at least 6 characters long" })
+    .max(20, { message: "RTV ID must not exceed 20 characters" }),
+  mr_id: z
+    .string({
+      required_error: "MR ID is required",
+    })
+    .max(20, { message: "MR ID must not exceed 20 characters" })
+    .nonempty({ message: "MR ID is required" }),
+  inventory: z
+    .string()
+    .max(80, { message: "Inventory name must not exceed 80 characters" })
+    .optional(),
+  reason: z.string().optional(),
+  return_date: z.coerce.date({ message: "Invalid return date" }).optional(),
+}).pick({
+  rtv_id: true,
+  mr_id: true,
+  inventory: true,
+  reason: true,
+  return_date: true,
+});
+
+export const acknowledgeVendorReturnSchema = z.object({
+  vendor_reference: z
+    .string()
+    .max(80, { message: "Vendor reference must not exceed 80 characters" })
+    .optional(),
+});
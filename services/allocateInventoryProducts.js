@@ -0,0 +1,106 @@
+import { and, asc, gt, ilike, sql } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import {
+  inventories,
+  inventoryProducts,
+  products,
+  purchases,
+} from "../schemas/index.js";
+import { reservedQuantity } from "./calculateReservedQuantities.js";
+
+// Resolves the allocation strategy for a product at an inventory. A strategy
+// set on the product wins over the inventory one; FIFO is the default.
+const findAllocationStrategy = async (inventory, product, ctx) => {
+  const [productQuery] = await ctx
+    .select({ allocation_strategy: products.allocation_strategy })
+    .from(products)
+    .where(ilike(products.name, product))
+    .limit(1);
+  if (productQuery?.allocation_strategy) {
+    return productQuery.allocation_strategy;
+  }
+
+  const [inventoryQuery] = await ctx
+    .select({ allocation_strategy: inventories.allocation_strategy })
+    .from(inventories)
+    .where(ilike(inventories.name, inventory))
+    .limit(1);
+
+  return inventoryQuery?.allocation_strategy || "fifo";
+};
+
+/**
+ * Splits a requested quantity of a product across the inventory lots (MR IDs)
+ * that hold it, oldest purchase first (FIFO) or soonest expiry first (FEFO).
+ * Only the available-to-promise quantity of a lot (on-hand minus active
+ * reservations) is allocated. The selected lots are locked for the rest of
+ * the transaction.
+ * @param {Object} request - `{ inventory, product, quantity, mr_id }`, where
+ * `mr_id` optionally restricts the allocation to a single lot.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<Array<{ lot: Object, quantity: number }>>} Allocated lots.
+ * @throws {Error} A `StockShortageError` with the `shortage` when the lots
+ * do not hold the requested quantity.
+ */
+export const allocateInventoryProducts = async (
+  { inventory, product, quantity, mr_id },
+  ctx = db
+) => {
+  const strategy = await findAllocationStrategy(inventory, product, ctx);
+
+  const orderBy =
+    strategy === "fefo"
+      ? [
+          sql`${inventoryProducts.expiry_date} asc nulls last`,
+          asc(purchases.purchase_date),
+        ]
+      : [asc(purchases.purchase_date)];
+
+  const lots = await ctx
+    .select({
+      lot: inventoryProducts,
+      reserved: reservedQuantity(inventoryProducts.id),
+    })
+    .from(inventoryProducts)
+    // Lots opened without a purchase (restocks, transfers) come last
+    .leftJoin(purchases, ilike(inventoryProducts.mr_id, purchases.mr_id))
+    .where(
+      and(
+        ilike(inventoryProducts.inventory, inventory),
+        ilike(inventoryProducts.product, product),
+        mr_id ? ilike(inventoryProducts.mr_id, mr_id) : undefined,
+        gt(inventoryProducts.quantity, 0)
+      )
+    )
+    .orderBy(...orderBy, asc(inventoryProducts.created_at))
+    .for("update", { of: inventoryProducts });
+
+  const allocations = [];
+  let remaining = quantity;
+  for (const { lot, reserved } of lots) {
+    if (remaining <= 0) break;
+    const available = lot.quantity - reserved;
+    if (available <= 0) continue;
+    const allocated = Math.min(available, remaining);
+    allocations.push({ lot, quantity: allocated });
+    remaining -= allocated;
+  }
+
+  if (remaining > 0) {
+    const error = new Error(
+      `Product "${product}" (${quantity} units) is not available at inventory "${inventory}". Only ${
+        quantity - remaining
+      } units are available.`
+    );
+    error.name = "StockShortageError";
+    error.shortage = {
+      inventory,
+      product,
+      requested: quantity,
+      available: quantity - remaining,
+    };
+    throw error;
+  }
+
+  return allocations;
+};
@@ -0,0 +1,92 @@
+import { and, ilike, ne, or, sql } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { deliveryProofs, inventoryProducts, sales } from "../schemas/index.js";
+import { recordStockMovement } from "./recordStockMovement.js";
+import { updateSalesStatus } from "./updateSalesStatus.js";
+
+/**
+ * Settles the orders of a delivered shipment that were not delivered in full.
+ * A refused order cancels its sale, which puts the sold goods back into stock.
+ * The quantities a partial delivery brought back are restocked into the lots
+ * they were sold from, while the sale itself is delivered.
+ * @param {string} shipmentId - Shipment ID of the delivered shipment.
+ * @param {string} actor - ID of the user delivering the shipment.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<{ cancelledSales: Array, restockedLots: Array }>} The
+ * sales cancelled for refused orders and the lots restocked for partial ones.
+ */
+export const applyDeliveryOutcomes = async (shipmentId, actor, ctx = db) => {
+  const proofs = await ctx.query.deliveryProofs.findMany({
+    where: and(
+      ilike(deliveryProofs.shipment_id, shipmentId),
+      ne(deliveryProofs.outcome, "delivered")
+    ),
+    with: {
+      products: {
+        with: {
+          saleProduct: true,
+        },
+      },
+    },
+  });
+
+  const refusedBillIds = proofs
+    .filter((proof) => proof.outcome === "refused")
+    .map((proof) => proof.bill_id);
+  const refusedSales =
+    refusedBillIds.length > 0
+      ? await ctx
+          .select()
+          .from(sales)
+          .where(
+            or(...refusedBillIds.map((billId) => ilike(sales.bill_id, billId)))
+          )
+      : [];
+  const cancelledSales = await updateSalesStatus(
+    refusedSales,
+    "cancelled",
+    actor,
+    ctx
+  );
+
+  const restockedLots = [];
+  for (const proof of proofs) {
+    if (proof.outcome !== "partially delivered") continue;
+
+    for (const line of proof.products) {
+      const { saleProduct } = line;
+      const quantity = line.quantity - line.delivered_quantity;
+      if (quantity <= 0) continue;
+
+      const [restockedLot] = await ctx
+        .update(inventoryProducts)
+        .set({
+          quantity: sql`${inventoryProducts.quantity} + ${quantity}`,
+          updated_at: new Date().toISOString(),
+        })
+        .where(
+          and(
+            ilike(inventoryProducts.inventory, saleProduct.inventory),
+            ilike(inventoryProducts.mr_id, saleProduct.mr_id),
+            ilike(inventoryProducts.product, saleProduct.product)
+          )
+        )
+        .returning();
+      if (!restockedLot) continue;
+
+      await recordStockMovement(
+        {
+          source_type: "BILL",
+          source_id: proof.bill_id,
+          lot: restockedLot,
+          quantity,
+          created_by: actor,
+        },
+        ctx
+      );
+      restockedLots.push(restockedLot);
+    }
+  }
+
+  return { cancelledSales, restockedLots };
+};
@@ -0,0 +1,109 @@
+import { and, ilike, ne, sql } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import {
+  inventoryProducts,
+  saleProducts,
+  stockReservations,
+} from "../schemas/index.js";
+import { calculateReturnedSaleQuantities } from "./calculateReturnedSaleQuantities.js";
+import { consumeStockReservations } from "./consumeStockReservations.js";
+import { recordStockMovement } from "./recordStockMovement.js";
+import { releaseStockReservations } from "./releaseStockReservations.js";
+
+// Lines in `reservedProductIds` only held a reservation that was never
+// consumed, they have nothing to put back
+const restockSaleProducts = async (
+  sale,
+  actor,
+  ctx,
+  reservedProductIds = []
+) => {
+  const products = await ctx
+    .select()
+    .from(saleProducts)
+    .where(ilike(saleProducts.bill_id, sale.bill_id));
+
+  // Products the customer already returned were handled by their returns
+  const returnedQuantities = await calculateReturnedSaleQuantities(
+    sale.bill_id,
+    ctx
+  );
+
+  const restockedProducts = [];
+  for (const product of products) {
+    if (reservedProductIds.includes(product.id)) continue;
+    const quantity = product.quantity - (returnedQuantities[product.id] || 0);
+    if (quantity <= 0) continue;
+
+    const [restockedProduct] = await ctx
+      .update(inventoryProducts)
+      .set({
+        quantity: sql`${inventoryProducts.quantity} + ${quantity}`,
+        updated_at: new Date().toISOString(),
+      })
+      .where(
+        and(
+          ilike(inventoryProducts.inventory, product.inventory),
+          ilike(inventoryProducts.mr_id, product.mr_id),
+          ilike(inventoryProducts.product, product.product)
+        )
+      )
+      .returning();
+    if (!restockedProduct) continue;
+
+    await recordStockMovement(
+      {
+        source_type: "BILL",
+        source_id: sale.bill_id,
+        lot: restockedProduct,
+        quantity,
+        created_by: actor,
+      },
+      ctx
+    );
+    restockedProducts.push(restockedProduct);
+  }
+
+  return restockedProducts;
+};
+
+export const applySaleStatusEffects = async (
+  sale,
+  nextStatus,
+  actor,
+  ctx = db
+) => {
+  switch (nextStatus) {
+    case "processing":
+      return await consumeStockReservations(sale.bill_id, actor, ctx);
+    case "cancelled": {
+      // Reserved lines are released, lines deducted directly are restocked
+      const releasedReservations = await releaseStockReservations(
+        sale.bill_id,
+        ctx
+      );
+      const heldReservations = await ctx
+        .select({ sale_product_id: stockReservations.sale_product_id })
+        .from(stockReservations)
+        .where(
+          and(
+            ilike(stockReservations.bill_id, sale.bill_id),
+            ne(stockReservations.status, "consumed")
+          )
+        );
+      const restockedProducts = await restockSaleProducts(
+        sale,
+        actor,
+        ctx,
+        heldReservations.map((reservation) => reservation.sale_product_id)
+      );
+      return [...releasedReservations, ...restockedProducts];
+    }
+    case "return":
+      return await restockSaleProducts(sale, actor, ctx);
+    case "refunded":
+      return await releaseStockReservations(sale.bill_id, ctx);
+    default:
+      return [];
+  }
+};
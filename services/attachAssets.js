@@ -0,0 +1,46 @@
+import { and, eq, inArray, isNull, or } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { assets } from "../schemas/index.js";
+
+/**
+ * Records the entity the uploaded assets are used by, so that they are
+ * cleaned up with it. Only assets signed for the entity that are unused or
+ * already used by it are attached, and only by their owner or an admin.
+ * @param {Object} attachment - `{ entity, entity_id, public_ids, actor }`,
+ * where `actor` is the user attaching the assets.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<void>}
+ * @throws {Error} An `AssetAttachmentError` when some of the assets can not
+ * be attached, so that the transaction of the entity change is rolled back.
+ */
+export const attachAssets = async (
+  { entity, entity_id, public_ids, actor },
+  ctx = db
+) => {
+  const assetPublicIds = [...new Set(public_ids.filter(Boolean))];
+  if (assetPublicIds.length === 0) return;
+
+  const attachedAssets = await ctx
+    .update(assets)
+    .set({
+      entity_id: String(entity_id),
+      updated_at: new Date().toISOString(),
+    })
+    .where(
+      and(
+        inArray(assets.public_id, assetPublicIds),
+        eq(assets.entity, entity),
+        actor.role === "admin" ? undefined : eq(assets.owner_id, actor.id),
+        or(isNull(assets.entity_id), eq(assets.entity_id, String(entity_id)))
+      )
+    )
+    .returning();
+
+  if (attachedAssets.length < assetPublicIds.length) {
+    const error = new Error(
+      `Only images you uploaded for this ${entity} can be attached to it.`
+    );
+    error.name = "AssetAttachmentError";
+    throw error;
+  }
+};
@@ -1,15 +1,31 @@
-import { ilike } from "drizzle-orm";
+import { and, ilike, ne } from "drizzle-orm";
 import { db } from "../database/connection.js";
-import { purchaseProducts } from "../schemas/index.js";
+import { purchaseProducts, vendorReturns } from "../schemas/index.js";
 
+// Purchase products total, less the credit of goods returned to the vendor.
 export const calculatePurchasePrice = async (mrId, ctx = db) => {
   const products = await ctx
     .select()
     .from(purchaseProducts)
     .where(ilike(purchaseProducts.mr_id, mrId));
 
-  return products.reduce(
+  const returns = await ctx
+    .select()
+    .from(vendorReturns)
+    .where(
+      and(
+        ilike(vendorReturns.mr_id, mrId),
+        ne(vendorReturns.status, "cancelled")
+      )
+    );
+
+  const productsTotal = products.reduce(
     (total, product) => total + parseFloat(product.total_price),
     0
   );
+
+  return returns.reduce(
+    (total, vendorReturn) => total - parseFloat(vendorReturn.credit_amount),
+    productsTotal
+  );
 };
@@ -0,0 +1,34 @@
+import { and, eq, gt, sql } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { stockReservations } from "../schemas/index.js";
+
+// Active, unexpired reservations are the only ones that hold stock.
+export const activeReservation = () =>
+  and(
+    eq(stockReservations.status, "active"),
+    gt(stockReservations.expires_at, sql`now()`)
+  );
+
+// Quantity held by active reservations on the given inventory product lot.
+export const reservedQuantity = (inventoryProductId) =>
+  sql`coalesce((
+    select sum(${stockReservations.quantity}) from ${stockReservations}
+    where ${stockReservations.inventory_product_id} = ${inventoryProductId}
+    and ${activeReservation()}
+  ), 0)`.mapWith(Number);
+
+export const calculateReservedQuantities = async (ctx = db) => {
+  const reservations = await ctx
+    .select({
+      inventory_product_id: stockReservations.inventory_product_id,
+      quantity: sql`sum(${stockReservations.quantity})`.mapWith(Number),
+    })
+    .from(stockReservations)
+    .where(activeReservation())
+    .groupBy(stockReservations.inventory_product_id);
+
+  return reservations.reduce((reserved, reservation) => {
+    reserved[reservation.inventory_product_id] = reservation.quantity;
+    return reserved;
+  }, {});
+};
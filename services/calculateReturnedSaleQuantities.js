@@ -0,0 +1,52 @@
+import { and, eq, ilike, sql } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import {
+  customerReturnProducts,
+  customerReturns,
+  deliveryProofProducts,
+  deliveryProofs,
+} from "../schemas/index.js";
+
+// Quantity of each sale product of a bill that the customer already returned
+// or that a partial delivery brought back, keyed by sale product ID.
+export const calculateReturnedSaleQuantities = async (billId, ctx = db) => {
+  const returned = await ctx
+    .select({
+      sale_product_id: customerReturnProducts.sale_product_id,
+      quantity: sql`sum(${customerReturnProducts.quantity})`.mapWith(Number),
+    })
+    .from(customerReturnProducts)
+    .innerJoin(
+      customerReturns,
+      eq(customerReturnProducts.rma_id, customerReturns.rma_id)
+    )
+    .where(ilike(customerReturns.bill_id, billId))
+    .groupBy(customerReturnProducts.sale_product_id);
+
+  const undelivered = await ctx
+    .select({
+      sale_product_id: deliveryProofProducts.sale_product_id,
+      quantity:
+        sql`sum(${deliveryProofProducts.quantity} - ${deliveryProofProducts.delivered_quantity})`.mapWith(
+          Number
+        ),
+    })
+    .from(deliveryProofProducts)
+    .innerJoin(
+      deliveryProofs,
+      eq(deliveryProofProducts.delivery_proof_id, deliveryProofs.id)
+    )
+    .where(
+      and(
+        ilike(deliveryProofs.bill_id, billId),
+        eq(deliveryProofs.outcome, "partially delivered")
+      )
+    )
+    .groupBy(deliveryProofProducts.sale_product_id);
+
+  return [...returned, ...undelivered].reduce((quantities, line) => {
+    quantities[line.sale_product_id] =
+      (quantities[line.sale_product_id] || 0) + line.quantity;
+    return quantities;
+  }, {});
+};
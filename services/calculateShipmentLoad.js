@@ -0,0 +1,68 @@
+import { eq, inArray } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { products, saleProducts, transferProducts } from "../schemas/index.js";
+
+const findCargoLines = async (lines, key, ids, ctx) => {
+  if (ids.length === 0) return [];
+
+  return ctx
+    .select({
+      product: lines.product,
+      quantity: lines.quantity,
+      weight: products.weight,
+      volume: products.volume,
+    })
+    .from(lines)
+    .leftJoin(products, eq(lines.product, products.name))
+    .where(inArray(lines[key], ids));
+};
+
+const toPercentage = (load, capacity) =>
+  capacity ? Math.round((load / capacity) * 10000) / 100 : null;
+
+/**
+ * Adds up the weight and volume of the sale and transfer products loaded on a
+ * vehicle and compares them with its cargo capacity (weight) and cargo volume.
+ * Products without a weight or volume can not be measured and are listed so
+ * the load can be completed by hand.
+ * @param {Object} cargo - `{ vehicle, bill_ids, trf_ids }`.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<Object>} The load, its utilization percentage and whether
+ * it exceeds the vehicle's capacity.
+ */
+export const calculateShipmentLoad = async (
+  { vehicle, bill_ids = [], trf_ids = [] },
+  ctx = db
+) => {
+  const cargoLines = [
+    ...(await findCargoLines(saleProducts, "bill_id", bill_ids, ctx)),
+    ...(await findCargoLines(transferProducts, "trf_id", trf_ids, ctx)),
+  ];
+
+  let weight = 0;
+  let volume = 0;
+  const unmeasured = new Set();
+  for (const line of cargoLines) {
+    if (line.weight === null || line.volume === null) {
+      unmeasured.add(line.product);
+    }
+    weight += line.quantity * (parseFloat(line.weight) || 0);
+    volume += line.quantity * (parseFloat(line.volume) || 0);
+  }
+
+  const cargoVolume = parseFloat(vehicle.cargo_volume) || null;
+  const weightUtilization = toPercentage(weight, vehicle.cargo_capacity);
+  const volumeUtilization = toPercentage(volume, cargoVolume);
+
+  return {
+    weight: Math.round(weight * 1000) / 1000,
+    volume: Math.round(volume * 1000) / 1000,
+    cargo_capacity: vehicle.cargo_capacity,
+    cargo_volume: cargoVolume,
+    utilization: Math.max(weightUtilization || 0, volumeUtilization || 0),
+    weight_utilization: weightUtilization,
+    volume_utilization: volumeUtilization,
+    overloaded: weightUtilization > 100 || volumeUtilization > 100,
+    unmeasured: [...unmeasured],
+  };
+};
@@ -0,0 +1,81 @@
+import { and, eq, ilike, ne, sql } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { inventoryProducts, stockReservations } from "../schemas/index.js";
+import { activeReservation } from "./calculateReservedQuantities.js";
+import { recordStockMovement } from "./recordStockMovement.js";
+
+// Turns the reservations of a bill into real stock deductions. A reservation
+// that has expired is only honoured if its lot still has enough free stock.
+export const consumeStockReservations = async (billId, actor, ctx = db) => {
+  const reservations = await ctx
+    .select()
+    .from(stockReservations)
+    .where(
+      and(
+        ilike(stockReservations.bill_id, billId),
+        eq(stockReservations.status, "active")
+      )
+    );
+
+  const consumedReservations = [];
+  for (const reservation of reservations) {
+    const [lot] = await ctx
+      .select()
+      .from(inventoryProducts)
+      .where(eq(inventoryProducts.id, reservation.inventory_product_id))
+      .for("update");
+
+    const [{ reserved }] = await ctx
+      .select({
+        reserved: sql`coalesce(sum(${stockReservations.quantity}), 0)`.mapWith(
+          Number
+        ),
+      })
+      .from(stockReservations)
+      .where(
+        and(
+          eq(stockReservations.inventory_product_id, lot.id),
+          ne(stockReservations.id, reservation.id),
+          activeReservation()
+        )
+      );
+
+    if (lot.quantity - reserved < reservation.quantity) {
+      throw new Error(
+        `The reservation of product "${lot.product}" (${reservation.quantity} units) for BILL ID "${billId}" has expired and the stock is no longer available at inventory "${lot.inventory}".`
+      );
+    }
+
+    const [updatedLot] = await ctx
+      .update(inventoryProducts)
+      .set({
+        quantity: sql`${inventoryProducts.quantity} - ${reservation.quantity}`,
+        updated_at: new Date().toISOString(),
+      })
+      .where(eq(inventoryProducts.id, lot.id))
+      .returning();
+
+    await recordStockMovement(
+      {
+        source_type: "BILL",
+        source_id: reservation.bill_id,
+        lot: updatedLot,
+        quantity: -reservation.quantity,
+        created_by: actor,
+      },
+      ctx
+    );
+
+    const [consumedReservation] = await ctx
+      .update(stockReservations)
+      .set({
+        status: "consumed",
+        updated_at: new Date().toISOString(),
+      })
+      .where(eq(stockReservations.id, reservation.id))
+      .returning();
+    consumedReservations.push(consumedReservation);
+  }
+
+  return consumedReservations;
+};
@@ -0,0 +1,31 @@
+import { db } from "../database/connection.js";
+import { sessions } from "../schemas/index.js";
+import {
+  findRefreshTokenExpiry,
+  generateRefreshToken,
+  hashToken,
+} from "../utils/index.js";
+
+/**
+ * Opens a session for a user that logged in on a device.
+ * @param {Object} client - `{ user_id, device, ip }`.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<Object>} `{ session, refreshToken }`, the refresh token
+ * being only known to the client.
+ */
+export const createSession = async ({ user_id, device, ip }, ctx = db) => {
+  const refreshToken = generateRefreshToken();
+
+  const [session] = await ctx
+    .insert(sessions)
+    .values({
+      user_id,
+      refresh_token: hashToken(refreshToken),
+      device,
+      ip,
+      expires_at: findRefreshTokenExpiry(),
+    })
+    .returning();
+
+  return { session, refreshToken };
+};
@@ -0,0 +1,30 @@
+import { inArray } from "drizzle-orm";
+import { cloudinary } from "../config/cloudinary.js";
+import { db } from "../database/connection.js";
+import { assets } from "../schemas/index.js";
+
+/**
+ * Deletes the assets from Cloudinary and forgets them. An asset that can not
+ * be deleted from Cloudinary never fails the change that replaced or deleted
+ * it.
+ * @param {Array<string>} publicIds - Cloudinary public IDs of the assets.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<void>}
+ */
+export const destroyAssets = async (publicIds, ctx = db) => {
+  const assetPublicIds = [...new Set(publicIds.filter(Boolean))];
+  if (assetPublicIds.length === 0) return;
+
+  for (const publicId of assetPublicIds) {
+    try {
+      await cloudinary.uploader.destroy(publicId);
+    } catch (error) {
+      console.error(
+        `Failed to delete the Cloudinary asset "${publicId}"`,
+        error
+      );
+    }
+  }
+
+  await ctx.delete(assets).where(inArray(assets.public_id, assetPublicIds));
+};
@@ -0,0 +1,24 @@
+import { db } from "../database/connection.js";
+import { destroyAssets } from "./destroyAssets.js";
+import { destroyEntityAssets } from "./destroyEntityAssets.js";
+
+/**
+ * Deletes the signatures and photos of deleted proofs of delivery.
+ * @param {Array<Object>} proofs - Proofs of delivery with their `photos`.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<void>}
+ */
+export const destroyDeliveryProofAssets = async (proofs, ctx = db) => {
+  await destroyAssets(
+    proofs.flatMap((proof) => [
+      proof.signature_public_id,
+      ...proof.photos.map((photo) => photo.photo_public_id),
+    ]),
+    ctx
+  );
+  await destroyEntityAssets(
+    "delivery proof",
+    proofs.map((proof) => proof.id),
+    ctx
+  );
+};
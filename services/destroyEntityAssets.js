@@ -0,0 +1,31 @@
+import { and, eq, inArray } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { assets } from "../schemas/index.js";
+import { destroyAssets } from "./destroyAssets.js";
+
+/**
+ * Deletes every asset uploaded for the entities, the replaced and never used
+ * ones included, once the entities are deleted.
+ * @param {string} entity - Entity of the assets, see `assetEntitiesEnum`.
+ * @param {Array<string>} entityIds - IDs of the deleted entities.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<void>}
+ */
+export const destroyEntityAssets = async (entity, entityIds, ctx = db) => {
+  if (entityIds.length === 0) return;
+
+  const orphanedAssets = await ctx
+    .select({ public_id: assets.public_id })
+    .from(assets)
+    .where(
+      and(
+        eq(assets.entity, entity),
+        inArray(assets.entity_id, entityIds.map(String))
+      )
+    );
+
+  await destroyAssets(
+    orphanedAssets.map((asset) => asset.public_id),
+    ctx
+  );
+};
@@ -0,0 +1,19 @@
+import { db } from "../database/connection.js";
+import { inventories } from "../schemas/index.js";
+
+// Virtual inventory that holds dispatched transfer goods until the
+// destination inventory receives them.
+export const inTransitInventory = "In Transit";
+
+export const ensureInTransitInventory = async (ctx = db) => {
+  await ctx
+    .insert(inventories)
+    .values({
+      name: inTransitInventory,
+      address: "Goods on the road between inventories",
+      description: "Virtual location of dispatched transfers",
+    })
+    .onConflictDoNothing({ target: inventories.name });
+
+  return inTransitInventory;
+};
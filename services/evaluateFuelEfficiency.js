@@ -0,0 +1,109 @@
+import { desc, inArray } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { tripLogs } from "../schemas/index.js";
+
+// A trip consumes far above its vehicle's average past this factor
+const highConsumptionFactor = 1.5;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const litersPer100Km = (liters, distance) =>
+  distance > 0 && liters > 0 ? round((liters * 100) / distance) : null;
+
+const measureTrip = (trip) => {
+  const liters = trip.fuelLogs.reduce(
+    (total, fuelLog) => total + parseFloat(fuelLog.liters),
+    0
+  );
+  const cost = trip.fuelLogs.reduce(
+    (total, fuelLog) => total + parseFloat(fuelLog.cost || 0),
+    0
+  );
+  const distance =
+    trip.end_odometer !== null ? trip.end_odometer - trip.start_odometer : null;
+  const rollback =
+    trip.odometer_rollback || (distance !== null && distance < 0);
+
+  return {
+    ...trip,
+    distance,
+    liters: round(liters),
+    cost: round(cost),
+    liters_per_100km: rollback ? null : litersPer100Km(liters, distance),
+    rollback,
+  };
+};
+
+/**
+ * Computes the fuel efficiency of the vehicles from their trip logs and the
+ * fuel filled up during them, and flags the anomalous trips: an odometer
+ * rollback, or a consumption far above the average of the vehicle's other
+ * trips. Trips rolled back or without an end reading or fuel are left out of
+ * the averages.
+ * @param {Array<string>} vehicleVins - VINs of the vehicles to evaluate.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<Array>} Per vehicle its `distance`, `liters`, `cost`,
+ * `liters_per_100km`, `km_per_liter` and `cost_per_km`, with the trips and
+ * their `anomalies`.
+ */
+export const evaluateFuelEfficiency = async (vehicleVins, ctx = db) => {
+  if (vehicleVins.length === 0) return [];
+
+  const trips = await ctx.query.tripLogs.findMany({
+    where: inArray(tripLogs.vehicle_vin, vehicleVins),
+    orderBy: [desc(tripLogs.started_at)],
+    with: {
+      fuelLogs: true,
+    },
+  });
+
+  return vehicleVins.map((vehicleVin) => {
+    const vehicleTrips = trips
+      .filter((trip) => trip.vehicle_vin === vehicleVin)
+      .map(measureTrip);
+    const measuredTrips = vehicleTrips.filter(
+      (trip) => trip.liters_per_100km !== null
+    );
+
+    const distance = measuredTrips.reduce(
+      (total, trip) => total + trip.distance,
+      0
+    );
+    const liters = measuredTrips.reduce(
+      (total, trip) => total + trip.liters,
+      0
+    );
+    const cost = measuredTrips.reduce((total, trip) => total + trip.cost, 0);
+
+    return {
+      vehicle_vin: vehicleVin,
+      distance,
+      liters: round(liters),
+      cost: round(cost),
+      liters_per_100km: litersPer100Km(liters, distance),
+      km_per_liter: liters > 0 ? round(distance / liters) : null,
+      cost_per_km: distance > 0 ? round(cost / distance) : null,
+      trips: vehicleTrips.map(({ rollback, ...trip }) => {
+        const anomalies = [];
+        if (rollback) anomalies.push("odometer rollback");
+
+        // Each trip is compared to the vehicle's other trips so that an
+        // outlier does not raise the average it is compared to
+        const otherTrips = measuredTrips.filter(({ id }) => id !== trip.id);
+        const average = litersPer100Km(
+          otherTrips.reduce((total, other) => total + other.liters, 0),
+          otherTrips.reduce((total, other) => total + other.distance, 0)
+        );
+        if (
+          trip.liters_per_100km !== null &&
+          average !== null &&
+          trip.liters_per_100km > average * highConsumptionFactor
+        ) {
+          anomalies.push("high consumption");
+        }
+
+        return { ...trip, anomalies };
+      }),
+    };
+  });
+};
@@ -0,0 +1,75 @@
+import { desc, inArray } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { maintenanceSchedules } from "../schemas/index.js";
+
+const dayInMs = 24 * 60 * 60 * 1000;
+
+// A schedule is due once less than this share of its interval is left
+const dueShare = 0.1;
+
+const findDueStatus = (schedule, mileage, now) => {
+  const remainingKm =
+    schedule.next_due_mileage !== null
+      ? schedule.next_due_mileage - mileage
+      : null;
+  const remainingDays =
+    schedule.next_due_at !== null
+      ? Math.floor((new Date(schedule.next_due_at).getTime() - now) / dayInMs)
+      : null;
+
+  let dueStatus = "ok";
+  if (
+    (remainingKm !== null && remainingKm <= schedule.interval_km * dueShare) ||
+    (remainingDays !== null &&
+      remainingDays <= schedule.interval_days * dueShare)
+  ) {
+    dueStatus = "due";
+  }
+  if (
+    (remainingKm !== null && remainingKm < 0) ||
+    (remainingDays !== null && remainingDays < 0)
+  ) {
+    dueStatus = "overdue";
+  }
+
+  return {
+    ...schedule,
+    remaining_km: remainingKm,
+    remaining_days: remainingDays,
+    due_status: dueStatus,
+  };
+};
+
+/**
+ * Evaluates the maintenance schedules of the vehicles against their current
+ * mileage and today's date.
+ * @param {Array<Object>} vehiclesToEvaluate - Vehicles with their mileage.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<Array>} The schedules with their `due_status` (`ok`,
+ * `due` or `overdue`) and the kilometers and days left until they are due.
+ */
+export const evaluateMaintenanceSchedules = async (
+  vehiclesToEvaluate,
+  ctx = db
+) => {
+  if (vehiclesToEvaluate.length === 0) return [];
+
+  const schedules = await ctx
+    .select()
+    .from(maintenanceSchedules)
+    .where(
+      inArray(
+        maintenanceSchedules.vehicle_vin,
+        vehiclesToEvaluate.map((vehicle) => vehicle.vin)
+      )
+    )
+    .orderBy(desc(maintenanceSchedules.created_at));
+
+  const now = Date.now();
+  return schedules.map((schedule) => {
+    const vehicle = vehiclesToEvaluate.find(
+      ({ vin }) => vin === schedule.vehicle_vin
+    );
+    return findDueStatus(schedule, vehicle.mileage || 0, now);
+  });
+};
@@ -0,0 +1,114 @@
+import { and, eq, ilike, inArray, isNull } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { inventoryEmployments, stockAlerts, users } from "../schemas/index.js";
+import { sendEmail } from "../utils/index.js";
+import { findStockLevels } from "./findStockLevels.js";
+
+const notifyInventoryInCharge = async (inventory, alerts, ctx) => {
+  const [inCharge] = await ctx
+    .select({ email: users.email })
+    .from(inventoryEmployments)
+    .innerJoin(users, eq(inventoryEmployments.employee_id, users.id))
+    .where(
+      and(
+        ilike(inventoryEmployments.inventory, inventory),
+        eq(inventoryEmployments.employee_status, true),
+        eq(users.role, "inventory-in-charge")
+      )
+    )
+    .limit(1);
+  if (!inCharge) return false;
+
+  const lines = alerts
+    .map(
+      (alert) =>
+        `- ${alert.product}: ${alert.quantity} on hand, reorder point ${alert.reorder_point}`
+    )
+    .join("\n");
+  await sendEmail(
+    inCharge.email,
+    `Low stock at ${inventory}`,
+    `The following products fell below their reorder point at ${inventory}:\n\n${lines}`
+  );
+  return true;
+};
+
+/**
+ * Raises an alert for every product of the inventories that fell below its
+ * reorder point and resolves the alerts of products that were restocked. The
+ * active inventory-in-charge is emailed about new alerts; a failing email
+ * never fails the stock mutation that triggered the evaluation.
+ * @param {Array<string>} inventories - Inventories whose stock changed.
+ * @returns {Promise<Array>} The alerts raised by this evaluation.
+ */
+export const evaluateStockThresholds = async (inventories, ctx = db) => {
+  const inventoryNames = [...new Set(inventories.filter(Boolean))];
+  if (inventoryNames.length === 0) return [];
+
+  const stockLevels = await findStockLevels(inventoryNames, ctx);
+  const openAlerts = await ctx
+    .select()
+    .from(stockAlerts)
+    .where(
+      and(
+        inArray(stockAlerts.inventory, inventoryNames),
+        isNull(stockAlerts.resolved_at)
+      )
+    );
+
+  const raisedAlerts = [];
+  for (const level of stockLevels) {
+    const openAlert = openAlerts.find(
+      (alert) =>
+        alert.inventory === level.inventory && alert.product === level.product
+    );
+    const belowReorderPoint = level.quantity < level.reorder_point;
+
+    if (belowReorderPoint && !openAlert) {
+      const [raisedAlert] = await ctx
+        .insert(stockAlerts)
+        .values({
+          inventory: level.inventory,
+          product: level.product,
+          quantity: level.quantity,
+          reorder_point: level.reorder_point,
+        })
+        .returning();
+      raisedAlerts.push(raisedAlert);
+    } else if (!belowReorderPoint && openAlert) {
+      await ctx
+        .update(stockAlerts)
+        .set({ resolved_at: new Date().toISOString() })
+        .where(eq(stockAlerts.id, openAlert.id));
+    }
+  }
+
+  for (const inventory of inventoryNames) {
+    const alerts = raisedAlerts.filter(
+      (alert) => alert.inventory === inventory
+    );
+    if (alerts.length === 0) continue;
+
+    try {
+      const notified = await notifyInventoryInCharge(inventory, alerts, ctx);
+      if (!notified) continue;
+
+      await ctx
+        .update(stockAlerts)
+        .set({ notified_at: new Date().toISOString() })
+        .where(
+          inArray(
+            stockAlerts.id,
+            alerts.map((alert) => alert.id)
+          )
+        );
+    } catch (error) {
+      console.error(
+        `An error occurred while notifying low stock at ${inventory}`,
+        error
+      );
+    }
+  }
+
+  return raisedAlerts;
+};
@@ -0,0 +1,21 @@
+import { and, eq, gt, isNull } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { sessions } from "../schemas/index.js";
+
+export const findActiveSession = async (sessionId, ctx = db) => {
+  if (!sessionId) return null;
+
+  const [session] = await ctx
+    .select()
+    .from(sessions)
+    .where(
+      and(
+        eq(sessions.id, sessionId),
+        isNull(sessions.revoked_at),
+        gt(sessions.expires_at, new Date().toISOString())
+      )
+    )
+    .limit(1);
+
+  return session ? session : null;
+};
@@ -0,0 +1,13 @@
+import { ilike } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { customerReturns } from "../schemas/index.js";
+
+export const findCustomerReturnByRmaId = async (rmaId, ctx = db) => {
+  const [customerReturn] = await ctx
+    .select()
+    .from(customerReturns)
+    .where(ilike(customerReturns.rma_id, rmaId))
+    .limit(1);
+
+  return customerReturn ? customerReturn : null;
+};
@@ -0,0 +1,68 @@
+import { and, asc, desc, eq, inArray, lte } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { users, vehicleDocuments } from "../schemas/index.js";
+
+/**
+ * Finds the vehicle documents and captain driving licenses that expire by the
+ * given date, expired ones included. A renewed vehicle document supersedes
+ * the earlier documents of the same type.
+ * @param {Object} filter - `{ until, vehicle_vins, captain_ids }`. Without
+ * `vehicle_vins` or `captain_ids` every vehicle or captain is looked at.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<Object>} `{ vehicleDocuments, captainLicenses }`, the
+ * first to expire first.
+ */
+export const findExpiringDocuments = async (
+  { until, vehicle_vins, captain_ids },
+  ctx = db
+) => {
+  const untilDate = new Date(until);
+
+  const documents =
+    vehicle_vins?.length === 0
+      ? []
+      : await ctx
+          .select()
+          .from(vehicleDocuments)
+          .where(
+            vehicle_vins
+              ? inArray(vehicleDocuments.vehicle_vin, vehicle_vins)
+              : undefined
+          )
+          .orderBy(desc(vehicleDocuments.expiry_date));
+  const currentDocuments = documents.filter(
+    (document, index) =>
+      documents.findIndex(
+        ({ vehicle_vin, type }) =>
+          vehicle_vin === document.vehicle_vin && type === document.type
+      ) === index
+  );
+
+  const captainLicenses =
+    captain_ids?.length === 0
+      ? []
+      : await ctx
+          .select({
+            id: users.id,
+            name: users.name,
+            email: users.email,
+            driving_license_no: users.driving_license_no,
+            driving_license_expires_at: users.driving_license_expires_at,
+          })
+          .from(users)
+          .where(
+            and(
+              eq(users.role, "captain"),
+              lte(users.driving_license_expires_at, untilDate.toISOString()),
+              captain_ids ? inArray(users.id, captain_ids) : undefined
+            )
+          )
+          .orderBy(asc(users.driving_license_expires_at));
+
+  return {
+    vehicleDocuments: currentDocuments
+      .filter((document) => new Date(document.expiry_date) <= untilDate)
+      .reverse(),
+    captainLicenses,
+  };
+};
@@ -0,0 +1,32 @@
+import { and, eq, gt, ilike, inArray, lt, not, or } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { shipments } from "../schemas/index.js";
+import { shipmentActiveStatuses } from "../utils/index.js";
+
+/**
+ * Finds the active shipments whose planned window overlaps the given one.
+ * Narrowed to the shipments of a vehicle or captain when either is given.
+ * @param {Object} window - `{ planned_start, planned_end, vehicle_vin,
+ * captain_id, shipment_id }`. The shipment with `shipment_id` is left out.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<Array>} The overlapping shipments.
+ */
+export const findOverlappingShipments = async (
+  { planned_start, planned_end, vehicle_vin, captain_id, shipment_id },
+  ctx = db
+) =>
+  ctx
+    .select()
+    .from(shipments)
+    .where(
+      and(
+        inArray(shipments.status, shipmentActiveStatuses),
+        lt(shipments.planned_start, planned_end),
+        gt(shipments.planned_end, planned_start),
+        or(
+          vehicle_vin ? ilike(shipments.vehicle_vin, vehicle_vin) : undefined,
+          captain_id ? eq(shipments.captain_id, captain_id) : undefined
+        ),
+        shipment_id ? not(ilike(shipments.shipment_id, shipment_id)) : undefined
+      )
+    );
@@ -0,0 +1,13 @@
+import { ilike } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { purchaseOrders } from "../schemas/index.js";
+
+export const findPurchaseOrderByPoId = async (poId, ctx = db) => {
+  const [purchaseOrder] = await ctx
+    .select()
+    .from(purchaseOrders)
+    .where(ilike(purchaseOrders.po_id, poId))
+    .limit(1);
+
+  return purchaseOrder ? purchaseOrder : null;
+};
@@ -0,0 +1,14 @@
+import { ilike } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { shipmentProducts } from "../schemas/index.js";
+
+export const findSalesByShipmentId = async (shipmentId, ctx = db) => {
+  const items = await ctx.query.shipmentProducts.findMany({
+    where: ilike(shipmentProducts.shipment_id, shipmentId),
+    with: {
+      sale: true,
+    },
+  });
+
+  return items.map((item) => item.sale).filter(Boolean);
+};
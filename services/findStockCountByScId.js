@@ -0,0 +1,13 @@
+import { ilike } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { stockCounts } from "../schemas/index.js";
+
+export const findStockCountByScId = async (scId, ctx = db) => {
+  const [stockCount] = await ctx
+    .select()
+    .from(stockCounts)
+    .where(ilike(stockCounts.sc_id, scId))
+    .limit(1);
+
+  return stockCount ? stockCount : null;
+};
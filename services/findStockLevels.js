@@ -0,0 +1,35 @@
+import { and, ilike, inArray, sql } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { inventoryProducts, stockThresholds } from "../schemas/index.js";
+
+/**
+ * Finds the on-hand quantity of every product that has stock thresholds.
+ * @param {Array<string>} [inventories] - Only include these inventories.
+ * @returns {Promise<Array>} Thresholds with the summed lot quantity.
+ */
+export const findStockLevels = async (inventories, ctx = db) => {
+  return await ctx
+    .select({
+      id: stockThresholds.id,
+      inventory: stockThresholds.inventory,
+      product: stockThresholds.product,
+      min_quantity: stockThresholds.min_quantity,
+      max_quantity: stockThresholds.max_quantity,
+      reorder_point: stockThresholds.reorder_point,
+      quantity: sql`coalesce(sum(${inventoryProducts.quantity}), 0)`.mapWith(
+        Number
+      ),
+    })
+    .from(stockThresholds)
+    .leftJoin(
+      inventoryProducts,
+      and(
+        ilike(inventoryProducts.inventory, stockThresholds.inventory),
+        ilike(inventoryProducts.product, stockThresholds.product)
+      )
+    )
+    .where(
+      inventories ? inArray(stockThresholds.inventory, inventories) : undefined
+    )
+    .groupBy(stockThresholds.id);
+};
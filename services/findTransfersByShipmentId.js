@@ -0,0 +1,14 @@
+import { ilike } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { shipmentTransfers } from "../schemas/index.js";
+
+export const findTransfersByShipmentId = async (shipmentId, ctx = db) => {
+  const items = await ctx.query.shipmentTransfers.findMany({
+    where: ilike(shipmentTransfers.shipment_id, shipmentId),
+    with: {
+      transfer: true,
+    },
+  });
+
+  return items.map((item) => item.transfer).filter(Boolean);
+};
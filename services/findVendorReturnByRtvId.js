@@ -0,0 +1,13 @@
+import { ilike } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { vendorReturns } from "../schemas/index.js";
+
+export const findVendorReturnByRtvId = async (rtvId, ctx = db) => {
+  const [vendorReturn] = await ctx
+    .select()
+    .from(vendorReturns)
+    .where(ilike(vendorReturns.rtv_id, rtvId))
+    .limit(1);
+
+  return vendorReturn ? vendorReturn : null;
+};
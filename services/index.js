@@ -1,13 +1,52 @@
+export { applySaleStatusEffects } from "./applySaleStatusEffects.js";
 export { activeEmpTracker } from "./activeEmpTracker.js";
+export { allocateInventoryProducts } from "./allocateInventoryProducts.js";
 export { calculatePurchasePrice } from "./calculatePurchasePrice.js";
 export { calculateSalePrice } from "./calculateSalePrice.js";
+export { calculateShipmentLoad } from "./calculateShipmentLoad.js";
+export { calculateReturnedSaleQuantities } from "./calculateReturnedSaleQuantities.js";
+export { evaluateStockThresholds } from "./evaluateStockThresholds.js";
+export { evaluateMaintenanceSchedules } from "./evaluateMaintenanceSchedules.js";
+export { evaluateFuelEfficiency } from "./evaluateFuelEfficiency.js";
+export { refreshMaintenanceSchedule } from "./refreshMaintenanceSchedule.js";
+export { findStockLevels } from "./findStockLevels.js";
+export {
+  activeReservation,
+  calculateReservedQuantities,
+  reservedQuantity,
+} from "./calculateReservedQuantities.js";
+export { consumeStockReservations } from "./consumeStockReservations.js";
+export { releaseStockReservations } from "./releaseStockReservations.js";
+export { recordStockMovement } from "./recordStockMovement.js";
+export { moveTransferStock } from "./moveTransferStock.js";
+export { receiveTransfer } from "./receiveTransfer.js";
+export {
+  ensureInTransitInventory,
+  inTransitInventory,
+} from "./ensureInTransitInventory.js";
+export { rebuildStockSnapshot } from "./rebuildStockSnapshot.js";
+export { reconcileStockLedger } from "./reconcileStockLedger.js";
+export { refreshPurchaseOrderReceipts } from "./refreshPurchaseOrderReceipts.js";
+export { attachAssets } from "./attachAssets.js";
+export { destroyAssets } from "./destroyAssets.js";
+export { destroyEntityAssets } from "./destroyEntityAssets.js";
+export { destroyDeliveryProofAssets } from "./destroyDeliveryProofAssets.js";
+export { applyDeliveryOutcomes } from "./applyDeliveryOutcomes.js";
+export { findExpiringDocuments } from "./findExpiringDocuments.js";
 export { findCategoryByName } from "./findCategoryByName.js";
 export { findCustomerById } from "./findCustomerById.js";
 export { findInventoryByName } from "./findInventoryByName.js";
 export { findProductByName } from "./findProductByName.js";
 export { findPurchaseByMrId } from "./findPurchaseByMrId.js";
+export { findPurchaseOrderByPoId } from "./findPurchaseOrderByPoId.js";
+export { findVendorReturnByRtvId } from "./findVendorReturnByRtvId.js";
+export { findCustomerReturnByRmaId } from "./findCustomerReturnByRmaId.js";
 export { findSaleByBillId } from "./findSaleByBillId.js";
 export { findShipmentBySid } from "./findShipmentBySid.js";
+export { findOverlappingShipments } from "./findOverlappingShipments.js";
+export { findStockCountByScId } from "./findStockCountByScId.js";
+export { findSalesByShipmentId } from "./findSalesByShipmentId.js";
+export { findTransfersByShipmentId } from "./findTransfersByShipmentId.js";
 export { findUserByIdAndRole } from "./findUserByIdAndRole.js";
 export { findUserWithRole } from "./findUserWithRole.js";
 export { findVehicleByVin } from "./findVehicleByVin.js";
@@ -25,3 +64,13 @@ export { findVendorByPhone } from "./findVendorByPhone.js";
 export { findVehicleByEngineNo } from "./findVehicleByEngineNo.js";
 export { findVehicleByChassisNo } from "./findVehicleByChassisNo.js";
 export { findVehicleByPlateNumber } from "./findVehicleByPlateNumber.js";
+export { updateSalesStatus } from "./updateSalesStatus.js";
+export { updateTransfersStatus } from "./updateTransfersStatus.js";
+export { createSession } from "./createSession.js";
+export { findActiveSession } from "./findActiveSession.js";
+export { revokeSessions } from "./revokeSessions.js";
+export { sendVerificationEmail } from "./sendVerificationEmail.js";
+export { issueRecoveryCodes } from "./issueRecoveryCodes.js";
+export { verifyAuthenticatorCode } from "./verifyAuthenticatorCode.js";
+export { verifyTwoFactorCode } from "./verifyTwoFactorCode.js";
+export { seedOpeningBalances } from "./seedOpeningBalances.js";
@@ -0,0 +1,25 @@
+import { eq } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { recoveryCodes } from "../schemas/index.js";
+import { generateRecoveryCodes, hashToken } from "../utils/index.js";
+
+/**
+ * Replaces the recovery codes of a user with a new set. Only their hashes are
+ * stored, so the codes can only be shown to the user once.
+ * @param {string} userId - User to issue the codes to.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<Array<string>>} The new recovery codes.
+ */
+export const issueRecoveryCodes = async (userId, ctx = db) => {
+  const codes = generateRecoveryCodes();
+
+  await ctx.delete(recoveryCodes).where(eq(recoveryCodes.user_id, userId));
+  await ctx.insert(recoveryCodes).values(
+    codes.map((code) => ({
+      user_id: userId,
+      code: hashToken(code),
+    }))
+  );
+
+  return codes;
+};
@@ -0,0 +1,126 @@
+import { and, eq, ilike, sql } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { inventoryProducts } from "../schemas/index.js";
+import { recordStockMovement } from "./recordStockMovement.js";
+
+const findLot = async ({ id, inventory, mr_id, product }, ctx) => {
+  const [lot] = await ctx
+    .select()
+    .from(inventoryProducts)
+    .where(
+      and(
+        ilike(inventoryProducts.inventory, inventory),
+        id
+          ? eq(inventoryProducts.id, id)
+          : and(
+              ilike(inventoryProducts.mr_id, mr_id),
+              ilike(inventoryProducts.product, product)
+            )
+      )
+    )
+    .limit(1)
+    .for("update");
+
+  return lot ? lot : null;
+};
+
+/**
+ * Moves a quantity of a lot (MR ID and product) of a transfer from one
+ * inventory to another and records both sides in the stock ledger. The lot is
+ * opened at the receiving inventory if it has none.
+ * @param {Object} movement - `{ trf_id, from, from_lot_id, to, mr_id,
+ * product, quantity, expiry_date, created_by }`. Without `from` the quantity
+ * is only added to `to`, without `to` it is written off `from`. The
+ * `from_lot_id` of a lot allocated at `from` is taken instead of the first
+ * lot of the MR ID.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<{ fromLot: Object, toLot: Object }>} The updated lots.
+ */
+export const moveTransferStock = async (
+  {
+    trf_id,
+    from,
+    from_lot_id,
+    to,
+    mr_id,
+    product,
+    quantity,
+    expiry_date,
+    created_by,
+  },
+  ctx = db
+) => {
+  let fromLot = null;
+  let toLot = null;
+  if (quantity <= 0) return { fromLot, toLot };
+
+  if (from) {
+    const lot = await findLot(
+      { id: from_lot_id, inventory: from, mr_id, product },
+      ctx
+    );
+    if (!lot || lot.quantity < quantity) {
+      throw new Error(
+        `Inventory "${from}" does not hold ${quantity} units of "${product}" from MR ID "${mr_id}".`
+      );
+    }
+
+    [fromLot] = await ctx
+      .update(inventoryProducts)
+      .set({
+        quantity: sql`${inventoryProducts.quantity} - ${quantity}`,
+        updated_at: new Date().toISOString(),
+      })
+      .where(eq(inventoryProducts.id, lot.id))
+      .returning();
+
+    await recordStockMovement(
+      {
+        source_type: "TRF",
+        source_id: trf_id,
+        lot: fromLot,
+        quantity: -quantity,
+        created_by,
+      },
+      ctx
+    );
+  }
+
+  if (to) {
+    const lot = await findLot({ inventory: to, mr_id, product }, ctx);
+    if (lot) {
+      [toLot] = await ctx
+        .update(inventoryProducts)
+        .set({
+          quantity: sql`${inventoryProducts.quantity} + ${quantity}`,
+          updated_at: new Date().toISOString(),
+        })
+        .where(eq(inventoryProducts.id, lot.id))
+        .returning();
+    } else {
+      [toLot] = await ctx
+        .insert(inventoryProducts)
+        .values({
+          mr_id,
+          inventory: to,
+          product,
+          quantity,
+          expiry_date: expiry_date ?? fromLot?.expiry_date,
+        })
+        .returning();
+    }
+
+    await recordStockMovement(
+      {
+        source_type: "TRF",
+        source_id: trf_id,
+        lot: toLot,
+        quantity,
+        created_by,
+      },
+      ctx
+    );
+  }
+
+  return { fromLot, toLot };
+};
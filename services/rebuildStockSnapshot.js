@@ -0,0 +1,32 @@
+import { lte, sql } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { stockLedger } from "../schemas/index.js";
+
+/**
+ * Rebuilds the on-hand quantity of every lot at a past moment by summing the
+ * stock ledger up to that moment.
+ * @param {Date} date - Moment of the snapshot.
+ * @returns {Promise<Array>} Lots with a non-zero quantity at that moment.
+ */
+export const rebuildStockSnapshot = async (date, ctx = db) => {
+  const quantity = sql`sum(${stockLedger.quantity})`.mapWith(Number);
+
+  return await ctx
+    .select({
+      inventory_product_id: stockLedger.inventory_product_id,
+      inventory: stockLedger.inventory,
+      product: stockLedger.product,
+      mr_id: stockLedger.mr_id,
+      quantity,
+    })
+    .from(stockLedger)
+    .where(lte(stockLedger.created_at, date.toISOString()))
+    .groupBy(
+      stockLedger.inventory_product_id,
+      stockLedger.inventory,
+      stockLedger.product,
+      stockLedger.mr_id
+    )
+    .having(sql`${quantity} <> 0`)
+    .orderBy(stockLedger.inventory, stockLedger.product, stockLedger.mr_id);
+};
@@ -0,0 +1,104 @@
+import { and, eq, ne } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import {
+  transferDiscrepancies,
+  transferProducts,
+  transfers,
+} from "../schemas/index.js";
+import { inTransitInventory } from "./ensureInTransitInventory.js";
+import { moveTransferStock } from "./moveTransferStock.js";
+
+/**
+ * Receives a transfer at its destination inventory. Received goods move out
+ * of the in-transit stock into the destination, shortages are written off and
+ * recorded as discrepancies.
+ * @param {Object} transfer - Transfer to receive.
+ * @param {Array} receipts - `{ transferProduct, received_quantity, note }` for
+ * every product of the transfer.
+ * @param {string} actor - ID of the user receiving the transfer.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<Object>} The received transfer and its discrepancies.
+ * @throws {Error} A `TransferReceiptError` when the transfer has already been
+ * received.
+ */
+export const receiveTransfer = async (transfer, receipts, actor, ctx = db) => {
+  // The transfer is claimed first so that concurrent receipts of it wait for
+  // each other and only one of them moves the goods out of transit
+  const [receivedTransfer] = await ctx
+    .update(transfers)
+    .set({
+      status: "received",
+      received_by: actor,
+      received_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .where(and(eq(transfers.id, transfer.id), ne(transfers.status, "received")))
+    .returning();
+  if (!receivedTransfer) {
+    const error = new Error(
+      `The transfer "${transfer.trf_id}" has already been received.`
+    );
+    error.name = "TransferReceiptError";
+    throw error;
+  }
+
+  const discrepancies = [];
+  for (const { transferProduct, received_quantity, note } of receipts) {
+    const { mr_id, product, quantity } = transferProduct;
+    const shortage = quantity - received_quantity;
+
+    await moveTransferStock(
+      {
+        trf_id: transfer.trf_id,
+        from: inTransitInventory,
+        to: transfer.destination_inventory,
+        mr_id,
+        product,
+        quantity: received_quantity,
+        created_by: actor,
+      },
+      ctx
+    );
+
+    // Goods that never arrived are written off the in-transit stock
+    if (shortage > 0) {
+      await moveTransferStock(
+        {
+          trf_id: transfer.trf_id,
+          from: inTransitInventory,
+          mr_id,
+          product,
+          quantity: shortage,
+          created_by: actor,
+        },
+        ctx
+      );
+
+      const [discrepancy] = await ctx
+        .insert(transferDiscrepancies)
+        .values({
+          trf_id: transfer.trf_id,
+          transfer_product_id: transferProduct.id,
+          mr_id,
+          product,
+          dispatched_quantity: quantity,
+          received_quantity,
+          shortage,
+          note,
+          reported_by: actor,
+        })
+        .returning();
+      discrepancies.push(discrepancy);
+    }
+
+    await ctx
+      .update(transferProducts)
+      .set({
+        received_quantity,
+        updated_at: new Date().toISOString(),
+      })
+      .where(eq(transferProducts.id, transferProduct.id));
+  }
+
+  return { transfer: receivedTransfer, discrepancies };
+};
@@ -0,0 +1,59 @@
+import { sql } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { inventoryProducts, stockLedger } from "../schemas/index.js";
+
+/**
+ * Compares the balance rebuilt from the stock ledger with the live quantity
+ * of every lot.
+ * @returns {Promise<Array>} Lots whose live quantity drifted from the ledger.
+ */
+export const reconcileStockLedger = async (ctx = db) => {
+  const ledgerBalances = await ctx
+    .select({
+      inventory_product_id: stockLedger.inventory_product_id,
+      inventory: sql`max(${stockLedger.inventory})`,
+      product: sql`max(${stockLedger.product})`,
+      mr_id: sql`max(${stockLedger.mr_id})`,
+      quantity: sql`sum(${stockLedger.quantity})`.mapWith(Number),
+    })
+    .from(stockLedger)
+    .groupBy(stockLedger.inventory_product_id);
+
+  const lots = await ctx.select().from(inventoryProducts);
+
+  const ledgerBalancesById = {};
+  for (const balance of ledgerBalances) {
+    ledgerBalancesById[balance.inventory_product_id] = balance;
+  }
+
+  const drifts = [];
+  const reportDrift = (lot, ledgerQuantity, liveQuantity) => {
+    if (ledgerQuantity === liveQuantity) return;
+    drifts.push({
+      inventory_product_id: lot.inventory_product_id,
+      inventory: lot.inventory,
+      product: lot.product,
+      mr_id: lot.mr_id,
+      ledger_quantity: ledgerQuantity,
+      live_quantity: liveQuantity,
+      drift: liveQuantity - ledgerQuantity,
+    });
+  };
+
+  for (const lot of lots) {
+    const ledgerBalance = ledgerBalancesById[lot.id];
+    delete ledgerBalancesById[lot.id];
+    reportDrift(
+      { ...lot, inventory_product_id: lot.id },
+      ledgerBalance ? ledgerBalance.quantity : 0,
+      lot.quantity
+    );
+  }
+
+  // Lots that are gone but still hold stock according to the ledger
+  for (const ledgerBalance of Object.values(ledgerBalancesById)) {
+    reportDrift(ledgerBalance, ledgerBalance.quantity, 0);
+  }
+
+  return drifts;
+};
@@ -0,0 +1,40 @@
+import { db } from "../database/connection.js";
+import { stockLedger } from "../schemas/index.js";
+
+/**
+ * Appends a movement to the stock ledger.
+ * @param {Object} movement
+ * @param {string} movement.source_type - Source document type (MR, BILL, TRF).
+ * @param {string} movement.source_id - Source document ID.
+ * @param {Object} movement.lot - Inventory product row after the movement.
+ * @param {number} movement.quantity - Signed change in quantity.
+ * @param {number} [movement.balance] - Resulting lot quantity, defaults to the
+ * quantity of `lot`.
+ * @param {string} [movement.reason] - Reason of an adjustment (ADJ).
+ * @param {string} [movement.created_by] - ID of the user behind the movement.
+ * @returns {Promise<Object|null>} The ledger entry, or null when nothing moved.
+ */
+export const recordStockMovement = async (
+  { source_type, source_id, lot, quantity, balance, reason, created_by },
+  ctx = db
+) => {
+  if (!lot || !quantity) return null;
+
+  const [entry] = await ctx
+    .insert(stockLedger)
+    .values({
+      source_type,
+      source_id,
+      inventory: lot.inventory,
+      product: lot.product,
+      mr_id: lot.mr_id,
+      inventory_product_id: lot.id,
+      quantity,
+      balance: balance ?? lot.quantity,
+      reason,
+      created_by,
+    })
+    .returning();
+
+  return entry;
+};
@@ -0,0 +1,52 @@
+import { desc, eq } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { maintenanceRecords, maintenanceSchedules } from "../schemas/index.js";
+
+const dayInMs = 24 * 60 * 60 * 1000;
+
+/**
+ * Recomputes when a maintenance schedule is due next from its latest service,
+ * or from its start when the vehicle has not been serviced under it yet.
+ * @param {string} scheduleId - ID of the maintenance schedule.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<Object|null>} The refreshed schedule.
+ */
+export const refreshMaintenanceSchedule = async (scheduleId, ctx = db) => {
+  const [schedule] = await ctx
+    .select()
+    .from(maintenanceSchedules)
+    .where(eq(maintenanceSchedules.id, scheduleId))
+    .limit(1);
+  if (!schedule) return null;
+
+  const [lastService] = await ctx
+    .select()
+    .from(maintenanceRecords)
+    .where(eq(maintenanceRecords.schedule_id, schedule.id))
+    .orderBy(desc(maintenanceRecords.service_date))
+    .limit(1);
+
+  const lastDate = new Date(lastService?.service_date || schedule.start_date);
+  const lastMileage = lastService
+    ? lastService.odometer
+    : schedule.start_mileage;
+  const nextDueAt = schedule.interval_days
+    ? new Date(lastDate.getTime() + schedule.interval_days * dayInMs)
+    : null;
+
+  const [refreshedSchedule] = await ctx
+    .update(maintenanceSchedules)
+    .set({
+      last_service_at: lastService ? lastService.service_date : null,
+      last_service_mileage: lastService ? lastService.odometer : null,
+      next_due_at: nextDueAt ? nextDueAt.toISOString() : null,
+      next_due_mileage: schedule.interval_km
+        ? lastMileage + schedule.interval_km
+        : null,
+      updated_at: new Date().toISOString(),
+    })
+    .where(eq(maintenanceSchedules.id, schedule.id))
+    .returning();
+
+  return refreshedSchedule;
+};
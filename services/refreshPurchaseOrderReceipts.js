@@ -0,0 +1,57 @@
+import { eq, ilike, sql } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import {
+  purchaseOrderProducts,
+  purchaseOrders,
+  purchaseProducts,
+} from "../schemas/index.js";
+
+/**
+ * Recomputes the received quantity of every line of a purchase order from its
+ * goods receipts and moves an approved order between the receiving statuses.
+ * @param {string} poId - PO ID of the purchase order.
+ * @returns {Promise<Object|null>} The refreshed purchase order.
+ */
+export const refreshPurchaseOrderReceipts = async (poId, ctx = db) => {
+  const orderProducts = await ctx
+    .update(purchaseOrderProducts)
+    .set({
+      received_quantity: sql`(select coalesce(sum(${purchaseProducts.quantity}), 0) from ${purchaseProducts} where ${purchaseProducts.po_product_id} = ${purchaseOrderProducts.id})`,
+      updated_at: new Date().toISOString(),
+    })
+    .where(ilike(purchaseOrderProducts.po_id, poId))
+    .returning();
+
+  const [purchaseOrder] = await ctx
+    .select()
+    .from(purchaseOrders)
+    .where(ilike(purchaseOrders.po_id, poId))
+    .limit(1);
+
+  // Draft and closed orders keep their status
+  if (!purchaseOrder || ["draft", "closed"].includes(purchaseOrder.status)) {
+    return purchaseOrder || null;
+  }
+
+  let status = "approved";
+  if (
+    orderProducts.every(
+      (product) => product.received_quantity >= product.quantity
+    )
+  ) {
+    status = "received";
+  } else if (orderProducts.some((product) => product.received_quantity > 0)) {
+    status = "partially received";
+  }
+
+  const [refreshedPurchaseOrder] = await ctx
+    .update(purchaseOrders)
+    .set({
+      status,
+      updated_at: new Date().toISOString(),
+    })
+    .where(eq(purchaseOrders.id, purchaseOrder.id))
+    .returning();
+
+  return refreshedPurchaseOrder;
+};
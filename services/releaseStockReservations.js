@@ -0,0 +1,19 @@
+import { and, eq, ilike } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { stockReservations } from "../schemas/index.js";
+
+export const releaseStockReservations = async (billId, ctx = db) => {
+  return await ctx
+    .update(stockReservations)
+    .set({
+      status: "released",
+      updated_at: new Date().toISOString(),
+    })
+    .where(
+      and(
+        ilike(stockReservations.bill_id, billId),
+        eq(stockReservations.status, "active")
+      )
+    )
+    .returning();
+};
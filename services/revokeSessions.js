@@ -0,0 +1,31 @@
+import { and, eq, inArray, isNull, ne } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { sessions } from "../schemas/index.js";
+
+/**
+ * Revokes the sessions of a user, so that neither their access nor their
+ * refresh tokens are accepted anymore.
+ * @param {Object} filter - `{ user_id, session_ids, except_id }`. Without
+ * `session_ids` every session of the user but `except_id` is revoked.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<Array>} The revoked sessions.
+ */
+export const revokeSessions = async (
+  { user_id, session_ids, except_id },
+  ctx = db
+) => {
+  if (session_ids?.length === 0) return [];
+
+  return ctx
+    .update(sessions)
+    .set({ revoked_at: new Date().toISOString() })
+    .where(
+      and(
+        eq(sessions.user_id, user_id),
+        isNull(sessions.revoked_at),
+        session_ids ? inArray(sessions.id, session_ids) : undefined,
+        except_id ? ne(sessions.id, except_id) : undefined
+      )
+    )
+    .returning();
+};
@@ -0,0 +1,59 @@
+import { sql } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { inventoryProducts, stockLedger } from "../schemas/index.js";
+
+/**
+ * Writes an `OPENING` ledger entry for the stock lots held before the ledger
+ * recorded their movements, so that the ledger adds up to their live
+ * quantity. Openings are dated at the creation of their lot and written once
+ * per lot; lots that already have one are left alone.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<Array>} The opening entries written.
+ */
+export const seedOpeningBalances = async (ctx = db) => {
+  const ledgerBalances = await ctx
+    .select({
+      inventory_product_id: stockLedger.inventory_product_id,
+      quantity: sql`sum(${stockLedger.quantity})`.mapWith(Number),
+      opened: sql`bool_or(${stockLedger.source_type} = 'OPENING')`.mapWith(
+        Boolean
+      ),
+    })
+    .from(stockLedger)
+    .groupBy(stockLedger.inventory_product_id);
+
+  const ledgerBalancesById = {};
+  for (const balance of ledgerBalances) {
+    ledgerBalancesById[balance.inventory_product_id] = balance;
+  }
+
+  const lots = await ctx.select().from(inventoryProducts);
+
+  const openingEntries = [];
+  for (const lot of lots) {
+    const ledgerBalance = ledgerBalancesById[lot.id];
+    if (ledgerBalance?.opened) continue;
+
+    // Movements already in the ledger happened after the opening
+    const openingQuantity = lot.quantity - (ledgerBalance?.quantity || 0);
+    if (openingQuantity === 0) continue;
+
+    const [entry] = await ctx
+      .insert(stockLedger)
+      .values({
+        source_type: "OPENING",
+        source_id: lot.mr_id,
+        inventory: lot.inventory,
+        product: lot.product,
+        mr_id: lot.mr_id,
+        inventory_product_id: lot.id,
+        quantity: openingQuantity,
+        balance: openingQuantity,
+        created_at: lot.created_at,
+      })
+      .returning();
+    openingEntries.push(entry);
+  }
+
+  return openingEntries;
+};
@@ -0,0 +1,37 @@
+import { eq } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { users } from "../schemas/index.js";
+import { generateRefreshToken, hashToken, sendEmail } from "../utils/index.js";
+
+const verificationExpiryHours = parseInt(
+  process.env.EMAIL_VERIFICATION_EXPIRY_HOURS || 24,
+  10
+);
+
+/**
+ * Emails a user a link to verify their email address. A new link replaces
+ * the ones sent before.
+ * @param {Object} user - User with their `id`, `name` and `email`.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<void>}
+ */
+export const sendVerificationEmail = async (user, ctx = db) => {
+  const token = generateRefreshToken();
+
+  await ctx
+    .update(users)
+    .set({
+      validation_token: hashToken(token),
+      validation_token_expired_at: new Date(
+        Date.now() + verificationExpiryHours * 60 * 60 * 1000
+      ),
+    })
+    .where(eq(users.id, user.id));
+
+  const verificationLink = `${process.env.CLIENT_URL}/verify-email?token=${token}`;
+  await sendEmail(
+    user.email,
+    "Verify your email address",
+    `Hi ${user.name}, click here to verify your email address: ${verificationLink}\n\nThe link expires in ${verificationExpiryHours} hours.`
+  );
+};
@@ -0,0 +1,30 @@
+import { eq } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { sales } from "../schemas/index.js";
+import { applySaleStatusEffects } from "./applySaleStatusEffects.js";
+
+export const updateSalesStatus = async (
+  salesToUpdate,
+  nextStatus,
+  actor,
+  ctx = db
+) => {
+  const updatedSales = [];
+  for (const sale of salesToUpdate) {
+    if (sale.status === nextStatus) continue;
+
+    const [updatedSale] = await ctx
+      .update(sales)
+      .set({
+        status: nextStatus,
+        updated_at: new Date().toISOString(),
+      })
+      .where(eq(sales.id, sale.id))
+      .returning();
+
+    await applySaleStatusEffects(updatedSale, nextStatus, actor, ctx);
+    updatedSales.push(updatedSale);
+  }
+
+  return updatedSales;
+};
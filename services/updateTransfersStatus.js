@@ -0,0 +1,48 @@
+import { eq, ilike } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { transferProducts, transfers } from "../schemas/index.js";
+import { receiveTransfer } from "./receiveTransfer.js";
+
+export const updateTransfersStatus = async (
+  transfersToUpdate,
+  nextStatus,
+  actor,
+  ctx = db
+) => {
+  const updatedTransfers = [];
+  for (const transfer of transfersToUpdate) {
+    if (transfer.status === nextStatus) continue;
+
+    // Transfers delivered without a confirmation are received in full
+    if (nextStatus === "received") {
+      const products = await ctx
+        .select()
+        .from(transferProducts)
+        .where(ilike(transferProducts.trf_id, transfer.trf_id));
+      const receipts = products.map((transferProduct) => ({
+        transferProduct,
+        received_quantity: transferProduct.quantity,
+      }));
+      const { transfer: receivedTransfer } = await receiveTransfer(
+        transfer,
+        receipts,
+        actor,
+        ctx
+      );
+      updatedTransfers.push(receivedTransfer);
+      continue;
+    }
+
+    const [updatedTransfer] = await ctx
+      .update(transfers)
+      .set({
+        status: nextStatus,
+        updated_at: new Date().toISOString(),
+      })
+      .where(eq(transfers.id, transfer.id))
+      .returning();
+    updatedTransfers.push(updatedTransfer);
+  }
+
+  return updatedTransfers;
+};
@@ -0,0 +1,41 @@
+import { and, eq, isNull, lt, or } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { users } from "../schemas/index.js";
+import { verifyTotp } from "../utils/index.js";
+
+/**
+ * Verifies a code of the authenticator app of a user and spends it, so that
+ * neither it nor an older code can be accepted again. The period is only
+ * recorded if no other request accepted the same or a later one meanwhile.
+ * @param {Object} user - User with their `id`, `two_factor_secret` and
+ * `two_factor_last_counter`.
+ * @param {string} code - Code given by the user.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<boolean>} Whether the code is valid.
+ */
+export const verifyAuthenticatorCode = async (user, code, ctx = db) => {
+  if (!user.two_factor_secret) return false;
+
+  const counter = verifyTotp(
+    user.two_factor_secret,
+    code.trim(),
+    user.two_factor_last_counter
+  );
+  if (counter === null) return false;
+
+  const [spentUser] = await ctx
+    .update(users)
+    .set({ two_factor_last_counter: counter })
+    .where(
+      and(
+        eq(users.id, user.id),
+        or(
+          isNull(users.two_factor_last_counter),
+          lt(users.two_factor_last_counter, counter)
+        )
+      )
+    )
+    .returning({ id: users.id });
+
+  return Boolean(spentUser);
+};
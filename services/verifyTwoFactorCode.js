@@ -0,0 +1,34 @@
+import { and, eq, isNull } from "drizzle-orm";
+import { db } from "../database/connection.js";
+import { recoveryCodes } from "../schemas/index.js";
+import { hashToken } from "../utils/index.js";
+import { verifyAuthenticatorCode } from "./verifyAuthenticatorCode.js";
+
+/**
+ * Verifies the second factor of a user enrolled in two-factor authentication,
+ * either a code of their authenticator app or one of their recovery codes. A
+ * code is spent once it is accepted.
+ * @param {Object} user - User with their `id`, `two_factor_secret` and
+ * `two_factor_last_counter`.
+ * @param {string} code - Code given by the user.
+ * @param {Object} ctx - Database or transaction to run the queries on.
+ * @returns {Promise<boolean>} Whether the code is valid.
+ */
+export const verifyTwoFactorCode = async (user, code, ctx = db) => {
+  const givenCode = code.trim().toLowerCase();
+  if (await verifyAuthenticatorCode(user, givenCode, ctx)) return true;
+
+  const [usedRecoveryCode] = await ctx
+    .update(recoveryCodes)
+    .set({ used_at: new Date().toISOString() })
+    .where(
+      and(
+        eq(recoveryCodes.user_id, user.id),
+        eq(recoveryCodes.code, hashToken(givenCode)),
+        isNull(recoveryCodes.used_at)
+      )
+    )
+    .returning();
+
+  return Boolean(usedRecoveryCode);
+};
@@ -28,6 +28,45 @@ export const salesStatusEnum = [
   "delayed",
 ];
 
+export const allocationStrategiesEnum = ["fifo", "fefo"];
+
+export const reservationStatusEnum = ["active", "consumed", "released"];
+
+export const stockLedgerSourcesEnum = [
+  "MR",
+  "BILL",
+  "TRF",
+  "ADJ",
+  "RTV",
+  "RMA",
+  "OPENING",
+];
+
+export const stockCountStatusEnum = ["pending", "approved", "rejected"];
+
+export const adjustmentReasonsEnum = ["damage", "theft", "found"];
+
+export const purchaseOrderStatusEnum = [
+  "draft",
+  "approved",
+  "partially received",
+  "received",
+  "closed",
+];
+
+export const vendorReturnStatusEnum = [
+  "pending",
+  "dispatched",
+  "acknowledged",
+  "cancelled",
+];
+
+export const customerReturnStatusEnum = ["received", "refunded"];
+
+export const returnConditionsEnum = ["resellable", "scrap"];
+
+export const transferStatusEnum = ["dispatched", "in transit", "received"];
+
 export const shipmentStatusEnum = [
   "pending",
   "in transit",
@@ -35,3 +74,23 @@ export const shipmentStatusEnum = [
   "cancelled",
   "delayed",
 ];
+
+export const vehicleDocumentTypesEnum = [
+  "registration",
+  "insurance",
+  "fitness certificate",
+  "permit",
+];
+
+export const deliveryOutcomesEnum = [
+  "delivered",
+  "partially delivered",
+  "refused",
+];
+
+export const assetEntitiesEnum = [
+  "user avatar",
+  "driving license",
+  "vehicle document",
+  "delivery proof",
+];
@@ -0,0 +1,19 @@
+import crypto from "crypto";
+
+export const refreshTokenExpiryDays = parseInt(
+  process.env.REFRESH_TOKEN_EXPIRY_DAYS || 30,
+  10
+);
+
+// Sessions expire once their refresh token went unused this long
+export const findRefreshTokenExpiry = () =>
+  new Date(
+    Date.now() + refreshTokenExpiryDays * 24 * 60 * 60 * 1000
+  ).toISOString();
+
+// Refresh tokens are opaque, only their hash is stored
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+export const generateRefreshToken = () =>
+  crypto.randomBytes(48).toString("hex");
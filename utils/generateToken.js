@@ -8,3 +8,20 @@ export const generateToken = (payload) => {
     expiresIn: tokenExpiry,
   });
 };
+
+// Challenge tokens only prove the password of a login waiting for its second
+// factor. They carry no session, so the auth guard refuses them.
+export const generateChallengeToken = (payload) => {
+  return jwt.sign({ ...payload, purpose: "two-factor" }, jwtSecret, {
+    expiresIn: "5m",
+  });
+};
+
+export const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, jwtSecret);
+    return decoded.purpose === "two-factor" ? decoded : null;
+  } catch {
+    return null;
+  }
+};
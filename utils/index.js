@@ -3,8 +3,53 @@ export {
   vehicleTypesEnum,
   salesStatusEnum,
   shipmentStatusEnum,
+  allocationStrategiesEnum,
+  reservationStatusEnum,
+  stockLedgerSourcesEnum,
+  stockCountStatusEnum,
+  adjustmentReasonsEnum,
+  purchaseOrderStatusEnum,
+  vendorReturnStatusEnum,
+  customerReturnStatusEnum,
+  returnConditionsEnum,
+  transferStatusEnum,
+  vehicleDocumentTypesEnum,
+  deliveryOutcomesEnum,
+  assetEntitiesEnum,
 } from "./enum.js";
-export { generateToken } from "./generateToken.js";
+export {
+  generateChallengeToken,
+  generateToken,
+  verifyChallengeToken,
+} from "./generateToken.js";
+export {
+  findRefreshTokenExpiry,
+  generateRefreshToken,
+  hashToken,
+  refreshTokenExpiryDays,
+} from "./generateRefreshToken.js";
 export { hashPassword } from "./hashPassword.js";
+export {
+  generateRecoveryCodes,
+  generateTotpSecret,
+  generateTotpUri,
+  twoFactorRequiredRoles,
+  verifyTotp,
+} from "./totp.js";
 export { priceValidation } from "./priceValidation.js";
 export { sendEmail } from "./sendEmail.js";
+export {
+  saleStatusTransitions,
+  saleRestockedStatuses,
+  shipmentStatusTransitions,
+  shipmentActiveStatuses,
+  shipmentSaleStatuses,
+  shipmentTransferStatuses,
+  stockCountStatusTransitions,
+  purchaseOrderStatusTransitions,
+  vendorReturnStatusTransitions,
+  customerReturnStatusTransitions,
+  transferStatusTransitions,
+  getAllowedTransitions,
+  isValidTransition,
+} from "./statusTransitions.js";
@@ -0,0 +1,93 @@
+// Allowed next statuses for a sale. A sale can be cancelled until it is
+// delivered, once shipped when its order is refused on delivery; once
+// delivered it can be returned and then refunded.
+export const saleStatusTransitions = {
+  pending: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered", "delayed", "cancelled"],
+  delayed: ["shipped", "delivered", "cancelled"],
+  delivered: ["return"],
+  return: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: [],
+};
+
+// Sale statuses whose products have already been put back into stock.
+export const saleRestockedStatuses = ["cancelled", "return", "refunded"];
+
+// Allowed next statuses for a shipment.
+export const shipmentStatusTransitions = {
+  pending: ["in transit", "cancelled"],
+  "in transit": ["delivered", "delayed"],
+  delayed: ["in transit", "delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+// Shipment statuses that hold their vehicle and captain for the planned window.
+export const shipmentActiveStatuses = ["pending", "in transit", "delayed"];
+
+// Sale status that each shipment status cascades to the sales it carries.
+export const shipmentSaleStatuses = {
+  "in transit": "shipped",
+  delivered: "delivered",
+  delayed: "delayed",
+};
+
+// Transfer status that each shipment status cascades to the transfers it
+// carries. Delivered transfers not yet confirmed by their destination are
+// received in full.
+export const shipmentTransferStatuses = {
+  "in transit": "in transit",
+  delayed: "in transit",
+  delivered: "received",
+};
+
+// Allowed next statuses for a stock count. Counts can only be changed while
+// they wait for approval.
+export const stockCountStatusTransitions = {
+  pending: ["approved", "rejected"],
+  approved: [],
+  rejected: [],
+};
+
+// Allowed next statuses for a purchase order. Receiving statuses follow the
+// goods receipts, an order can be closed at any point after approval.
+export const purchaseOrderStatusTransitions = {
+  draft: ["approved"],
+  approved: ["partially received", "received", "closed"],
+  "partially received": ["received", "closed"],
+  received: ["closed"],
+  closed: [],
+};
+
+// Allowed next statuses for a return to a vendor. Returned stock is deducted
+// when the return is created and put back only if it is cancelled before it
+// is dispatched.
+export const vendorReturnStatusTransitions = {
+  pending: ["dispatched", "cancelled"],
+  dispatched: ["acknowledged"],
+  acknowledged: [],
+  cancelled: [],
+};
+
+// Allowed next statuses for a customer return. Goods are restocked when the
+// return is received, the refund is recorded afterwards.
+export const customerReturnStatusTransitions = {
+  received: ["refunded"],
+  refunded: [],
+};
+
+// Allowed next statuses for a transfer. Dispatched goods are held in transit
+// until the destination inventory confirms what it received.
+export const transferStatusTransitions = {
+  dispatched: ["in transit", "received"],
+  "in transit": ["received"],
+  received: [],
+};
+
+export const getAllowedTransitions = (transitions, from) =>
+  transitions[from] || [];
+
+export const isValidTransition = (transitions, from, to) =>
+  from === to || getAllowedTransitions(transitions, from).includes(to);
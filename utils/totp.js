@@ -0,0 +1,94 @@
+import crypto from "crypto";
+
+const base32Alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const totpPeriodSeconds = 30;
+const totpDigits = 6;
+
+export const totpIssuer = process.env.TWO_FACTOR_ISSUER || "LogiEx";
+
+// Roles that cannot log in without two-factor authentication
+export const twoFactorRequiredRoles = (
+  process.env.TWO_FACTOR_REQUIRED_ROLES ??
+  "admin,procurement-manager,fleet-manager,inventory-manager"
+)
+  .split(",")
+  .map((role) => role.trim())
+  .filter(Boolean);
+
+const encodeBase32 = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let encoded = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += base32Alphabet[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return encoded;
+};
+
+const decodeBase32 = (encoded) => {
+  let bits = "";
+  for (const char of encoded.replace(/=+$/, "").toUpperCase()) {
+    const value = base32Alphabet.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 character");
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", decodeBase32(secret))
+    .update(counterBuffer)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** totpDigits;
+
+  return code.toString().padStart(totpDigits, "0");
+};
+
+export const generateTotpSecret = () => encodeBase32(crypto.randomBytes(20));
+
+export const generateTotpUri = ({ secret, account }) => {
+  const label = encodeURIComponent(`${totpIssuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: totpIssuer,
+    algorithm: "SHA1",
+    digits: totpDigits,
+    period: totpPeriodSeconds,
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Codes of the previous and next period are accepted for clock drift, those
+// of a period at or before the last accepted one are replays. Returns the
+// period of the code, or null when it is invalid
+export const verifyTotp = (secret, code, lastCounter = null, window = 1) => {
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const counter = Math.floor(Date.now() / 1000 / totpPeriodSeconds);
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = generateHotp(secret, counter + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return lastCounter !== null && counter + drift <= lastCounter
+        ? null
+        : counter + drift;
+    }
+  }
+  return null;
+};
+
+export const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });